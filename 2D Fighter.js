@@ -20,11 +20,23 @@ const GAME_CONFIG = {
     jumpForce: -15,
     /** @type {number} Base movement speed */
     moveSpeed: 5,
+    /** @type {Object} Simulation arena size, independent of the canvas */
+    arena: {
+        width: 1280,
+        height: 600,
+        /** @type {number} Furthest the fighters' centers can get apart, so both stay on screen */
+        maxSeparation: 560
+    },
     /** @type {Object} Debug settings */
     debug: {
         showHitboxes: false,
+        /** @type {boolean} Show what adaptive AIs have learned during a fight */
+        showAIProfile: false,
         showFPS: false,
-        logPerformance: false
+        logPerformance: false,
+        /** @type {boolean} Re-read character JSON on edit; on for local dev servers */
+        hotReload: typeof location !== 'undefined' &&
+            ['localhost', '127.0.0.1'].includes(location.hostname)
     },
     /** @type {Object} Game balance settings */
     balance: {
@@ -32,8 +44,7 @@ const GAME_CONFIG = {
         healthMultiplier: 1.0,
         energyRegenRate: 0.1,
         blockDamageReduction: 0.5,
-        hitStunDuration: 300,
-        comboTimeWindow: 500
+        comboTimeWindow: 30     // frames
     }
 };
 
@@ -67,1965 +78,11704 @@ function validateConfig(config) {
 }
 
 /**
- * Main Game class - Controls the game loop and manages all game systems
+ * Converts a wall-clock duration to a whole number of simulation frames
+ * @param {number} ms - Duration in milliseconds
+ * @returns {number} Duration in frames
+ */
+function msToFrames(ms) {
+    return Math.round(ms / GAME_CONFIG.timeStep);
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32). Gives the same sequence for
+ * the same seed, so simulation code must use it instead of Math.random().
  * @class
  */
-class Game {
+class SeededRandom {
     /**
-     * Creates a new Game instance
-     * @constructor
-     * @throws {Error} If canvas element is not found
+     * @param {number} [seed=1] - 32-bit seed
      */
-    constructor() {
-        // Initialize canvas
-        this.canvas = document.getElementById('gameCanvas');
-        if (!this.canvas) {
-            throw new Error('Canvas element not found');
-        }
-        this.ctx = this.canvas.getContext('2d');
+    constructor(seed = 1) {
+        this.state = seed >>> 0;
+    }
 
-        // Initialize core systems
-        this.initializeSystems();
-        
-        // Bind methods to prevent context loss
-        this.gameLoop = this.gameLoop.bind(this);
-        this.handleInput = this.handleInput.bind(this);
-        
-        // Start the game
-        this.initialize();
+    /**
+     * Returns the next number in [0, 1)
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
 
-        /**
-         * @type {string} Current game speed setting
-         * @private
-         */
-        this.speedSetting = 'normal';
-        
-        /**
-         * @type {number} Current time scale for game logic
-         * @private
-         */
-        this.timeScale = SPEED_CONFIG.normal.timeScale;
+/**
+ * Hashes a string to a 32-bit integer (FNV-1a)
+ * @param {string} str - String to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(str) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Input snapshot with nothing held
+ * @constant {InputState}
+ */
+const EMPTY_INPUT = Object.freeze({
+    left: false,
+    right: false,
+    up: false,
+    down: false,
+    attack: false,
+    medium: false,
+    heavy: false,
+    block: false
+});
+
+/**
+ * Packs an input snapshot into a bitmask, one bit per InputState property
+ * @param {InputState} input - Input snapshot
+ * @returns {number} Encoded input
+ */
+function encodeInput(input) {
+    return Object.keys(EMPTY_INPUT).reduce(
+        (bits, action, index) => (input[action] ? bits | (1 << index) : bits), 0
+    );
+}
+
+/**
+ * Unpacks a bitmask produced by encodeInput
+ * @param {number} bits - Encoded input
+ * @returns {InputState} Input snapshot
+ */
+function decodeInput(bits) {
+    const input = {};
+    Object.keys(EMPTY_INPUT).forEach((action, index) => {
+        input[action] = (bits & (1 << index)) !== 0;
+    });
+    return input;
+}
+
+/**
+ * Default keyboard bindings per player, keyed by InputState property plus
+ * start, which pauses
+ * @constant {Object}
+ */
+const DEFAULT_KEY_BINDINGS = {
+    p1: {
+        left: 'a', right: 'd', up: 'w', down: 's',
+        attack: 'f', medium: 'r', heavy: 't', block: 'g', start: 'Escape'
+    },
+    p2: {
+        left: 'ArrowLeft', right: 'ArrowRight', up: 'ArrowUp', down: 'ArrowDown',
+        attack: 'k', medium: 'i', heavy: 'o', block: 'l', start: 'p'
     }
+};
+
+/**
+ * Default gamepad button indices, in the browser's "standard" layout
+ * @constant {Object}
+ */
+const DEFAULT_GAMEPAD_BINDINGS = {
+    left: 14, right: 15, up: 12, down: 13,
+    attack: 2, medium: 3, heavy: 5, block: 1, start: 9
+};
+
+/**
+ * Remappable actions and profile storage
+ * @constant {Object}
+ */
+const CONTROLS_CONFIG = {
+    actions: [
+        { action: 'up', label: 'Up' },
+        { action: 'down', label: 'Down' },
+        { action: 'left', label: 'Left' },
+        { action: 'right', label: 'Right' },
+        { action: 'attack', label: 'Light Attack' },
+        { action: 'medium', label: 'Medium Attack' },
+        { action: 'heavy', label: 'Heavy Attack' },
+        // Guarding is holding back; this button is Back in gamepad menus
+        { action: 'block', label: 'Menu Back' },
+        { action: 'start', label: 'Start' }
+    ],
+    storageKey: 'fighter.controls',
+    defaultProfile: 'Default'
+};
+
+/**
+ * Builds a fresh copy of the default bindings for both players
+ * @returns {Object} Bindings keyed by p1/p2, then keyboard/gamepad
+ */
+function createDefaultBindings() {
+    return {
+        p1: { keyboard: { ...DEFAULT_KEY_BINDINGS.p1 }, gamepad: { ...DEFAULT_GAMEPAD_BINDINGS } },
+        p2: { keyboard: { ...DEFAULT_KEY_BINDINGS.p2 }, gamepad: { ...DEFAULT_GAMEPAD_BINDINGS } }
+    };
+}
+
+/**
+ * Lists bindings shared by two actions on the same device. Both players
+ * read the one keyboard, so P1 and P2 keys are checked against each other;
+ * each player's gamepad is a separate device.
+ * @param {Object} bindings - Bindings as built by createDefaultBindings
+ * @returns {Array<Object>} Conflicts with the key and the clashing slots
+ */
+function findBindingConflicts(bindings) {
+    const owners = new Map();
+    const record = (deviceKey, slot) => {
+        if (!owners.has(deviceKey)) owners.set(deviceKey, []);
+        owners.get(deviceKey).push(slot);
+    };
+
+    ['p1', 'p2'].forEach(player => {
+        Object.entries(bindings[player].keyboard).forEach(([action, key]) => {
+            record(`keyboard:${key}`, { player, device: 'keyboard', action });
+        });
+        Object.entries(bindings[player].gamepad).forEach(([action, button]) => {
+            record(`${player}:gamepad:${button}`, { player, device: 'gamepad', action });
+        });
+    });
+
+    return Array.from(owners.entries())
+        .filter(([, slots]) => slots.length > 1)
+        .map(([deviceKey, slots]) => ({ key: deviceKey.split(':').pop(), slots }));
+}
 
+/**
+ * Named control profiles persisted to localStorage
+ * @class
+ */
+class ControlProfiles {
     /**
-     * Initializes all game systems
-     * @private
+     * @param {Storage} [storage] - Defaults to window.localStorage when available
      */
-    initializeSystems() {
-        this.loadingScreen = new LoadingScreen(this);
-        this.errorHandler = new ErrorHandler();
-        this.performanceMonitor = new PerformanceMonitor();
-        this.assetLoader = new AssetLoader();
-        this.animationSystem = new AnimationSystem();
-        this.effectsSystem = new EffectsSystem();
-        this.menuSystem = new MenuSystem(this);
-        this.stateManager = new GameStateManager(this);
-        
-        // Game state initialization
-        this.gameState = 'loading';
-        this.player1 = null;
-        this.player2 = null;
-        this.paused = false;
-        
-        // Performance optimization
-        this.lastTime = 0;
-        this.accumulator = 0;
-        this.frames = 0;
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.storage = storage;
+        this.profiles = { [CONTROLS_CONFIG.defaultProfile]: createDefaultBindings() };
+        this.activeName = CONTROLS_CONFIG.defaultProfile;
+        /** @type {number} Analog stick deadzone, shared by every profile */
+        this.deadzone = GAMEPAD_CONFIG.deadzone;
+        this.load();
     }
 
     /**
-     * Initializes the game
-     * @async
-     * @throws {GameError} If initialization fails
+     * Reads saved profiles, keeping the defaults when nothing valid is stored
      */
-    async initialize() {
+    load() {
+        if (!this.storage) return;
+
         try {
-            validateConfig(GAME_CONFIG);
-            await this.assetLoader.loadAssets();
-            this.setupSystems();
-            this.gameLoop(0);
+            const saved = JSON.parse(this.storage.getItem(CONTROLS_CONFIG.storageKey));
+            if (!saved || !saved.profiles) return;
+
+            if (Number.isFinite(saved.deadzone)) {
+                this.deadzone = Math.max(0, Math.min(GAMEPAD_CONFIG.maxDeadzone, saved.deadzone));
+            }
+
+            Object.entries(saved.profiles).forEach(([name, bindings]) => {
+                // Fill actions added since the profile was saved
+                const merged = createDefaultBindings();
+                ['p1', 'p2'].forEach(player => {
+                    ['keyboard', 'gamepad'].forEach(device => {
+                        Object.assign(merged[player][device], bindings[player] && bindings[player][device]);
+                    });
+                });
+                this.profiles[name] = merged;
+            });
+            if (this.profiles[saved.active]) {
+                this.activeName = saved.active;
+            }
         } catch (error) {
-            this.handleError(error);
-            throw error;
+            console.warn(`Failed to load control profiles: ${error}`);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(CONTROLS_CONFIG.storageKey, JSON.stringify({
+                active: this.activeName,
+                profiles: this.profiles,
+                deadzone: this.deadzone
+            }));
+        } catch (error) {
+            console.warn(`Failed to save control profiles: ${error}`);
         }
     }
 
     /**
-     * Sets up event listeners for the game
-     * @private
+     * @returns {Object} Bindings of the active profile
      */
-    setupEventListeners() {
-        window.addEventListener('keydown', this.handleInput);
-        window.addEventListener('keyup', this.handleInput);
-        window.addEventListener('blur', () => this.handleBlur());
-        window.addEventListener('focus', () => this.handleFocus());
+    get active() {
+        return this.profiles[this.activeName];
     }
 
     /**
-     * Main game loop
-     * @param {number} timestamp Current timestamp from requestAnimationFrame
+     * @returns {Array<string>} Profile names in creation order
      */
-    gameLoop(timestamp) {
-        // Calculate delta time
-        const deltaTime = timestamp - this.lastTime;
-        this.lastTime = timestamp;
-
-        // Performance monitoring
-        if (GAME_CONFIG.debug.logPerformance) {
-            this.performanceMonitor.startFrame();
-        }
+    getNames() {
+        return Object.keys(this.profiles);
+    }
 
-        // Fixed time step accumulator
-        this.accumulator += deltaTime;
-        
-        // Update game logic at fixed time steps
-        while (this.accumulator >= GAME_CONFIG.timeStep) {
-            this.update(GAME_CONFIG.timeStep);
-            this.accumulator -= GAME_CONFIG.timeStep;
+    /**
+     * @param {string} name - Profile to activate
+     */
+    select(name) {
+        if (!this.profiles[name]) {
+            throw new GameError(`Unknown control profile "${name}"`, 'CONTROLS_ERROR');
         }
+        this.activeName = name;
+        this.save();
+    }
 
-        // Render
-        this.render();
-
-        // Performance monitoring
-        if (GAME_CONFIG.debug.logPerformance) {
-            this.performanceMonitor.endFrame(timestamp);
-        }
+    /**
+     * Copies the active profile under a new name and activates it
+     * @returns {string} Name of the new profile
+     */
+    create() {
+        let number = this.getNames().length + 1;
+        while (this.profiles[`Profile ${number}`]) number++;
 
-        // Schedule next frame
-        requestAnimationFrame(this.gameLoop);
+        const name = `Profile ${number}`;
+        this.profiles[name] = JSON.parse(JSON.stringify(this.active));
+        this.select(name);
+        return name;
     }
 
     /**
-     * Sets the game speed
-     * @param {string} speed - Speed setting (slow/normal/fast)
+     * Deletes the active profile; the default profile is kept
      */
-    setGameSpeed(speed) {
-        if (SPEED_CONFIG[speed]) {
-            this.speedSetting = speed;
-            this.timeScale = SPEED_CONFIG[speed].timeScale;
-            
-            // Update animation speeds
-            this.animationSystem.setSpeedMultiplier(
-                SPEED_CONFIG[speed].animationSpeedMultiplier
-            );
-        }
+    deleteActive() {
+        if (this.activeName === CONTROLS_CONFIG.defaultProfile) return;
+        delete this.profiles[this.activeName];
+        this.select(CONTROLS_CONFIG.defaultProfile);
     }
 
     /**
-     * Main game loop with speed control
-     * @param {number} timestamp - Current frame timestamp
+     * Rebinds one action in the active profile
+     * @param {string} player - 'p1' or 'p2'
+     * @param {string} device - 'keyboard' or 'gamepad'
+     * @param {string} action - Action from CONTROLS_CONFIG.actions
+     * @param {string|number} value - Key name or button index
      */
-    gameLoop(timestamp) {
-        const deltaTime = (timestamp - this.lastTime) * this.timeScale;
-        this.lastTime = timestamp;
-
-        // Update game with scaled time
-        this.update(deltaTime);
-        this.render();
+    bind(player, device, action, value) {
+        this.active[player][device][action] = value;
+        this.save();
+    }
 
-        requestAnimationFrame(this.gameLoop.bind(this));
+    /**
+     * Puts the active profile back to the default bindings
+     */
+    restoreDefaults() {
+        this.profiles[this.activeName] = createDefaultBindings();
+        this.save();
     }
 
     /**
-     * Handles game errors
-     * @param {Error} error - Error to handle
-     * @private
+     * Sets and saves the analog stick deadzone
+     * @param {number} value - Radius between 0 and GAMEPAD_CONFIG.maxDeadzone
      */
-    handleError(error) {
-        this.errorHandler.logError(error);
-        if (error instanceof GameError) {
-            this.showErrorMessage(error.message);
-        } else {
-            this.showErrorMessage('An unexpected error occurred');
-        }
+    setDeadzone(value) {
+        this.deadzone = Math.max(0, Math.min(GAMEPAD_CONFIG.maxDeadzone, value));
+        this.save();
     }
 }
 
-// Additional required classes:
-// - AssetLoader
-// - AnimationSystem
-// - EffectsSystem
-// - MenuSystem
-// - Character
-// - SpecialMoveSystem
+/**
+ * Custom palettes and the palette editor
+ * @constant {Object}
+ */
+const PALETTE_CONFIG = {
+    storageKey: 'fighter.profile',
+    maxCustomPalettes: 8,   // per character
+    channelStep: 16         // change per press of one RGB channel in the editor
+};
 
 /**
- * Manages the loading screen and asset loading progress
+ * The local player's profile persisted to localStorage. Holds the custom
+ * palettes built in the palette editor, keyed by character id.
+ * @class
  */
-class LoadingScreen {
-    constructor(game) {
-        this.game = game;
-        this.progress = 0;
-        this.isLoading = true;
-        this.loadingText = 'Loading...';
-        this.errors = [];
+class PlayerProfile {
+    /**
+     * @param {Storage} [storage] - Defaults to window.localStorage when available
+     */
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.storage = storage;
+        this.palettes = {};
+        this.load();
     }
 
-    draw(ctx) {
-        ctx.fillStyle = '#000';
-        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-
-        // Draw progress bar
-        const barWidth = ctx.canvas.width * 0.6;
-        const barHeight = 20;
-        const barX = (ctx.canvas.width - barWidth) / 2;
-        const barY = ctx.canvas.height / 2;
-
-        // Border
-        ctx.strokeStyle = '#fff';
-        ctx.strokeRect(barX, barY, barWidth, barHeight);
-
-        // Fill
-        ctx.fillStyle = '#4CAF50';
-        ctx.fillRect(barX, barY, barWidth * this.progress, barHeight);
-
-        // Text
-        ctx.fillStyle = '#fff';
-        ctx.font = '24px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText(this.loadingText, ctx.canvas.width / 2, barY - 20);
+    /**
+     * Reads the saved profile. Palettes that no longer validate are dropped
+     * one by one rather than losing the rest.
+     */
+    load() {
+        if (!this.storage) return;
 
-        // Error messages
-        if (this.errors.length > 0) {
-            ctx.fillStyle = '#ff0000';
-            ctx.font = '16px Arial';
-            this.errors.forEach((error, index) => {
-                ctx.fillText(error, ctx.canvas.width / 2, barY + 60 + (index * 20));
+        try {
+            const saved = JSON.parse(this.storage.getItem(PALETTE_CONFIG.storageKey));
+            if (!saved || !saved.palettes) return;
+
+            Object.entries(saved.palettes).forEach(([id, palettes]) => {
+                this.palettes[id] = (Array.isArray(palettes) ? palettes : []).filter(palette => {
+                    try {
+                        normalizeData(palette, PALETTE_SCHEMA, 'profile', `palettes.${id}`);
+                        return true;
+                    } catch (error) {
+                        console.warn(`Dropped invalid palette: ${error.message}`);
+                        return false;
+                    }
+                });
             });
+        } catch (error) {
+            console.warn(`Failed to load player profile: ${error}`);
         }
     }
 
-    updateProgress(loaded, total) {
-        this.progress = Math.min(1, loaded / total);
-        this.loadingText = `Loading... ${Math.floor(this.progress * 100)}%`;
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(PALETTE_CONFIG.storageKey, JSON.stringify({
+                palettes: this.palettes
+            }));
+        } catch (error) {
+            console.warn(`Failed to save player profile: ${error}`);
+        }
     }
 
-    addError(error) {
-        this.errors.push(error);
+    /**
+     * @param {string} id - Character id
+     * @returns {Array<Object>} Custom palettes for that character
+     */
+    getPalettes(id) {
+        return this.palettes[id] || [];
+    }
+
+    /**
+     * Stores a custom palette
+     * @param {string} id - Character id
+     * @param {Object} palette - { name, colors }
+     * @param {number|null} [slot=null] - Custom palette to overwrite; null adds one
+     * @returns {number} Slot the palette was saved in
+     * @throws {GameError} If the palette is invalid or the character has no free slot
+     */
+    savePalette(id, palette, slot = null) {
+        const validated = normalizeData(palette, PALETTE_SCHEMA, 'profile', `palettes.${id}`);
+        const palettes = this.palettes[id] || (this.palettes[id] = []);
+
+        if (slot === null) {
+            if (palettes.length >= PALETTE_CONFIG.maxCustomPalettes) {
+                throw new GameError(
+                    `No room for more than ${PALETTE_CONFIG.maxCustomPalettes} custom palettes`,
+                    'PROFILE_ERROR'
+                );
+            }
+            slot = palettes.length;
+        }
+        palettes[slot] = validated;
+        this.save();
+        return slot;
+    }
+
+    /**
+     * @param {string} id - Character id
+     * @param {number} slot - Custom palette to delete
+     */
+    deletePalette(id, slot) {
+        this.getPalettes(id).splice(slot, 1);
+        this.save();
     }
 }
 
 /**
- * Handles error logging and reporting
+ * Gamepad settings, using the browser's "standard" button layout
+ * @constant {Object}
  */
-class ErrorHandler {
-    constructor() {
-        this.errors = [];
-        this.setupGlobalErrorHandling();
+const GAMEPAD_CONFIG = {
+    /** @type {number} Analog stick radius ignored as noise (0-1) */
+    deadzone: 0.3,
+    maxDeadzone: 0.9,
+    /** @type {Array<number>} Deadzones the Options entry steps through */
+    deadzoneSteps: [0.1, 0.2, 0.3, 0.4, 0.5],
+    /** @type {number} Stick component needed to count a diagonal (sin 22.5°) */
+    diagonalThreshold: 0.38,
+    axes: { x: 0, y: 1 },
+    // Key presses a pad generates for menus, by bound action
+    menuKeys: {
+        up: 'ArrowUp',
+        down: 'ArrowDown',
+        left: 'ArrowLeft',
+        right: 'ArrowRight',
+        attack: 'Enter',
+        block: 'Backspace',
+        start: 'Escape'
     }
+};
 
-    setupGlobalErrorHandling() {
-        window.onerror = (msg, url, lineNo, columnNo, error) => {
-            this.logError('Global Error', error);
-            return false;
-        };
+/**
+ * Polled input layer. Merges the keyboard with any number of Gamepad API
+ * controllers and produces one InputState per player per frame.
+ * @class
+ */
+class InputManager {
+    /**
+     * @param {ControlProfiles} profiles - Source of the active bindings
+     */
+    constructor(profiles) {
+        this.profiles = profiles;
+        this.keysDown = new Set();
+        this.deadzone = profiles.deadzone;
 
-        window.addEventListener('unhandledrejection', (event) => {
-            this.logError('Unhandled Promise Rejection', event.reason);
-        });
-    }
+        /** @type {Object<number, {index: number, id: string, connected: boolean}|null>} */
+        this.assignments = { 1: null, 2: null };
+        this.padStates = { 1: EMPTY_INPUT, 2: EMPTY_INPUT };
+        this.previousPadStates = new Map();
 
-    logError(type, error) {
-        const errorInfo = {
-            type,
-            message: error.message || String(error),
-            stack: error.stack,
-            timestamp: new Date().toISOString()
-        };
+        /** @type {boolean} Lets unassigned pads join by pressing attack or start */
+        this.assignmentOpen = false;
 
-        this.errors.push(errorInfo);
-        console.error(`[${type}]`, errorInfo);
+        /** @type {Function|null} Receives menu key names generated by pads */
+        this.onPress = null;
+        /** @type {Function|null} Receives the player number of a lost pad */
+        this.onDisconnect = null;
+        /** @type {Function|null} Receives the player number of a returning pad */
+        this.onReconnect = null;
 
-        // Limit stored errors
-        if (this.errors.length > 50) {
-            this.errors.shift();
+        /** @type {Object|null} Pending rebind waiting for the next key or button */
+        this.capture = null;
+    }
+
+    /**
+     * @returns {Object} Active bindings keyed by p1/p2, then keyboard/gamepad
+     */
+    get bindings() {
+        return this.profiles.active;
+    }
+
+    /**
+     * Tracks held keys and resolves a pending keyboard capture
+     * @param {KeyboardEvent} event - keydown or keyup event
+     * @returns {boolean} Whether the press was consumed by a capture
+     */
+    handleKeyEvent(event) {
+        if (event.type === 'keydown') {
+            this.keysDown.add(event.key);
+            if (this.capture && this.capture.device === 'keyboard') {
+                const { callback } = this.capture;
+                this.capture = null;
+                callback(event.key);
+                return true;
+            }
+        } else if (event.type === 'keyup') {
+            this.keysDown.delete(event.key);
         }
+        return false;
     }
 
-    getErrors() {
-        return [...this.errors];
+    /**
+     * Waits for the next key press or gamepad button
+     * @param {string} device - 'keyboard' or 'gamepad'
+     * @param {Function} callback - Receives the key name or button index
+     */
+    beginCapture(device, callback) {
+        this.capture = { device, callback };
     }
 
-    clearErrors() {
-        this.errors = [];
+    cancelCapture() {
+        this.capture = null;
     }
-}
 
-/**
- * Monitors and reports game performance metrics
- */
-class PerformanceMonitor {
-    constructor() {
-        this.metrics = {
-            fps: [],
-            frameTime: [],
-            memoryUsage: []
-        };
-        this.lastTime = performance.now();
-        this.frames = 0;
-        this.fpsUpdateInterval = 1000; // Update FPS every second
-        this.lastFpsUpdate = this.lastTime;
+    /**
+     * Maps a raw key to the key name menus and states expect; a player's
+     * start binding acts as Escape
+     * @param {string} key - KeyboardEvent key
+     * @returns {string}
+     */
+    translateKey(key) {
+        const isStart = ['p1', 'p2'].some(player => this.bindings[player].keyboard.start === key);
+        return isStart ? 'Escape' : key;
     }
 
-    startFrame() {
-        return performance.now();
+    /**
+     * Releases every key, e.g. when the window loses focus
+     */
+    releaseKeys() {
+        this.keysDown.clear();
     }
 
-    endFrame(startTime) {
-        const currentTime = performance.now();
-        const frameTime = currentTime - startTime;
+    /**
+     * Returns connected gamepads indexed by their slot
+     * @returns {Array<Gamepad|null>}
+     */
+    getGamepads() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return [];
+        return Array.from(navigator.getGamepads());
+    }
 
-        // Update FPS
-        this.frames++;
-        if (currentTime - this.lastFpsUpdate >= this.fpsUpdateInterval) {
-            const fps = (this.frames * 1000) / (currentTime - this.lastFpsUpdate);
-            this.metrics.fps.push(fps);
-            this.frames = 0;
-            this.lastFpsUpdate = currentTime;
+    /**
+     * Samples every gamepad once; call once per simulation frame
+     */
+    poll() {
+        const pads = this.getGamepads();
+
+        [1, 2].forEach(player => {
+            const assignment = this.assignments[player];
+            const pad = assignment && assignment.connected ? pads[assignment.index] : null;
+            this.padStates[player] = pad ?
+                this.readGamepad(pad, this.bindings[`p${player}`].gamepad) : EMPTY_INPUT;
+        });
 
-            // Keep only last 60 samples
-            if (this.metrics.fps.length > 60) {
-                this.metrics.fps.shift();
+        pads.forEach(pad => {
+            if (!pad) return;
+
+            const buttons = pad.buttons.map(button => Boolean(button && button.pressed));
+            const previous = this.previousPadStates.get(pad.index) ||
+                { buttons: [], state: {} };
+            this.previousPadStates.set(pad.index, { buttons, state: this.readPadForMenus(pad) });
+
+            if (this.capture && this.capture.device === 'gamepad') {
+                const button = buttons.findIndex((down, index) => down && !previous.buttons[index]);
+                if (button !== -1) {
+                    const { callback } = this.capture;
+                    this.capture = null;
+                    callback(button);
+                }
+                return;
             }
-        }
 
-        // Update frame time metrics
-        this.metrics.frameTime.push(frameTime);
-        if (this.metrics.frameTime.length > 60) {
-            this.metrics.frameTime.shift();
-        }
+            const state = this.readPadForMenus(pad);
+            const pressed = action => state[action] && !previous.state[action];
 
-        // Update memory usage if available
-        if (window.performance && performance.memory) {
-            this.metrics.memoryUsage.push(performance.memory.usedJSHeapSize);
-            if (this.metrics.memoryUsage.length > 60) {
-                this.metrics.memoryUsage.shift();
+            Object.entries(GAMEPAD_CONFIG.menuKeys).forEach(([action, key]) => {
+                if (pressed(action) && this.onPress) {
+                    this.onPress(key);
+                }
+            });
+
+            if (this.assignmentOpen && (pressed('attack') || pressed('start')) &&
+                this.getPlayerForPad(pad.index) === null) {
+                const player = [1, 2].find(number => !this.assignments[number]);
+                if (player) {
+                    this.assignGamepad(player, pad);
+                }
             }
-        }
+        });
     }
 
-    getMetrics() {
-        return {
-            averageFps: this.getAverage(this.metrics.fps),
-            averageFrameTime: this.getAverage(this.metrics.frameTime),
-            memoryUsage: this.metrics.memoryUsage.length > 0 ? 
-                this.metrics.memoryUsage[this.metrics.memoryUsage.length - 1] : null
-        };
+    /**
+     * Reads a pad with its owner's bindings, or the defaults when unassigned
+     * @param {Gamepad} pad - Gamepad to read
+     * @returns {Object} InputState properties and start
+     */
+    readPadForMenus(pad) {
+        const player = this.getPlayerForPad(pad.index);
+        const bindings = player ? this.bindings[`p${player}`].gamepad : DEFAULT_GAMEPAD_BINDINGS;
+        return this.readGamepad(pad, bindings);
     }
 
-    getAverage(array) {
-        return array.length > 0 ? 
-            array.reduce((a, b) => a + b) / array.length : 0;
-    }
-}
+    /**
+     * Converts one gamepad to an input snapshot plus the start button
+     * @param {Gamepad} pad - Gamepad to read
+     * @param {Object} bindings - Button index per action
+     * @returns {Object} InputState properties and start
+     */
+    readGamepad(pad, bindings) {
+        const isPressed = index => Boolean(pad.buttons[index] && pad.buttons[index].pressed);
+        const stick = this.readStick(pad.axes[GAMEPAD_CONFIG.axes.x] || 0, pad.axes[GAMEPAD_CONFIG.axes.y] || 0);
+        const state = {};
 
-/**
- * Manages asset loading and caching
- */
-class AssetLoader {
-    constructor() {
-        this.assets = {
-            images: new Map(),
-            audio: new Map(),
-            data: new Map()
-        };
-        this.loadQueue = [];
-        this.totalAssets = 0;
-        this.loadedAssets = 0;
+        CONTROLS_CONFIG.actions.forEach(({ action }) => {
+            state[action] = isPressed(bindings[action]) || Boolean(stick[action]);
+        });
+        return state;
     }
 
-    async loadAssets() {
-        // Define assets to load
-        const assetManifest = {
-            images: {
-                'fighter1_idle': 'assets/sprites/fighter1/idle.png',
-                'fighter1_walk': 'assets/sprites/fighter1/walk.png',
-                'fighter1_attack': 'assets/sprites/fighter1/attack.png',
-                'fighter2_idle': 'assets/sprites/fighter2/idle.png',
-                'fighter2_walk': 'assets/sprites/fighter2/walk.png',
-                'fighter2_attack': 'assets/sprites/fighter2/attack.png',
-                'background': 'assets/backgrounds/stage1.png',
-                'effects_hit': 'assets/effects/hit.png'
-            },
-            audio: {
-                'hit': 'assets/sounds/hit.mp3',
-                'jump': 'assets/sounds/jump.mp3',
-                'music': 'assets/music/battle-theme.mp3'
-            },
-            data: {
-                'characters': 'assets/data/characters.json',
-                'moves': 'assets/data/moves.json'
-            }
+    /**
+     * Maps an analog stick to 8-way directions with a radial deadzone
+     * @param {number} x - Horizontal axis (-1 to 1)
+     * @param {number} y - Vertical axis (-1 to 1, down is positive)
+     * @returns {Object} left/right/up/down flags
+     */
+    readStick(x, y) {
+        const magnitude = Math.hypot(x, y);
+        if (magnitude < this.deadzone) {
+            return { left: false, right: false, up: false, down: false };
+        }
+
+        const threshold = GAMEPAD_CONFIG.diagonalThreshold;
+        const nx = x / magnitude;
+        const ny = y / magnitude;
+        return {
+            left: nx < -threshold,
+            right: nx > threshold,
+            up: ny < -threshold,
+            down: ny > threshold
         };
+    }
 
-        this.totalAssets = Object.values(assetManifest).reduce(
-            (total, category) => total + Object.keys(category).length, 0
-        );
+    /**
+     * Sets the analog stick deadzone and saves it with the control profiles
+     * @param {number} value - Radius between 0 and GAMEPAD_CONFIG.maxDeadzone
+     */
+    setDeadzone(value) {
+        this.profiles.setDeadzone(value);
+        this.deadzone = this.profiles.deadzone;
+    }
 
-        try {
-            // Load all asset categories concurrently
-            await Promise.all([
-                this.loadImageAssets(assetManifest.images),
-                this.loadAudioAssets(assetManifest.audio),
-                this.loadDataAssets(assetManifest.data)
-            ]);
-            return true;
-        } catch (error) {
-            console.error('Asset loading failed:', error);
-            return false;
+    /**
+     * Assigns a gamepad to a player, replacing any previous one
+     * @param {number} player - 1 or 2
+     * @param {Gamepad} pad - Gamepad to assign
+     */
+    assignGamepad(player, pad) {
+        const other = this.getPlayerForPad(pad.index);
+        if (other !== null) {
+            this.assignments[other] = null;
         }
+        this.assignments[player] = { index: pad.index, id: pad.id, connected: true };
     }
 
-    async loadImageAssets(imageManifest) {
-        const promises = Object.entries(imageManifest).map(([key, path]) => {
-            return new Promise((resolve, reject) => {
-                const img = new Image();
-                img.onload = () => {
-                    this.assets.images.set(key, img);
-                    this.loadedAssets++;
-                    resolve();
-                };
-                img.onerror = () => reject(new Error(`Failed to load image: ${path}`));
-                img.src = path;
-            });
-        });
-        await Promise.all(promises);
+    /**
+     * Returns a player to keyboard-only control
+     * @param {number} player - 1 or 2
+     */
+    unassignGamepad(player) {
+        this.assignments[player] = null;
+        this.padStates[player] = EMPTY_INPUT;
     }
 
-    async loadAudioAssets(audioManifest) {
-        const promises = Object.entries(audioManifest).map(([key, path]) => {
-            return new Promise((resolve, reject) => {
-                const audio = new Audio();
-                audio.oncanplaythrough = () => {
-                    this.assets.audio.set(key, audio);
-                    this.loadedAssets++;
-                    resolve();
-                };
-                audio.onerror = () => reject(new Error(`Failed to load audio: ${path}`));
-                audio.src = path;
-            });
-        });
-        await Promise.all(promises);
+    /**
+     * @param {number} index - Gamepad slot
+     * @returns {number|null} Player using that pad
+     */
+    getPlayerForPad(index) {
+        const player = [1, 2].find(number =>
+            this.assignments[number] && this.assignments[number].index === index
+        );
+        return player || null;
     }
 
-    async loadDataAssets(dataManifest) {
-        const promises = Object.entries(dataManifest).map(([key, path]) => {
-            return fetch(path)
-                .then(response => response.json())
-                .then(data => {
-                    this.assets.data.set(key, data);
-                    this.loadedAssets++;
-                });
+    /**
+     * Describes a player's devices for menus
+     * @param {number} player - 1 or 2
+     * @returns {string}
+     */
+    describeDevices(player) {
+        const assignment = this.assignments[player];
+        if (!assignment) return 'Keyboard';
+        const status = assignment.connected ? '' : ' (disconnected)';
+        return `Keyboard + Pad ${assignment.index + 1}${status}`;
+    }
+
+    handleGamepadConnected(pad) {
+        // A pad coming back usually reuses its slot, but match by id to be safe
+        const player = [1, 2].find(number => {
+            const assignment = this.assignments[number];
+            return assignment && !assignment.connected && assignment.id === pad.id;
         });
-        await Promise.all(promises);
+        if (player) {
+            this.assignments[player] = { index: pad.index, id: pad.id, connected: true };
+            if (this.onReconnect) {
+                this.onReconnect(player);
+            }
+        }
     }
 
-    getImage(key) {
-        return this.assets.images.get(key);
+    handleGamepadDisconnected(pad) {
+        this.previousPadStates.delete(pad.index);
+        const player = this.getPlayerForPad(pad.index);
+        if (player !== null) {
+            this.assignments[player].connected = false;
+            this.padStates[player] = EMPTY_INPUT;
+            if (this.onDisconnect) {
+                this.onDisconnect(player);
+            }
+        }
     }
 
-    getAudio(key) {
-        return this.assets.audio.get(key);
+    /**
+     * Merges keyboard and gamepad input for one player
+     * @param {number} player - 1 or 2
+     * @returns {InputState} Input snapshot for this frame
+     */
+    getInputState(player) {
+        const bindings = this.bindings[`p${player}`].keyboard;
+        const pad = this.padStates[player];
+        const input = {};
+        Object.keys(EMPTY_INPUT).forEach(action => {
+            input[action] = this.keysDown.has(bindings[action]) || Boolean(pad[action]);
+        });
+        return input;
     }
+}
 
-    getData(key) {
-        return this.assets.data.get(key);
-    }
+/**
+ * Main Game class - Controls the game loop and manages all game systems
+ * @class
+ */
+class Game {
+    /**
+     * Creates a new Game instance
+     * @constructor
+     * @throws {Error} If canvas element is not found
+     */
+    constructor() {
+        // Initialize canvas
+        this.canvas = document.getElementById('gameCanvas');
+        if (!this.canvas) {
+            throw new Error('Canvas element not found');
+        }
+        this.ctx = this.canvas.getContext('2d');
+
+        // Initialize core systems
+        this.initializeSystems();
+        
+        // Bind methods to prevent context loss
+        this.gameLoop = this.gameLoop.bind(this);
+        this.handleInput = this.handleInput.bind(this);
+        
+        // Start the game
+        this.initialize();
+
+        /**
+         * @type {string} Current game speed setting
+         * @private
+         */
+        this.speedSetting = 'normal';
+        
+        /**
+         * @type {number} Current time scale for game logic
+         * @private
+         */
+        this.timeScale = SPEED_CONFIG.normal.timeScale;
+    }
+
+    /**
+     * Initializes all game systems
+     * @private
+     */
+    initializeSystems() {
+        this.loadingScreen = new LoadingScreen(this);
+        this.errorHandler = new ErrorHandler();
+        this.performanceMonitor = new PerformanceMonitor();
+        this.assetLoader = new AssetLoader();
+        this.animationSystem = new AnimationSystem();
+        this.paletteCache = new PaletteCache();
+        this.playerProfile = new PlayerProfile();
+        this.controlProfiles = new ControlProfiles();
+        this.effectsSystem = new EffectsSystem();
+        this.particleSystem = new ParticleSystem();
+        this.camera = new Camera();
+        this.stageRenderer = new StageRenderer(this.assetLoader);
+        this.audioManager = new AudioManager();
+        this.menuSystem = new MenuSystem(this);
+        this.stateManager = new GameStateManager(this);
+        
+        // Game state initialization
+        this.gameState = 'loading';
+        this.player1 = null;
+        this.player2 = null;
+        this.stage = null;
+        this.simulation = null;
+        this.netplaySession = null;
+        /** @type {Object|null} { isHost, match } for the netplay lobby */
+        this.pendingNetplay = null;
+        this.paused = false;
+
+        // Replays
+        this.replayStorage = new IndexedDBStore(REPLAY_CONFIG.databaseName, 'replays');
+        this.replayRecorder = null;
+        this.replayPlayer = null;
+        /** @type {Object} AIController for each computer-controlled side, keyed p1/p2 */
+        this.aiControllers = {};
+        /** @type {string} 'versus', 'cpu', 'netplay' or a run mode, the mode character select picks for */
+        this.selectMode = 'versus';
+        /** @type {string} Computer level set in Options, see CHARACTER_SELECT_CONFIG.cpuLevels */
+        this.difficulty = 'normal';
+        /** @type {ArcadeRun|null} Arcade, survival or time attack run in progress */
+        this.run = null;
+        this.leaderboards = new Leaderboards(new IndexedDBStore(LEADERBOARD_CONFIG.databaseName, 'records'));
+        /** @type {Object|null} Record to show when the leaderboard opens */
+        this.leaderboardFocus = null;
+        /** @type {Array<Object>} Replays still to play after the current one */
+        this.replayQueue = [];
+
+        // Keyboard and gamepads, sampled once per simulation frame
+        this.inputManager = new InputManager(this.controlProfiles);
+        this.inputManager.onPress = key => this.stateManager.handleInput(key);
+        this.inputManager.onDisconnect = player => this.handleControllerDisconnect(player);
+        this.pauseReason = null;
+        
+        // Performance optimization
+        this.lastTime = 0;
+        this.accumulator = 0;
+        this.frames = 0;
+    }
+
+    /**
+     * Initializes the game
+     * @async
+     * @throws {GameError} If initialization fails
+     */
+    async initialize() {
+        try {
+            validateConfig(GAME_CONFIG);
+            await this.assetLoader.loadAssets();
+            this.setupSystems();
+            this.gameLoop(0);
+        } catch (error) {
+            this.handleError(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Finishes setup once assets are loaded
+     * @private
+     */
+    setupSystems() {
+        this.setupEventListeners();
+
+        const roster = this.assetLoader.getData('characters');
+        if (roster) {
+            this.paletteCache.prepare(roster, this.assetLoader);
+        }
+
+        if (GAME_CONFIG.debug.hotReload) {
+            this.dataHotReloader = new DataHotReloader({
+                files: this.assetLoader.dataManifest,
+                onReload: roster => this.applyRoster(roster),
+                onError: error => this.errorHandler.logError('Character Data', error)
+            });
+            this.dataHotReloader.start();
+        }
+    }
+
+    /**
+     * Sets up event listeners for the game
+     * @private
+     */
+    setupEventListeners() {
+        window.addEventListener('keydown', this.handleInput);
+        window.addEventListener('keyup', this.handleInput);
+        window.addEventListener('blur', () => this.handleBlur());
+        window.addEventListener('focus', () => this.handleFocus());
+        window.addEventListener('gamepadconnected', event =>
+            this.inputManager.handleGamepadConnected(event.gamepad));
+        window.addEventListener('gamepaddisconnected', event =>
+            this.inputManager.handleGamepadDisconnected(event.gamepad));
+    }
+
+    /**
+     * Releases held keys so nothing stays stuck while the window is unfocused
+     * @private
+     */
+    handleBlur() {
+        this.inputManager.releaseKeys();
+    }
+
+    /**
+     * Picks up controllers that were plugged in while unfocused
+     * @private
+     */
+    handleFocus() {
+        this.inputManager.getGamepads().forEach(pad => {
+            if (pad) {
+                this.inputManager.handleGamepadConnected(pad);
+            }
+        });
+    }
+
+    /**
+     * Pauses a local match when a player's controller is unplugged
+     * @param {number} player - Player who lost their controller
+     * @private
+     */
+    handleControllerDisconnect(player) {
+        const state = this.stateManager.currentState;
+        if ((state === 'fighting' || state === 'training') && !this.netplaySession) {
+            this.pauseReason = `P${player} controller disconnected`;
+            this.stateManager.pushState('pause');
+        }
+    }
+
+    /**
+     * Main game loop
+     * @param {number} timestamp Current timestamp from requestAnimationFrame
+     */
+    gameLoop(timestamp) {
+        // Calculate delta time
+        const deltaTime = timestamp - this.lastTime;
+        this.lastTime = timestamp;
+
+        // Performance monitoring
+        if (GAME_CONFIG.debug.logPerformance) {
+            this.performanceMonitor.startFrame();
+        }
+
+        // Fixed time step accumulator, scaled by the game speed setting.
+        // Long stalls (tab switch) are capped so we don't fast-forward.
+        this.accumulator += Math.min(deltaTime, 250) * this.timeScale;
+        
+        // Update game logic at fixed time steps
+        while (this.accumulator >= GAME_CONFIG.timeStep) {
+            this.update(GAME_CONFIG.timeStep);
+            this.accumulator -= GAME_CONFIG.timeStep;
+        }
+
+        // Render
+        this.render();
+
+        // Performance monitoring
+        if (GAME_CONFIG.debug.logPerformance) {
+            this.performanceMonitor.endFrame(timestamp);
+        }
+
+        // Schedule next frame
+        requestAnimationFrame(this.gameLoop);
+    }
+
+    /**
+     * Sets the game speed
+     * @param {string} speed - Speed setting (slow/normal/fast)
+     */
+    setGameSpeed(speed) {
+        if (SPEED_CONFIG[speed]) {
+            this.speedSetting = speed;
+            this.timeScale = SPEED_CONFIG[speed].timeScale;
+            
+            // Update animation speeds
+            this.animationSystem.setSpeedMultiplier(
+                SPEED_CONFIG[speed].animationSpeedMultiplier
+            );
+        }
+    }
+
+    /**
+     * Advances the active game state by one fixed time step
+     * @param {number} deltaTime - Fixed step in milliseconds
+     */
+    update(deltaTime) {
+        this.inputManager.poll();
+        this.stateManager.update(deltaTime);
+    }
+
+    /**
+     * Draws the active game state
+     */
+    render() {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.stateManager.draw(this.ctx);
+    }
+
+    /**
+     * Tracks held keys and forwards key presses to the active state, along
+     * with the raw key for states that take typing
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleInput(event) {
+        const captured = this.inputManager.handleKeyEvent(event);
+        if (event.type === 'keydown' && !captured) {
+            this.stateManager.handleInput(this.inputManager.translateKey(event.key), event.key);
+        }
+    }
+
+    /**
+     * Returns one player's merged keyboard and gamepad input
+     * @param {number} playerNumber - 1 or 2
+     * @returns {InputState} Input snapshot for this frame
+     */
+    getInputState(playerNumber) {
+        return this.inputManager.getInputState(playerNumber);
+    }
+
+    /**
+     * Returns one side's input for this frame: the AI's when that side is
+     * computer-controlled, the player's controls otherwise
+     * @param {number} playerNumber - 1 or 2
+     * @returns {InputState} Input snapshot for this frame
+     */
+    getPlayerInput(playerNumber) {
+        const ai = this.aiControllers[`p${playerNumber}`];
+        return ai ? ai.getInput() : this.getInputState(playerNumber);
+    }
+
+    /**
+     * @returns {Object|null} The validated character data, null before it loads
+     */
+    getRoster() {
+        return this.assetLoader.getData('characters') || null;
+    }
+
+    /**
+     * Looks up a fighter in the loaded character data
+     * @param {string} id - Character id
+     * @returns {Object} Character data, empty when no roster is loaded
+     * @throws {GameError} If the roster has no such character
+     */
+    getCharacterData(id) {
+        const roster = this.assetLoader.getData('characters');
+        if (!roster) return {};
+        if (!roster[id]) {
+            throw new GameError(`Unknown character "${id}"`, 'DATA_ERROR');
+        }
+        return roster[id];
+    }
+
+    /**
+     * @returns {Array<string>} Ids of the loaded characters, in file order
+     */
+    getCharacterIds() {
+        const roster = this.assetLoader.getData('characters');
+        return roster ? Object.keys(roster) : ['fighter1', 'fighter2'];
+    }
+
+    /**
+     * @param {string} id - Character id
+     * @returns {Array<Object>} The character's palettes followed by the
+     * player's custom ones
+     */
+    getPalettes(id) {
+        const palettes = this.getCharacterData(id).palettes || CHARACTER_SCHEMA.fields.palettes.default;
+        return [...palettes, ...this.playerProfile.getPalettes(id)];
+    }
+
+    /**
+     * @param {string} id - Character id
+     * @param {number} index - Index into getPalettes
+     * @returns {Object} That palette, or the default when it no longer exists
+     */
+    getPalette(id, index) {
+        const palettes = this.getPalettes(id);
+        return palettes[index] || palettes[0];
+    }
+
+    /**
+     * Looks up a stage in the loaded stage data
+     * @param {string} id - Stage id
+     * @returns {Object} Stage data, the default stage when no stages are loaded
+     * @throws {GameError} If there is no such stage
+     */
+    getStageData(id) {
+        const stages = this.assetLoader.getData('stages');
+        if (!stages) return normalizeData({}, STAGE_SCHEMA, 'stages', '');
+        if (!stages[id]) {
+            throw new GameError(`Unknown stage "${id}"`, 'DATA_ERROR');
+        }
+        return stages[id];
+    }
+
+    /**
+     * @returns {Array<string>} Ids of the loaded stages, in file order
+     */
+    getStageIds() {
+        const stages = this.assetLoader.getData('stages');
+        return stages ? Object.keys(stages) : ['stage1'];
+    }
+
+    /**
+     * Opens character select
+     * @param {string} [mode='versus'] - 'versus' for two players picking
+     *     fighters, 'cpu' for one player picking both fighters and the
+     *     computer's level, 'netplay' for the host picking both fighters,
+     *     or 'arcade', 'survival' or 'timeAttack' for one player picking a
+     *     fighter and difficulty
+     */
+    selectCharacters(mode = 'versus') {
+        this.selectMode = mode;
+        this.stateManager.changeState('characterSelect');
+    }
+
+    /**
+     * Moves from character select to stage select; the match starts once a
+     * stage is picked
+     * @param {Object} options - startMatch options chosen so far
+     */
+    selectStage(options) {
+        this.pendingMatch = options;
+        this.stateManager.changeState('stageSelect');
+    }
+
+    /**
+     * Creates both fighters and a fresh simulation for them
+     * @param {Object} options - Match setup
+     * @param {Object} options.characters - Character ids keyed p1/p2
+     * @param {string} options.stage - Stage id
+     * @param {number} options.seed - Simulation RNG seed
+     * @param {Object|null} [options.rules] - ROUND_CONFIG overrides, null for no rounds
+     * @param {Object} [options.palettes] - Palette indices keyed p1/p2
+     * @returns {Simulation} The new simulation
+     */
+    createSimulation({ characters, stage, seed, rules = {}, palettes = { p1: 0, p2: 0 } }) {
+        this.stage = this.getStageData(stage);
+        this.simulation = this.buildSimulation({ characters, stage, seed, rules });
+        this.player1 = this.simulation.player1;
+        this.player2 = this.simulation.player2;
+        this.player1.palette = palettes.p1;
+        this.player2.palette = palettes.p2;
+        // Mirror matches need two palettes to tell the fighters apart
+        if (characters.p1 === characters.p2 && palettes.p1 === palettes.p2) {
+            this.player2.palette = (palettes.p1 + 1) % this.getPalettes(characters.p2).length;
+        }
+        this.characterIds = { ...characters };
+        this.registerAnimations(this.player1, 'p1');
+        this.registerAnimations(this.player2, 'p2');
+        this.matchResult = null;
+        this.aiControllers = {};
+        this.camera.setStage(this.stage);
+        this.camera.snap(this.simulation);
+        return this.simulation;
+    }
+
+    /**
+     * Builds the simulation a match starts from, without touching the
+     * running match
+     * @param {Object} options - Match setup
+     * @param {Object} options.characters - Character ids keyed p1/p2
+     * @param {string} options.stage - Stage id
+     * @param {number} options.seed - Simulation RNG seed
+     * @param {Object|null} [options.rules] - ROUND_CONFIG overrides, null for no rounds
+     * @returns {Simulation} The new simulation
+     */
+    buildSimulation({ characters, stage, seed, rules = {} }) {
+        const arena = getStageArena(this.getStageData(stage));
+        const center = arena.width / 2;
+        return new Simulation({
+            player1: new Character(this, center - 200, 0, true, this.getCharacterData(characters.p1)),
+            player2: new Character(this, center + 140, 0, false, this.getCharacterData(characters.p2)),
+            seed,
+            arena,
+            rules
+        });
+    }
+
+    /**
+     * Creates sprite animations for a fighter's states, keyed p1_idle etc.,
+     * from sheets recolored in the fighter's palette. States whose sprite
+     * sheet failed to load are skipped.
+     * @param {Character} character - Fighter to animate
+     * @param {string} prefix - p1 or p2
+     */
+    registerAnimations(character, prefix) {
+        const palette = this.getPalette(this.characterIds[prefix], character.palette);
+        Object.entries(character.states).forEach(([state, animation]) => {
+            const image = this.assetLoader.getImage(character.sprites[animation.sprite]);
+            if (!image) return;
+
+            this.animationSystem.createAnimation(
+                `${prefix}_${state}`,
+                this.paletteCache.get(image, palette.colors),
+                image.width / animation.frameCount,
+                image.height,
+                animation.frameCount,
+                animation.frameDuration * GAME_CONFIG.timeStep,
+                animation.loop
+            );
+        });
+    }
+
+    /**
+     * Applies edited character data to the running game
+     * @param {Object} roster - Validated roster from DataHotReloader
+     */
+    applyRoster(roster) {
+        this.assetLoader.setRoster(roster);
+        this.paletteCache.clear();
+        this.paletteCache.prepare(roster, this.assetLoader);
+        // Changing fighters mid-match would desync the other peer
+        if (!this.simulation || this.netplaySession) return;
+
+        [[this.player1, 'p1'], [this.player2, 'p2']].forEach(([character, prefix]) => {
+            const data = roster[this.characterIds[prefix]];
+            if (data) {
+                character.loadCharacterData(data);
+                this.registerAnimations(character, prefix);
+            }
+        });
+    }
+
+    /**
+     * Starts a recorded match and enters the fight
+     * @param {Object} [options] - Match options
+     * @param {Object} [options.characters] - Character ids keyed p1/p2
+     * @param {string} [options.stage] - Stage id
+     * @param {number} [options.seed] - Simulation RNG seed
+     * @param {Object} [options.rules] - ROUND_CONFIG overrides, e.g. { roundsToWin: 3 }
+     * @param {Object} [options.palettes] - Palette indices keyed p1/p2
+     * @param {Object} [options.ai] - DIFFICULTY_CONFIG level, 'adaptive' or a
+     *     GhostModel for each computer-controlled side, e.g. { p2: 'hard' }
+     */
+    startMatch({
+        characters = { p1: 'fighter1', p2: 'fighter2' },
+        stage = 'stage1',
+        seed = Date.now() >>> 0,
+        rules = {},
+        palettes = { p1: 0, p2: 0 },
+        ai = {}
+    } = {}) {
+        this.replayPlayer = null;
+        this.setGameSpeed('normal');
+        this.createSimulation({ characters, stage, seed, rules, palettes });
+        Object.entries(ai).forEach(([side, difficulty]) => {
+            const character = side === 'p1' ? this.player1 : this.player2;
+            this.aiControllers[side] = createAIController(character, difficulty, hashString(`${seed}:${side}`));
+        });
+        this.replayRecorder = new ReplayRecorder({
+            characters,
+            stage,
+            seed,
+            rules,
+            palettes,
+            configVersion: getConfigVersion(this.getRoster())
+        });
+        this.simulation.recorder = this.replayRecorder;
+        this.stateManager.changeState('fighting');
+    }
+
+    /**
+     * Starts a single-player run against computer opponents: an arcade
+     * ladder of rising difficulty ending with the boss, endless survival on
+     * one health bar, or a time attack through a fixed gauntlet
+     * @param {Object} options - Run options
+     * @param {string} [options.mode='arcade'] - 'arcade', 'survival' or 'timeAttack'
+     * @param {string} options.character - Player's character id
+     * @param {number} [options.palette=0] - Player's palette index
+     * @param {string} [options.difficulty='normal'] - DIFFICULTY_CONFIG level
+     *     the opponents start at
+     * @param {number} [options.seed] - Seed for the opponents and every
+     *     fight; time attack always uses its own
+     * @throws {GameError} ARCADE_ERROR for an unknown mode, character or difficulty
+     */
+    startRun({ mode = 'arcade', character, palette = 0, difficulty = 'normal', seed = Date.now() >>> 0 }) {
+        const Run = { arcade: ArcadeRun, survival: SurvivalRun, timeAttack: TimeAttackRun }[mode];
+        if (!Run) {
+            throw new GameError(`Unknown mode "${mode}"`, 'ARCADE_ERROR');
+        }
+        const roster = Object.fromEntries(this.getCharacterIds().map(id =>
+            [id, normalizeCharacterData(this.getCharacterData(id))]
+        ));
+        this.run = new Run({ character, palette, difficulty, seed, roster, stages: this.getStageIds() });
+        this.startRunFight();
+    }
+
+    /**
+     * Starts the run's current fight, from its first round
+     */
+    startRunFight() {
+        this.startMatch(this.run.getMatchOptions());
+    }
+
+    /**
+     * Starts training mode against a scriptable dummy
+     * @param {Object} [options] - Training options
+     * @param {Object} [options.characters] - Character ids keyed p1/p2
+     * @param {string} [options.stage] - Stage id
+     */
+    startTraining({ characters = { p1: 'fighter1', p2: 'fighter2' }, stage = 'stage1' } = {}) {
+        this.replayPlayer = null;
+        this.replayRecorder = null;
+        this.setGameSpeed('normal');
+        this.createSimulation({ characters, stage, seed: 1, rules: null });
+        this.stateManager.changeState('training');
+    }
+
+    /**
+     * Plays a replay back through the fighting state
+     * @param {Object} replay - Replay produced by ReplayRecorder or importReplay
+     * @throws {GameError} If the replay is malformed or from another config
+     */
+    startReplay(replay) {
+        validateReplay(replay, this.getRoster());
+        this.replayRecorder = null;
+        this.createSimulation({
+            ...replay,
+            rules: replay.rules || {},
+            palettes: replay.palettes || { p1: 0, p2: 0 }
+        });
+        this.replayPlayer = new ReplayPlayer(replay, this.simulation);
+        this.stateManager.changeState('fighting');
+    }
+
+    /**
+     * Plays stored replays back to back, such as every fight of a
+     * leaderboard record
+     * @async
+     * @param {Array<number>} ids - Replay ids in the replay store
+     * @throws {GameError} If none of the replays is still stored, or one
+     *     can't be played in this build
+     */
+    async watchReplays(ids) {
+        const replays = (await Promise.all(ids.map(id => this.replayStorage.load(id)))).filter(Boolean);
+        if (replays.length === 0) {
+            throw new GameError('The replays for this record were deleted', 'REPLAY_ERROR');
+        }
+        replays.forEach(replay => validateReplay(replay, this.getRoster()));
+        this.replayQueue = replays.slice(1);
+        this.startReplay(replays[0]);
+    }
+
+    /**
+     * Adds the finished run to its leaderboard under the player's initials
+     * and shows the board
+     * @async
+     * @param {string} initials - Initials the player entered
+     * @returns {Promise<Object>} The stored record
+     */
+    async submitRecord(initials) {
+        const replays = await Promise.all(this.run.replays);
+        const record = {
+            ...this.run.getRecord(),
+            initials,
+            replayIds: replays.filter(replay => replay && replay.id !== undefined).map(replay => replay.id),
+            date: Date.now()
+        };
+        record.id = await this.leaderboards.submit(record);
+        this.showLeaderboard(record);
+        return record;
+    }
+
+    /**
+     * Opens the leaderboards
+     * @param {Object} [record] - Record whose board to open, highlighted
+     */
+    showLeaderboard(record = null) {
+        this.leaderboardFocus = record;
+        this.stateManager.changeState('leaderboard');
+    }
+
+    /**
+     * Stops recording and stores the finished replay
+     * @async
+     * @returns {Promise<Object|null>} The stored replay, or null if nothing was recorded
+     */
+    async finishRecording() {
+        if (!this.replayRecorder) return null;
+
+        const replay = this.replayRecorder.finish();
+        this.replayRecorder = null;
+        try {
+            replay.id = await this.storeReplay(replay);
+        } catch (error) {
+            this.errorHandler.logError('Replay Storage', error);
+        }
+        return replay;
+    }
+
+    /**
+     * Downloads what each adaptive AI has learned this match as JSON
+     */
+    exportAIProfiles() {
+        Object.entries(this.aiControllers)
+            .filter(([, ai]) => ai instanceof AdaptiveAIController)
+            .forEach(([side, ai]) => {
+                const blob = new Blob([JSON.stringify(ai.getProfile(), null, 2)], { type: 'application/json' });
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = `ai-profile-${this.characterIds[side]}-${this.simulation.frame}.json`;
+                link.click();
+                URL.revokeObjectURL(link.href);
+            });
+    }
+
+    /**
+     * Downloads a replay as a JSON file
+     * @param {Object} replay - Replay to export
+     */
+    exportReplay(replay) {
+        const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `replay-${replay.characters.p1}-vs-${replay.characters.p2}-${replay.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Imports a replay file and stores it alongside recorded ones
+     * @async
+     * @param {File} file - JSON file chosen by the player
+     * @returns {Promise<Object>} The imported replay
+     * @throws {GameError} If the file is not a valid replay
+     */
+    async importReplay(file) {
+        const replay = parseReplay(await file.text(), this.getRoster());
+        replay.id = await this.storeReplay(replay);
+        return replay;
+    }
+
+    /**
+     * Saves a replay, then drops the oldest stored ones beyond
+     * REPLAY_CONFIG.maxStored. Fights a leaderboard record plays back are
+     * kept, and nothing is dropped during a run, so a run that makes its
+     * board still has all of its fights when it is signed.
+     * @async
+     * @param {Object} replay - Replay to store
+     * @returns {Promise<number>} The replay's id
+     */
+    async storeReplay(replay) {
+        const id = await this.replayStorage.save(replay);
+        if (!this.run) {
+            const kept = await this.leaderboards.getReplayIds();
+            // Ids count up, so the lowest are the oldest
+            const stored = (await this.replayStorage.list())
+                .filter(entry => !kept.has(entry.id))
+                .sort((a, b) => a.id - b.id);
+            const excess = stored.length - REPLAY_CONFIG.maxStored;
+            await Promise.all(stored.slice(0, Math.max(0, excess)).map(old => this.replayStorage.delete(old.id)));
+        }
+        return id;
+    }
+
+    /**
+     * Learns a player's style from locally stored replays, for a ghost AI
+     * (pass the model as a side's ai in startMatch). Replays don't record
+     * who played, so the side they played on is given.
+     * @async
+     * @param {Object} [options] - Training options
+     * @param {string} [options.side='p1'] - Side the player was on
+     * @param {string} [options.character] - Only learn from replays where
+     *     they played this character
+     * @param {Array<Object>} [options.replays] - Replays to learn from;
+     *     defaults to every stored replay
+     * @returns {Promise<GhostModel>} The learned model
+     * @throws {GameError} If there is no usable replay
+     */
+    async trainGhost({ side = 'p1', character = null, replays = null } = {}) {
+        const source = replays || await this.replayStorage.list();
+        const model = new GhostModel();
+        source
+            .filter(replay => !character || (replay.characters && replay.characters[side] === character))
+            .forEach(replay => {
+                try {
+                    validateReplay(replay, this.getRoster());
+                } catch (error) {
+                    // Replays from an older build would desync; skip them
+                    this.errorHandler.logError('Ghost Training', error);
+                    return;
+                }
+                model.learn(replay, this.buildSimulation({ ...replay, rules: replay.rules || {} }), side);
+            });
+
+        if (model.samples.length === 0) {
+            throw new GameError('No usable replays to learn from', 'GHOST_ERROR');
+        }
+        return model;
+    }
+
+    /**
+     * Connects to another tab and starts a rollback netplay match
+     * @async
+     * @param {string} roomName - Room name both tabs agree on
+     * @param {boolean} isHost - Host plays as player 1 and picks the match
+     * @param {Object} [options] - Match options
+     * @param {Object} [options.characters] - Character ids keyed p1/p2; the host's are used
+     * @param {string} [options.stage] - Stage id; the host's is used
+     * @param {Object} [options.palettes] - Palette indices keyed p1/p2; the host's are used
+     * @param {number} [options.inputDelay] - Local input delay in frames
+     * @param {Object} [options.transport] - Pre-connected transport to use instead of WebRTC
+     * @param {AbortSignal} [options.signal] - Stops waiting for the other tab
+     * @throws {GameError} If the other tab runs a different config or
+     *     character data, or the connection fails or is cancelled
+     */
+    async startNetplayMatch(roomName, isHost, options = {}) {
+        const { transport: connected, inputDelay, signal, ...match } = options;
+        const transport = connected ||
+            await WebRTCTransport.connectLocal(roomName, isHost, signal);
+        let agreed;
+        try {
+            agreed = await RollbackSession.negotiateMatch(transport, isHost, {
+                match,
+                configVersion: getConfigVersion(this.getRoster()),
+                signal
+            });
+        } catch (error) {
+            transport.close();
+            throw error;
+        }
+
+        this.startMatch(agreed);
+        this.netplaySession = new RollbackSession({
+            simulation: this.simulation,
+            localPlayer: isHost ? 1 : 2,
+            transport,
+            inputDelay
+        });
+    }
+
+    /**
+     * Opens the netplay lobby, which waits for another tab in
+     * NETPLAY_CONFIG.room and then starts the match
+     * @param {boolean} isHost - Host plays as player 1 and picks the match
+     * @param {Object} [match] - startMatch options the host picked
+     */
+    openNetplayLobby(isHost, match = {}) {
+        this.pendingNetplay = { isHost, match };
+        this.stateManager.changeState('netplayLobby');
+    }
+
+    /**
+     * Leaves a netplay match before it is over and goes back to the menu
+     * @param {string} [reason] - Shown once back in the menu, e.g. that the
+     *     other player left
+     */
+    quitNetplayMatch(reason = null) {
+        if (this.netplaySession) {
+            this.netplaySession.sendQuit();
+        }
+        this.endNetplayMatch();
+        this.stateManager.changeState('menu');
+        if (reason) {
+            this.showMessage(reason, GAME_CONFIG.fps * 2);
+        }
+    }
+
+    /**
+     * Leaves the current netplay match, if any
+     */
+    endNetplayMatch() {
+        if (this.netplaySession) {
+            this.netplaySession.close();
+            this.netplaySession = null;
+        }
+        this.updateNetStatus();
+    }
+
+    /**
+     * Shows the connection-quality readout while a netplay match is running
+     */
+    updateNetStatus() {
+        const element = document.querySelector('.net-status');
+        if (!element) return;
+
+        if (!this.netplaySession) {
+            element.style.display = 'none';
+            return;
+        }
+
+        const stats = this.netplaySession.getStats();
+        let text = `${stats.rtt}ms | delay ${stats.inputDelay}f | rollback ${stats.rollbackFrames}f`;
+        if (stats.stalled) {
+            text += ' | waiting';
+        }
+        if (stats.desynced) {
+            text += ' | DESYNC';
+        }
+
+        element.style.display = 'block';
+        element.className = `net-status ${stats.quality}`;
+        element.textContent = text;
+    }
+
+    /**
+     * Plays the sounds and effects the simulation queued during a step
+     * @param {Array<SimulationEvent>} events - Events drained from the simulation
+     */
+    presentEvents(events) {
+        events.forEach(event => {
+            switch (event.type) {
+                case 'sound':
+                    this.audioManager.playSound(event.key, event.src);
+                    break;
+                case 'effect':
+                    this.effectsSystem.createEffect(event.key, event.data);
+                    break;
+                case 'particles':
+                    this.particleSystem.createHitParticles(event.data);
+                    break;
+                case 'announce':
+                    this.showMessage(event.text, event.frames);
+                    break;
+                case 'hit':
+                    this.camera.shakeForHit(event);
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Shows a round announcement in the .game-message overlay
+     * @param {string} text - Message to show
+     * @param {number} frames - How long to show it, in simulation frames
+     */
+    showMessage(text, frames) {
+        const element = document.querySelector('.game-message');
+        if (!element) return;
+
+        element.textContent = text;
+        element.style.display = 'block';
+        clearTimeout(this.messageTimeout);
+        this.messageTimeout = setTimeout(() => {
+            element.style.display = 'none';
+        }, frames * GAME_CONFIG.timeStep / this.timeScale);
+    }
+
+    /**
+     * Syncs the DOM HUD (timer, health bars, round pips) with the simulation
+     */
+    updateHUD() {
+        const rounds = this.simulation.rounds;
+        const timer = document.querySelector('.timer');
+        if (timer) {
+            timer.textContent = rounds && rounds.rules.roundTime > 0 ?
+                String(rounds.getSecondsLeft()) : '--';
+        }
+
+        [this.simulation.player1, this.simulation.player2].forEach((character, index) => {
+            const player = index + 1;
+            const healthBar = document.querySelector(`.p${player}-health`);
+            if (healthBar) {
+                const share = Math.max(0, character.health / character.maxHealth);
+                healthBar.style.width = `${share * 100}%`;
+                healthBar.classList.toggle('low-health', share < 0.25);
+            }
+
+            const meter = document.querySelector(`.p${player}-meter`);
+            if (meter) {
+                const { barSize, maxBars } = COMBAT_CONFIG.meter;
+                const bars = character.getMeterBars();
+                const share = bars >= maxBars ? 1 : (character.meter % barSize) / barSize;
+                meter.querySelector('.meter-fill').style.width = `${share * 100}%`;
+                meter.querySelector('.meter-level').textContent = String(bars);
+                meter.classList.toggle('full', bars >= maxBars);
+            }
+
+            const pips = document.querySelector(`.p${player}-pips`);
+            if (pips) {
+                const total = rounds ? rounds.rules.roundsToWin : 0;
+                const won = rounds ? rounds.wins[index] : 0;
+                if (pips.children.length !== total) {
+                    pips.innerHTML = '<span class="pip"></span>'.repeat(total);
+                }
+                Array.from(pips.children).forEach((pip, pipIndex) => {
+                    pip.classList.toggle('won', pipIndex < won);
+                });
+            }
+        });
+    }
+
+    /**
+     * Stores the final result and moves to the game over screen, or to the
+     * next queued replay. In a single-player run, scores the fight and
+     * moves to the next step of the run.
+     */
+    endMatch() {
+        this.matchResult = this.simulation.rounds.getResult();
+        this.endNetplayMatch();
+        if (this.replayPlayer) {
+            if (this.replayQueue.length > 0) {
+                this.startReplay(this.replayQueue.shift());
+                return;
+            }
+            // Playback is over; whatever comes next runs at normal speed
+            this.setGameSpeed('normal');
+        }
+        if (!this.run) {
+            this.stateManager.changeState('gameOver');
+            return;
+        }
+
+        this.run.replays.push(this.finishRecording());
+        if (this.matchResult.winner === 1) {
+            this.run.recordWin(this.matchResult);
+            this.stateManager.changeState('fightResult');
+        } else {
+            // Only arcade offers a continue
+            this.stateManager.changeState(this.run.mode === 'arcade' ? 'continue' : 'gameOver');
+        }
+    }
+
+    /**
+     * Handles game errors
+     * @param {Error} error - Error to handle
+     * @private
+     */
+    handleError(error) {
+        this.errorHandler.logError(error);
+        if (error instanceof GameError) {
+            this.showErrorMessage(error.message);
+        } else {
+            this.showErrorMessage('An unexpected error occurred');
+        }
+    }
+}
+
+/**
+ * Deterministic match simulation. Advances both fighters, projectiles and
+ * combat by exactly one frame from an input snapshot. It never touches the
+ * canvas, the DOM or wall-clock time; sounds and effects are queued as
+ * events for the presentation layer to drain.
+ * @class
+ */
+class Simulation {
+    /**
+     * Creates a simulation for one match
+     * @param {Object} options - Simulation options
+     * @param {Character} options.player1 - Player 1 fighter
+     * @param {Character} options.player2 - Player 2 fighter
+     * @param {number} [options.seed=1] - Seed for the simulation RNG
+     * @param {Object} [options.arena] - Arena size ({ width, height })
+     * @param {Object|null} [options.rules] - ROUND_CONFIG overrides; null runs
+     *     without rounds or a timer (training)
+     */
+    constructor({ player1, player2, seed = 1, arena = GAME_CONFIG.arena, rules = {} }) {
+        /** @type {number} Frames simulated so far */
+        this.frame = 0;
+        this.seed = seed;
+        this.rng = new SeededRandom(seed);
+        this.arena = { ...arena };
+        this.events = [];
+
+        /** @type {boolean} Drops events while re-simulating after a rollback */
+        this.muted = false;
+
+        /** @type {ReplayRecorder|null} Receives every frame's inputs */
+        this.recorder = null;
+
+        this.player1 = player1;
+        this.player2 = player2;
+        this.player1.sim = this;
+        this.player2.sim = this;
+
+        this.projectileSystem = new ProjectileSystem(this);
+        this.combatSystem = new CombatSystem(this);
+        this.collisionSystem = new CollisionSystem(this);
+        this.throwSystem = new ThrowSystem(this);
+
+        /** @type {RoundSystem|null} */
+        this.rounds = rules ? new RoundSystem(this, rules) : null;
+
+        /** @type {Object|null} Super freeze in progress: { player, move, frames } */
+        this.superFreeze = null;
+        /** @type {number} Frames of hitstop left */
+        this.hitstop = 0;
+    }
+
+    /**
+     * Advances the match by one frame
+     * @param {Object} inputs - Input snapshots for this frame
+     * @param {InputState} [inputs.p1] - Player 1 input
+     * @param {InputState} [inputs.p2] - Player 2 input
+     */
+    step(inputs = {}) {
+        const p1Input = inputs.p1 || EMPTY_INPUT;
+        const p2Input = inputs.p2 || EMPTY_INPUT;
+        if (this.recorder) {
+            this.recorder.record(this.frame, p1Input, p2Input);
+        }
+
+        // Fighters stand still through round intros and after a KO
+        const acceptsInput = !this.rounds || this.rounds.acceptsInput();
+        const p1Active = acceptsInput ? p1Input : EMPTY_INPUT;
+        const p2Active = acceptsInput ? p2Input : EMPTY_INPUT;
+
+        // Fighters, moves, stun and the round timer all hold during a super
+        // flash or hitstop
+        if (this.superFreeze || this.hitstop > 0) {
+            this.player1.bufferInput(p1Active);
+            this.player2.bufferInput(p2Active);
+            if (this.superFreeze) {
+                this.superFreeze.frames--;
+                if (this.superFreeze.frames <= 0) {
+                    this.superFreeze = null;
+                }
+            } else {
+                this.hitstop--;
+            }
+            this.frame++;
+            return;
+        }
+
+        this.player1.handleInput(p1Active);
+        this.player2.handleInput(p2Active);
+
+        this.player1.update();
+        this.player2.update();
+        this.separateFighters();
+        this.limitSeparation();
+        this.player1.faceOpponent();
+        this.player2.faceOpponent();
+
+        this.projectileSystem.update();
+        this.throwSystem.update();
+        this.collisionSystem.update();
+
+        if (this.rounds) {
+            this.rounds.update();
+        }
+
+        this.frame++;
+    }
+
+    /**
+     * Puts both fighters back at their starting spots for a new round
+     * @param {Array<number>} startPositions - Player 1 and player 2 x positions
+     */
+    resetRound(startPositions) {
+        this.player1.resetForRound(startPositions[0]);
+        this.player2.resetForRound(startPositions[1]);
+        this.projectileSystem.projectiles = [];
+        this.throwSystem.current = null;
+        this.superFreeze = null;
+        this.hitstop = 0;
+        this.combatSystem.resetCombos();
+    }
+
+    /**
+     * Pushes the fighters apart when their pushboxes overlap, so they can't
+     * walk through each other. Each moves half the overlap; when one is
+     * against a wall the other moves the rest.
+     */
+    separateFighters() {
+        const { player1, player2 } = this;
+        const boxes = [player1.getPushbox(), player2.getPushbox()];
+        if (!boxesOverlap(boxes[0], boxes[1])) return;
+
+        // Whoever's center is further left goes left; level fighters keep their sides
+        const offset = (boxes[1].x + boxes[1].width / 2) - (boxes[0].x + boxes[0].width / 2);
+        const player1Left = offset > 0 || (offset === 0 && player1.facing === 1);
+        const [left, right] = player1Left ? [player1, player2] : [player2, player1];
+        const [leftBox, rightBox] = player1Left ? boxes : [boxes[1], boxes[0]];
+        const overlap = leftBox.x + leftBox.width - rightBox.x;
+
+        left.x -= overlap / 2;
+        right.x += overlap / 2;
+        const leftCorrection = left.clampToArena();
+        const rightCorrection = right.clampToArena();
+        right.x += leftCorrection;
+        left.x += rightCorrection;
+        left.clampToArena();
+        right.clampToArena();
+    }
+
+    /**
+     * Keeps the fighters within arena.maxSeparation of each other. A fighter
+     * moving away is held back; otherwise both are pulled in evenly.
+     */
+    limitSeparation() {
+        const { player1, player2 } = this;
+        const [left, right] = player1.x <= player2.x ? [player1, player2] : [player2, player1];
+        const excess = (right.x + right.width / 2) - (left.x + left.width / 2) - this.arena.maxSeparation;
+        if (excess <= 0) return;
+
+        const leftAway = left.velocityX < 0;
+        const rightAway = right.velocityX > 0;
+        const leftShare = leftAway === rightAway ? 0.5 : (leftAway ? 1 : 0);
+        left.x += excess * leftShare;
+        right.x -= excess * (1 - leftShare);
+    }
+
+    /**
+     * Freezes both fighters and all projectiles on impact. Overlapping
+     * hitstop doesn't add up; the longer one wins.
+     * @param {number} frames - Hitstop length
+     */
+    startHitstop(frames) {
+        this.hitstop = Math.max(this.hitstop, frames);
+    }
+
+    /**
+     * Freezes the match for a super's flash
+     * @param {Character} character - Fighter starting the super
+     * @param {string} move - Super move name
+     */
+    startSuperFreeze(character, move) {
+        const player = character.isPlayer1 ? 1 : 2;
+        this.superFreeze = { player, move, frames: COMBAT_CONFIG.superFreezeFrames };
+        this.emit('superFreeze', { player, move });
+    }
+
+    /**
+     * Returns the other fighter
+     * @param {Character} character - One of the two fighters
+     * @returns {Character} The opponent
+     */
+    getOpponent(character) {
+        return character === this.player1 ? this.player2 : this.player1;
+    }
+
+    /**
+     * Queues an event for the presentation layer
+     * @param {string} type - Event type (sound, effect, particles, ko)
+     * @param {Object} [payload] - Event data
+     */
+    emit(type, payload = {}) {
+        if (this.muted) return;
+        this.events.push({ type, frame: this.frame, ...payload });
+    }
+
+    /**
+     * Returns and clears the queued events
+     * @returns {Array<SimulationEvent>} Events since the last drain
+     */
+    drainEvents() {
+        const events = this.events;
+        this.events = [];
+        return events;
+    }
+
+    /**
+     * Captures everything needed to resume the match from this frame
+     * @returns {Object} Serializable snapshot
+     */
+    saveState() {
+        return {
+            frame: this.frame,
+            rngState: this.rng.state,
+            player1: this.player1.saveState(),
+            player2: this.player2.saveState(),
+            projectiles: this.projectileSystem.saveState(),
+            combat: this.combatSystem.saveState(),
+            throws: this.throwSystem.saveState(),
+            superFreeze: this.superFreeze ? { ...this.superFreeze } : null,
+            hitstop: this.hitstop,
+            rounds: this.rounds ? this.rounds.saveState() : null
+        };
+    }
+
+    /**
+     * Restores a snapshot taken with saveState
+     * @param {Object} state - Snapshot to restore
+     */
+    loadState(state) {
+        this.frame = state.frame;
+        this.rng.state = state.rngState;
+        this.player1.loadState(state.player1);
+        this.player2.loadState(state.player2);
+        this.projectileSystem.loadState(state.projectiles);
+        this.combatSystem.loadState(state.combat);
+        this.throwSystem.loadState(state.throws);
+        this.superFreeze = state.superFreeze ? { ...state.superFreeze } : null;
+        this.hitstop = state.hitstop;
+        if (this.rounds) {
+            this.rounds.loadState(state.rounds);
+        }
+    }
+
+    /**
+     * Hashes the current state, used to detect desyncs between peers
+     * @returns {number} State checksum
+     */
+    checksum() {
+        return hashString(JSON.stringify(this.saveState()));
+    }
+}
+
+/**
+ * Round and match rules
+ * @constant {Object}
+ */
+const ROUND_CONFIG = {
+    /** @type {number} Rounds needed to win the match (2 = best of 3) */
+    roundsToWin: 2,
+    /** @type {number} Rounds played at most, so draws can't extend a match forever */
+    maxRounds: 5,
+    /** @type {number} Round length in seconds; 0 disables the timer */
+    roundTime: 99,
+    /** @type {Array<number>} Share of max health each player starts a round with (survival carries damage over) */
+    startHealth: [1, 1],
+    introFrames: 90,          // "ROUND 1" before fighters can act
+    fightMessageFrames: 45,   // how long "FIGHT" stays up
+    endFrames: 150            // pause after a KO or time over
+};
+
+/**
+ * Runs rounds inside the simulation: intro, timer, KO and time-over
+ * decisions, round wins and match stats. Announcements are emitted as
+ * 'announce' events; the match is over once the phase reaches matchOver.
+ * @class
+ */
+class RoundSystem {
+    /**
+     * @param {Simulation} sim - Owning simulation
+     * @param {Object} [rules] - Overrides for ROUND_CONFIG
+     */
+    constructor(sim, rules = {}) {
+        this.sim = sim;
+        this.rules = { ...ROUND_CONFIG, ...rules };
+        this.startPositions = [sim.player1.x, sim.player2.x];
+
+        this.round = 1;
+        this.wins = [0, 0];
+        /** @type {string} intro, fight, end or matchOver */
+        this.phase = 'intro';
+        this.phaseFrame = 0;
+        this.timer = this.rules.roundTime * GAME_CONFIG.fps;
+        /** @type {Array<Object>} Outcome of each finished round */
+        this.results = [];
+        this.stats = [0, 1].map(() => ({
+            damageDealt: 0,
+            hits: 0,
+            maxCombo: 0
+        }));
+        this.applyStartHealth();
+    }
+
+    /**
+     * @param {number} index - 0 for player 1, 1 for player 2
+     * @returns {number} Health the player starts each round with
+     */
+    getStartHealth(index) {
+        const character = index === 0 ? this.sim.player1 : this.sim.player2;
+        return Math.max(1, Math.round(character.maxHealth * this.rules.startHealth[index]));
+    }
+
+    applyStartHealth() {
+        this.sim.player1.health = this.getStartHealth(0);
+        this.sim.player2.health = this.getStartHealth(1);
+    }
+
+    /**
+     * @returns {boolean} Whether fighters act on their inputs this frame
+     */
+    acceptsInput() {
+        return this.phase === 'fight';
+    }
+
+    /**
+     * @returns {number} Seconds left on the round clock, rounded up
+     */
+    getSecondsLeft() {
+        return Math.ceil(this.timer / GAME_CONFIG.fps);
+    }
+
+    /**
+     * Counts a landed or blocked hit toward the attacker's stats
+     * @param {Character} defender - Fighter that was hit
+     * @param {number} damage - Damage actually dealt
+     * @param {number} comboHits - Hits in the attacker's combo so far
+     * @param {boolean} blocked - Whether the hit was blocked
+     */
+    recordHit(defender, damage, comboHits, blocked) {
+        const stats = this.stats[defender === this.sim.player1 ? 1 : 0];
+        stats.damageDealt += damage;
+        if (blocked) return;
+
+        stats.hits++;
+        stats.maxCombo = Math.max(stats.maxCombo, comboHits);
+    }
+
+    /**
+     * Advances the round state by one frame; runs after the fighters update
+     */
+    update() {
+        if (this.phase === 'matchOver') return;
+        this.phaseFrame++;
+
+        switch (this.phase) {
+            case 'intro':
+                if (this.phaseFrame === 1) {
+                    const isFinal = this.round === this.rules.maxRounds ||
+                        this.wins.every(wins => wins === this.rules.roundsToWin - 1);
+                    this.announce(isFinal ? 'FINAL ROUND' : `ROUND ${this.round}`, this.rules.introFrames);
+                } else if (this.phaseFrame >= this.rules.introFrames) {
+                    this.announce('FIGHT', this.rules.fightMessageFrames);
+                    this.setPhase('fight');
+                }
+                break;
+
+            case 'fight':
+                this.updateFight();
+                break;
+
+            case 'end':
+                if (this.phaseFrame === Math.floor(this.rules.endFrames / 2)) {
+                    this.announceOutcome();
+                } else if (this.phaseFrame >= this.rules.endFrames) {
+                    this.finishRound();
+                }
+                break;
+        }
+    }
+
+    updateFight() {
+        const { player1, player2 } = this.sim;
+        const p1Down = player1.health <= 0;
+        const p2Down = player2.health <= 0;
+
+        if (p1Down || p2Down) {
+            // Both falling on the same frame is a double KO and a draw
+            const winner = p1Down && p2Down ? null : (p1Down ? 2 : 1);
+            this.endRound(winner, winner ? 'ko' : 'doubleKo');
+            return;
+        }
+
+        if (this.rules.roundTime > 0) {
+            this.timer--;
+            if (this.timer <= 0) {
+                // Time over goes to the higher health percentage
+                const p1Share = player1.health / player1.maxHealth;
+                const p2Share = player2.health / player2.maxHealth;
+                const winner = p1Share === p2Share ? null : (p1Share > p2Share ? 1 : 2);
+                this.endRound(winner, 'timeOver');
+            }
+        }
+    }
+
+    /**
+     * @param {number|null} winner - 1, 2, or null for a draw
+     * @param {string} reason - ko, doubleKo or timeOver
+     */
+    endRound(winner, reason) {
+        const winnerCharacter = winner === 1 ? this.sim.player1 :
+            winner === 2 ? this.sim.player2 : null;
+        // Perfect means untouched, even when the round started hurt
+        const perfect = Boolean(winnerCharacter) &&
+            winnerCharacter.health === this.getStartHealth(winner - 1);
+
+        if (winner) {
+            this.wins[winner - 1]++;
+        }
+        this.results.push({
+            round: this.round,
+            winner,
+            reason,
+            perfect,
+            frame: this.sim.frame,
+            secondsLeft: this.rules.roundTime > 0 ? this.getSecondsLeft() : 0,
+            // Share of each fighter's health left, 0-1
+            health: [this.sim.player1, this.sim.player2].map(character =>
+                Math.max(0, character.health) / character.maxHealth)
+        });
+
+        const text = { ko: 'K.O.', doubleKo: 'DOUBLE K.O.', timeOver: 'TIME OVER' }[reason];
+        this.announce(text, Math.floor(this.rules.endFrames / 2));
+        this.setPhase('end');
+    }
+
+    announceOutcome() {
+        const { winner, perfect } = this.results[this.results.length - 1];
+        let text = 'DRAW';
+        if (perfect) {
+            text = 'PERFECT';
+        } else if (winner) {
+            text = `PLAYER ${winner} WINS`;
+        }
+        this.announce(text, Math.ceil(this.rules.endFrames / 2));
+    }
+
+    finishRound() {
+        const matchWon = this.wins.some(wins => wins >= this.rules.roundsToWin);
+        if (matchWon || this.round >= this.rules.maxRounds) {
+            this.setPhase('matchOver');
+            return;
+        }
+
+        this.round++;
+        this.timer = this.rules.roundTime * GAME_CONFIG.fps;
+        this.sim.resetRound(this.startPositions);
+        this.applyStartHealth();
+        this.setPhase('intro');
+    }
+
+    /**
+     * @returns {number|null} Player with more round wins, or null for a draw
+     */
+    getMatchWinner() {
+        const [p1Wins, p2Wins] = this.wins;
+        if (p1Wins === p2Wins) return null;
+        return p1Wins > p2Wins ? 1 : 2;
+    }
+
+    /**
+     * Summarizes the match for the game over screen
+     * @returns {Object} Winner, round results and per-player stats
+     */
+    getResult() {
+        return {
+            winner: this.getMatchWinner(),
+            wins: [...this.wins],
+            rounds: this.results.map(result => ({ ...result })),
+            perfectRounds: this.results.filter(result => result.perfect).length,
+            durationFrames: this.sim.frame,
+            stats: this.stats.map(stats => ({ ...stats }))
+        };
+    }
+
+    setPhase(phase) {
+        this.phase = phase;
+        this.phaseFrame = 0;
+    }
+
+    announce(text, frames) {
+        this.sim.emit('announce', { text, frames });
+    }
+
+    saveState() {
+        return {
+            round: this.round,
+            wins: [...this.wins],
+            phase: this.phase,
+            phaseFrame: this.phaseFrame,
+            timer: this.timer,
+            results: this.results.map(result => ({ ...result })),
+            stats: this.stats.map(stats => ({ ...stats }))
+        };
+    }
+
+    loadState(state) {
+        this.round = state.round;
+        this.wins = [...state.wins];
+        this.phase = state.phase;
+        this.phaseFrame = state.phaseFrame;
+        this.timer = state.timer;
+        this.results = state.results.map(result => ({ ...result }));
+        this.stats = state.stats.map(stats => ({ ...stats }));
+    }
+}
+
+// Additional required classes:
+// - AssetLoader
+// - AnimationSystem
+// - EffectsSystem
+// - MenuSystem
+// - Character
+// - SpecialMoveSystem
+
+/**
+ * Manages the loading screen and asset loading progress
+ */
+class LoadingScreen {
+    constructor(game) {
+        this.game = game;
+        this.progress = 0;
+        this.isLoading = true;
+        this.loadingText = 'Loading...';
+        this.errors = [];
+    }
+
+    draw(ctx) {
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+
+        // Draw progress bar
+        const barWidth = ctx.canvas.width * 0.6;
+        const barHeight = 20;
+        const barX = (ctx.canvas.width - barWidth) / 2;
+        const barY = ctx.canvas.height / 2;
+
+        // Border
+        ctx.strokeStyle = '#fff';
+        ctx.strokeRect(barX, barY, barWidth, barHeight);
+
+        // Fill
+        ctx.fillStyle = '#4CAF50';
+        ctx.fillRect(barX, barY, barWidth * this.progress, barHeight);
+
+        // Text
+        ctx.fillStyle = '#fff';
+        ctx.font = '24px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.loadingText, ctx.canvas.width / 2, barY - 20);
+
+        // Error messages
+        if (this.errors.length > 0) {
+            ctx.fillStyle = '#ff0000';
+            ctx.font = '16px Arial';
+            this.errors.forEach((error, index) => {
+                ctx.fillText(error, ctx.canvas.width / 2, barY + 60 + (index * 20));
+            });
+        }
+    }
+
+    updateProgress(loaded, total) {
+        this.progress = Math.min(1, loaded / total);
+        this.loadingText = `Loading... ${Math.floor(this.progress * 100)}%`;
+    }
+
+    addError(error) {
+        this.errors.push(error);
+    }
+}
+
+/**
+ * Handles error logging and reporting
+ */
+class ErrorHandler {
+    constructor() {
+        this.errors = [];
+        this.setupGlobalErrorHandling();
+    }
+
+    setupGlobalErrorHandling() {
+        window.onerror = (msg, url, lineNo, columnNo, error) => {
+            this.logError('Global Error', error);
+            return false;
+        };
+
+        window.addEventListener('unhandledrejection', (event) => {
+            this.logError('Unhandled Promise Rejection', event.reason);
+        });
+    }
+
+    logError(type, error) {
+        const errorInfo = {
+            type,
+            message: error.message || String(error),
+            stack: error.stack,
+            timestamp: new Date().toISOString()
+        };
+
+        this.errors.push(errorInfo);
+        console.error(`[${type}]`, errorInfo);
+
+        // Limit stored errors
+        if (this.errors.length > 50) {
+            this.errors.shift();
+        }
+    }
+
+    getErrors() {
+        return [...this.errors];
+    }
+
+    clearErrors() {
+        this.errors = [];
+    }
+}
+
+/**
+ * Monitors and reports game performance metrics
+ */
+class PerformanceMonitor {
+    constructor() {
+        this.metrics = {
+            fps: [],
+            frameTime: [],
+            memoryUsage: []
+        };
+        this.lastTime = performance.now();
+        this.frames = 0;
+        this.fpsUpdateInterval = 1000; // Update FPS every second
+        this.lastFpsUpdate = this.lastTime;
+    }
+
+    startFrame() {
+        return performance.now();
+    }
+
+    endFrame(startTime) {
+        const currentTime = performance.now();
+        const frameTime = currentTime - startTime;
+
+        // Update FPS
+        this.frames++;
+        if (currentTime - this.lastFpsUpdate >= this.fpsUpdateInterval) {
+            const fps = (this.frames * 1000) / (currentTime - this.lastFpsUpdate);
+            this.metrics.fps.push(fps);
+            this.frames = 0;
+            this.lastFpsUpdate = currentTime;
+
+            // Keep only last 60 samples
+            if (this.metrics.fps.length > 60) {
+                this.metrics.fps.shift();
+            }
+        }
+
+        // Update frame time metrics
+        this.metrics.frameTime.push(frameTime);
+        if (this.metrics.frameTime.length > 60) {
+            this.metrics.frameTime.shift();
+        }
+
+        // Update memory usage if available
+        if (window.performance && performance.memory) {
+            this.metrics.memoryUsage.push(performance.memory.usedJSHeapSize);
+            if (this.metrics.memoryUsage.length > 60) {
+                this.metrics.memoryUsage.shift();
+            }
+        }
+    }
+
+    getMetrics() {
+        return {
+            averageFps: this.getAverage(this.metrics.fps),
+            averageFrameTime: this.getAverage(this.metrics.frameTime),
+            memoryUsage: this.metrics.memoryUsage.length > 0 ? 
+                this.metrics.memoryUsage[this.metrics.memoryUsage.length - 1] : null
+        };
+    }
+
+    getAverage(array) {
+        return array.length > 0 ? 
+            array.reduce((a, b) => a + b) / array.length : 0;
+    }
+}
+
+/**
+ * Manages asset loading and caching
+ */
+class AssetLoader {
+    constructor() {
+        this.assets = {
+            images: new Map(),
+            audio: new Map(),
+            data: new Map()
+        };
+        this.loadQueue = [];
+        this.totalAssets = 0;
+        this.loadedAssets = 0;
+    }
+
+    async loadAssets() {
+        // Define assets to load
+        const assetManifest = {
+            images: {
+                'fighter1_idle': 'assets/sprites/fighter1/idle.png',
+                'fighter1_walk': 'assets/sprites/fighter1/walk.png',
+                'fighter1_attack': 'assets/sprites/fighter1/attack.png',
+                'fighter2_idle': 'assets/sprites/fighter2/idle.png',
+                'fighter2_walk': 'assets/sprites/fighter2/walk.png',
+                'fighter2_attack': 'assets/sprites/fighter2/attack.png',
+                'effects_hit': 'assets/effects/hit.png'
+            },
+            audio: {
+                'hit': 'assets/sounds/hit.mp3',
+                'jump': 'assets/sounds/jump.mp3',
+                'music': 'assets/music/battle-theme.mp3'
+            },
+            data: {
+                'characters': 'assets/data/characters.json',
+                'moves': 'assets/data/moves.json',
+                'stages': 'assets/data/stages.json'
+            }
+        };
+        this.dataManifest = assetManifest.data;
+
+        this.totalAssets = Object.values(assetManifest).reduce(
+            (total, category) => total + Object.keys(category).length, 0
+        );
+
+        try {
+            // Load all asset categories concurrently
+            await Promise.all([
+                this.loadImageAssets(assetManifest.images),
+                this.loadAudioAssets(assetManifest.audio),
+                this.loadDataAssets(assetManifest.data)
+            ]);
+            return true;
+        } catch (error) {
+            console.error('Asset loading failed:', error);
+            return false;
+        }
+    }
+
+    async loadImageAssets(imageManifest) {
+        const promises = Object.entries(imageManifest).map(([key, path]) => {
+            return new Promise(resolve => {
+                const img = new Image();
+                img.onload = () => {
+                    this.assets.images.set(key, img);
+                    this.loadedAssets++;
+                    resolve();
+                };
+                img.onerror = () => {
+                    this.skipAsset(`Failed to load image: ${path}`);
+                    resolve();
+                };
+                img.src = path;
+            });
+        });
+        await Promise.all(promises);
+    }
+
+    async loadAudioAssets(audioManifest) {
+        const promises = Object.entries(audioManifest).map(([key, path]) => {
+            return new Promise(resolve => {
+                const audio = new Audio();
+                audio.oncanplaythrough = () => {
+                    this.assets.audio.set(key, audio);
+                    this.loadedAssets++;
+                    resolve();
+                };
+                audio.onerror = () => {
+                    this.skipAsset(`Failed to load audio: ${path}`);
+                    resolve();
+                };
+                audio.src = path;
+            });
+        });
+        await Promise.all(promises);
+    }
+
+    /**
+     * Logs an image or sound that failed to load and counts it as done.
+     * Sprites and stage layers that are missing are skipped when drawing,
+     * so one bad path should not hold up the whole game.
+     * @private
+     * @param {string} message - What failed
+     */
+    skipAsset(message) {
+        console.warn(message);
+        this.loadedAssets++;
+    }
+
+    async loadDataAssets(dataManifest) {
+        const promises = Object.entries(dataManifest).map(([key, path]) => {
+            return fetch(path)
+                .then(response => response.text())
+                .then(text => {
+                    try {
+                        this.assets.data.set(key, JSON.parse(text));
+                    } catch (error) {
+                        throw new GameError(`${path}: ${error.message}`, 'DATA_ERROR');
+                    }
+                    this.loadedAssets++;
+                });
+        });
+        await Promise.all(promises);
+
+        // Replace the raw roster with the validated one
+        const roster = validateRoster(
+            this.assets.data.get('characters'),
+            this.assets.data.get('moves'),
+            dataManifest
+        );
+        this.assets.data.set('characters', roster);
+        const stages = validateStages(this.assets.data.get('stages'), dataManifest.stages);
+        this.assets.data.set('stages', stages);
+        await Promise.all([
+            this.loadCharacterAssets(roster),
+            this.loadStageAssets(stages)
+        ]);
+    }
+
+    /**
+     * Loads the sprite sheets, portraits, ending images and sounds the
+     * roster refers to, keyed by path
+     * @async
+     * @param {Object} roster - Validated roster
+     */
+    async loadCharacterAssets(roster) {
+        const images = {};
+        const audio = {};
+        Object.values(roster).forEach(character => {
+            [
+                ...Object.values(character.sprites),
+                character.portrait,
+                ...character.arcade.ending.map(page => page.image)
+            ].filter(Boolean).forEach(path => {
+                if (!this.assets.images.has(path)) images[path] = path;
+            });
+            Object.values(character.sounds).forEach(path => {
+                if (!this.assets.audio.has(path)) audio[path] = path;
+            });
+        });
+
+        this.totalAssets += Object.keys(images).length + Object.keys(audio).length;
+        await Promise.all([
+            this.loadImageAssets(images),
+            this.loadAudioAssets(audio)
+        ]);
+    }
+
+    /**
+     * Loads every stage's layer images, keyed by path
+     * @async
+     * @param {Object} stages - Validated stages
+     */
+    async loadStageAssets(stages) {
+        const images = {};
+        Object.values(stages).forEach(stage => {
+            stage.layers.forEach(layer => {
+                if (!this.assets.images.has(layer.image)) images[layer.image] = layer.image;
+            });
+        });
+
+        this.totalAssets += Object.keys(images).length;
+        await this.loadImageAssets(images);
+    }
+
+    /**
+     * Swaps in a reloaded roster
+     * @param {Object} roster - Validated roster
+     */
+    setRoster(roster) {
+        this.assets.data.set('characters', roster);
+    }
+
+    getImage(key) {
+        return this.assets.images.get(key);
+    }
+
+    getAudio(key) {
+        return this.assets.audio.get(key);
+    }
+
+    getData(key) {
+        return this.assets.data.get(key);
+    }
+
+    getLoadingProgress() {
+        return this.loadedAssets / this.totalAssets;
+    }
+}
+
+/**
+ * Creates a canvas that is never attached to the page
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {OffscreenCanvas|HTMLCanvasElement} Blank canvas
+ */
+function createOffscreenCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Replaces key colors in raw RGBA pixel data. Only exact matches change, so
+ * antialiased edges and transparent pixels are left alone.
+ * @param {Uint8ClampedArray} data - Pixels from getImageData, changed in place
+ * @param {Object} colors - Replacement '#rrggbb' keyed by the '#rrggbb' it replaces
+ */
+function recolorPixels(data, colors) {
+    const replacements = new Map(Object.entries(colors).map(([from, to]) =>
+        [parseInt(from.slice(1), 16), parseInt(to.slice(1), 16)]
+    ));
+    if (replacements.size === 0) return;
+
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+        const replacement = replacements.get((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]);
+        if (replacement !== undefined) {
+            data[i] = replacement >> 16;
+            data[i + 1] = (replacement >> 8) & 0xff;
+            data[i + 2] = replacement & 0xff;
+        }
+    }
+}
+
+/**
+ * Draws a recolored copy of a sprite sheet
+ * @param {CanvasImageSource} image - Loaded sprite sheet
+ * @param {Object} colors - Palette colors, see recolorPixels
+ * @returns {OffscreenCanvas|HTMLCanvasElement} Recolored copy
+ */
+function recolorImage(image, colors) {
+    const canvas = createOffscreenCanvas(image.width, image.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    const pixels = ctx.getImageData(0, 0, image.width, image.height);
+    recolorPixels(pixels.data, colors);
+    ctx.putImageData(pixels, 0, 0);
+    return canvas;
+}
+
+/**
+ * Draws one frame of a looping sprite animation outside the simulation,
+ * for menu previews
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {CanvasImageSource} sheet - Sprite sheet, frames side by side
+ * @param {Object} animation - Character state animation: frameCount, frameDuration
+ * @param {number} tick - Frames since the preview started
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Drawn width
+ * @param {number} height - Drawn height
+ */
+function drawAnimationFrame(ctx, sheet, animation, tick, x, y, width, height) {
+    const frameWidth = sheet.width / animation.frameCount;
+    const frame = Math.floor(tick / animation.frameDuration) % animation.frameCount;
+    ctx.drawImage(sheet, frame * frameWidth, 0, frameWidth, sheet.height, x, y, width, height);
+}
+
+/**
+ * Recolored sprite sheets, drawn once per sheet and palette
+ * @class
+ */
+class PaletteCache {
+    constructor() {
+        /** @type {Map<CanvasImageSource, Map<string, CanvasImageSource>>} */
+        this.sheets = new Map();
+    }
+
+    /**
+     * @param {CanvasImageSource} image - Loaded sprite sheet
+     * @param {Object} colors - Palette colors
+     * @returns {CanvasImageSource} Recolored sheet, or the image itself for an empty palette
+     */
+    get(image, colors) {
+        const entries = Object.entries(colors).sort(([a], [b]) => (a < b ? -1 : 1));
+        if (entries.length === 0) return image;
+
+        if (!this.sheets.has(image)) {
+            this.sheets.set(image, new Map());
+        }
+        const variants = this.sheets.get(image);
+        const key = entries.map(([from, to]) => `${from}>${to}`).join(',');
+        if (!variants.has(key)) {
+            variants.set(key, recolorImage(image, colors));
+        }
+        return variants.get(key);
+    }
+
+    /**
+     * Recolors every sprite sheet of a roster in each of its palettes up
+     * front, so the first frame of a match doesn't pay for it
+     * @param {Object} roster - Validated roster
+     * @param {AssetLoader} assetLoader - Source of the loaded sheets
+     */
+    prepare(roster, assetLoader) {
+        Object.values(roster).forEach(character => {
+            Object.values(character.sprites).forEach(path => {
+                const image = assetLoader.getImage(path);
+                if (!image) return;
+                character.palettes.forEach(palette => this.get(image, palette.colors));
+            });
+        });
+    }
+
+    clear() {
+        this.sheets.clear();
+    }
+}
+
+/**
+ * Manages sprite animations
+ */
+class AnimationSystem {
+    constructor() {
+        this.animations = new Map();
+    }
+
+    createAnimation(key, spriteSheet, frameWidth, frameHeight, frameCount, frameDuration, loop = true) {
+        this.animations.set(key, {
+            spriteSheet,
+            frameWidth,
+            frameHeight,
+            frameCount,
+            frameDuration,
+            loop,
+            currentFrame: 0,
+            elapsed: 0
+        });
+    }
+
+    update(deltaTime) {
+        this.animations.forEach(animation => {
+            animation.elapsed += deltaTime;
+            if (animation.elapsed >= animation.frameDuration) {
+                animation.currentFrame = (animation.currentFrame + 1) % animation.frameCount;
+                animation.elapsed = 0;
+
+                if (!animation.loop && animation.currentFrame === 0) {
+                    animation.currentFrame = animation.frameCount - 1;
+                }
+            }
+        });
+    }
+
+    draw(ctx, key, x, y, flipX = false) {
+        const animation = this.animations.get(key);
+        if (!animation) return;
+
+        const { spriteSheet, frameWidth, frameHeight, currentFrame } = animation;
+
+        ctx.save();
+        if (flipX) {
+            ctx.scale(-1, 1);
+            x = -x - frameWidth;
+        }
+
+        ctx.drawImage(
+            spriteSheet,
+            currentFrame * frameWidth,
+            0,
+            frameWidth,
+            frameHeight,
+            x,
+            y,
+            frameWidth,
+            frameHeight
+        );
+        ctx.restore();
+    }
+
+    resetAnimation(key) {
+        const animation = this.animations.get(key);
+        if (animation) {
+            animation.currentFrame = 0;
+            animation.elapsed = 0;
+        }
+    }
+
+    /**
+     * Sets the speed multiplier for all animations
+     * @param {number} multiplier - Speed multiplier
+     */
+    setSpeedMultiplier(multiplier) {
+        this.speedMultiplier = multiplier;
+        this.animations.forEach(animation => {
+            animation.frameDuration = 
+                animation.baseDuration / multiplier;
+        });
+    }
+}
+
+/**
+ * Command input settings. Motions use numpad notation relative to the
+ * direction the character faces: 6 is forward, 4 is back, 2 is down.
+ * @constant {Object}
+ */
+const MOTION_CONFIG = {
+    historyFrames: 60,        // frames of direction history kept
+    buttonWindow: 6,          // frames between the last direction and the button
+    chargeFrames: 40,         // frames a direction must be held to charge
+    defaultLeniency: 15,      // frames to complete an unlisted motion
+    // Frames to complete each motion before the button press
+    leniency: {
+        '236': 12,
+        '214': 12,
+        '623': 14,
+        '22': 16,
+        '41236': 20,
+        '[4]6': 10,
+        '[2]8': 10
+    },
+    // Alternative motions that also count as the listed one
+    shortcuts: {
+        '623': ['323'],
+        '41236': ['4236']
+    },
+    // Higher wins when several commands match on the same frame
+    priority: {
+        '41236': 50,
+        '623': 40,
+        '[4]6': 35,
+        '[2]8': 35,
+        '214': 30,
+        '236': 30,
+        '22': 20
+    },
+    // Directions accepted in place of a cardinal direction
+    tolerance: {
+        2: [1, 2, 3]
+    },
+    // Directions that build each kind of charge
+    chargeGroups: {
+        4: [1, 4, 7],
+        2: [1, 2, 3]
+    },
+    // Command button letters and the InputState property they read
+    buttons: {
+        P: 'attack'
+    }
+};
+
+/**
+ * COMBAT_CONFIG attack strength triggered by each attack button
+ * @constant {Object}
+ */
+const ATTACK_BUTTON_STRENGTHS = {
+    attack: 'light',
+    medium: 'medium',
+    heavy: 'heavy'
+};
+
+/**
+ * Converts held directions to a numpad digit relative to facing
+ * @param {InputState} input - Input snapshot
+ * @param {number} facing - 1 when facing right, -1 when facing left
+ * @returns {number} Numpad direction (1-9, 5 is neutral)
+ */
+function getNumpadDirection(input, facing) {
+    const horizontal = (input.right ? 1 : 0) - (input.left ? 1 : 0);
+    const vertical = (input.up ? 1 : 0) - (input.down ? 1 : 0);
+    return 5 + horizontal * facing + vertical * 3;
+}
+
+/**
+ * Parses a command such as "236P", "[4]6P" or "22P"
+ * @param {string} sequence - Command in numpad notation
+ * @returns {Object} Parsed command with motion, charge, buttons and notation
+ * @throws {GameError} If the command cannot be parsed
+ */
+function parseCommand(sequence) {
+    const match = /^(?:\[([1-9])\])?([1-9]*)([A-Z]+)$/.exec(sequence);
+    if (!match) {
+        throw new GameError(`Invalid command "${sequence}"`, 'COMMAND_ERROR');
+    }
+
+    const [, charge, motion, buttons] = match;
+    for (const button of buttons) {
+        if (!MOTION_CONFIG.buttons[button]) {
+            throw new GameError(
+                `Unknown button "${button}" in command "${sequence}"`,
+                'COMMAND_ERROR'
+            );
+        }
+    }
+
+    const notation = charge ? `[${charge}]${motion}` : motion;
+    return {
+        notation,
+        charge: charge ? Number(charge) : null,
+        motion: [...motion].map(Number),
+        buttons: [...buttons],
+        leniency: MOTION_CONFIG.leniency[notation] || MOTION_CONFIG.defaultLeniency,
+        priority: MOTION_CONFIG.priority[notation] !== undefined ?
+            MOTION_CONFIG.priority[notation] : motion.length * 10
+    };
+}
+
+/**
+ * Reads motion and charge commands from a character's direction history
+ * @class
+ */
+class CommandInterpreter {
+    constructor() {
+        /** @type {Array<{direction: number, frame: number}>} One entry per direction change */
+        this.history = [];
+        this.charge = {};
+        this.releasedCharge = {};
+        Object.keys(MOTION_CONFIG.chargeGroups).forEach(group => {
+            this.charge[group] = 0;
+            this.releasedCharge[group] = null;
+        });
+    }
+
+    /**
+     * Records the direction held on a frame
+     * @param {number} direction - Numpad direction
+     * @param {number} frame - Simulation frame
+     */
+    update(direction, frame) {
+        const last = this.history[this.history.length - 1];
+        if (!last || last.direction !== direction) {
+            this.history.push({ direction, frame });
+        }
+
+        // Keep the entry that was held when the window starts
+        const oldest = frame - MOTION_CONFIG.historyFrames;
+        while (this.history.length > 1 && this.history[1].frame <= oldest) {
+            this.history.shift();
+        }
+
+        Object.entries(MOTION_CONFIG.chargeGroups).forEach(([group, directions]) => {
+            if (directions.includes(direction)) {
+                this.charge[group]++;
+            } else if (this.charge[group] > 0) {
+                this.releasedCharge[group] = { frames: this.charge[group], frame };
+                this.charge[group] = 0;
+            }
+        });
+    }
+
+    /**
+     * Checks whether a parsed command's directions were entered in time
+     * @param {Object} command - Result of parseCommand
+     * @param {number} frame - Frame the button was pressed on
+     * @returns {boolean}
+     */
+    matches(command, frame) {
+        if (command.charge !== null) {
+            return this.matchesCharge(command, frame);
+        }
+
+        const motions = [command.motion];
+        (MOTION_CONFIG.shortcuts[command.notation] || []).forEach(shortcut => {
+            motions.push([...shortcut].map(Number));
+        });
+        return motions.some(motion => this.matchesMotion(motion, command.leniency, frame));
+    }
+
+    /**
+     * Scans the history backwards for the motion's directions in order.
+     * Extra directions in between are allowed.
+     * @private
+     */
+    matchesMotion(motion, leniency, frame) {
+        if (motion.length === 0) return true;
+
+        // Repeated directions (22) must be separate presses, so no tolerance
+        const exact = motion.some((direction, i) => direction === motion[i - 1]);
+        let index = motion.length - 1;
+
+        for (let i = this.history.length - 1; i >= 0 && index >= 0; i--) {
+            const entry = this.history[i];
+            const endFrame = i + 1 < this.history.length ? this.history[i + 1].frame : frame;
+            if (endFrame < frame - leniency) break;
+
+            if (this.accepts(motion[index], entry.direction, exact)) {
+                if (index === motion.length - 1 &&
+                    frame - endFrame > MOTION_CONFIG.buttonWindow) {
+                    return false;
+                }
+                index--;
+            }
+        }
+        return index < 0;
+    }
+
+    /**
+     * A charge command needs a long enough hold, released just before the
+     * rest of the motion
+     * @private
+     */
+    matchesCharge(command, frame) {
+        const released = this.releasedCharge[command.charge];
+        if (!released || released.frames < MOTION_CONFIG.chargeFrames ||
+            frame - released.frame > command.leniency) {
+            return false;
+        }
+        return this.matchesMotion(command.motion, frame - released.frame, frame);
+    }
+
+    /**
+     * @private
+     */
+    accepts(expected, direction, exact) {
+        if (expected === direction) return true;
+        return !exact && (MOTION_CONFIG.tolerance[expected] || []).includes(direction);
+    }
+
+    saveState() {
+        return structuredClone({
+            history: this.history,
+            charge: this.charge,
+            releasedCharge: this.releasedCharge
+        });
+    }
+
+    loadState(state) {
+        Object.assign(this, structuredClone(state));
+    }
+}
+
+/**
+ * Hitbox or hurtbox, relative to the character's top-left corner when facing
+ * right. frames limits a hitbox to [first, last] frames of its state.
+ * @constant {Object}
+ */
+const BOX_SCHEMA = {
+    type: 'object',
+    fields: {
+        x: { type: 'number', required: true },
+        y: { type: 'number', required: true },
+        width: { type: 'number', min: 0, required: true },
+        height: { type: 'number', min: 0, required: true },
+        frames: { type: 'array', length: 2, items: { type: 'number', integer: true, min: 0 } }
+    }
+};
+
+/**
+ * Fighter stances; each can have its own hurtboxes
+ * @constant {Array<string>}
+ */
+const STANCES = ['stand', 'crouch', 'air'];
+
+/**
+ * How an attack must be blocked. High and mid attacks are blocked standing
+ * or crouching, though highs miss crouching fighters outright. Lows must be
+ * blocked crouching and overheads standing.
+ * @constant {Array<string>}
+ */
+const ATTACK_PROPERTIES = ['high', 'mid', 'low', 'overhead'];
+
+/**
+ * Special move entry. Characters may also list a move by the name of a
+ * shared move in moves.json.
+ * @constant {Object}
+ */
+const MOVE_SCHEMA = {
+    type: 'object',
+    fields: {
+        sequence: { type: 'command', required: true },
+        energyCost: { type: 'number', min: 0, default: 0 },
+        // Super meter bars spent; a move with bars is a super
+        bars: { type: 'number', integer: true, min: 1, max: 3 },
+        damage: { type: 'number', min: 0, default: 20 },
+        priority: { type: 'number' },
+        leniency: { type: 'number', integer: true, min: 1 },
+        // Frame data; omitted values come from MOVE_CONFIG.special
+        startupFrames: { type: 'number', integer: true, min: 0 },
+        activeFrames: { type: 'number', integer: true, min: 1 },
+        recoveryFrames: { type: 'number', integer: true, min: 0 },
+        cancelWindow: { type: 'array', length: 2, items: { type: 'number', integer: true, min: 1 } },
+        cancelInto: { type: 'array', items: { type: 'string' } },
+        hits: { type: 'number', integer: true, min: 1 },
+        // Juggle points spent hitting an airborne opponent
+        juggle: { type: 'number', integer: true, min: 0 },
+        // Frames both fighters freeze for when the move connects
+        hitstop: { type: 'number', integer: true, min: 0 },
+        // Starting speed of the defender's pushback, px per frame
+        pushback: { type: 'number', min: 0 },
+        property: { type: 'string', oneOf: ATTACK_PROPERTIES },
+        // Spawned on the first active frame
+        projectile: {
+            type: 'object',
+            fields: {
+                speed: { type: 'number', default: 8 },
+                lifetime: { type: 'number', integer: true, min: 1, default: 120 },
+                width: { type: 'number', min: 1, default: 40 },
+                height: { type: 'number', min: 1, default: 40 }
+            }
+        }
+    }
+};
+
+/**
+ * Frame data overrides for a normal attack; omitted values come from
+ * MOVE_CONFIG.normals
+ * @constant {Object}
+ */
+const NORMAL_SCHEMA = {
+    type: 'object',
+    fields: {
+        damage: { type: 'number', min: 0 },
+        startupFrames: MOVE_SCHEMA.fields.startupFrames,
+        activeFrames: MOVE_SCHEMA.fields.activeFrames,
+        recoveryFrames: MOVE_SCHEMA.fields.recoveryFrames,
+        cancelWindow: MOVE_SCHEMA.fields.cancelWindow,
+        cancelInto: MOVE_SCHEMA.fields.cancelInto,
+        hits: MOVE_SCHEMA.fields.hits,
+        juggle: MOVE_SCHEMA.fields.juggle,
+        hitstop: MOVE_SCHEMA.fields.hitstop,
+        pushback: MOVE_SCHEMA.fields.pushback,
+        // Property by the stance the normal is started from
+        properties: {
+            type: 'object',
+            fields: Object.fromEntries(STANCES.map(stance => [stance, MOVE_SCHEMA.fields.property]))
+        }
+    }
+};
+
+/**
+ * One direction of a character's throw
+ * @constant {Object}
+ */
+const THROW_SCHEMA = {
+    type: 'object',
+    default: {},
+    fields: {
+        damage: { type: 'number', min: 0, default: 12 },
+        // Length of the throw animation; damage lands when it ends
+        frames: { type: 'number', integer: true, min: 1, default: 30 },
+        // Whether the opponent lands on the other side of the thrower
+        sideSwitch: { type: 'boolean', default: false }
+    }
+};
+
+/**
+ * One color set for a character's sprites
+ * @constant {Object}
+ */
+const PALETTE_SCHEMA = {
+    type: 'object',
+    fields: {
+        name: { type: 'string', required: true },
+        // Sprite color to replace mapped to its replacement, both '#rrggbb'
+        colors: { type: 'map', default: {}, keys: { type: 'color' }, values: { type: 'color' } }
+    }
+};
+
+/**
+ * Character definition schema, one entry per fighter in characters.json.
+ * Omitted optional fields take the defaults listed here.
+ * @constant {Object}
+ */
+const CHARACTER_SCHEMA = {
+    type: 'object',
+    fields: {
+        name: { type: 'string', default: 'Fighter' },
+        stats: {
+            type: 'object',
+            default: {},
+            fields: {
+                walkSpeed: { type: 'number', min: 0, default: 5 },
+                jumpForce: { type: 'number', max: 0, default: -15 },
+                maxHealth: { type: 'number', integer: true, min: 1, default: 100 },
+                blockReduction: { type: 'number', min: 0, max: 1, default: 0.5 }
+            }
+        },
+        size: {
+            type: 'object',
+            default: {},
+            fields: {
+                width: { type: 'number', min: 1, default: 60 },
+                height: { type: 'number', min: 1, default: 100 }
+            }
+        },
+        // Animation per state; sprite names an entry in sprites
+        states: {
+            type: 'map',
+            default: {},
+            values: {
+                type: 'object',
+                fields: {
+                    sprite: { type: 'string', required: true },
+                    frameCount: { type: 'number', integer: true, min: 1, default: 1 },
+                    frameDuration: { type: 'number', integer: true, min: 1, default: 6 },
+                    loop: { type: 'boolean', default: true }
+                }
+            }
+        },
+        // Per stance or state. A stance entry covers every state in that
+        // stance; 'default' applies to states without their own entry
+        hurtboxes: { type: 'map', default: {}, values: { type: 'array', items: BOX_SCHEMA } },
+        // Body box that keeps the fighters apart; defaults to the whole body
+        pushbox: BOX_SCHEMA,
+        hitboxes: {
+            type: 'map',
+            default: { attack: [{ x: 45, y: 20, width: 45, height: 20 }] },
+            values: { type: 'array', items: BOX_SCHEMA }
+        },
+        moves: { type: 'map', default: {}, values: MOVE_SCHEMA },
+        // Throw range, relative to the character like a hitbox
+        throwbox: { ...BOX_SCHEMA, default: { x: 40, y: 10, width: 35, height: 80 } },
+        throws: {
+            type: 'object',
+            default: {},
+            fields: {
+                forward: THROW_SCHEMA,
+                back: {
+                    ...THROW_SCHEMA,
+                    fields: { ...THROW_SCHEMA.fields, sideSwitch: { type: 'boolean', default: true } }
+                }
+            }
+        },
+        normals: {
+            type: 'object',
+            default: {},
+            fields: { light: NORMAL_SCHEMA, medium: NORMAL_SCHEMA, heavy: NORMAL_SCHEMA }
+        },
+        sprites: { type: 'map', default: {}, values: { type: 'string' } },
+        // Shown on character select and flashed when the character starts a super
+        portrait: { type: 'string' },
+        // Selectable color sets; the first is the default
+        palettes: { type: 'array', default: [{ name: 'Default' }], items: PALETTE_SCHEMA },
+        sounds: { type: 'map', default: {}, values: { type: 'string' } },
+        // Arcade mode: whether this fighter is the final boss, a scripted
+        // ladder of opponent ids (random when empty) and the ending shown
+        // after beating the boss, one page per entry
+        arcade: {
+            type: 'object',
+            default: {},
+            fields: {
+                boss: { type: 'boolean', default: false },
+                ladder: { type: 'array', default: [], items: { type: 'string' } },
+                ending: {
+                    type: 'array',
+                    default: [],
+                    items: {
+                        type: 'object',
+                        fields: {
+                            text: { type: 'string', required: true },
+                            image: { type: 'string' }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * States every character has; move names add one state each
+ * @constant {Array<string>}
+ */
+const CHARACTER_STATES = [
+    'idle', 'walk', 'jump', 'crouch', 'attack', 'block', 'crouchBlock', 'hit', 'ko',
+    'throw', 'throwForward', 'throwBack', 'grabbed', 'knockdown'
+];
+
+/**
+ * Normal attack strengths; hitboxes may be keyed by these as well as states
+ * @constant {Array<string>}
+ */
+const NORMAL_STRENGTHS = ['light', 'medium', 'heavy'];
+
+/**
+ * Checks a value against a schema and fills in defaults
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - Schema node
+ * @param {string} file - Source file, for error messages
+ * @param {string} path - Dotted path of the value within the file
+ * @returns {*} Copy of the value with defaults applied
+ * @throws {GameError} DATA_ERROR naming the file, path and reason
+ */
+function normalizeData(value, schema, file, path) {
+    const fail = reason => {
+        throw new GameError(`${file}: ${path || '(root)'}: ${reason}`, 'DATA_ERROR');
+    };
+    const child = key => (path ? `${path}.${key}` : String(key));
+    const isObject = candidate =>
+        candidate !== null && typeof candidate === 'object' && !Array.isArray(candidate);
+
+    switch (schema.type) {
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) fail('expected a number');
+            if (schema.integer && !Number.isInteger(value)) fail('expected a whole number');
+            if (schema.min !== undefined && value < schema.min) fail(`must be at least ${schema.min}`);
+            if (schema.max !== undefined && value > schema.max) fail(`must be at most ${schema.max}`);
+            return value;
+
+        case 'string':
+            if (typeof value !== 'string' || value === '') fail('expected a non-empty string');
+            if (schema.oneOf && !schema.oneOf.includes(value)) {
+                fail(`expected one of ${schema.oneOf.join(', ')}`);
+            }
+            return value;
+
+        case 'boolean':
+            if (typeof value !== 'boolean') fail('expected true or false');
+            return value;
+
+        case 'color':
+            if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+                fail('expected a color such as "#ff0000"');
+            }
+            return value.toLowerCase();
+
+        case 'command':
+            if (typeof value !== 'string') fail('expected a command string such as "236P"');
+            try {
+                parseCommand(value);
+            } catch (error) {
+                fail(error.message);
+            }
+            return value;
+
+        case 'array':
+            if (!Array.isArray(value)) fail('expected an array');
+            if (schema.length !== undefined && value.length !== schema.length) {
+                fail(`expected exactly ${schema.length} items`);
+            }
+            return value.map((item, index) =>
+                normalizeData(item, schema.items, file, `${path}[${index}]`)
+            );
+
+        case 'map':
+            if (!isObject(value)) fail('expected an object');
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+                schema.keys ? normalizeData(key, schema.keys, file, child(key)) : key,
+                normalizeData(item, schema.values, file, child(key))
+            ]));
+
+        case 'object': {
+            if (!isObject(value)) fail('expected an object');
+            Object.keys(value).forEach(key => {
+                if (!schema.fields[key]) fail(`unknown field "${key}"`);
+            });
+
+            const result = {};
+            Object.entries(schema.fields).forEach(([key, field]) => {
+                if (value[key] !== undefined) {
+                    result[key] = normalizeData(value[key], field, file, child(key));
+                } else if (field.required) {
+                    fail(`missing required field "${key}"`);
+                } else if (field.default !== undefined) {
+                    result[key] = normalizeData(
+                        JSON.parse(JSON.stringify(field.default)), field, file, child(key)
+                    );
+                }
+            });
+            return result;
+        }
+
+        default:
+            throw new GameError(`Unknown schema type "${schema.type}"`, 'DATA_ERROR');
+    }
+}
+
+/**
+ * Validates one character definition, including references between its
+ * states, sprites, hitboxes and moves
+ * @param {Object} data - Character definition
+ * @param {string} [file='character data'] - Source file, for error messages
+ * @param {string} [path=''] - Path of the definition within the file
+ * @returns {Object} Definition with defaults applied
+ * @throws {GameError} DATA_ERROR naming the file, path and reason
+ */
+function normalizeCharacterData(data, file = 'character data', path = '') {
+    const character = normalizeData(data, CHARACTER_SCHEMA, file, path);
+    const at = key => (path ? `${path}.${key}` : key);
+    const fail = (key, reason) => {
+        throw new GameError(`${file}: ${at(key)}: ${reason}`, 'DATA_ERROR');
+    };
+
+    if (character.palettes.length === 0) {
+        fail('palettes', 'expected at least one palette');
+    }
+
+    Object.entries(character.states).forEach(([state, animation]) => {
+        if (!character.sprites[animation.sprite]) {
+            fail(`states.${state}.sprite`, `no sprite named "${animation.sprite}"`);
+        }
+    });
+
+    const knownStates = [...CHARACTER_STATES, ...Object.keys(character.moves)];
+    ['states', 'hitboxes', 'hurtboxes'].forEach(section => {
+        Object.keys(character[section]).forEach(state => {
+            const isAlias = (section === 'hurtboxes' && (state === 'default' || STANCES.includes(state))) ||
+                (section === 'hitboxes' && NORMAL_STRENGTHS.includes(state));
+            if (!knownStates.includes(state) && !isAlias) {
+                fail(`${section}.${state}`, `no state or move named "${state}"`);
+            }
+        });
+    });
+
+    // Cancel targets are a strength, 'special' or 'super' for any of those, or a move name
+    const cancelTargets = [...NORMAL_STRENGTHS, 'special', 'super', ...Object.keys(character.moves)];
+    const checkCancels = (section, name, move) => {
+        (move.cancelInto || []).forEach((target, index) => {
+            if (!cancelTargets.includes(target)) {
+                fail(`${section}.${name}.cancelInto[${index}]`, `no move named "${target}"`);
+            }
+        });
+    };
+    Object.entries(character.normals).forEach(([name, move]) => checkCancels('normals', name, move));
+    Object.entries(character.moves).forEach(([name, move]) => checkCancels('moves', name, move));
+
+    return character;
+}
+
+/**
+ * Validates the character roster, resolving moves listed by shared name
+ * and checking that arcade ladders only name fighters in the roster
+ * @param {Object} characters - Parsed characters.json, keyed by character id
+ * @param {Object} [sharedMoves={}] - Parsed moves.json, keyed by move name
+ * @param {Object} [files] - File names, for error messages
+ * @returns {Object} Roster with defaults applied
+ * @throws {GameError} DATA_ERROR naming the file, path and reason
+ */
+function validateRoster(characters, sharedMoves = {}, files = {}) {
+    const charactersFile = files.characters || 'characters.json';
+    const movesFile = files.moves || 'moves.json';
+    const moves = normalizeData(sharedMoves, { type: 'map', values: MOVE_SCHEMA }, movesFile, '');
+
+    if (characters === null || typeof characters !== 'object' || Array.isArray(characters)) {
+        throw new GameError(`${charactersFile}: (root): expected an object keyed by character id`, 'DATA_ERROR');
+    }
+
+    const roster = Object.fromEntries(Object.entries(characters).map(([id, data]) => {
+        const resolved = data && typeof data.moves === 'object' && data.moves !== null ?
+            { ...data, moves: { ...data.moves } } : data;
+        if (resolved && resolved.moves) {
+            Object.entries(resolved.moves).forEach(([name, move]) => {
+                if (typeof move !== 'string') return;
+                if (!moves[move]) {
+                    throw new GameError(
+                        `${charactersFile}: ${id}.moves.${name}: no shared move named "${move}" in ${movesFile}`,
+                        'DATA_ERROR'
+                    );
+                }
+                resolved.moves[name] = moves[move];
+            });
+        }
+        return [id, normalizeCharacterData(resolved, charactersFile, id)];
+    }));
+
+    Object.entries(roster).forEach(([id, character]) => {
+        character.arcade.ladder.forEach((opponent, index) => {
+            if (!roster[opponent]) {
+                throw new GameError(
+                    `${charactersFile}: ${id}.arcade.ladder[${index}]: no character with id "${opponent}"`,
+                    'DATA_ERROR'
+                );
+            }
+        });
+    });
+    return roster;
+}
+
+/**
+ * One stage layer, drawn back to front in the order listed
+ * @constant {Object}
+ */
+const STAGE_LAYER_SCHEMA = {
+    type: 'object',
+    fields: {
+        image: { type: 'string', required: true },
+        // Parallax: 0 stays fixed on screen, 1 moves with the fighters
+        scroll: { type: 'number', min: 0, default: 1 },
+        x: { type: 'number', default: 0 },
+        y: { type: 'number', default: 0 },
+        // Tile the image across the view
+        repeat: { type: 'boolean', default: false },
+        // px per frame; drifting layers wrap around the stage (clouds)
+        drift: { type: 'number', default: 0 },
+        // Animation frames, side by side in the image (flags)
+        frameCount: { type: 'number', integer: true, min: 1, default: 1 },
+        frameDuration: { type: 'number', integer: true, min: 1, default: 6 }
+    }
+};
+
+/**
+ * Stage definition schema, one entry per stage in stages.json
+ * @constant {Object}
+ */
+const STAGE_SCHEMA = {
+    type: 'object',
+    fields: {
+        name: { type: 'string', default: 'Stage' },
+        width: { type: 'number', min: 1, default: GAME_CONFIG.arena.width },
+        height: { type: 'number', min: 1, default: GAME_CONFIG.arena.height },
+        // Floor below the fighters' feet, in px from the bottom of the stage
+        floorHeight: { type: 'number', min: 0, default: 0 },
+        // Fills whatever the layers leave uncovered
+        color: { type: 'string', default: '#333' },
+        layers: { type: 'array', items: STAGE_LAYER_SCHEMA, default: [] },
+        // AudioManager music track key
+        music: { type: 'string', default: 'battleTheme' }
+    }
+};
+
+/**
+ * Validates the stage list
+ * @param {Object} stages - Parsed stages.json, keyed by stage id
+ * @param {string} [file='stages.json'] - Source file, for error messages
+ * @returns {Object} Stages with defaults applied
+ * @throws {GameError} DATA_ERROR naming the file, path and reason
+ */
+function validateStages(stages, file = 'stages.json') {
+    const validated = normalizeData(stages, { type: 'map', values: STAGE_SCHEMA }, file, '');
+    if (Object.keys(validated).length === 0) {
+        throw new GameError(`${file}: (root): expected at least one stage`, 'DATA_ERROR');
+    }
+    Object.entries(validated).forEach(([id, stage]) => {
+        if (stage.floorHeight >= stage.height) {
+            throw new GameError(`${file}: ${id}.floorHeight: must be less than the height`, 'DATA_ERROR');
+        }
+    });
+    return validated;
+}
+
+/**
+ * Simulation arena for a stage: the stage's width, with the floor line as
+ * its height
+ * @param {Object} stage - Validated stage data
+ * @returns {Object} Arena for the Simulation
+ */
+function getStageArena(stage) {
+    return {
+        ...GAME_CONFIG.arena,
+        width: stage.width,
+        height: stage.height - stage.floorHeight
+    };
+}
+
+/**
+ * Polls the character data files and re-applies them when they change, so
+ * designers can tune fighters without reloading the page. Development only.
+ * @class
+ */
+class DataHotReloader {
+    /**
+     * @param {Object} options - Reloader options
+     * @param {Object} options.files - Data file paths keyed by data name
+     * @param {Function} options.onReload - Receives the validated roster
+     * @param {Function} options.onError - Receives a GameError for invalid data
+     * @param {number} [options.interval=1000] - Poll interval in milliseconds
+     */
+    constructor({ files, onReload, onError, interval = 1000 }) {
+        this.files = files;
+        this.onReload = onReload;
+        this.onError = onError;
+        this.interval = interval;
+        this.lastText = null;
+        this.timer = null;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.check(), this.interval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Fetches the files and reloads if their contents changed
+     * @async
+     */
+    async check() {
+        try {
+            const texts = await Promise.all(Object.values(this.files).map(path =>
+                fetch(path, { cache: 'no-store' }).then(response => response.text())
+            ));
+            const combined = texts.join('\n');
+            if (combined === this.lastText) return;
+
+            const isFirstCheck = this.lastText === null;
+            this.lastText = combined;
+            if (isFirstCheck) return;
+
+            const names = Object.keys(this.files);
+            const parsed = {};
+            names.forEach((name, index) => {
+                try {
+                    parsed[name] = JSON.parse(texts[index]);
+                } catch (error) {
+                    throw new GameError(`${this.files[name]}: ${error.message}`, 'DATA_ERROR');
+                }
+            });
+            this.onReload(validateRoster(parsed.characters, parsed.moves, this.files));
+        } catch (error) {
+            this.onError(error);
+        }
+    }
+}
+
+/**
+ * Character fields that hold references or load-time data rather than
+ * per-frame state; snapshots leave them out.
+ * @constant {Array<string>}
+ */
+const CHARACTER_STATIC_FIELDS = [
+    'game', 'sim', 'name', 'stats', 'states', 'moves', 'moveCommands', 'moveset',
+    'hitboxes', 'hurtboxes', 'pushbox', 'throws', 'sprites', 'portrait', 'palette', 'sounds'
+];
+
+/**
+ * Represents a playable character in the game
+ */
+class Character {
+    /**
+     * Creates a new Character instance
+     * @param {Game} game - Reference to the main game instance
+     * @param {number} x - Initial X position
+     * @param {number} y - Initial Y position
+     * @param {boolean} isPlayer1 - Whether this is player 1
+     * @param {Object} characterData - Character configuration data
+     */
+    constructor(game, x, y, isPlayer1, characterData) {
+        this.game = game;
+        this.x = x;
+        this.y = y;
+        this.isPlayer1 = isPlayer1;
+        
+        // Load character data (also sets width and height)
+        this.loadCharacterData(characterData);
+        /** @type {number} Index into palettes; chosen on character select */
+        this.palette = 0;
+        
+        // Physics state
+        this.velocityX = 0;
+        this.velocityY = 0;
+        this.isGrounded = false;
+        this.isCrouching = false;
+        this.facing = isPlayer1 ? 1 : -1;
+        
+        // Combat state
+        this.health = this.maxHealth;
+        this.energy = 100;
+        /** @type {number} Super meter; COMBAT_CONFIG.meter.barSize per bar */
+        this.meter = 0;
+        this.isBlocking = false;
+        this.isAttacking = false;
+        this.attackStrength = 'light';
+        /** @type {Object|null} Move being performed: { name, frame, connected, hitCount, lastHitFrame } */
+        this.activeMove = null;
+        this.isHit = false;
+        this.hitStunTime = 0;
+        this.blockStunTime = 0;
+        this.invulnerable = false;
+        /** @type {number} Pushback speed from the last hit, px per frame, signed */
+        this.pushback = 0;
+
+        // Throw state
+        this.isGrabbed = false;
+        /** @type {boolean} Throw was pressed while grabbed, to tech */
+        this.techRequested = false;
+        this.throwInvulnerableTime = 0;
+        
+        // Animation state
+        this.currentState = 'idle';
+        this.stateTime = 0;
+        
+        // Direction history for special move commands
+        this.commandInterpreter = new CommandInterpreter();
+        this.previousInput = EMPTY_INPUT;
+
+        /** @type {Simulation|null} Simulation this fighter belongs to */
+        this.sim = null;
+    }
+
+    /**
+     * Copies the per-frame state of this fighter
+     * @returns {Object} Snapshot of the fighter
+     */
+    saveState() {
+        const state = {};
+        Object.keys(this).forEach(key => {
+            if (CHARACTER_STATIC_FIELDS.includes(key)) return;
+
+            const value = this[key];
+            state[key] = value && typeof value.saveState === 'function' ?
+                value.saveState() : structuredClone(value);
+        });
+        return state;
+    }
+
+    /**
+     * Restores a snapshot taken with saveState
+     * @param {Object} state - Snapshot of the fighter
+     */
+    loadState(state) {
+        // Drop fields that were first set after the snapshot was taken
+        Object.keys(this).forEach(key => {
+            if (!(key in state) && !CHARACTER_STATIC_FIELDS.includes(key)) {
+                delete this[key];
+            }
+        });
+        Object.entries(state).forEach(([key, value]) => {
+            const current = this[key];
+            if (current && typeof current.loadState === 'function') {
+                current.loadState(value);
+            } else {
+                this[key] = structuredClone(value);
+            }
+        });
+    }
+
+    /**
+     * Applies a character definition; see CHARACTER_SCHEMA
+     * @param {Object} data - Character definition
+     * @throws {GameError} If the definition does not match the schema
+     */
+    loadCharacterData(data) {
+        const character = normalizeCharacterData(data);
+        this.name = character.name;
+        this.stats = character.stats;
+        this.maxHealth = character.stats.maxHealth;
+        this.width = character.size.width;
+        this.height = character.size.height;
+        this.states = character.states;
+        this.sprites = character.sprites;
+        this.portrait = character.portrait || null;
+        this.sounds = character.sounds;
+        
+        this.moves = character.moves;
+        this.moveCommands = Object.entries(this.moves)
+            .filter(([, move]) => move.sequence)
+            .map(([name, move]) => {
+                const command = parseCommand(move.sequence);
+                return {
+                    ...command,
+                    name,
+                    leniency: move.leniency || command.leniency,
+                    priority: move.priority !== undefined ? move.priority : command.priority
+                };
+            })
+            .sort((a, b) => b.priority - a.priority);
+        this.hitboxes = character.hitboxes;
+        this.hurtboxes = character.hurtboxes;
+        this.pushbox = character.pushbox || null;
+        this.throws = character.throws;
+
+        // Frame data for every normal and special, keyed by move name
+        this.moveset = {};
+        const crouchOffset = this.height - Math.round(this.height * COMBAT_CONFIG.crouchHeight);
+        NORMAL_STRENGTHS.forEach(strength => {
+            const definition = createMoveDefinition(
+                strength,
+                strength,
+                character.normals[strength] || {},
+                this.hitboxes[strength] || this.hitboxes.attack || []
+            );
+            // Crouching normals use the crouch boxes, or their standing boxes lowered
+            definition.crouchHitboxes = this.hitboxes.crouch ||
+                definition.hitboxes.map(box => ({ ...box, y: box.y + crouchOffset }));
+            this.moveset[strength] = definition;
+        });
+        Object.entries(this.moves).forEach(([name, move]) => {
+            this.moveset[name] = createMoveDefinition(
+                name, move.bars ? 'super' : 'special', move, this.hitboxes[name] || []
+            );
+        });
+        this.moveset.throw = createMoveDefinition('throw', 'throw', {}, [character.throwbox]);
+    }
+
+    /**
+     * Converts a box defined relative to the character's front into arena
+     * coordinates, mirroring it when facing left
+     * @param {Object} box - Box with x, y, width, height
+     * @returns {Object} Box in arena coordinates
+     */
+    toWorldBox(box) {
+        const x = this.facing === 1 ?
+            this.x + box.x :
+            this.x + this.width - box.x - box.width;
+        return {
+            x,
+            y: this.y + box.y,
+            width: box.width,
+            height: box.height
+        };
+    }
+
+    /**
+     * Returns the areas where this character can be hit
+     * @returns {Array<Object>} Hurtboxes in arena coordinates
+     */
+    getHurtboxes() {
+        const stance = this.getStance();
+        // Crouching never falls back to the standing boxes
+        let boxes = this.hurtboxes[stance];
+        if (!boxes && stance !== 'crouch') {
+            boxes = this.hurtboxes[this.currentState] || this.hurtboxes.default;
+        }
+        if (!boxes) {
+            const height = stance === 'crouch' ?
+                Math.round(this.height * COMBAT_CONFIG.crouchHeight) : this.height;
+            return [{ x: this.x, y: this.y + this.height - height, width: this.width, height }];
+        }
+        return boxes.map(box => this.toWorldBox(box));
+    }
+
+    /**
+     * @returns {string} stand, crouch or air
+     */
+    getStance() {
+        if (!this.isGrounded) return 'air';
+        return this.isCrouching ? 'crouch' : 'stand';
+    }
+
+    /**
+     * @returns {string} State to return to once a move, hitstun or blockstun ends
+     */
+    getNeutralState() {
+        if (!this.isGrounded) return 'jump';
+        return this.isCrouching ? 'crouch' : 'idle';
+    }
+
+    /**
+     * Returns the areas where the current attack can hit
+     * @returns {Array<Object>} Hitboxes in arena coordinates
+     */
+    getActiveHitboxes() {
+        const attack = this.getActiveAttack();
+        return attack ? attack.boxes : [];
+    }
+
+    /**
+     * Describes the move currently able to hit, for combat resolution
+     * @returns {Object|null} The move definition, its boxes in arena
+     *     coordinates and its property, or null outside active frames
+     */
+    getActiveAttack() {
+        if (this.getMovePhase() !== 'active') return null;
+
+        const definition = this.moveset[this.activeMove.name];
+        const { frame, stance } = this.activeMove;
+        const hitboxes = (stance === 'crouch' && definition.crouchHitboxes) || definition.hitboxes;
+        const boxes = hitboxes
+            .filter(box => !box.frames || (frame >= box.frames[0] && frame <= box.frames[1]))
+            .map(box => this.toWorldBox(box));
+        return boxes.length > 0 ? { move: definition, boxes, property: this.getAttackProperty() } : null;
+    }
+
+    /**
+     * @returns {string|null} The current move's property (see
+     *     ATTACK_PROPERTIES), or null when not attacking
+     */
+    getAttackProperty() {
+        if (!this.activeMove) return null;
+        return this.moveset[this.activeMove.name].properties[this.activeMove.stance];
+    }
+
+    /**
+     * Whether the guard is up against an attack with the given property
+     * @param {string} property - One of ATTACK_PROPERTIES, or throw
+     * @returns {boolean} True if the attack would be blocked
+     */
+    blocks(property) {
+        if (!this.isBlocking || property === 'throw') return false;
+
+        const stance = this.getStance();
+        if (property === 'low') return stance === 'crouch';
+        if (property === 'overhead') return stance === 'stand';
+        return stance !== 'air';
+    }
+
+    /**
+     * Whether the active move may land another hit this frame. Moves hit
+     * once per activation; multi-hit moves spread their hits evenly over
+     * the active frames.
+     * @returns {boolean} True if a hit now would count
+     */
+    canLandHit() {
+        // A throw that has grabbed lands through ThrowSystem instead
+        if (!this.activeMove || this.activeMove.grabbed) return false;
+
+        const definition = this.moveset[this.activeMove.name];
+        const { hitCount, lastHitFrame, frame } = this.activeMove;
+        if (hitCount >= definition.hits) return false;
+
+        const interval = Math.max(1, Math.floor(definition.activeFrames / definition.hits));
+        return hitCount === 0 || frame - lastHitFrame >= interval;
+    }
+
+    /**
+     * Whether a throw can grab this character. Airborne fighters can't be
+     * thrown, so jumps are throw-invulnerable from their first frame.
+     * @returns {boolean} True if throwable
+     */
+    canBeThrown() {
+        return this.isGrounded && !this.isHit && !this.isGrabbed && !this.invulnerable &&
+            this.blockStunTime <= 0 && this.throwInvulnerableTime <= 0 && this.health > 0;
+    }
+
+    /**
+     * @returns {string|null} startup, active or recovery, or null when not attacking
+     */
+    getMovePhase() {
+        if (!this.activeMove) return null;
+        return getMovePhase(this.moveset[this.activeMove.name], this.activeMove.frame);
+    }
+
+    /**
+     * Advances character state by one simulation frame
+     */
+    update() {
+        // Update physics
+        this.updatePhysics();
+        
+        // Update animation
+        this.updateAnimation();
+        
+        // Update combat state
+        this.updateCombat();
+
+        // Advance the current move's phases
+        this.updateMove();
+        
+        // Regenerate energy
+        if (this.energy < 100) {
+            this.energy = Math.min(100, this.energy + 0.1);
+        }
+    }
+
+    updatePhysics() {
+        // Apply gravity
+        if (!this.isGrounded) {
+            this.velocityY += GAME_CONFIG.gravity;
+        }
+        
+        // Update position
+        this.x += this.velocityX;
+        this.y += this.velocityY;
+        
+        // Check ground collision
+        const ground = this.sim.arena.height - this.height;
+        if (this.y > ground) {
+            this.y = ground;
+            this.velocityY = 0;
+            this.isGrounded = true;
+            // Air attacks end on landing
+            if (this.activeMove && this.activeMove.stance === 'air') {
+                this.endMove();
+            }
+        }
+        
+        // Check arena boundaries
+        this.clampToArena();
+
+        this.updatePushback();
+    }
+
+    /**
+     * Moves the character by its pushback, which slows each frame. Pushback
+     * a wall stops moves the opponent away instead, so hits in the corner
+     * push the attacker out.
+     */
+    updatePushback() {
+        if (this.pushback === 0) return;
+
+        this.x += this.pushback;
+        const stopped = this.clampToArena();
+        if (stopped !== 0) {
+            const opponent = this.sim.getOpponent(this);
+            opponent.x += stopped;
+            opponent.clampToArena();
+        }
+
+        const speed = Math.max(0, Math.abs(this.pushback) - COMBAT_CONFIG.pushbackFriction);
+        this.pushback = Math.sign(this.pushback) * speed;
+    }
+
+    /**
+     * Keeps the character inside the arena's side walls
+     * @returns {number} How far the character was moved back in
+     */
+    clampToArena() {
+        const x = Math.max(0, Math.min(this.x, this.sim.arena.width - this.width));
+        const correction = x - this.x;
+        this.x = x;
+        return correction;
+    }
+
+    /**
+     * Returns the body box that keeps the fighters apart. Without a pushbox
+     * in the character data it is the whole body, lowered while crouching.
+     * @returns {Object} Pushbox in arena coordinates
+     */
+    getPushbox() {
+        if (this.pushbox) return this.toWorldBox(this.pushbox);
+
+        const height = this.getStance() === 'crouch' ?
+            Math.round(this.height * COMBAT_CONFIG.crouchHeight) : this.height;
+        return { x: this.x, y: this.y + this.height - height, width: this.width, height };
+    }
+
+    /**
+     * Turns toward the opponent. Only grounded fighters with no move, stun
+     * or grab in progress turn, so cross-ups switch sides on landing.
+     */
+    faceOpponent() {
+        if (!this.isGrounded || this.isAttacking || this.isHit || this.blockStunTime > 0 ||
+            this.isGrabbed || this.health <= 0) return;
+
+        const opponent = this.sim.getOpponent(this);
+        const offset = (opponent.x + opponent.width / 2) - (this.x + this.width / 2);
+        if (offset !== 0) {
+            this.facing = Math.sign(offset);
+        }
+    }
+
+    updateAnimation() {
+        this.stateTime++;
+    }
+
+    /**
+     * Starts a move from its first startup frame
+     * @param {string} name - Move name in the moveset
+     */
+    startMove(name) {
+        const definition = this.moveset[name];
+        this.activeMove = {
+            name,
+            stance: this.getStance(),
+            frame: 0,
+            connected: false,
+            hitCount: 0,
+            lastHitFrame: 0
+        };
+        this.isAttacking = true;
+        this.isBlocking = false;
+        this.attackStrength = definition.type;
+        this.currentState = definition.state;
+        this.stateTime = 0;
+    }
+
+    updateMove() {
+        // A grabbing throw holds its frame until ThrowSystem releases it
+        if (!this.activeMove || this.activeMove.grabbed) return;
+
+        const definition = this.moveset[this.activeMove.name];
+        this.activeMove.frame++;
+        if (definition.projectile && this.activeMove.frame === definition.startupFrames + 1) {
+            this.spawnProjectile(definition);
+        }
+        if (this.activeMove.frame > definition.totalFrames) {
+            this.endMove();
+        }
+    }
+
+    /**
+     * Finishes recovery and returns to a neutral state
+     */
+    endMove() {
+        this.cancelMove();
+        this.currentState = this.getNeutralState();
+        this.stateTime = 0;
+    }
+
+    /**
+     * Drops the current move without touching the animation state, e.g.
+     * when interrupted by a hit
+     */
+    cancelMove() {
+        this.activeMove = null;
+        this.isAttacking = false;
+    }
+
+    /**
+     * Whether the current move may be cancelled into another one now
+     * @param {string} name - Move to cancel into
+     * @param {string} type - Its type (light, medium, heavy or special)
+     * @returns {boolean} True when idle, or when inside an open cancel window
+     */
+    canCancelInto(name, type) {
+        if (!this.activeMove) return true;
+
+        const definition = this.moveset[this.activeMove.name];
+        const frame = this.activeMove.frame;
+        const window = definition.cancelWindow;
+        return Boolean(window) && this.activeMove.connected &&
+            frame >= window[0] && frame <= window[1] &&
+            (definition.cancelInto.includes(name) || definition.cancelInto.includes(type));
+    }
+
+    /**
+     * Fires a move's projectile from in front of the character
+     * @param {Object} definition - Move definition with a projectile
+     */
+    spawnProjectile(definition) {
+        const { projectile } = definition;
+        this.sim.projectileSystem.addProjectile(new Projectile({
+            x: this.facing === 1 ? this.x + this.width : this.x - projectile.width,
+            y: this.y + 30,
+            width: projectile.width,
+            height: projectile.height,
+            velocity: { x: this.facing * projectile.speed, y: 0 },
+            lifetime: projectile.lifetime,
+            damage: definition.damage,
+            owner: this,
+            move: definition.name,
+            property: this.getAttackProperty(),
+            hitstop: definition.hitstop,
+            pushback: definition.pushback
+        }));
+    }
+
+    /**
+     * Adds super meter, up to COMBAT_CONFIG.meter.maxBars full bars
+     * @param {number} amount - Meter to add
+     */
+    gainMeter(amount) {
+        const { barSize, maxBars } = COMBAT_CONFIG.meter;
+        this.meter = Math.min(barSize * maxBars, this.meter + amount);
+    }
+
+    /**
+     * @returns {number} Full super meter bars
+     */
+    getMeterBars() {
+        return Math.floor(this.meter / COMBAT_CONFIG.meter.barSize);
+    }
+
+    /**
+     * Whether the character has the energy or meter a move costs
+     * @param {Object} definition - Move definition
+     * @returns {boolean} True if the move can be paid for
+     */
+    canAfford(definition) {
+        return definition.bars ?
+            this.getMeterBars() >= definition.bars :
+            this.energy >= definition.energyCost;
+    }
+
+    /**
+     * Queues a sound, using this character's own file for it when defined
+     * @param {string} key - Sound name
+     */
+    emitSound(key) {
+        this.sim.emit('sound', { key, src: this.sounds[key] });
+    }
+
+    /**
+     * Restores full health and a neutral standing state for a new round
+     * @param {number} x - Starting x position
+     */
+    resetForRound(x) {
+        this.x = x;
+        this.y = this.sim.arena.height - this.height;
+        this.velocityX = 0;
+        this.velocityY = 0;
+        this.isGrounded = true;
+        this.isCrouching = false;
+        this.facing = this.isPlayer1 ? 1 : -1;
+
+        this.health = this.maxHealth;
+        this.energy = 100;
+        this.isBlocking = false;
+        this.cancelMove();
+        this.isHit = false;
+        this.hitStunTime = 0;
+        this.blockStunTime = 0;
+        this.invulnerable = false;
+        this.pushback = 0;
+        this.isGrabbed = false;
+        this.techRequested = false;
+        this.throwInvulnerableTime = 0;
+
+        this.currentState = 'idle';
+        this.stateTime = 0;
+        this.previousInput = EMPTY_INPUT;
+    }
+
+    updateCombat() {
+        if (this.isHit) {
+            this.hitStunTime--;
+            if (this.hitStunTime <= 0) {
+                this.isHit = false;
+                this.invulnerable = false;
+                if (this.currentState === 'knockdown') {
+                    // Getting up: throws can't grab straight away
+                    this.throwInvulnerableTime = THROW_CONFIG.wakeUpFrames;
+                }
+                if (['hit', 'knockdown'].includes(this.currentState)) {
+                    this.currentState = this.getNeutralState();
+                }
+            }
+        }
+        if (this.blockStunTime > 0) {
+            this.blockStunTime--;
+            if (this.blockStunTime === 0 && ['block', 'crouchBlock'].includes(this.currentState)) {
+                this.currentState = this.getNeutralState();
+            }
+        }
+        if (this.throwInvulnerableTime > 0) {
+            this.throwInvulnerableTime--;
+        }
+    }
+
+    /**
+     * Applies one frame of input
+     * @param {InputState} input - Input snapshot for this frame
+     */
+    handleInput(input) {
+        const pressed = Object.keys(EMPTY_INPUT).filter(
+            action => input[action] && !this.previousInput[action]
+        );
+        this.previousInput = { ...input };
+
+        // Record the facing-relative direction for command detection
+        this.commandInterpreter.update(
+            getNumpadDirection(input, this.facing),
+            this.sim.frame
+        );
+
+        const throwPressed = THROW_CONFIG.buttons.every(button => pressed.includes(button));
+        if (this.isGrabbed) {
+            if (throwPressed) {
+                this.techRequested = true;
+            }
+            return;
+        }
+        
+        // Special moves take priority over throws and normals on the same press
+        const special = pressed.length > 0 && this.checkSpecialMoves(pressed);
+        
+        // Holding down crouches; holding away from the opponent guards
+        const back = this.facing === 1 ? input.left : input.right;
+        this.crouch(input.down);
+        if (back) {
+            this.block();
+        } else {
+            this.releaseBlock();
+        }
+
+        // The strongest button wins when several are pressed together
+        const button = ['heavy', 'medium', 'attack'].find(action => pressed.includes(action));
+        if (throwPressed && !special) {
+            this.attemptThrow(back);
+        } else if (button && !special) {
+            this.attack(ATTACK_BUTTON_STRENGTHS[button]);
+        }
+
+        if (pressed.includes('up')) {
+            this.jump();
+        }
+
+        const direction = (input.right ? 1 : 0) - (input.left ? 1 : 0);
+        if (direction !== 0) {
+            this.move(direction);
+        } else {
+            this.stop();
+        }
+    }
+
+    /**
+     * Records directions while the match is frozen, so a motion entered
+     * during hitstop or a super flash still comes out. Buttons still held
+     * when the freeze ends count as presses then.
+     * @param {InputState} input - Input snapshot for this frame
+     */
+    bufferInput(input) {
+        this.commandInterpreter.update(getNumpadDirection(input, this.facing), this.sim.frame);
+    }
+
+    move(direction) {
+        if (this.isAttacking || this.isHit || this.isCrouching || this.blockStunTime > 0) return;
+        
+        this.velocityX = direction * this.stats.walkSpeed;
+        if (this.isGrounded) {
+            this.currentState = 'walk';
+        }
+    }
+
+    stop() {
+        if (!this.isGrounded || this.isHit) return;
+
+        this.velocityX = 0;
+        if (this.currentState === 'walk') {
+            this.currentState = 'idle';
+        }
+    }
+
+    jump() {
+        if (this.isGrounded && !this.isAttacking && !this.isHit && this.blockStunTime <= 0) {
+            this.velocityY = this.stats.jumpForce;
+            this.isGrounded = false;
+            this.isCrouching = false;
+            this.currentState = 'jump';
+            this.emitSound('jump');
+        }
+    }
+
+    /**
+     * Starts a normal attack, cancelling the current move if its window allows
+     * @param {string} [strength='light'] - COMBAT_CONFIG attack strength
+     */
+    attack(strength = 'light') {
+        if (this.isHit || this.blockStunTime > 0 || !this.canCancelInto(strength, strength)) return;
+
+        this.startMove(strength);
+        this.emitSound('attack');
+    }
+
+    /**
+     * Starts a throw. It grabs if its throwbox reaches a throwable opponent
+     * during its active frames, and whiffs into recovery otherwise.
+     * @param {boolean} back - Back was held, for a back throw
+     */
+    attemptThrow(back) {
+        if (!this.isGrounded || this.isAttacking || this.isHit || this.blockStunTime > 0) return;
+
+        this.startMove('throw');
+        this.activeMove.direction = back ? 'back' : 'forward';
+        this.emitSound('attack');
+    }
+
+    /**
+     * Crouches while down is held on the ground. The stance can't change
+     * during a move, hitstun or blockstun.
+     * @param {boolean} held - Whether down is held
+     */
+    crouch(held) {
+        if (this.isAttacking || this.isHit || this.blockStunTime > 0) return;
+
+        const crouching = held && this.isGrounded;
+        if (crouching === this.isCrouching) return;
+
+        this.isCrouching = crouching;
+        if (crouching) {
+            this.velocityX = 0;
+            this.currentState = 'crouch';
+        } else if (this.currentState === 'crouch') {
+            this.currentState = 'idle';
+        }
+    }
+
+    /**
+     * Raises the guard while back is held. Whether a hit is blocked also
+     * depends on the stance; see blocks().
+     */
+    block() {
+        if (this.isAttacking || this.isHit || !this.isGrounded) return;
+
+        this.isBlocking = true;
+    }
+
+    releaseBlock() {
+        // Blockstun holds the guard up even after back is released
+        if (!this.isBlocking || this.blockStunTime > 0) return;
+
+        this.isBlocking = false;
+    }
+
+    /**
+     * Applies the outcome of a hit resolved by CombatSystem.handleHit
+     * @param {Object} hit - Resolved hit
+     * @param {number} hit.damage - Damage after scaling and block reduction
+     * @param {number} hit.stun - Hitstun or blockstun, in frames
+     * @param {boolean} hit.blocked - Whether the hit was blocked
+     * @param {number} hit.pushback - Starting pushback speed, px per frame
+     * @param {Character} attacker - Attacking character
+     */
+    takeHit({ damage, stun, blocked, pushback }, attacker) {
+        this.health = Math.max(0, this.health - damage);
+        // Getting hit interrupts whatever move was in progress
+        this.cancelMove();
+        if (blocked) {
+            this.blockStunTime = stun;
+            this.currentState = this.isCrouching ? 'crouchBlock' : 'block';
+        } else {
+            // The guard drops until hitstun ends, so the rest of a combo connects
+            this.isBlocking = false;
+            this.isHit = true;
+            this.hitStunTime = stun;
+            this.currentState = 'hit';
+        }
+        
+        // Pushed away from the attacker; walking stops
+        const offset = (this.x + this.width / 2) - (attacker.x + attacker.width / 2);
+        this.pushback = (offset === 0 ? attacker.facing : Math.sign(offset)) * pushback;
+        if (this.isGrounded) {
+            this.velocityX = 0;
+        }
+        
+        if (this.health <= 0) {
+            this.currentState = 'ko';
+        }
+    }
+
+    /**
+     * Runs the highest-priority special move whose command was just completed
+     * @param {Array<string>} pressed - Inputs pressed this frame
+     * @returns {boolean} Whether a special move started
+     */
+    checkSpecialMoves(pressed) {
+        if (this.isHit || this.blockStunTime > 0) return false;
+
+        for (const command of this.moveCommands) {
+            const buttonsPressed = command.buttons.every(
+                button => pressed.includes(MOTION_CONFIG.buttons[button])
+            );
+            const definition = this.moveset[command.name];
+            if (!buttonsPressed || !this.canCancelInto(command.name, definition.type) ||
+                !this.commandInterpreter.matches(command, this.sim.frame)) {
+                continue;
+            }
+
+            if (this.canAfford(definition)) {
+                this.executeSpecialMove(command.name, this.moves[command.name]);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    executeSpecialMove(moveName, move) {
+        this.startMove(moveName);
+        if (move.bars) {
+            this.meter -= move.bars * COMBAT_CONFIG.meter.barSize;
+            this.sim.startSuperFreeze(this, moveName);
+        } else {
+            this.energy -= move.energyCost;
+        }
+        
+        this.emitSound(moveName);
+        this.sim.emit('effect', {
+            key: moveName,
+            data: {
+                x: this.x + (this.facing * this.width),
+                y: this.y + (this.height / 2),
+                type: 'special'
+            }
+        });
+    }
+
+    draw(ctx) {
+        // Draw character sprite
+        this.game.animationSystem.draw(
+            ctx,
+            `${this.isPlayer1 ? 'p1' : 'p2'}_${this.currentState}`,
+            this.x,
+            this.y,
+            this.facing === -1
+        );
+
+        // Draw health bar
+        this.drawHealthBar(ctx);
+        
+        // Draw energy bar
+        this.drawEnergyBar(ctx);
+    }
+
+    drawHealthBar(ctx) {
+        const barWidth = 50;
+        const barHeight = 5;
+        const x = this.x + (this.width - barWidth) / 2;
+        const y = this.y - 10;
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(x, y, barWidth, barHeight);
+        
+        const healthPercent = this.health / this.maxHealth;
+        ctx.fillStyle = healthPercent > 0.5 ? '#00ff00' : '#ff0000';
+        ctx.fillRect(x, y, barWidth * healthPercent, barHeight);
+    }
+
+    drawEnergyBar(ctx) {
+        const barWidth = 40;
+        const barHeight = 3;
+        const x = this.x + (this.width - barWidth) / 2;
+        const y = this.y - 15;
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(x, y, barWidth, barHeight);
+        
+        ctx.fillStyle = '#ffff00';
+        ctx.fillRect(x, y, barWidth * (this.energy / 100), barHeight);
+    }
+}
+
+/**
+ * Manages special moves and combo systems
+ */
+class SpecialMoveSystem {
+    constructor() {
+        this.moves = {
+            'p1_fireball': new FireballMove(),
+            'p1_thunderbolt': new ThunderboltMove(),
+            'p2_iceblade': new IcebladeMove(),
+            'p2_frostbolt': new FrostboltMove()
+        };
+    }
+
+    getMove(key) {
+        return this.moves[key];
+    }
+}
+
+/**
+ * Hit spark look by effect type. Radii are px, the duration is ms.
+ * @constant {Object}
+ */
+const EFFECT_CONFIG = {
+    duration: 200,
+    lineWidth: 3,
+    blockedColor: '#ffff66',
+    types: {
+        light: { radius: 18, color: '#ffffff' },
+        medium: { radius: 24, color: '#ffd966' },
+        heavy: { radius: 32, color: '#ff9933' },
+        special: { radius: 40, color: '#66ccff' },
+        super: { radius: 56, color: '#ff66ff' },
+        throw: { radius: 32, color: '#ffffff' },
+        tech: { radius: 30, color: '#ffffff' }
+    }
+};
+
+/**
+ * A spark where something connected: a ring that grows and fades out
+ */
+class Effect {
+    /**
+     * @param {Object} effectData - Where and what: position {x, y} (or x and y),
+     *   type and blocked, as emitted with the simulation's 'effect' events
+     */
+    constructor(effectData) {
+        const position = effectData.position || effectData;
+        const look = EFFECT_CONFIG.types[effectData.type] || EFFECT_CONFIG.types.medium;
+        this.x = position.x;
+        this.y = position.y;
+        this.radius = look.radius;
+        this.color = effectData.blocked ? EFFECT_CONFIG.blockedColor : look.color;
+        this.elapsed = 0;
+    }
+
+    update(deltaTime) {
+        this.elapsed += deltaTime;
+    }
+
+    /**
+     * @returns {boolean} Whether the effect has faded out
+     */
+    isFinished() {
+        return this.elapsed >= EFFECT_CONFIG.duration;
+    }
+
+    draw(ctx) {
+        if (this.isFinished()) return;
+        const progress = this.elapsed / EFFECT_CONFIG.duration;
+
+        ctx.save();
+        ctx.globalAlpha = 1 - progress;
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = EFFECT_CONFIG.lineWidth;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius * (0.4 + 0.6 * progress), 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    reset() {
+        this.elapsed = 0;
+    }
+}
+
+/**
+ * Manages effects and animations
+ */
+class EffectsSystem {
+    constructor() {
+        this.effects = new Map();
+    }
+
+    createEffect(key, effectData) {
+        this.effects.set(key, new Effect(effectData));
+    }
+
+    update(deltaTime) {
+        this.effects.forEach((effect, key) => {
+            effect.update(deltaTime);
+            if (effect.isFinished()) {
+                this.effects.delete(key);
+            }
+        });
+    }
+
+    draw(ctx) {
+        this.effects.forEach(effect => effect.draw(ctx));
+    }
+
+    resetEffect(key) {
+        // Finished effects are dropped, so there may be nothing to reset
+        const effect = this.effects.get(key);
+        if (effect) {
+            effect.reset();
+        }
+    }
+}
+
+/**
+ * Manages menu systems
+ */
+class MenuSystem {
+    constructor(game) {
+        this.game = game;
+        this.menu = new Menu(game);
+    }
+
+    draw(ctx) {
+        this.menu.draw(ctx);
+    }
+
+    handleInput(input) {
+        this.menu.handleInput(input);
+    }
+}
+
+/**
+ * Manages character systems
+ */
+class CharacterSystem {
+    constructor(game) {
+        this.game = game;
+        this.characters = new Map();
+    }
+
+    addCharacter(key, character) {
+        this.characters.set(key, character);
+    }
+
+    getCharacter(key) {
+        return this.characters.get(key);
+    }
+}
+
+/**
+ * Menu System Implementation
+ */
+class Menu {
+    constructor(game) {
+        this.game = game;
+        this.currentMenu = 'main';
+        this.selectedIndex = 0;
+        
+        this.menus = {
+            main: {
+                title: 'FIGHTER GAME',
+                options: ['Single Player', 'VS', 'Netplay', 'Training', 'Replays', 'Options', 'Controls',
+                    'Palettes', 'Exit'],
+                callbacks: {
+                    'Single Player': () => this.switchMenu('singlePlayer'),
+                    'VS': () => this.game.selectCharacters('versus'),
+                    'Netplay': () => this.switchMenu('netplay'),
+                    'Training': () => this.game.startTraining(),
+                    'Replays': () => this.game.stateManager.changeState('replays'),
+                    'Options': () => this.switchMenu('options'),
+                    'Controls': () => this.game.stateManager.changeState('controls'),
+                    'Palettes': () => this.game.stateManager.changeState('paletteEditor'),
+                    'Exit': () => window.close()
+                }
+            },
+            singlePlayer: {
+                title: 'SINGLE PLAYER',
+                options: ['Arcade', 'VS CPU', 'Survival', 'Time Attack', 'Records', 'Back'],
+                callbacks: {
+                    'Arcade': () => this.game.selectCharacters('arcade'),
+                    'VS CPU': () => this.game.selectCharacters('cpu'),
+                    'Survival': () => this.game.selectCharacters('survival'),
+                    'Time Attack': () => this.game.selectCharacters('timeAttack'),
+                    'Records': () => this.game.showLeaderboard(),
+                    'Back': () => this.switchMenu('main')
+                }
+            },
+            netplay: {
+                title: 'NETPLAY',
+                options: ['Host', 'Join', 'Back'],
+                callbacks: {
+                    'Host': () => this.game.selectCharacters('netplay'),
+                    'Join': () => this.game.openNetplayLobby(false),
+                    'Back': () => this.switchMenu('main')
+                }
+            },
+            options: {
+                title: 'OPTIONS',
+                options: ['Sound: ON', 'Music: ON', 'Difficulty: Normal', this.getDeadzoneLabel(), 'Back'],
+                callbacks: {
+                    'Sound: ON': () => this.toggleSound(),
+                    'Music: ON': () => this.toggleMusic(),
+                    'Difficulty: Normal': () => this.cycleDifficulty(),
+                    [this.getDeadzoneLabel()]: () => this.cycleDeadzone(),
+                    'Back': () => this.switchMenu('main')
+                }
+            }
+        };
+    }
+
+    draw(ctx) {
+        const menu = this.menus[this.currentMenu];
+        
+        // Draw background
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        
+        // Draw title
+        ctx.fillStyle = '#fff';
+        ctx.font = '48px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(menu.title, ctx.canvas.width / 2, 100);
+        
+        // Draw options, closer together when a long menu would run off the bottom
+        ctx.font = '24px Arial';
+        const spacing = Math.min(50, (ctx.canvas.height - 300) / (menu.options.length - 1));
+        menu.options.forEach((option, index) => {
+            const y = 250 + (index * spacing);
+            if (index === this.selectedIndex) {
+                ctx.fillStyle = '#ffff00';
+                ctx.fillText('> ' + option + ' <', ctx.canvas.width / 2, y);
+            } else {
+                ctx.fillStyle = '#fff';
+                ctx.fillText(option, ctx.canvas.width / 2, y);
+            }
+        });
+    }
+
+    handleInput(input) {
+        switch(input) {
+            case 'ArrowUp':
+                this.selectedIndex = (this.selectedIndex - 1 + 
+                    this.menus[this.currentMenu].options.length) % 
+                    this.menus[this.currentMenu].options.length;
+                this.game.audioManager.playSound('menuMove');
+                break;
+            case 'ArrowDown':
+                this.selectedIndex = (this.selectedIndex + 1) % 
+                    this.menus[this.currentMenu].options.length;
+                this.game.audioManager.playSound('menuMove');
+                break;
+            case 'Enter':
+                const selectedOption = this.menus[this.currentMenu]
+                    .options[this.selectedIndex];
+                this.menus[this.currentMenu].callbacks[selectedOption]();
+                this.game.audioManager.playSound('menuSelect');
+                break;
+        }
+    }
+
+    switchMenu(menuName) {
+        this.currentMenu = menuName;
+        this.selectedIndex = 0;
+    }
+
+    toggleSound() {
+        // Implementation for sound toggle
+    }
+
+    toggleMusic() {
+        // Implementation for music toggle
+    }
+
+    /**
+     * Steps the default computer level through CHARACTER_SELECT_CONFIG.cpuLevels
+     */
+    cycleDifficulty() {
+        const levels = CHARACTER_SELECT_CONFIG.cpuLevels;
+        const current = this.getDifficultyLabel();
+        this.game.difficulty = levels[(levels.indexOf(this.game.difficulty) + 1) % levels.length];
+        this.renameOption('options', current, this.getDifficultyLabel());
+    }
+
+    /**
+     * @returns {string} Options entry showing the current computer level
+     */
+    getDifficultyLabel() {
+        const level = this.game.difficulty;
+        return `Difficulty: ${level.charAt(0).toUpperCase()}${level.slice(1)}`;
+    }
+
+    /**
+     * Steps the analog stick deadzone through GAMEPAD_CONFIG.deadzoneSteps,
+     * saved with the control profiles
+     */
+    cycleDeadzone() {
+        const steps = GAMEPAD_CONFIG.deadzoneSteps;
+        const current = this.getDeadzoneLabel();
+        // A deadzone between steps moves up to the next one
+        const next = steps.find(step => step > this.game.controlProfiles.deadzone + 1e-9);
+        this.game.inputManager.setDeadzone(next === undefined ? steps[0] : next);
+        this.renameOption('options', current, this.getDeadzoneLabel());
+    }
+
+    /**
+     * @returns {string} Options entry showing the current stick deadzone
+     */
+    getDeadzoneLabel() {
+        return `Stick Deadzone: ${Math.round(this.game.controlProfiles.deadzone * 100)}%`;
+    }
+
+    /**
+     * Relabels a menu entry, keeping its place and callback
+     * @param {string} menuName - Menu holding the entry
+     * @param {string} from - Current label
+     * @param {string} to - New label
+     */
+    renameOption(menuName, from, to) {
+        const menu = this.menus[menuName];
+        menu.options[menu.options.indexOf(from)] = to;
+        menu.callbacks[to] = menu.callbacks[from];
+        if (to !== from) delete menu.callbacks[from];
+    }
+}
+
+/**
+ * Game State Management Implementation
+ */
+class GameStateManager {
+    constructor(game) {
+        this.game = game;
+        this.currentState = 'loading';
+        this.states = {
+            loading: new LoadingState(game),
+            menu: new MenuState(game),
+            fighting: new FightingState(game),
+            training: new TrainingState(game),
+            characterSelect: new CharacterSelectState(game),
+            stageSelect: new StageSelectState(game),
+            fightResult: new FightResultState(game),
+            continue: new ContinueState(game),
+            arcadeEnding: new ArcadeEndingState(game),
+            initials: new InitialsState(game),
+            leaderboard: new LeaderboardState(game),
+            replays: new ReplayBrowserState(game),
+            netplayLobby: new NetplayLobbyState(game),
+            controls: new ControlsState(game),
+            paletteEditor: new PaletteEditorState(game),
+            pause: new PauseState(game),
+            gameOver: new GameOverState(game)
+        };
+        // States suspended underneath an overlay such as pause
+        this.stack = [];
+    }
+
+    changeState(newState) {
+        if (this.states[newState]) {
+            this.states[this.currentState].exit();
+            while (this.stack.length > 0) {
+                this.states[this.stack.pop()].exit();
+            }
+            this.currentState = newState;
+            this.states[this.currentState].enter();
+        }
+    }
+
+    /**
+     * Enters a state on top of the current one without exiting it
+     * @param {string} newState - Overlay state name
+     */
+    pushState(newState) {
+        if (this.states[newState] && newState !== this.currentState) {
+            this.stack.push(this.currentState);
+            this.currentState = newState;
+            this.states[this.currentState].enter();
+        }
+    }
+
+    /**
+     * Leaves an overlay state and resumes the one beneath it
+     */
+    popState() {
+        if (this.stack.length > 0) {
+            this.states[this.currentState].exit();
+            this.currentState = this.stack.pop();
+        }
+    }
+
+    /**
+     * @returns {GameState|null} State suspended beneath the current overlay
+     */
+    getUnderlyingState() {
+        const name = this.stack[this.stack.length - 1];
+        return name ? this.states[name] : null;
+    }
+
+    update(deltaTime) {
+        this.states[this.currentState].update(deltaTime);
+    }
+
+    draw(ctx) {
+        this.states[this.currentState].draw(ctx);
+    }
+
+    handleInput(input, key) {
+        this.states[this.currentState].handleInput(input, key);
+    }
+}
+
+/**
+ * Base State Class
+ */
+class GameState {
+    constructor(game) {
+        this.game = game;
+    }
+
+    enter() {}
+    exit() {}
+    update(deltaTime) {}
+    draw(ctx) {}
+    handleInput(input) {}
+}
+
+/**
+ * Camera framing and screen shake
+ * @constant {Object}
+ */
+const CAMERA_CONFIG = {
+    viewWidth: 800,         // arena px across the screen at zoom 1
+    maxZoom: 1.3,
+    zoomInDistance: 150,    // px between the fighters at which zoom reaches maxZoom
+    zoomOutDistance: 450,   // px at which the camera is fully zoomed out
+    followSpeed: 0.15,      // share of the way to the target covered each frame
+    // Shake amplitude in px by attack type; blocked hits shake less
+    shake: {
+        light: 2,
+        medium: 4,
+        heavy: 7,
+        special: 6,
+        super: 10,
+        throw: 8
+    },
+    blockedShake: 0.5,
+    shakeFrames: 12
+};
+
+/**
+ * Follows both fighters across the arena, zooming in as they close in.
+ * Presentation only: it reads the simulation but never changes it.
+ * @class
+ */
+class Camera {
+    constructor() {
+        /** @type {number} Arena x at the center of the screen */
+        this.x = GAME_CONFIG.arena.width / 2;
+        this.zoom = 1;
+        /** @type {Object} Stage being filmed; only its width and height matter here */
+        this.stage = { width: GAME_CONFIG.arena.width, height: GAME_CONFIG.arena.height };
+        this.shakeAmount = 0;
+        this.shakeTime = 0;
+    }
+
+    /**
+     * Where the camera wants to be for the fighters' current positions
+     * @param {Simulation} simulation - Running simulation
+     * @returns {Object} { x, zoom }
+     */
+    getTarget(simulation) {
+        const centers = [simulation.player1, simulation.player2]
+            .map(character => character.x + character.width / 2);
+        const distance = Math.abs(centers[0] - centers[1]);
+        const { maxZoom, zoomInDistance, zoomOutDistance } = CAMERA_CONFIG;
+        const closeness = Math.min(1, Math.max(0,
+            (zoomOutDistance - distance) / (zoomOutDistance - zoomInDistance)));
+
+        return {
+            x: (centers[0] + centers[1]) / 2,
+            zoom: 1 + closeness * (maxZoom - 1)
+        };
+    }
+
+    /**
+     * Eases toward the fighters and winds down any shake
+     * @param {Simulation} simulation - Running simulation
+     */
+    update(simulation) {
+        const target = this.getTarget(simulation);
+        this.x += (target.x - this.x) * CAMERA_CONFIG.followSpeed;
+        this.zoom += (target.zoom - this.zoom) * CAMERA_CONFIG.followSpeed;
+        this.clamp();
+
+        if (this.shakeTime > 0) {
+            this.shakeTime--;
+        }
+    }
+
+    /**
+     * Jumps straight to the target, e.g. when a match starts
+     * @param {Simulation} simulation - Running simulation
+     */
+    snap(simulation) {
+        const target = this.getTarget(simulation);
+        this.x = target.x;
+        this.zoom = target.zoom;
+        this.shakeTime = 0;
+        this.clamp();
+    }
+
+    /**
+     * @param {Object} stage - Stage data the match is played on
+     */
+    setStage(stage) {
+        this.stage = stage;
+    }
+
+    /**
+     * Keeps the view inside the stage
+     * @private
+     */
+    clamp() {
+        const halfView = CAMERA_CONFIG.viewWidth / this.zoom / 2;
+        this.x = this.stage.width <= halfView * 2 ?
+            this.stage.width / 2 :
+            Math.max(halfView, Math.min(this.x, this.stage.width - halfView));
+    }
+
+    /**
+     * The part of the stage on screen
+     * @param {HTMLCanvasElement} canvas - Target canvas
+     * @returns {Object} { left, top, width, height } in arena coordinates
+     */
+    getView(canvas) {
+        const scale = canvas.width * this.zoom / CAMERA_CONFIG.viewWidth;
+        const width = CAMERA_CONFIG.viewWidth / this.zoom;
+        const height = canvas.height / scale;
+        return { left: this.x - width / 2, top: this.stage.height - height, width, height, scale };
+    }
+
+    /**
+     * Shakes the screen in proportion to a hit's strength
+     * @param {Object} hit - 'hit' event from CombatSystem
+     */
+    shakeForHit(hit) {
+        const amount = (CAMERA_CONFIG.shake[hit.attackType] || 0) *
+            (hit.blocked ? CAMERA_CONFIG.blockedShake : 1);
+        // A stronger shake overrides a weaker one still running
+        if (this.shakeTime > 0 && amount < this.shakeAmount) return;
+
+        this.shakeAmount = amount;
+        this.shakeTime = CAMERA_CONFIG.shakeFrames;
+    }
+
+    /**
+     * Runs draw calls with the canvas mapped to arena coordinates. The
+     * bottom of the stage sits on the bottom edge of the canvas.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Function} draw - Draws in arena coordinates; receives the view
+     */
+    drawWorld(ctx, draw) {
+        const view = this.getView(ctx.canvas);
+
+        // Alternating offsets that fade out over the shake
+        const strength = this.shakeAmount * this.shakeTime / CAMERA_CONFIG.shakeFrames;
+        const shakeX = strength * Math.sin(this.shakeTime * 2.3);
+        const shakeY = strength * Math.cos(this.shakeTime * 1.7);
+
+        ctx.save();
+        ctx.translate(shakeX, shakeY);
+        ctx.scale(view.scale, view.scale);
+        ctx.translate(-view.left, -view.top);
+        draw(view);
+        ctx.restore();
+    }
+}
+
+/**
+ * Draws a stage's parallax layers
+ * @class
+ */
+class StageRenderer {
+    /**
+     * @param {AssetLoader} assetLoader - Source of the layer images
+     */
+    constructor(assetLoader) {
+        this.assetLoader = assetLoader;
+    }
+
+    /**
+     * Draws the stage behind the fighters
+     * @param {CanvasRenderingContext2D} ctx - Context mapped to arena coordinates
+     * @param {Object} stage - Validated stage data
+     * @param {Object} view - Visible area, from Camera.getView
+     * @param {number} frame - Animation frame; the simulation frame during a match
+     */
+    draw(ctx, stage, view, frame) {
+        ctx.fillStyle = stage.color;
+        ctx.fillRect(view.left, view.top, view.width, view.height);
+        stage.layers.forEach(layer => this.drawLayer(ctx, stage, layer, view, frame));
+    }
+
+    /**
+     * Draws one layer, offset by its scroll factor and drift, and tiled
+     * across the view when it repeats
+     * @private
+     */
+    drawLayer(ctx, stage, layer, view, frame) {
+        const image = this.assetLoader.getImage(layer.image);
+        if (!image) return;
+
+        const frameWidth = image.width / layer.frameCount;
+        const sourceX = (Math.floor(frame / layer.frameDuration) % layer.frameCount) * frameWidth;
+        // A layer with scroll 0 stays put on screen; 1 moves with the fighters
+        let x = layer.x + view.left * (1 - layer.scroll) + layer.drift * frame;
+        const drawAt = drawX => ctx.drawImage(
+            image, sourceX, 0, frameWidth, image.height, drawX, layer.y, frameWidth, image.height
+        );
+
+        if (layer.repeat) {
+            x -= Math.ceil((x - view.left) / frameWidth) * frameWidth;
+            for (; x < view.left + view.width; x += frameWidth) {
+                drawAt(x);
+            }
+            return;
+        }
+        if (layer.drift) {
+            // Drifting elements leave one side of the stage and come back on the other
+            const span = stage.width + frameWidth;
+            x = ((x + frameWidth) % span + span) % span - frameWidth;
+        }
+        drawAt(x);
+    }
+}
+
+/**
+ * Fighting State Implementation
+ */
+class FightingState extends GameState {
+    enter() {
+        this.game.audioManager.playMusic(this.game.stage.music);
+    }
+
+    exit() {
+        this.game.audioManager.stopMusic();
+    }
+
+    update(deltaTime) {
+        const session = this.game.netplaySession;
+        if (session && session.getStats().disconnected) {
+            this.game.quitNetplayMatch('The other player left');
+            return;
+        }
+
+        this.stepSimulation();
+        this.handleEvents(this.game.simulation.drainEvents());
+        this.game.effectsSystem.update(deltaTime);
+        this.game.particleSystem.update(deltaTime);
+        this.game.camera.update(this.game.simulation);
+
+        // Read from state rather than an event: rollbacks re-simulate muted
+        const rounds = this.game.simulation.rounds;
+        if (rounds && rounds.phase === 'matchOver') {
+            this.game.endMatch();
+        }
+    }
+
+    /**
+     * Advances the simulation one frame from the active input source
+     */
+    stepSimulation() {
+        const session = this.game.netplaySession;
+        if (this.game.replayPlayer) {
+            this.game.replayPlayer.advance();
+        } else if (session) {
+            // Each tab drives its own fighter with the player 1 bindings
+            session.advance(this.game.getInputState(1));
+        } else {
+            this.game.simulation.step({
+                p1: this.game.getPlayerInput(1),
+                p2: this.game.getPlayerInput(2)
+            });
+        }
+    }
+
+    /**
+     * Reacts to the events raised during the last simulation step
+     * @param {Array<SimulationEvent>} events - Drained events
+     */
+    handleEvents(events) {
+        this.game.presentEvents(events);
+    }
+
+    draw(ctx) {
+        const simulation = this.game.simulation;
+
+        // The stage, fighters, projectiles and effects are in arena coordinates
+        this.game.camera.drawWorld(ctx, view => {
+            this.game.stageRenderer.draw(ctx, this.game.stage, view, simulation.frame);
+
+            this.game.player1.draw(ctx);
+            this.game.player2.draw(ctx);
+            this.game.simulation.projectileSystem.draw(ctx);
+            this.game.effectsSystem.draw(ctx);
+            this.game.particleSystem.draw(ctx);
+        });
+
+        // Overlays are in screen coordinates
+        this.drawComboCounters(ctx);
+
+        if (this.game.simulation.superFreeze) {
+            this.drawSuperFreeze(ctx);
+        }
+
+        if (GAME_CONFIG.debug.showHitboxes) {
+            this.drawHitboxes(ctx);
+        }
+
+        if (GAME_CONFIG.debug.showAIProfile) {
+            this.drawAIProfiles(ctx);
+        }
+        
+        // Draw HUD
+        this.drawHUD(ctx);
+    }
+
+    /**
+     * Shows "N HITS" and the combo's damage on the attacker's side while a
+     * combo runs, and briefly after it ends
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawComboCounters(ctx) {
+        const simulation = this.game.simulation;
+        const combos = simulation.combatSystem.combos;
+        const { width, height } = ctx.canvas;
+
+        ctx.save();
+        [simulation.player1, simulation.player2].forEach((attacker, index) => {
+            const combo = combos[index + 1];
+            const defender = simulation.getOpponent(attacker);
+            const showing = defender.isHit ||
+                simulation.frame - combo.lastHitFrame <= COMBAT_CONFIG.combo.timeWindow;
+            if (combo.hits < 2 || !showing) return;
+
+            const x = index === 0 ? 20 : width - 20;
+            ctx.textAlign = index === 0 ? 'left' : 'right';
+            ctx.fillStyle = '#ffcc00';
+            ctx.font = 'bold 36px Arial';
+            ctx.fillText(`${combo.hits} HITS`, x, height * 0.35);
+            ctx.fillStyle = '#fff';
+            ctx.font = 'bold 18px Arial';
+            ctx.fillText(`${Math.round(combo.damage)} damage`, x, height * 0.35 + 26);
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Dims the stage behind the fighter starting a super and flashes their
+     * portrait across the screen
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawSuperFreeze(ctx) {
+        const simulation = this.game.simulation;
+        const freeze = simulation.superFreeze;
+        const character = freeze.player === 1 ? simulation.player1 : simulation.player2;
+        const { width, height } = ctx.canvas;
+        const elapsed = COMBAT_CONFIG.superFreezeFrames - freeze.frames;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, 0, width, height);
+        this.game.camera.drawWorld(ctx, () => character.draw(ctx));
+
+        // The portrait band slides in from the user's side, then flashes out
+        const slide = Math.min(1, elapsed / 8);
+        const bandWidth = width * 0.6;
+        const bandX = freeze.player === 1 ?
+            -bandWidth + slide * bandWidth :
+            width - slide * bandWidth;
+        ctx.globalAlpha = freeze.frames < 10 ? freeze.frames / 10 : 1;
+        ctx.fillStyle = freeze.player === 1 ? 'rgba(255, 60, 60, 0.8)' : 'rgba(60, 60, 255, 0.8)';
+        ctx.fillRect(bandX, height * 0.3, bandWidth, height * 0.25);
+
+        const portrait = character.portrait && this.game.assetLoader.getImage(character.portrait);
+        if (portrait) {
+            ctx.drawImage(portrait, bandX, height * 0.3, height * 0.25, height * 0.25);
+        }
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 32px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(freeze.move.toUpperCase(), bandX + bandWidth / 2, height * 0.45);
+        ctx.restore();
+    }
+
+    /**
+     * Lists what each adaptive AI has learned, on the AI's side of the screen
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawAIProfiles(ctx) {
+        const percent = value => `${Math.round(value * 100)}%`;
+        const counts = map => Object.entries(map).map(([key, count]) => `${key} ${count}`).join('  ') || '-';
+
+        Object.entries(this.game.aiControllers)
+            .filter(([, ai]) => ai instanceof AdaptiveAIController)
+            .forEach(([side, ai]) => {
+                const { level, reactionFrames, rounds, habits, counters } = ai.getProfile();
+                const lines = [
+                    `ADAPTIVE AI ${side.toUpperCase()}  level ${level.toFixed(2)}  reaction ${reactionFrames}f`,
+                    `Jump-ins: ${habits.jumpIns}/${habits.neutralActions} (${percent(habits.jumpInRate)})`,
+                    `Wake-up: ${counts(habits.wakeUps)}`,
+                    `Guard: ${counts(habits.guards)}`,
+                    `Specials: ${counts(habits.specials)}`,
+                    `Counters: anti-air +${percent(counters.antiAirBonus)}  throw ${percent(counters.throwChance)}` +
+                        `  last wake-up ${counters.lastWakeUpChoice || '-'}`,
+                    `Rounds: ${rounds.map(round => `${round.draw ? 'D' : (round.won ? 'W' : 'L')}${round.level}`).join(' ') || '-'}`
+                ];
+
+                const width = 420;
+                const x = side === 'p1' ? 10 : ctx.canvas.width - width - 10;
+                ctx.save();
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+                ctx.fillRect(x, 70, width, lines.length * 20 + 10);
+                ctx.fillStyle = '#fff';
+                ctx.font = '14px monospace';
+                ctx.textAlign = 'left';
+                lines.forEach((line, index) => {
+                    ctx.fillText(line, x + 10, 90 + index * 20);
+                });
+                ctx.restore();
+            });
+    }
+
+    /**
+     * Outlines hurtboxes in green and active hitboxes in red
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawHitboxes(ctx) {
+        const simulation = this.game.simulation;
+        const strokeBoxes = (boxes, color) => {
+            ctx.strokeStyle = color;
+            boxes.forEach(box => ctx.strokeRect(box.x, box.y, box.width, box.height));
+        };
+
+        this.game.camera.drawWorld(ctx, () => {
+            ctx.lineWidth = 2;
+            [simulation.player1, simulation.player2].forEach(character => {
+                strokeBoxes(character.getHurtboxes(), '#00ff00');
+                strokeBoxes(character.getActiveHitboxes(), '#ff0000');
+            });
+            strokeBoxes(simulation.projectileSystem.projectiles, '#ff0000');
+        });
+    }
+
+    drawHUD(ctx) {
+        this.game.updateHUD();
+        this.game.updateNetStatus();
+        if (this.game.replayPlayer) {
+            this.drawReplayHUD(ctx);
+        } else if (this.game.run) {
+            this.drawRunHUD(ctx);
+        }
+    }
+
+    /**
+     * Shows the run's progress along the bottom: stage and score, survival
+     * wins, or the time attack clock
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawRunHUD(ctx) {
+        const run = this.game.run;
+        const fight = run.getFight();
+        const stage = fight.boss ? 'FINAL STAGE' : `STAGE ${run.index + 1}/${run.ladder.length}`;
+        let text = `${stage}  SCORE ${run.score}`;
+        if (run.mode === 'survival') {
+            text = `WINS ${run.wins}  SCORE ${run.score}`;
+        } else if (run.mode === 'timeAttack') {
+            text = `${stage}  TIME ${formatFrames(run.frames + this.game.simulation.frame)}`;
+        }
+
+        ctx.fillStyle = '#fff';
+        ctx.font = '16px Arial';
+        ctx.textAlign = 'left';
+        ctx.fillText(text, 10, ctx.canvas.height - 10);
+    }
+
+    drawReplayHUD(ctx) {
+        const player = this.game.replayPlayer;
+        const speed = SPEED_CONFIG[this.game.speedSetting].timeScale;
+        let text = `REPLAY ${player.simulation.frame}/${player.frameCount}  x${speed}`;
+        if (player.paused) {
+            text += '  PAUSED';
+        }
+
+        ctx.fillStyle = '#fff';
+        ctx.font = '16px Arial';
+        ctx.textAlign = 'left';
+        ctx.fillText(text, 10, ctx.canvas.height - 10);
+    }
+
+    handleInput(input) {
+        const controls = ADAPTIVE_AI_CONFIG.controls;
+        if (input === 'Escape' && this.game.netplaySession) {
+            // The other player's game can't pause, so Escape leaves the match
+            this.game.quitNetplayMatch();
+        } else if (input === 'Escape') {
+            this.game.stateManager.pushState('pause');
+        } else if (this.game.replayPlayer) {
+            this.handleReplayInput(input);
+        } else if (input === controls.toggleProfile) {
+            GAME_CONFIG.debug.showAIProfile = !GAME_CONFIG.debug.showAIProfile;
+        } else if (input === controls.exportProfile) {
+            this.game.exportAIProfiles();
+        }
+    }
+
+    handleReplayInput(input) {
+        const player = this.game.replayPlayer;
+        const speeds = REPLAY_CONFIG.speeds;
+        // Speeds playback can't step through count as normal
+        const speedIndex = speeds.includes(this.game.speedSetting) ?
+            speeds.indexOf(this.game.speedSetting) : speeds.indexOf('normal');
+
+        switch (input) {
+            case REPLAY_CONFIG.controls.pause:
+                player.togglePause();
+                break;
+            case REPLAY_CONFIG.controls.step:
+                player.stepFrame();
+                break;
+            case REPLAY_CONFIG.controls.slower:
+                this.game.setGameSpeed(speeds[Math.max(0, speedIndex - 1)]);
+                break;
+            case REPLAY_CONFIG.controls.faster:
+                this.game.setGameSpeed(speeds[Math.min(speeds.length - 1, speedIndex + 1)]);
+                break;
+            case REPLAY_CONFIG.controls.seekBack:
+                player.seek(player.simulation.frame - REPLAY_CONFIG.seekFrames);
+                break;
+            case REPLAY_CONFIG.controls.seekForward:
+                player.seek(player.simulation.frame + REPLAY_CONFIG.seekFrames);
+                break;
+        }
+    }
+}
+
+/**
+ * Training mode settings
+ * @constant {Object}
+ */
+const TRAINING_CONFIG = {
+    dummyModes: {
+        stand: 'Stand',
+        crouch: 'Crouch',
+        jump: 'Jump',
+        blockAll: 'Block All',
+        blockAfterFirstHit: 'Block After First Hit',
+        playback: 'Playback'
+    },
+    blockResetFrames: 30,     // idle frames before "block after first hit" rearms
+    resetSpacing: 120,        // px between fighters after a position reset
+    controls: {
+        toggleHealth: '1',
+        toggleEnergy: '2',
+        cycleDummy: '3',
+        toggleHitboxes: '4',
+        record: '5',
+        resetCenter: '6',
+        resetLeft: '7',
+        resetRight: '8'
+    }
+};
+
+/**
+ * Produces player 2's inputs in training mode
+ * @class
+ */
+class TrainingDummy {
+    constructor() {
+        this.mode = 'stand';
+        this.recording = false;
+        this.sequence = [];
+        this.playbackIndex = 0;
+        this.blocking = false;
+        this.framesSinceHit = 0;
+    }
+
+    cycleMode() {
+        const modes = Object.keys(TRAINING_CONFIG.dummyModes);
+        this.mode = modes[(modes.indexOf(this.mode) + 1) % modes.length];
+        this.playbackIndex = 0;
+        this.blocking = false;
+    }
+
+    /**
+     * Starts recording a new sequence, or stops and switches to playback
+     */
+    toggleRecording() {
+        this.recording = !this.recording;
+        if (this.recording) {
+            this.sequence = [];
+        } else {
+            this.mode = 'playback';
+            this.playbackIndex = 0;
+        }
+    }
+
+    /**
+     * Stores one frame of the sequence being recorded. Left and right are
+     * stored as forward and back, like getNumpadDirection reads them, so the
+     * sequence plays the same after the fighters switch sides.
+     * @param {InputState} input - Input that drove the dummy this frame
+     * @param {number} facing - The dummy's facing this frame (1 = right)
+     */
+    recordFrame(input, facing) {
+        const { left, right, ...buttons } = input;
+        this.sequence.push({
+            ...buttons,
+            forward: facing === 1 ? right : left,
+            back: facing === 1 ? left : right
+        });
+    }
+
+    /**
+     * Builds the dummy's input for the next frame
+     * @param {Character} dummy - The dummy character
+     * @returns {InputState} Input snapshot
+     */
+    getInput(dummy) {
+        if (dummy.isHit) {
+            this.framesSinceHit = 0;
+        } else {
+            this.framesSinceHit++;
+        }
+
+        switch (this.mode) {
+            case 'crouch':
+                return { ...EMPTY_INPUT, down: true };
+            case 'jump':
+                // Pressing up on the landing frame makes a fresh press
+                return { ...EMPTY_INPUT, up: dummy.isGrounded };
+            case 'blockAll':
+                return this.getGuardInput(dummy);
+            case 'blockAfterFirstHit':
+                if (dummy.isHit) {
+                    this.blocking = true;
+                } else if (this.framesSinceHit > TRAINING_CONFIG.blockResetFrames) {
+                    this.blocking = false;
+                }
+                return this.blocking ? this.getGuardInput(dummy) : EMPTY_INPUT;
+            case 'playback': {
+                if (this.sequence.length === 0) return EMPTY_INPUT;
+                const { forward, back, ...buttons } = this.sequence[this.playbackIndex];
+                this.playbackIndex = (this.playbackIndex + 1) % this.sequence.length;
+                return {
+                    ...buttons,
+                    right: dummy.facing === 1 ? forward : back,
+                    left: dummy.facing === 1 ? back : forward
+                };
+            }
+            default:
+                return EMPTY_INPUT;
+        }
+    }
+
+    /**
+     * Holds back, crouching against lows, so every attack is blocked
+     * @param {Character} dummy - The dummy character
+     * @returns {InputState} Input snapshot
+     */
+    getGuardInput(dummy) {
+        const opponent = dummy.sim.getOpponent(dummy);
+        return {
+            ...EMPTY_INPUT,
+            [dummy.facing === 1 ? 'left' : 'right']: true,
+            down: opponent.getAttackProperty() === 'low'
+        };
+    }
+}
+
+/**
+ * Training mode: a fight with no rounds, a scriptable dummy as player 2,
+ * resource toggles and a live frame data readout
+ */
+class TrainingState extends FightingState {
+    constructor(game) {
+        super(game);
+        this.dummy = new TrainingDummy();
+        this.infiniteHealth = true;
+        this.infiniteEnergy = true;
+        this.resetReadout();
+    }
+
+    enter() {
+        super.enter();
+        this.showHitboxesBefore = GAME_CONFIG.debug.showHitboxes;
+        GAME_CONFIG.debug.showHitboxes = true;
+        this.resetReadout();
+        this.resetPositions('center');
+    }
+
+    exit() {
+        super.exit();
+        GAME_CONFIG.debug.showHitboxes = this.showHitboxesBefore;
+    }
+
+    resetReadout() {
+        this.readout = {
+            damage: 0,
+            comboDamage: 0,
+            comboHits: 0,
+            broken: false,
+            attackType: null,
+            move: null,
+            property: null,
+            blocked: false,
+            stun: 0
+        };
+    }
+
+    stepSimulation() {
+        const simulation = this.game.simulation;
+        let p1Input = this.game.getInputState(1);
+        let p2Input;
+
+        if (this.dummy.recording) {
+            // While recording, player 1's controls drive the dummy
+            p2Input = p1Input;
+            p1Input = EMPTY_INPUT;
+            this.dummy.recordFrame(p2Input, simulation.player2.facing);
+        } else {
+            p2Input = this.dummy.getInput(simulation.player2);
+        }
+
+        simulation.step({ p1: p1Input, p2: p2Input });
+        this.applyResourceToggles();
+    }
+
+    applyResourceToggles() {
+        const simulation = this.game.simulation;
+        [simulation.player1, simulation.player2].forEach(character => {
+            // Refill once the combo is over so damage can still be read
+            if (this.infiniteHealth && !character.isHit) {
+                character.health = character.maxHealth;
+            }
+            if (this.infiniteEnergy) {
+                character.energy = 100;
+                character.meter = COMBAT_CONFIG.meter.barSize * COMBAT_CONFIG.meter.maxBars;
+            }
+        });
+    }
+
+    handleEvents(events) {
+        events.filter(event => event.type === 'hit').forEach(event => {
+            if (event.defender !== 2) return;
+
+            // Broken combos keep counting here so the gap can be seen
+            if ((event.comboed || event.broken) && !event.blocked) {
+                this.readout.comboHits++;
+                this.readout.comboDamage += event.damage;
+                this.readout.broken = this.readout.broken || event.broken;
+            } else {
+                this.readout.comboHits = event.blocked ? 0 : 1;
+                this.readout.comboDamage = event.damage;
+                this.readout.broken = false;
+            }
+            this.readout.damage = event.damage;
+            this.readout.attackType = event.attackType;
+            this.readout.move = event.move;
+            this.readout.property = event.property;
+            this.readout.blocked = event.blocked;
+            this.readout.stun = event.stun;
+        });
+        super.handleEvents(events);
+    }
+
+    /**
+     * Places both fighters on the ground at a preset spot
+     * @param {string} position - center, left or right (dummy in that corner)
+     */
+    resetPositions(position) {
+        const simulation = this.game.simulation;
+        const { player1, player2 } = simulation;
+        const arenaWidth = simulation.arena.width;
+        const spacing = TRAINING_CONFIG.resetSpacing;
+
+        let dummyX;
+        if (position === 'left') {
+            dummyX = 0;
+        } else if (position === 'right') {
+            dummyX = arenaWidth - player2.width;
+        } else {
+            dummyX = (arenaWidth + spacing) / 2;
+        }
+        const playerX = position === 'left' ? dummyX + spacing : dummyX - spacing;
+
+        // Ends any throw, hitstop, super freeze or combo under way, too
+        simulation.resetRound([playerX, dummyX]);
+        player1.facing = playerX < dummyX ? 1 : -1;
+        player2.facing = -player1.facing;
+        simulation.projectileSystem.projectiles = [];
+        this.game.camera.snap(simulation);
+        this.resetReadout();
+    }
+
+    drawHUD(ctx) {
+        const readout = this.readout;
+        const dummy = this.game.simulation.player2;
+        const lines = [
+            `TRAINING  Dummy: ${TRAINING_CONFIG.dummyModes[this.dummy.mode]}` +
+                (this.dummy.recording ? '  [REC]' : ''),
+            `Health: ${this.infiniteHealth ? 'INF' : 'NORMAL'}  Energy: ${this.infiniteEnergy ? 'INF' : 'NORMAL'}`,
+            `Damage: ${readout.damage.toFixed(1)}  Combo: ${readout.comboHits} hits / ${readout.comboDamage.toFixed(1)}` +
+                (readout.comboHits > 1 ? (readout.broken ? '  BROKEN' : '  TRUE') : ''),
+            `${readout.blocked ? 'Blockstun' : 'Hitstun'}: ${dummy.isHit ? dummy.hitStunTime : dummy.blockStunTime}f`
+        ];
+
+        const move = readout.move && this.game.simulation.player1.moveset[readout.move];
+        if (move) {
+            const { onHit, onBlock } = this.getFrameAdvantage(move);
+            const format = value => (value > 0 ? `+${value}` : `${value}`);
+            lines.push(`${move.name} (${readout.property}): ${move.startupFrames + 1}f startup  ${move.activeFrames} active  ` +
+                `${move.recoveryFrames} recovery`);
+            lines.push(`on hit ${format(onHit)}  on block ${format(onBlock)}`);
+        }
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(10, 70, 360, lines.length * 20 + 10);
+        ctx.fillStyle = '#fff';
+        ctx.font = '14px monospace';
+        ctx.textAlign = 'left';
+        lines.forEach((line, index) => {
+            ctx.fillText(line, 20, 90 + index * 20);
+        });
+    }
+
+    /**
+     * Frame advantage of the last move to connect, when its first active
+     * frame hits. On hit counts the hitstun the hit actually dealt, which
+     * shrinks with each hit of a combo.
+     * @param {Object} move - Player 1's move definition
+     * @returns {Object} { onHit, onBlock } - Frames, positive when player 1 recovers first
+     */
+    getFrameAdvantage(move) {
+        const remaining = move.activeFrames - 1 + move.recoveryFrames;
+        const hitstun = this.readout.blocked ? COMBAT_CONFIG.hitstun[move.type] : this.readout.stun;
+        return {
+            onHit: hitstun - remaining,
+            onBlock: COMBAT_CONFIG.blockstun[move.type] - remaining
+        };
+    }
+
+    handleInput(input) {
+        const controls = TRAINING_CONFIG.controls;
+        switch (input) {
+            case controls.toggleHealth:
+                this.infiniteHealth = !this.infiniteHealth;
+                break;
+            case controls.toggleEnergy:
+                this.infiniteEnergy = !this.infiniteEnergy;
+                break;
+            case controls.cycleDummy:
+                this.dummy.cycleMode();
+                break;
+            case controls.toggleHitboxes:
+                GAME_CONFIG.debug.showHitboxes = !GAME_CONFIG.debug.showHitboxes;
+                break;
+            case controls.record:
+                this.dummy.toggleRecording();
+                break;
+            case controls.resetCenter:
+                this.resetPositions('center');
+                break;
+            case controls.resetLeft:
+                this.resetPositions('left');
+                break;
+            case controls.resetRight:
+                this.resetPositions('right');
+                break;
+            default:
+                super.handleInput(input);
+        }
+    }
+}
+
+/**
+ * Loading State Implementation
+ */
+class LoadingState extends GameState {
+    constructor(game) {
+        super(game);
+        this.loadingProgress = 0;
+        this.loadingText = 'Loading...';
+        this.minLoadTime = 1000; // Minimum loading screen time
+        this.startTime = Date.now();
+    }
+
+    enter() {
+        this.startTime = Date.now();
+    }
+
+    update(deltaTime) {
+        this.loadingProgress = this.game.assetLoader.getLoadingProgress();
+        
+        // Check if minimum time has passed and assets are loaded
+        if (this.loadingProgress >= 1 && 
+            Date.now() - this.startTime > this.minLoadTime) {
+            this.game.stateManager.changeState('menu');
+        }
+    }
+
+    draw(ctx) {
+        this.game.loadingScreen.updateProgress(
+            this.loadingProgress * 100,
+            100
+        );
+        this.game.loadingScreen.draw(ctx);
+    }
+}
+
+/**
+ * Character select layout
+ * @constant {Object}
+ */
+const CHARACTER_SELECT_CONFIG = {
+    columns: 6,
+    cellSize: 88,
+    cellGap: 12,
+    gridTop: 120,
+    previewScale: 1.6,
+    cursorColors: { 1: '#ff4040', 2: '#40a0ff' },
+    /** @type {Array<string>} Computer levels offered in VS CPU, see createAIController */
+    cpuLevels: ['easy', 'normal', 'hard', 'adaptive', 'ghost']
+};
+
+/**
+ * Character select. Both players move their own cursor over a grid built
+ * from the roster with their own controls: attack confirms, medium and
+ * heavy cycle palettes, Menu Back cancels. Once both have confirmed, stage
+ * select follows. Two players on the same fighter never share a palette.
+ * In the single-player modes (arcade, survival, time attack) only player 1
+ * picks, then chooses a difficulty with left/right and starts the run with
+ * attack. In VS CPU, player 1 picks their fighter, then the computer's,
+ * then its level, and moves on to stage select. Hosting a netplay match,
+ * player 1 picks both fighters the same way, then the stage.
+ */
+class CharacterSelectState extends GameState {
+    constructor(game) {
+        super(game);
+        /** @type {string} 'versus', 'cpu', 'netplay' or a run mode, set by Game.selectCharacters */
+        this.mode = 'versus';
+        /** @type {string} Difficulty a single-player run starts at, or the computer's level */
+        this.difficulty = 'normal';
+        /** @type {boolean} Learning a ghost; presses are ignored until it is ready */
+        this.preparing = false;
+        this.roster = [];
+        this.characters = {};
+        /** @type {Object|null} Per player: { index, palette, confirmed } */
+        this.cursors = null;
+        this.previousInputs = {};
+        this.devices = {};
+        this.frame = 0;
+    }
+
+    /**
+     * @returns {Array<number>} Players picking a fighter in this mode
+     */
+    get players() {
+        return this.mode === 'versus' ? [1, 2] : [1];
+    }
+
+    /**
+     * @returns {Array<number>} Sides whose fighter is picked here
+     */
+    get sides() {
+        return this.mode === 'versus' || this.picksBoth ? [1, 2] : [1];
+    }
+
+    /**
+     * @returns {boolean} Whether player 1 picks both fighters, their own first
+     */
+    get picksBoth() {
+        return this.mode === 'cpu' || this.mode === 'netplay';
+    }
+
+    /**
+     * @returns {boolean} Whether a difficulty is chosen once the fighters are in
+     */
+    get choosesDifficulty() {
+        return this.mode !== 'versus' && this.mode !== 'netplay';
+    }
+
+    /**
+     * @returns {Array<string>} Difficulties to choose from in this mode
+     */
+    getLevels() {
+        return this.mode === 'cpu' ? CHARACTER_SELECT_CONFIG.cpuLevels : ARCADE_CONFIG.levels;
+    }
+
+    /**
+     * @param {number} player - Player who pressed a button
+     * @returns {number} Side whose cursor the press moves. When picking
+     * both fighters, player 1 moves on to the second once their own is in.
+     */
+    getCursorSide(player) {
+        return this.picksBoth && this.cursors[1].confirmed ? 2 : player;
+    }
+
+    enter() {
+        this.mode = this.game.selectMode;
+        this.preparing = false;
+        // Start from the level picked in Options when this mode offers it
+        this.difficulty = this.getLevels().includes(this.game.difficulty) ? this.game.difficulty : 'normal';
+        this.roster = this.game.getCharacterIds();
+        this.characters = Object.fromEntries(this.roster.map(id =>
+            [id, normalizeCharacterData(this.game.getCharacterData(id))]
+        ));
+
+        // Coming back from stage select keeps the picks but unlocks them
+        const last = this.roster.length - 1;
+        const previous = this.cursors || { 1: { index: 0, palette: 0 }, 2: { index: 1, palette: 0 } };
+        this.cursors = {};
+        [1, 2].forEach(player => {
+            const index = Math.min(previous[player].index, last);
+            const palettes = this.getPalettes(index).length;
+            this.cursors[player] = {
+                index,
+                palette: Math.min(previous[player].palette, palettes - 1),
+                confirmed: false
+            };
+        });
+        this.resolvePaletteClash(2);
+
+        // Buttons still held from the previous screen don't count as presses
+        [1, 2].forEach(player => {
+            this.previousInputs[player] = this.game.getInputState(player);
+            this.devices[player] = this.game.inputManager.assignments[player];
+        });
+        this.frame = 0;
+        this.game.inputManager.assignmentOpen = true;
+    }
+
+    exit() {
+        this.game.inputManager.assignmentOpen = false;
+    }
+
+    update(deltaTime) {
+        this.frame++;
+
+        this.players.forEach(player => {
+            const input = this.game.getInputState(player);
+            const previous = this.previousInputs[player];
+            this.previousInputs[player] = input;
+
+            // The button that joins a pad shouldn't also make a choice
+            const device = this.game.inputManager.assignments[player];
+            if (device !== this.devices[player]) {
+                this.devices[player] = device;
+                return;
+            }
+
+            Object.keys(EMPTY_INPUT)
+                .filter(action => input[action] && !previous[action])
+                .forEach(action => this.handlePlayerAction(player, action));
+        });
+
+        // Single-player runs start from the difficulty choice instead
+        if (!this.choosesDifficulty && this.game.stateManager.currentState === 'characterSelect' &&
+            this.cursors[1].confirmed && this.cursors[2].confirmed) {
+            this.finish();
+        }
+    }
+
+    /**
+     * Applies one button press from one player
+     * @param {number} player - 1 or 2
+     * @param {string} action - InputState property that was pressed
+     */
+    handlePlayerAction(player, action) {
+        if (this.preparing) return;
+        const side = this.getCursorSide(player);
+        const cursor = this.cursors[side];
+
+        if (action === 'block') {
+            if (cursor.confirmed) {
+                cursor.confirmed = false;
+                this.game.audioManager.playSound('menuMove');
+            } else if (side !== player) {
+                // Back from the computer's pick to the player's own
+                this.cursors[player].confirmed = false;
+                this.game.audioManager.playSound('menuMove');
+            } else {
+                this.game.stateManager.changeState('menu');
+            }
+            return;
+        }
+        if (cursor.confirmed) {
+            if (this.choosesDifficulty) {
+                this.handleDifficultyAction(action);
+            }
+            return;
+        }
+
+        switch (action) {
+            case 'left':
+                this.moveCursor(side, -1, 0);
+                break;
+            case 'right':
+                this.moveCursor(side, 1, 0);
+                break;
+            case 'up':
+                this.moveCursor(side, 0, -1);
+                break;
+            case 'down':
+                this.moveCursor(side, 0, 1);
+                break;
+            case 'medium':
+                this.cyclePalette(side, -1);
+                break;
+            case 'heavy':
+                this.cyclePalette(side, 1);
+                break;
+            case 'attack':
+                cursor.confirmed = true;
+                this.game.audioManager.playSound('menuSelect');
+                break;
+        }
+    }
+
+    /**
+     * Applies a press while player 1 chooses the run's difficulty
+     * @param {string} action - InputState property that was pressed
+     */
+    handleDifficultyAction(action) {
+        const levels = this.getLevels();
+        const index = levels.indexOf(this.difficulty);
+        switch (action) {
+            case 'left':
+            case 'right': {
+                const step = action === 'left' ? -1 : 1;
+                this.difficulty = levels[(index + step + levels.length) % levels.length];
+                this.game.audioManager.playSound('menuMove');
+                break;
+            }
+            case 'attack':
+                this.game.audioManager.playSound('menuSelect');
+                this.finish();
+                break;
+        }
+    }
+
+    /**
+     * Moves a cursor across the grid, wrapping at the edges. The palette
+     * resets to the fighter's default, or the next free one.
+     * @param {number} player - 1 or 2
+     * @param {number} dx - Columns to move
+     * @param {number} dy - Rows to move
+     */
+    moveCursor(player, dx, dy) {
+        const cursor = this.cursors[player];
+        const count = this.roster.length;
+        const columns = Math.min(CHARACTER_SELECT_CONFIG.columns, count);
+        const rows = Math.ceil(count / columns);
+        let column = cursor.index % columns;
+        let row = Math.floor(cursor.index / columns);
+
+        if (dx !== 0) {
+            // The last row may be short
+            const rowLength = Math.min(columns, count - row * columns);
+            column = (column + dx + rowLength) % rowLength;
+        }
+        if (dy !== 0) {
+            row = (row + dy + rows) % rows;
+        }
+
+        const index = Math.min(row * columns + column, count - 1);
+        if (index === cursor.index) return;
+        cursor.index = index;
+        cursor.palette = 0;
+        this.resolvePaletteClash(player);
+        this.game.audioManager.playSound('menuMove');
+    }
+
+    /**
+     * Steps through the hovered fighter's palettes, skipping the one the
+     * other player has on the same fighter
+     * @param {number} player - 1 or 2
+     * @param {number} step - 1 or -1
+     */
+    cyclePalette(player, step) {
+        const cursor = this.cursors[player];
+        const count = this.getPalettes(cursor.index).length;
+        for (let tries = 0; tries < count; tries++) {
+            cursor.palette = (cursor.palette + step + count) % count;
+            if (!this.hasPaletteClash(player)) break;
+        }
+        this.game.audioManager.playSound('menuMove');
+    }
+
+    /**
+     * Moves a player off the other player's fighter and palette, if they match
+     * @param {number} player - Player who gives way
+     */
+    resolvePaletteClash(player) {
+        if (this.hasPaletteClash(player)) {
+            this.cyclePalette(player, 1);
+        }
+    }
+
+    /**
+     * @param {number} player - 1 or 2
+     * @returns {boolean} Whether both cursors have the same fighter and palette
+     */
+    hasPaletteClash(player) {
+        // The computer opponent of a run gives way in mirror matches instead
+        if (this.sides.length < 2) return false;
+        const cursor = this.cursors[player];
+        const other = this.cursors[player === 1 ? 2 : 1];
+        return cursor.index === other.index && cursor.palette === other.palette;
+    }
+
+    /**
+     * @param {number} index - Grid position
+     * @returns {Array<Object>} Palettes of the fighter there, custom ones included
+     */
+    getPalettes(index) {
+        return this.game.getPalettes(this.roster[index]);
+    }
+
+    /**
+     * Hands both picks to stage select, or starts the single-player run
+     */
+    finish() {
+        const [p1, p2] = [this.cursors[1], this.cursors[2]];
+        if (this.mode === 'cpu') {
+            this.finishCpuSelect({
+                characters: { p1: this.roster[p1.index], p2: this.roster[p2.index] },
+                palettes: { p1: p1.palette, p2: p2.palette }
+            });
+            return;
+        }
+        if (this.choosesDifficulty) {
+            this.game.startRun({
+                mode: this.mode,
+                character: this.roster[p1.index],
+                palette: p1.palette,
+                difficulty: this.difficulty
+            });
+            return;
+        }
+        this.game.selectStage({
+            characters: { p1: this.roster[p1.index], p2: this.roster[p2.index] },
+            palettes: { p1: p1.palette, p2: p2.palette }
+        });
+    }
+
+    /**
+     * Hands a VS CPU match to stage select with the chosen level. The ghost
+     * level first learns player 1's habits from their stored replays,
+     * preferring the ones where they played the computer's fighter.
+     * @async
+     * @param {Object} options - startMatch options chosen so far
+     */
+    async finishCpuSelect(options) {
+        let level = this.difficulty;
+        if (level === 'ghost') {
+            this.preparing = true;
+            try {
+                level = await this.game.trainGhost({ side: 'p1', character: options.characters.p2 })
+                    .catch(() => this.game.trainGhost({ side: 'p1' }));
+            } catch (error) {
+                this.game.showMessage('No replays to learn from yet', GAME_CONFIG.fps * 2);
+                return;
+            } finally {
+                this.preparing = false;
+            }
+            // Player backed out while the replays loaded
+            if (this.game.stateManager.currentState !== 'characterSelect') return;
+        }
+        this.game.selectStage({ ...options, ai: { p2: level } });
+    }
+
+    draw(ctx) {
+        const { width, height } = ctx.canvas;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.fillStyle = '#fff';
+        ctx.font = '48px Arial';
+        ctx.textAlign = 'center';
+        const titles = {
+            arcade: 'ARCADE', survival: 'SURVIVAL', timeAttack: 'TIME ATTACK', cpu: 'VS CPU', netplay: 'NETPLAY'
+        };
+        ctx.fillText(titles[this.mode] || 'SELECT CHARACTER', width / 2, 80);
+
+        this.drawGrid(ctx);
+        this.drawPreview(ctx, 1, width * 0.25, height - 190);
+        if (this.sides.length > 1) {
+            this.drawPreview(ctx, 2, width * 0.75, height - 190);
+        } else {
+            this.drawDifficulty(ctx, width * 0.75, height - 190);
+        }
+        // The computer's level goes between the two fighters once both are in
+        if (this.mode === 'cpu' && this.cursors[2].confirmed) {
+            this.drawDifficulty(ctx, width * 0.5, height - 190);
+        }
+        this.drawDeviceAssignments(ctx);
+    }
+
+    /**
+     * Draws the portrait grid with both cursors
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawGrid(ctx) {
+        const { cellSize, cellGap, gridTop, cursorColors } = CHARACTER_SELECT_CONFIG;
+        const columns = Math.min(CHARACTER_SELECT_CONFIG.columns, this.roster.length);
+        const gridWidth = columns * cellSize + (columns - 1) * cellGap;
+        const left = (ctx.canvas.width - gridWidth) / 2;
+        const cellAt = index => ({
+            x: left + (index % columns) * (cellSize + cellGap),
+            y: gridTop + Math.floor(index / columns) * (cellSize + cellGap)
+        });
+
+        this.roster.forEach((id, index) => {
+            const character = this.characters[id];
+            const { x, y } = cellAt(index);
+            const portrait = character.portrait && this.game.assetLoader.getImage(character.portrait);
+
+            ctx.fillStyle = '#222';
+            ctx.fillRect(x, y, cellSize, cellSize);
+            if (portrait) {
+                ctx.drawImage(portrait, x, y, cellSize, cellSize);
+            } else {
+                ctx.fillStyle = '#fff';
+                ctx.font = '14px Arial';
+                ctx.textAlign = 'center';
+                ctx.fillText(character.name, x + cellSize / 2, y + cellSize / 2 + 5);
+            }
+        });
+
+        // P2's frame sits inside P1's when both are on the same fighter
+        this.sides.forEach(player => {
+            const cursor = this.cursors[player];
+            const { x, y } = cellAt(cursor.index);
+            const inset = player === 2 && this.cursors[1].index === cursor.index ? 5 : 0;
+
+            ctx.strokeStyle = cursorColors[player];
+            ctx.lineWidth = cursor.confirmed ? 5 : 3;
+            ctx.strokeRect(x + inset, y + inset, cellSize - inset * 2, cellSize - inset * 2);
+            ctx.fillStyle = cursorColors[player];
+            ctx.font = 'bold 14px Arial';
+            ctx.textAlign = player === 1 ? 'left' : 'right';
+            const tag = this.mode === 'cpu' && player === 2 ? 'CPU' : `${player}P`;
+            ctx.fillText(tag, player === 1 ? x + 4 : x + cellSize - 4, y + cellSize + 16);
+        });
+    }
+
+    /**
+     * Draws a player's hovered fighter in its idle animation, with its
+     * name, palette and whether the pick is locked in
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} player - 1 or 2
+     * @param {number} centerX - Horizontal center of the preview
+     * @param {number} floorY - Where the fighter's feet go
+     */
+    drawPreview(ctx, player, centerX, floorY) {
+        const cursor = this.cursors[player];
+        const character = this.characters[this.roster[cursor.index]];
+        const palettes = this.getPalettes(cursor.index);
+        const palette = palettes[cursor.palette];
+        const scale = CHARACTER_SELECT_CONFIG.previewScale;
+        const width = character.size.width * scale;
+        const height = character.size.height * scale;
+
+        const idle = character.states.idle;
+        const image = idle && this.game.assetLoader.getImage(character.sprites[idle.sprite]);
+        ctx.save();
+        ctx.translate(centerX, floorY - height);
+        // Both fighters face the middle of the screen
+        if (player === 2) ctx.scale(-1, 1);
+        if (image) {
+            drawAnimationFrame(ctx, this.game.paletteCache.get(image, palette.colors), idle,
+                this.frame, -width / 2, 0, width, height);
+        } else {
+            ctx.fillStyle = CHARACTER_SELECT_CONFIG.cursorColors[player];
+            ctx.fillRect(-width / 2, 0, width, height);
+        }
+        ctx.restore();
+
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#fff';
+        ctx.font = '24px Arial';
+        ctx.fillText(character.name, centerX, floorY + 30);
+
+        ctx.font = '16px Arial';
+        ctx.fillStyle = '#ccc';
+        const label = palettes.length > 1 ?
+            `< ${palette.name} > ${cursor.palette + 1}/${palettes.length}` : palette.name;
+        ctx.fillText(label, centerX, floorY + 54);
+
+        const swatches = Object.values(palette.colors);
+        swatches.forEach((color, index) => {
+            ctx.fillStyle = color;
+            ctx.fillRect(centerX - swatches.length * 9 + index * 18, floorY + 62, 14, 14);
+        });
+
+        ctx.fillStyle = cursor.confirmed ? '#ffff00' : '#888';
+        ctx.fillText(cursor.confirmed ? 'READY' : 'Attack: confirm   Medium/Heavy: palette',
+            centerX, floorY + 96);
+    }
+
+    /**
+     * Draws the single-player difficulty or the computer's level, highlighted
+     * once the fighters are locked in
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} centerX - Horizontal center of the panel
+     * @param {number} floorY - Baseline shared with the fighter preview
+     */
+    drawDifficulty(ctx, centerX, floorY) {
+        const choosing = this.sides.every(side => this.cursors[side].confirmed);
+
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#fff';
+        ctx.font = '24px Arial';
+        ctx.fillText('DIFFICULTY', centerX, floorY - 80);
+
+        ctx.fillStyle = choosing ? '#ffff00' : '#888';
+        ctx.font = '32px Arial';
+        ctx.fillText(`< ${this.difficulty.toUpperCase()} >`, centerX, floorY - 30);
+
+        ctx.font = '16px Arial';
+        ctx.fillStyle = '#ccc';
+        const rules = {
+            arcade: 'Opponents get tougher, the boss comes last',
+            survival: 'One health bar, as many wins as you can',
+            timeAttack: 'Beat the gauntlet as fast as you can'
+        };
+        const levels = {
+            adaptive: 'Learns your habits and counters them',
+            ghost: 'Plays like you, learned from your replays'
+        };
+        ctx.fillText(this.mode === 'cpu' ? levels[this.difficulty] || 'Fixed skill level' : rules[this.mode],
+            centerX, floorY + 30);
+        if (choosing) {
+            ctx.fillStyle = '#ffff00';
+            ctx.fillText('Left/Right: difficulty   Attack: start', centerX, floorY + 96);
+        }
+    }
+
+    /**
+     * Shows which devices control each player; unassigned pads join here
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawDeviceAssignments(ctx) {
+        const inputManager = this.game.inputManager;
+        const y = ctx.canvas.height - 60;
+
+        ctx.font = '16px Arial';
+        ctx.fillStyle = '#fff';
+        ctx.textAlign = 'left';
+        ctx.fillText(`P1: ${inputManager.describeDevices(1)}`, 20, y);
+        ctx.textAlign = 'right';
+        ctx.fillText(`P2: ${inputManager.describeDevices(2)}`, ctx.canvas.width - 20, y);
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#aaa';
+        ctx.fillText('Press attack or start on a controller to join', ctx.canvas.width / 2, y + 30);
+    }
+}
+
+/**
+ * Stage select, between character select and the fight. The last option
+ * picks a stage at random.
+ */
+class StageSelectState extends GameState {
+    constructor(game) {
+        super(game);
+        this.index = 0;
+        this.frame = 0;
+    }
+
+    /**
+     * @returns {Array<string>} Stage ids followed by 'random'
+     */
+    get options() {
+        return [...this.game.getStageIds(), 'random'];
+    }
+
+    enter() {
+        this.index = Math.min(this.index, this.options.length - 1);
+        this.frame = 0;
+    }
+
+    update(deltaTime) {
+        // Drives the preview's layer animations
+        this.frame++;
+    }
+
+    handleInput(input) {
+        const count = this.options.length;
+        switch (input) {
+            case 'ArrowLeft':
+            case 'ArrowUp':
+                this.index = (this.index - 1 + count) % count;
+                this.game.audioManager.playSound('menuMove');
+                break;
+            case 'ArrowRight':
+            case 'ArrowDown':
+                this.index = (this.index + 1) % count;
+                this.game.audioManager.playSound('menuMove');
+                break;
+            case 'Enter':
+                this.game.audioManager.playSound('menuSelect');
+                this.confirm();
+                break;
+            case 'Escape':
+            case 'Backspace':
+                this.game.stateManager.changeState('characterSelect');
+                break;
+        }
+    }
+
+    confirm() {
+        const ids = this.game.getStageIds();
+        const choice = this.options[this.index];
+        const stage = choice === 'random' ? ids[Math.floor(Math.random() * ids.length)] : choice;
+        if (this.game.selectMode === 'netplay') {
+            this.game.openNetplayLobby(true, { ...this.game.pendingMatch, stage });
+        } else {
+            this.game.startMatch({ ...this.game.pendingMatch, stage });
+        }
+    }
+
+    draw(ctx) {
+        const { width, height } = ctx.canvas;
+        const choice = this.options[this.index];
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.fillStyle = '#fff';
+        ctx.font = '48px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('SELECT STAGE', width / 2, 100);
+
+        const preview = { x: width * 0.2, y: 150, width: width * 0.6, height: width * 0.6 * 0.45 };
+        if (choice === 'random') {
+            ctx.fillStyle = '#222';
+            ctx.fillRect(preview.x, preview.y, preview.width, preview.height);
+            ctx.fillStyle = '#fff';
+            ctx.font = '96px Arial';
+            ctx.fillText('?', width / 2, preview.y + preview.height / 2 + 32);
+        } else {
+            this.drawPreview(ctx, this.game.getStageData(choice), preview);
+        }
+        ctx.strokeStyle = '#ffff00';
+        ctx.lineWidth = 3;
+        ctx.strokeRect(preview.x, preview.y, preview.width, preview.height);
+
+        const name = choice === 'random' ? 'RANDOM' : this.game.getStageData(choice).name;
+        ctx.fillStyle = '#ffff00';
+        ctx.font = '28px Arial';
+        ctx.fillText(`< ${name} >`, width / 2, preview.y + preview.height + 50);
+        ctx.fillStyle = '#aaa';
+        ctx.font = '16px Arial';
+        ctx.fillText(`${this.index + 1} / ${this.options.length}`, width / 2, preview.y + preview.height + 80);
+    }
+
+    /**
+     * Draws the whole stage shrunk into a box
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} stage - Stage data
+     * @param {Object} box - Preview area on screen
+     */
+    drawPreview(ctx, stage, box) {
+        const scale = Math.min(box.width / stage.width, box.height / stage.height);
+        const view = { left: 0, top: 0, width: stage.width, height: stage.height };
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(box.x, box.y, box.width, box.height);
+        ctx.clip();
+        ctx.fillStyle = '#000';
+        ctx.fillRect(box.x, box.y, box.width, box.height);
+        ctx.translate(box.x + (box.width - stage.width * scale) / 2, box.y + (box.height - stage.height * scale) / 2);
+        ctx.scale(scale, scale);
+        this.game.stageRenderer.draw(ctx, stage, view, this.frame);
+        ctx.restore();
+    }
+}
+
+/**
+ * Menu State Implementation
+ */
+class MenuState extends GameState {
+    enter() {
+        // Quitting from a fight or the game over screen abandons the run
+        this.game.run = null;
+        this.game.replayQueue = [];
+        this.game.setGameSpeed('normal');
+        this.game.audioManager.playMusic('menuTheme');
+    }
+
+    exit() {
+        this.game.audioManager.stopMusic();
+    }
+
+    update(deltaTime) {
+        // Update menu animations if any
+    }
+
+    draw(ctx) {
+        this.game.menuSystem.draw(ctx);
+    }
+
+    handleInput(input) {
+        this.game.menuSystem.handleInput(input);
+    }
+}
+
+/**
+ * Control remapping screen. Rows are the remappable actions followed by
+ * profile commands; columns are each player's keyboard and gamepad.
+ */
+class ControlsState extends GameState {
+    constructor(game) {
+        super(game);
+        this.columns = [
+            { player: 'p1', device: 'keyboard', label: 'P1 Key' },
+            { player: 'p1', device: 'gamepad', label: 'P1 Pad' },
+            { player: 'p2', device: 'keyboard', label: 'P2 Key' },
+            { player: 'p2', device: 'gamepad', label: 'P2 Pad' }
+        ];
+        this.commands = ['Profile', 'New Profile', 'Delete Profile', 'Restore Defaults', 'Back'];
+        this.row = 0;
+        this.column = 0;
+        this.waiting = false;
+        this.message = '';
+    }
+
+    get profiles() {
+        return this.game.controlProfiles;
+    }
+
+    get rowCount() {
+        return CONTROLS_CONFIG.actions.length + this.commands.length;
+    }
+
+    /**
+     * @returns {string|null} Profile command on the selected row
+     */
+    get selectedCommand() {
+        return this.commands[this.row - CONTROLS_CONFIG.actions.length] || null;
+    }
+
+    enter() {
+        this.row = 0;
+        this.column = 0;
+        this.waiting = false;
+        this.message = '';
+    }
+
+    exit() {
+        this.game.inputManager.cancelCapture();
+    }
+
+    handleInput(input) {
+        if (this.waiting) {
+            // Only reached while waiting for a gamepad button
+            if (input === 'Escape') {
+                this.game.inputManager.cancelCapture();
+                this.waiting = false;
+                this.message = '';
+            }
+            return;
+        }
+
+        switch (input) {
+            case 'ArrowUp':
+                this.row = (this.row - 1 + this.rowCount) % this.rowCount;
+                break;
+            case 'ArrowDown':
+                this.row = (this.row + 1) % this.rowCount;
+                break;
+            case 'ArrowLeft':
+            case 'ArrowRight': {
+                const step = input === 'ArrowLeft' ? -1 : 1;
+                if (this.selectedCommand === 'Profile') {
+                    this.cycleProfile(step);
+                } else if (!this.selectedCommand) {
+                    this.column = (this.column + step + this.columns.length) % this.columns.length;
+                }
+                break;
+            }
+            case 'Enter':
+                this.activate();
+                break;
+            case 'Escape':
+            case 'Backspace':
+                this.game.stateManager.changeState('menu');
+                break;
+        }
+    }
+
+    activate() {
+        switch (this.selectedCommand) {
+            case null:
+                this.startRebind();
+                break;
+            case 'Profile':
+                this.cycleProfile(1);
+                break;
+            case 'New Profile':
+                this.message = `Created ${this.profiles.create()}`;
+                break;
+            case 'Delete Profile':
+                this.profiles.deleteActive();
+                this.message = '';
+                break;
+            case 'Restore Defaults':
+                this.profiles.restoreDefaults();
+                this.message = 'Defaults restored';
+                break;
+            case 'Back':
+                this.game.stateManager.changeState('menu');
+                break;
+        }
+    }
+
+    cycleProfile(step) {
+        const names = this.profiles.getNames();
+        const index = names.indexOf(this.profiles.activeName);
+        this.profiles.select(names[(index + step + names.length) % names.length]);
+    }
+
+    /**
+     * Waits for the key or button to bind to the selected cell
+     */
+    startRebind() {
+        const { player, device } = this.columns[this.column];
+        const { action, label } = CONTROLS_CONFIG.actions[this.row];
+
+        this.waiting = true;
+        this.message = `Press a ${device === 'keyboard' ? 'key' : 'button'} for ${label}`;
+        this.game.inputManager.beginCapture(device, value => {
+            this.waiting = false;
+            this.profiles.bind(player, device, action, value);
+            this.message = this.describeConflicts();
+        });
+    }
+
+    /**
+     * @returns {string} Warning listing clashing bindings, or an empty string
+     */
+    describeConflicts() {
+        const conflicts = findBindingConflicts(this.profiles.active);
+        if (conflicts.length === 0) return '';
+
+        const labels = Object.fromEntries(
+            CONTROLS_CONFIG.actions.map(({ action, label }) => [action, label])
+        );
+        return 'Conflict: ' + conflicts.map(({ key, slots }) =>
+            `${key} (${slots.map(slot => `${slot.player.toUpperCase()} ${labels[slot.action]}`).join(', ')})`
+        ).join('; ');
+    }
+
+    /**
+     * @param {string} device - 'keyboard' or 'gamepad'
+     * @param {string|number} value - Bound key or button
+     * @returns {string} Display text for a binding
+     */
+    formatBinding(device, value) {
+        if (device === 'gamepad') return `Btn ${value}`;
+        return value === ' ' ? 'Space' : value;
+    }
+
+    draw(ctx) {
+        const width = ctx.canvas.width;
+        const conflicting = new Set();
+        findBindingConflicts(this.profiles.active).forEach(({ slots }) => {
+            slots.forEach(slot => conflicting.add(`${slot.player}:${slot.device}:${slot.action}`));
+        });
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(0, 0, width, ctx.canvas.height);
+
+        ctx.fillStyle = '#fff';
+        ctx.font = '36px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('CONTROLS', width / 2, 50);
+
+        const columnX = index => 260 + index * 140;
+        ctx.font = '16px Arial';
+        this.columns.forEach((column, index) => {
+            ctx.fillText(column.label, columnX(index), 90);
+        });
+
+        CONTROLS_CONFIG.actions.forEach(({ action, label }, row) => {
+            const y = 120 + row * 26;
+            ctx.textAlign = 'left';
+            ctx.fillStyle = '#fff';
+            ctx.fillText(label, 40, y);
+
+            ctx.textAlign = 'center';
+            this.columns.forEach(({ player, device }, index) => {
+                const selected = row === this.row && index === this.column;
+                const value = this.profiles.active[player][device][action];
+                ctx.fillStyle = conflicting.has(`${player}:${device}:${action}`) ? '#ff6666' :
+                    selected ? '#ffff00' : '#fff';
+                const text = selected && this.waiting ? '...' : this.formatBinding(device, value);
+                ctx.fillText(selected ? `> ${text} <` : text, columnX(index), y);
+            });
+        });
+
+        ctx.textAlign = 'center';
+        this.commands.forEach((command, index) => {
+            const row = CONTROLS_CONFIG.actions.length + index;
+            const text = command === 'Profile' ? `Profile: < ${this.profiles.activeName} >` : command;
+            ctx.fillStyle = row === this.row ? '#ffff00' : '#fff';
+            ctx.fillText(text, width / 2, 380 + index * 28);
+        });
+
+        if (this.message) {
+            ctx.fillStyle = this.message.startsWith('Conflict') ? '#ff6666' : '#aaa';
+            ctx.fillText(this.message, width / 2, ctx.canvas.height - 20);
+        }
+    }
+}
+
+/**
+ * Palette editor. Starts from any of a fighter's palettes and changes the
+ * replacement for each of its key colors one RGB channel at a time. Custom
+ * palettes are saved to the player profile.
+ */
+class PaletteEditorState extends GameState {
+    constructor(game) {
+        super(game);
+        this.commands = ['Save as New', 'Save', 'Delete', 'Back'];
+        this.channels = ['R', 'G', 'B'];
+        this.characterIndex = 0;
+        /** @type {Object|null} Normalized data of the fighter being edited */
+        this.character = null;
+        /** @type {Array<string>} Colors the fighter's palettes replace, in first-seen order */
+        this.keyColors = [];
+        this.paletteIndex = 0;
+        /** @type {Object} Working colors: replacement '#rrggbb' by key color */
+        this.colors = {};
+        this.row = 0;
+        this.channel = 0;
+        this.message = '';
+        this.frame = 0;
+        this.preview = null;
+    }
+
+    get characterId() {
+        return this.game.getCharacterIds()[this.characterIndex];
+    }
+
+    /**
+     * @returns {number} Number of palettes defined in the character data
+     */
+    get builtInCount() {
+        return this.game.getPalettes(this.characterId).length -
+            this.game.playerProfile.getPalettes(this.characterId).length;
+    }
+
+    get rowCount() {
+        return 2 + this.keyColors.length + this.commands.length;
+    }
+
+    /**
+     * @returns {string|null} Key color on the selected row
+     */
+    get selectedColor() {
+        return this.keyColors[this.row - 2] || null;
+    }
+
+    /**
+     * @returns {string|null} Command on the selected row
+     */
+    get selectedCommand() {
+        return this.commands[this.row - 2 - this.keyColors.length] || null;
+    }
+
+    enter() {
+        this.row = 0;
+        this.message = '';
+        this.frame = 0;
+        this.selectCharacter(Math.min(this.characterIndex, this.game.getCharacterIds().length - 1));
+    }
+
+    /**
+     * @param {number} index - Roster position of the fighter to edit
+     */
+    selectCharacter(index) {
+        this.characterIndex = index;
+        this.character = normalizeCharacterData(this.game.getCharacterData(this.characterId));
+        this.keyColors = [...new Set(this.character.palettes.flatMap(palette => Object.keys(palette.colors)))];
+        this.loadPalette(0);
+    }
+
+    /**
+     * @param {string} color - '#rrggbb'
+     * @returns {Array<number>} Red, green and blue, 0-255
+     */
+    getChannels(color) {
+        return [1, 3, 5].map(offset => parseInt(color.substr(offset, 2), 16));
+    }
+
+    update(deltaTime) {
+        // Drives the preview's idle animation
+        this.frame++;
+    }
+
+    /**
+     * Starts editing from one of the fighter's palettes
+     * @param {number} index - Index into game.getPalettes
+     */
+    loadPalette(index) {
+        const palette = this.game.getPalette(this.characterId, index);
+        this.paletteIndex = index;
+        this.colors = Object.fromEntries(this.keyColors.map(key => [key, palette.colors[key] || key]));
+        this.channel = 0;
+    }
+
+    handleInput(input) {
+        switch (input) {
+            case 'ArrowUp':
+                this.row = (this.row - 1 + this.rowCount) % this.rowCount;
+                break;
+            case 'ArrowDown':
+                this.row = (this.row + 1) % this.rowCount;
+                break;
+            case 'ArrowLeft':
+            case 'ArrowRight':
+                this.adjust(input === 'ArrowLeft' ? -1 : 1);
+                break;
+            case 'Enter':
+                this.activate();
+                break;
+            case 'Escape':
+            case 'Backspace':
+                this.game.stateManager.changeState('menu');
+                break;
+        }
+    }
+
+    /**
+     * Left or right on the selected row
+     * @param {number} step - 1 or -1
+     */
+    adjust(step) {
+        if (this.row === 0) {
+            const count = this.game.getCharacterIds().length;
+            this.selectCharacter((this.characterIndex + step + count) % count);
+            this.message = '';
+        } else if (this.row === 1) {
+            const count = this.game.getPalettes(this.characterId).length;
+            this.loadPalette((this.paletteIndex + step + count) % count);
+        } else if (this.selectedColor) {
+            const color = this.selectedColor;
+            const rgb = this.getChannels(this.colors[color]);
+            rgb[this.channel] = Math.max(0, Math.min(255, rgb[this.channel] + step * PALETTE_CONFIG.channelStep));
+            this.colors[color] = '#' + rgb.map(value => value.toString(16).padStart(2, '0')).join('');
+        }
+    }
+
+    activate() {
+        if (this.selectedColor) {
+            this.channel = (this.channel + 1) % this.channels.length;
+            return;
+        }
+
+        const profile = this.game.playerProfile;
+        const slot = this.paletteIndex - this.builtInCount;
+        const colors = Object.fromEntries(Object.entries(this.colors).filter(([key, value]) => key !== value));
+        try {
+            switch (this.selectedCommand) {
+                case 'Save as New': {
+                    const name = `Custom ${profile.getPalettes(this.characterId).length + 1}`;
+                    const saved = profile.savePalette(this.characterId, { name, colors });
+                    this.paletteIndex = this.builtInCount + saved;
+                    this.message = `Saved ${name}`;
+                    break;
+                }
+                case 'Save':
+                    if (slot < 0) {
+                        this.message = 'Built-in palettes can only be saved as new';
+                        break;
+                    }
+                    profile.savePalette(this.characterId,
+                        { name: profile.getPalettes(this.characterId)[slot].name, colors }, slot);
+                    this.message = 'Saved';
+                    break;
+                case 'Delete':
+                    if (slot < 0) {
+                        this.message = 'Built-in palettes cannot be deleted';
+                        break;
+                    }
+                    profile.deletePalette(this.characterId, slot);
+                    this.loadPalette(0);
+                    this.message = 'Deleted';
+                    break;
+                case 'Back':
+                    this.game.stateManager.changeState('menu');
+                    break;
+            }
+        } catch (error) {
+            if (!(error instanceof GameError)) throw error;
+            this.message = error.message;
+        }
+    }
+
+    draw(ctx) {
+        const { width, height } = ctx.canvas;
+        const character = this.character;
+        const palette = this.game.getPalette(this.characterId, this.paletteIndex);
+        const custom = this.paletteIndex >= this.builtInCount;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.fillStyle = '#fff';
+        ctx.font = '36px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('PALETTE EDITOR', width / 2, 50);
+
+        this.drawPreview(ctx, character, width * 0.25, height - 120);
+
+        const x = width * 0.5;
+        const rowY = row => 110 + row * 32;
+        const rowColor = row => (row === this.row ? '#ffff00' : '#fff');
+        ctx.font = '18px Arial';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = rowColor(0);
+        ctx.fillText(`Character: < ${character.name} >`, x, rowY(0));
+        ctx.fillStyle = rowColor(1);
+        ctx.fillText(`Palette: < ${palette.name}${custom ? ' (custom)' : ''} >`, x, rowY(1));
+
+        const keyColors = this.keyColors;
+        if (keyColors.length === 0) {
+            ctx.fillStyle = '#aaa';
+            ctx.fillText('No recolorable colors', x, rowY(2));
+        }
+        keyColors.forEach((key, index) => {
+            const row = 2 + index;
+            const value = this.colors[key];
+            const rgb = this.getChannels(value);
+            ctx.fillStyle = key;
+            ctx.fillRect(x, rowY(row) - 16, 20, 20);
+            ctx.fillStyle = value;
+            ctx.fillRect(x + 40, rowY(row) - 16, 20, 20);
+            ctx.fillStyle = rowColor(row);
+            ctx.fillText('>', x + 25, rowY(row));
+            const channels = this.channels.map((label, channel) => {
+                const text = `${label} ${rgb[channel]}`;
+                return row === this.row && channel === this.channel ? `[${text}]` : text;
+            });
+            ctx.fillText(`${value}  ${channels.join('  ')}`, x + 70, rowY(row));
+        });
+
+        const firstCommandRow = 2 + Math.max(keyColors.length, 1);
+        this.commands.forEach((command, index) => {
+            ctx.fillStyle = rowColor(2 + keyColors.length + index);
+            ctx.fillText(command, x, rowY(firstCommandRow + index) + 16);
+        });
+
+        ctx.textAlign = 'center';
+        ctx.font = '16px Arial';
+        ctx.fillStyle = '#aaa';
+        ctx.fillText(this.message || 'Left/Right: change   Enter on a color: next channel',
+            width / 2, height - 20);
+    }
+
+    /**
+     * Draws the fighter's idle animation in the working colors
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} character - Normalized character data
+     * @param {number} centerX - Horizontal center of the preview
+     * @param {number} floorY - Where the fighter's feet go
+     */
+    drawPreview(ctx, character, centerX, floorY) {
+        const idle = character.states.idle;
+        const image = idle && this.game.assetLoader.getImage(character.sprites[idle.sprite]);
+        const width = character.size.width * 2.5;
+        const height = character.size.height * 2.5;
+
+        if (!image) {
+            ctx.fillStyle = '#444';
+            ctx.fillRect(centerX - width / 2, floorY - height, width, height);
+            return;
+        }
+
+        // Recolored only when the working colors change; edits aren't cached
+        const key = `${this.characterId}:${JSON.stringify(this.colors)}`;
+        if (!this.preview || this.preview.key !== key) {
+            this.preview = { key, sheet: recolorImage(image, this.colors) };
+        }
+        drawAnimationFrame(ctx, this.preview.sheet, idle, this.frame,
+            centerX - width / 2, floorY - height, width, height);
+    }
+}
+
+/**
+ * Pause State Implementation
+ */
+class PauseState extends GameState {
+    constructor(game) {
+        super(game);
+        this.options = ['Resume', 'Quit to Menu'];
+        this.selectedIndex = 0;
+    }
+
+    enter() {
+        this.selectedIndex = 0;
+        this.game.audioManager.pauseMusic();
+    }
+
+    exit() {
+        this.game.pauseReason = null;
+        this.game.audioManager.resumeMusic();
+    }
+
+    draw(ctx) {
+        // Draw the paused game state in background
+        const underlying = this.game.stateManager.getUnderlyingState();
+        if (underlying) {
+            underlying.draw(ctx);
+        }
+        
+        // Draw pause menu overlay
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        
+        ctx.fillStyle = '#fff';
+        ctx.font = '48px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('PAUSED', ctx.canvas.width / 2, ctx.canvas.height / 2);
+
+        if (this.game.pauseReason) {
+            ctx.font = '20px Arial';
+            ctx.fillStyle = '#ff6666';
+            ctx.fillText(this.game.pauseReason, ctx.canvas.width / 2, ctx.canvas.height / 2 - 60);
+        }
+        
+        // Draw pause menu options
+        ctx.font = '24px Arial';
+        this.options.forEach((option, index) => {
+            ctx.fillStyle = index === this.selectedIndex ? '#ffff00' : '#fff';
+            ctx.fillText(
+                option,
+                ctx.canvas.width / 2,
+                ctx.canvas.height / 2 + 50 + (index * 40)
+            );
+        });
+    }
+
+    handleInput(input) {
+        switch (input) {
+            case 'ArrowUp':
+            case 'ArrowDown':
+                this.selectedIndex = (this.selectedIndex + 1) % this.options.length;
+                break;
+            case 'Escape':
+                this.game.stateManager.popState();
+                break;
+            case 'Enter':
+                if (this.options[this.selectedIndex] === 'Resume') {
+                    this.game.stateManager.popState();
+                } else {
+                    this.game.stateManager.changeState('menu');
+                }
+                break;
+        }
+    }
+}
+
+/**
+ * Game Over State Implementation
+ */
+class GameOverState extends GameState {
+    enter() {
+        this.game.audioManager.playMusic('gameOverTheme');
+        this.game.finishRecording();
+        this.winner = this.determineWinner();
+        this.showResults();
+        this.checkRecord();
+    }
+
+    exit() {
+        this.game.audioManager.stopMusic();
+    }
+
+    determineWinner() {
+        const winner = this.game.matchResult.winner;
+        return winner ? `Player ${winner}` : null;
+    }
+
+    /**
+     * @returns {string} Headline for the screen
+     */
+    getTitle() {
+        const run = this.game.run;
+        if (run) {
+            if (!run.cleared) return 'GAME OVER';
+            return run.mode === 'timeAttack' ? 'TIME ATTACK CLEAR' : 'ARCADE CLEAR';
+        }
+        return this.winner ? `${this.winner} WINS!` : 'DRAW';
+    }
+
+    /**
+     * Looks up whether the finished run makes its leaderboard, in which
+     * case Enter leads to initials entry
+     */
+    checkRecord() {
+        this.newRecord = false;
+        const record = this.game.run && this.game.run.getRecord();
+        if (!record) return;
+
+        this.game.leaderboards.qualifies(record)
+            .then(qualifies => {
+                this.newRecord = qualifies;
+            })
+            .catch(error => this.game.errorHandler.logError('Leaderboards', error));
+    }
+
+    showResults() {
+        // Show match statistics
+        const result = this.game.matchResult;
+        const seconds = Math.floor(result.durationFrames / GAME_CONFIG.fps);
+        const [p1, p2] = result.stats;
+        this.stats = {
+            rounds: `${result.wins[0]} - ${result.wins[1]}`,
+            duration: `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`,
+            damage: `${Math.round(p1.damageDealt)} - ${Math.round(p2.damageDealt)}`,
+            maxCombo: `${p1.maxCombo} - ${p2.maxCombo}`,
+            perfectRounds: result.perfectRounds
+        };
+
+        const run = this.game.run;
+        if (!run) return;
+        switch (run.mode) {
+            case 'survival':
+                this.stats.wins = run.wins;
+                this.stats.score = run.score;
+                break;
+            case 'timeAttack':
+                this.stats.stage = `${run.index} / ${run.ladder.length}`;
+                this.stats.time = run.cleared ? formatFrames(run.frames) : '-';
+                break;
+            default:
+                this.stats.stage = `${run.index} / ${run.ladder.length}`;
+                this.stats.continues = run.continues;
+                this.stats.score = run.score;
+        }
+    }
+
+    handleInput(input) {
+        if (input === 'Enter' && this.newRecord) {
+            this.game.stateManager.changeState('initials');
+        } else if (input === 'Enter' || input === 'Escape') {
+            this.game.stateManager.changeState('menu');
+        }
+    }
+
+    draw(ctx) {
+        // Draw end game screen
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        
+        ctx.fillStyle = '#fff';
+        ctx.font = '48px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(
+            this.getTitle(),
+            ctx.canvas.width / 2,
+            ctx.canvas.height / 3
+        );
+
+        if (this.newRecord) {
+            ctx.fillStyle = '#ffff00';
+            ctx.font = '24px Arial';
+            ctx.fillText('NEW RECORD! Press Enter to sign it', ctx.canvas.width / 2, ctx.canvas.height / 3 + 50);
+            ctx.fillStyle = '#fff';
+        }
+        
+        // Draw stats
+        ctx.font = '24px Arial';
+        Object.entries(this.stats).forEach(([stat, value], index) => {
+            ctx.fillText(
+                `${stat}: ${value}`,
+                ctx.canvas.width / 2,
+                ctx.canvas.height / 2 + (index * 40)
+            );
+        });
+    }
+}
+
+/**
+ * Arcade mode ladder, continues and scoring
+ * @constant {Object}
+ */
+const ARCADE_CONFIG = {
+    /** @type {Array<string>} DIFFICULTY_CONFIG levels to pick from, easiest first */
+    levels: ['easy', 'normal', 'hard'],
+    /** @type {number} Random opponents before the boss, for fighters without a scripted ladder */
+    opponents: 5,
+    /** @type {number} Levels the ladder climbs above the one picked, capped at the hardest */
+    difficultyRamp: 2,
+    /** @type {string} Boss level, unless the player picked a harder one */
+    bossDifficulty: 'hard',
+    /** @type {number} Countdown after a loss; continuing resets the score */
+    continueSeconds: 10,
+    /** @type {Object} Points awarded for each fight won */
+    score: {
+        secondsLeft: 100,   // per second left on the clock, each round won
+        health: 50,         // per percent of health left, each round won
+        perfect: 5000,      // per perfect round
+        maxCombo: 300       // per hit in the longest combo of the fight
+    }
+};
+
+/**
+ * One arcade run: the ladder of fights, how far the player got, continues
+ * used and the score. The ladder is drawn from the run's seed when the run
+ * starts, so the same seed gives the same opponents, levels and stages.
+ * @class
+ */
+class ArcadeRun {
+    /**
+     * @param {Object} options - Run options
+     * @param {string} options.character - Player's character id
+     * @param {number} [options.palette=0] - Player's palette index
+     * @param {string} [options.difficulty='normal'] - Level the ladder starts at
+     * @param {number} [options.seed=1] - Seed for the ladder and every fight
+     * @param {Object} options.roster - Normalized character data keyed by id
+     * @param {Array<string>} options.stages - Stage ids to fight on
+     * @throws {GameError} ARCADE_ERROR for an unknown character or difficulty
+     */
+    constructor({ character, palette = 0, difficulty = 'normal', seed = 1, roster, stages }) {
+        if (!roster[character]) {
+            throw new GameError(`Unknown character "${character}"`, 'ARCADE_ERROR');
+        }
+        if (!ARCADE_CONFIG.levels.includes(difficulty)) {
+            throw new GameError(`Unknown difficulty "${difficulty}"`, 'ARCADE_ERROR');
+        }
+
+        /** @type {string} arcade, survival or timeAttack */
+        this.mode = 'arcade';
+        this.character = character;
+        this.palette = palette;
+        this.difficulty = difficulty;
+        this.seed = seed;
+        this.roster = roster;
+        this.stages = stages;
+        this.random = new SeededRandom(seed);
+        /** @type {Array<Object>} Fights in order: { character, difficulty, stage, boss } */
+        this.ladder = this.buildLadder();
+        /** @type {number} Position of the current fight in the ladder */
+        this.index = 0;
+        this.score = 0;
+        this.continues = 0;
+        /** @type {number} Frames spent in the fights won */
+        this.frames = 0;
+        /** @type {Array<Promise<Object|null>>} Stored replay of every fight played */
+        this.replays = [];
+        /** @type {Object|null} Score breakdown of the last fight won */
+        this.lastScore = null;
+        /** @type {boolean} Whether the boss has been beaten */
+        this.cleared = false;
+    }
+
+    /**
+     * @param {Array<*>} list - Choices
+     * @returns {*} One of them, from the run RNG
+     */
+    pick(list) {
+        return list[Math.floor(this.random.next() * list.length)];
+    }
+
+    /**
+     * @param {number} steps - Levels above the one picked
+     * @returns {string} DIFFICULTY_CONFIG level, capped at the hardest
+     */
+    getLevel(steps) {
+        const levels = ARCADE_CONFIG.levels;
+        return levels[Math.min(levels.length - 1, levels.indexOf(this.difficulty) + steps)];
+    }
+
+    /**
+     * Lines up the fighter's scripted ladder, or random fighters that never
+     * come twice in a row, then the boss. Bosses only appear at the end; a
+     * roster without one gets a random fighter as the boss.
+     * @returns {Array<Object>} The fights in order
+     */
+    buildLadder() {
+        const { levels, difficultyRamp, bossDifficulty } = ARCADE_CONFIG;
+        const ids = Object.keys(this.roster);
+        const bosses = ids.filter(id => this.roster[id].arcade.boss);
+        const challengers = ids.filter(id => !this.roster[id].arcade.boss);
+
+        const opponents = [...this.roster[this.character].arcade.ladder];
+        if (opponents.length === 0) {
+            const pool = challengers.length > 0 ? challengers : ids;
+            for (let i = 0; i < ARCADE_CONFIG.opponents; i++) {
+                const fresh = pool.filter(id => id !== opponents[i - 1]);
+                opponents.push(this.pick(fresh.length > 0 ? fresh : pool));
+            }
+        }
+
+        const fights = opponents.map((character, index) => ({
+            character,
+            difficulty: this.getLevel(Math.floor(index * (difficultyRamp + 1) / opponents.length)),
+            stage: this.pick(this.stages),
+            boss: false
+        }));
+        fights.push({
+            character: this.pick(bosses.length > 0 ? bosses : ids),
+            difficulty: levels[Math.max(levels.indexOf(this.difficulty), levels.indexOf(bossDifficulty))],
+            stage: this.pick(this.stages),
+            boss: true
+        });
+        return fights;
+    }
+
+    /**
+     * @returns {Object} The fight the player is on
+     */
+    getFight() {
+        return this.ladder[this.index];
+    }
+
+    /**
+     * @returns {Object} Game.startMatch options for the current fight; a
+     *     continue replays it with a new seed
+     */
+    getMatchOptions() {
+        const fight = this.getFight();
+        return {
+            characters: { p1: this.character, p2: fight.character },
+            palettes: { p1: this.palette, p2: 0 },
+            stage: fight.stage,
+            seed: hashString(`${this.seed}:${this.index}:${this.continues}`),
+            ai: { p2: fight.difficulty }
+        };
+    }
+
+    /**
+     * Scores a fight won by the player (player 1)
+     * @param {Object} result - RoundSystem.getResult()
+     * @returns {Object} Points for time, health, perfects and combo, and their total
+     */
+    scoreFight(result) {
+        const points = ARCADE_CONFIG.score;
+        const won = result.rounds.filter(round => round.winner === 1);
+        const breakdown = {
+            time: won.reduce((sum, round) => sum + round.secondsLeft, 0) * points.secondsLeft,
+            health: won.reduce((sum, round) => sum + Math.round(round.health[0] * 100), 0) * points.health,
+            perfect: won.filter(round => round.perfect).length * points.perfect,
+            combo: result.stats[0].maxCombo * points.maxCombo
+        };
+        breakdown.total = sumValues(breakdown);
+        return breakdown;
+    }
+
+    /**
+     * Adds a won fight's score and moves up the ladder
+     * @param {Object} result - RoundSystem.getResult()
+     */
+    recordWin(result) {
+        this.lastScore = this.scoreFight(result);
+        this.score += this.lastScore.total;
+        this.frames += result.durationFrames;
+        this.index++;
+        this.cleared = this.index >= this.ladder.length;
+    }
+
+    /**
+     * @returns {Object|null} Leaderboard entry for the run as it stands:
+     *     { mode, character, difficulty, value }, or null if it doesn't rank.
+     *     Arcade runs don't.
+     */
+    getRecord() {
+        return null;
+    }
+
+    /**
+     * Spends a continue on the fight just lost, which clears the score
+     */
+    continueRun() {
+        this.continues++;
+        this.score = 0;
+        this.lastScore = null;
+    }
+
+    /**
+     * @returns {Array<Object>} The player's ending pages ({ text, image })
+     */
+    getEnding() {
+        const character = this.roster[this.character];
+        return character.arcade.ending.length > 0 ?
+            character.arcade.ending :
+            [{ text: `${character.name} has defeated every challenger.` }];
+    }
+}
+
+/**
+ * Survival mode rules
+ * @constant {Object}
+ */
+const SURVIVAL_CONFIG = {
+    /** @type {Object} ROUND_CONFIG overrides; each opponent is a single round */
+    rules: { roundsToWin: 1, maxRounds: 1 },
+    /** @type {number} Share of max health recovered after each win */
+    recovery: 0.25,
+    /** @type {number} Wins before opponents move up a difficulty level */
+    winsPerLevel: 3
+};
+
+/**
+ * Survival: random opponents until the player loses, on one health bar.
+ * Damage carries over from fight to fight, with some recovered after each
+ * win. Ranked by wins.
+ * @class
+ * @extends ArcadeRun
+ */
+class SurvivalRun extends ArcadeRun {
+    constructor(options) {
+        super(options);
+        this.mode = 'survival';
+        this.wins = 0;
+        /** @type {number} Share of max health the player starts the next fight with */
+        this.health = 1;
+    }
+
+    /**
+     * Survival has no fixed ladder; the next opponent is drawn after each
+     * win. Runs from the base constructor, before any wins are counted.
+     * @returns {Array<Object>} The first fight
+     */
+    buildLadder() {
+        return [this.drawFight(null)];
+    }
+
+    /**
+     * @param {string|null} previous - Last opponent, who won't come again right away
+     * @returns {Object} Next fight, at a level set by the wins so far
+     */
+    drawFight(previous) {
+        const ids = Object.keys(this.roster);
+        const fresh = ids.filter(id => id !== previous);
+        return {
+            character: this.pick(fresh.length > 0 ? fresh : ids),
+            difficulty: this.getLevel(Math.floor((this.wins || 0) / SURVIVAL_CONFIG.winsPerLevel)),
+            stage: this.pick(this.stages),
+            boss: false
+        };
+    }
+
+    getMatchOptions() {
+        return {
+            ...super.getMatchOptions(),
+            rules: { ...SURVIVAL_CONFIG.rules, startHealth: [this.health, 1] }
+        };
+    }
+
+    recordWin(result) {
+        super.recordWin(result);
+        const rounds = result.rounds;
+        this.wins++;
+        this.health = Math.min(1, rounds[rounds.length - 1].health[0] + SURVIVAL_CONFIG.recovery);
+        this.cleared = false;
+        this.ladder.push(this.drawFight(this.ladder[this.ladder.length - 1].character));
+    }
+
+    getRecord() {
+        if (this.wins === 0) return null;
+        return { mode: this.mode, character: this.character, difficulty: this.difficulty, value: this.wins };
+    }
+}
+
+/**
+ * Time attack rules
+ * @constant {Object}
+ */
+const TIME_ATTACK_CONFIG = {
+    /** @type {Object} ROUND_CONFIG overrides; each opponent is a single round */
+    rules: { roundsToWin: 1, maxRounds: 1 },
+    /** @type {number} Seed for the gauntlet, so every run of a fighter and level faces the same one */
+    seed: 0x7a11
+};
+
+/**
+ * Time attack: the arcade ladder drawn from a fixed seed, so the gauntlet
+ * is the same every time for a fighter and level. Losing ends the run;
+ * clearing it ranks by the frames the fights took.
+ * @class
+ * @extends ArcadeRun
+ */
+class TimeAttackRun extends ArcadeRun {
+    constructor(options) {
+        super({ ...options, seed: TIME_ATTACK_CONFIG.seed });
+        this.mode = 'timeAttack';
+    }
+
+    getMatchOptions() {
+        return { ...super.getMatchOptions(), rules: { ...TIME_ATTACK_CONFIG.rules } };
+    }
+
+    getRecord() {
+        if (!this.cleared) return null;
+        return { mode: this.mode, character: this.character, difficulty: this.difficulty, value: this.frames };
+    }
+}
+
+/**
+ * Splits text into lines that fit a width in the context's current font
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Widest line allowed, in pixels
+ * @returns {Array<string>} Lines in order
+ */
+function wrapText(ctx, text, maxWidth) {
+    return text.split(/\s+/).filter(Boolean).reduce((lines, word) => {
+        const last = lines[lines.length - 1];
+        if (last && ctx.measureText(`${last} ${word}`).width <= maxWidth) {
+            lines[lines.length - 1] = `${last} ${word}`;
+        } else {
+            lines.push(word);
+        }
+        return lines;
+    }, []);
+}
+
+/**
+ * @param {number} frames - Simulation frames
+ * @returns {string} The time as m:ss.cc
+ */
+function formatFrames(frames) {
+    const hundredths = Math.floor(frames * 100 / GAME_CONFIG.fps);
+    const seconds = Math.floor(hundredths / 100);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}.` +
+        String(hundredths % 100).padStart(2, '0');
+}
+
+/**
+ * Between the fights of a run: how the fight just won went for the mode
+ * (points, survival health or split time) and who comes next. Enter moves
+ * on; a cleared arcade ladder goes to the ending, a cleared time attack to
+ * the results.
+ */
+class FightResultState extends GameState {
+    handleInput(input) {
+        if (input !== 'Enter') return;
+
+        const run = this.game.run;
+        this.game.audioManager.playSound('menuSelect');
+        if (!run.cleared) {
+            this.game.startRunFight();
+        } else if (run.mode === 'arcade') {
+            this.game.stateManager.changeState('arcadeEnding');
+        } else {
+            this.game.stateManager.changeState('gameOver');
+        }
+    }
+
+    /**
+     * @returns {Array<string>} Lines describing the fight just won
+     */
+    getSummary() {
+        const run = this.game.run;
+        const breakdown = run.lastScore;
+        switch (run.mode) {
+            case 'survival':
+                return [
+                    `Wins: ${run.wins}`,
+                    `Health for the next fight: ${Math.round(run.health * 100)}%`,
+                    `SCORE ${run.score}`
+                ];
+            case 'timeAttack':
+                return [
+                    `Fight: ${formatFrames(this.game.matchResult.durationFrames)}`,
+                    `TOTAL ${formatFrames(run.frames)}`
+                ];
+            default:
+                return [
+                    `Time: ${breakdown.time}`,
+                    `Health: ${breakdown.health}`,
+                    `Perfect: ${breakdown.perfect}`,
+                    `Max combo: ${breakdown.combo}`,
+                    `SCORE ${run.score}`
+                ];
+        }
+    }
+
+    draw(ctx) {
+        const { width, height } = ctx.canvas;
+        const run = this.game.run;
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.fillStyle = '#fff';
+        ctx.font = '48px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('YOU WIN', width / 2, 100);
+
+        // The last line is the running total
+        ctx.font = '24px Arial';
+        const summary = this.getSummary();
+        summary.forEach((line, index) => {
+            ctx.fillStyle = index === summary.length - 1 ? '#ffff00' : '#fff';
+            ctx.fillText(line, width / 2, 180 + index * 40);
+        });
+
+        ctx.fillStyle = '#fff';
+        if (!run.cleared) {
+            const fight = run.getFight();
+            const name = run.roster[fight.character].name;
+            ctx.fillText(fight.boss ? `FINAL BOSS: ${name}` : `NEXT: ${name} (${fight.difficulty})`,
+                width / 2, 200 + summary.length * 40);
+        }
+        ctx.fillStyle = '#aaa';
+        ctx.font = '16px Arial';
+        const progress = run.mode === 'survival' ? '' : `Stage ${run.index} / ${run.ladder.length}   `;
+        ctx.fillText(`${progress}Press Enter`, width / 2, height - 40);
+    }
+}
+
+/**
+ * Continue countdown after losing an arcade fight. Enter retries the fight
+ * with the score reset; Escape or the countdown running out ends the run.
+ */
+class ContinueState extends GameState {
+    constructor(game) {
+        super(game);
+        this.timeLeft = 0;
+    }
+
+    enter() {
+        this.timeLeft = ARCADE_CONFIG.continueSeconds * 1000;
+        this.game.audioManager.playMusic('gameOverTheme');
+    }
+
+    exit() {
+        this.game.audioManager.stopMusic();
+    }
+
+    update(deltaTime) {
+        this.timeLeft -= deltaTime;
+        if (this.timeLeft <= 0) {
+            this.game.stateManager.changeState('gameOver');
+        }
+    }
+
+    handleInput(input) {
+        if (input === 'Enter') {
+            this.game.audioManager.playSound('menuSelect');
+            this.game.run.continueRun();
+            this.game.startRunFight();
+        } else if (input === 'Escape') {
+            this.game.stateManager.changeState('gameOver');
+        }
+    }
+
+    draw(ctx) {
+        const { width, height } = ctx.canvas;
+        const run = this.game.run;
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.fillStyle = '#fff';
+        ctx.font = '48px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('CONTINUE?', width / 2, height / 3);
+
+        ctx.fillStyle = '#ffff00';
+        ctx.font = '96px Arial';
+        ctx.fillText(String(Math.max(0, Math.ceil(this.timeLeft / 1000))), width / 2, height / 2 + 30);
+
+        ctx.fillStyle = '#fff';
+        ctx.font = '24px Arial';
+        ctx.fillText(`SCORE ${run.score}   CONTINUES ${run.continues}`, width / 2, height / 2 + 100);
+        ctx.fillStyle = '#aaa';
+        ctx.font = '16px Arial';
+        ctx.fillText('Enter: continue (resets score)   Escape: give up', width / 2, height - 40);
+    }
+}
+
+/**
+ * The player's ending after beating the arcade boss, one page of text and
+ * an optional image at a time. Enter turns the page; Escape skips to the
+ * final results.
+ */
+class ArcadeEndingState extends GameState {
+    constructor(game) {
+        super(game);
+        this.pages = [];
+        this.page = 0;
+    }
+
+    enter() {
+        this.pages = this.game.run.getEnding();
+        this.page = 0;
+        this.game.audioManager.playMusic('menuTheme');
+    }
+
+    exit() {
+        this.game.audioManager.stopMusic();
+    }
+
+    handleInput(input) {
+        if (input === 'Enter' && this.page < this.pages.length - 1) {
+            this.page++;
+            this.game.audioManager.playSound('menuMove');
+        } else if (input === 'Enter' || input === 'Escape') {
+            this.game.stateManager.changeState('gameOver');
+        }
+    }
+
+    draw(ctx) {
+        const { width, height } = ctx.canvas;
+        const page = this.pages[this.page];
+        const image = page.image && this.game.assetLoader.getImage(page.image);
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+
+        // Images keep their aspect ratio in the top two thirds
+        if (image) {
+            const scale = Math.min(width * 0.8 / image.width, height * 0.6 / image.height);
+            ctx.drawImage(image, (width - image.width * scale) / 2, 30,
+                image.width * scale, image.height * scale);
+        }
+
+        ctx.fillStyle = '#fff';
+        ctx.font = '22px Arial';
+        ctx.textAlign = 'center';
+        const top = image ? height * 0.6 + 70 : height / 3;
+        wrapText(ctx, page.text, width * 0.8).forEach((line, index) => {
+            ctx.fillText(line, width / 2, top + index * 30);
+        });
+
+        ctx.fillStyle = '#aaa';
+        ctx.font = '16px Arial';
+        ctx.fillText(`${this.page + 1} / ${this.pages.length}   Press Enter`, width / 2, height - 20);
+    }
+}
+
+/**
+ * Initials entry for a new leaderboard record, arcade style: Up/Down
+ * change the letter, Left/Right move between letters (typing works too)
+ * and Enter on the last letter signs the record. Escape leaves without
+ * saving.
+ */
+class InitialsState extends GameState {
+    constructor(game) {
+        super(game);
+        this.letters = [];
+        this.position = 0;
+        this.saving = false;
+        this.error = null;
+    }
+
+    enter() {
+        this.letters = Array(LEADERBOARD_CONFIG.initialsLength).fill(LEADERBOARD_CONFIG.alphabet[0]);
+        this.position = 0;
+        this.saving = false;
+        this.error = null;
+    }
+
+    /**
+     * @param {string} input - Key name after translateKey
+     * @param {string} [key] - Raw keyboard key; gamepads only send input
+     */
+    handleInput(input, key = input) {
+        if (this.saving) return;
+        // A letter bound to a player's start, such as P, is typed rather
+        // than read as Escape
+        if (key.length === 1) input = key;
+
+        const alphabet = LEADERBOARD_CONFIG.alphabet;
+        const last = this.letters.length - 1;
+        switch (input) {
+            case 'ArrowUp':
+            case 'ArrowDown': {
+                const step = input === 'ArrowUp' ? 1 : -1;
+                const index = alphabet.indexOf(this.letters[this.position]);
+                this.letters[this.position] = alphabet[(index + step + alphabet.length) % alphabet.length];
+                this.game.audioManager.playSound('menuMove');
+                break;
+            }
+            case 'ArrowLeft':
+                this.position = Math.max(0, this.position - 1);
+                break;
+            case 'ArrowRight':
+                this.position = Math.min(last, this.position + 1);
+                break;
+            case 'Enter':
+                if (this.position < last) {
+                    this.position++;
+                } else {
+                    this.submit();
+                }
+                break;
+            case 'Escape':
+                this.game.stateManager.changeState('menu');
+                break;
+            default:
+                if (input.length === 1 && alphabet.includes(input.toUpperCase())) {
+                    this.letters[this.position] = input.toUpperCase();
+                    this.position = Math.min(last, this.position + 1);
+                }
+        }
+    }
+
+    /**
+     * Saves the record; the leaderboard opens once it is stored
+     */
+    submit() {
+        this.saving = true;
+        this.game.audioManager.playSound('menuSelect');
+        this.game.submitRecord(this.letters.join('')).catch(error => {
+            this.game.errorHandler.logError('Leaderboards', error);
+            this.saving = false;
+            this.error = 'Could not save the record';
+        });
+    }
+
+    draw(ctx) {
+        const { width, height } = ctx.canvas;
+        const record = this.game.run.getRecord();
+        const name = this.game.run.roster[record.character].name;
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.fillStyle = '#fff';
+        ctx.font = '48px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('NEW RECORD', width / 2, 100);
+
+        ctx.font = '24px Arial';
+        ctx.fillText(`${LEADERBOARD_CONFIG.modes[record.mode].label} - ${name} - ${record.difficulty}`,
+            width / 2, 160);
+        ctx.fillStyle = '#ffff00';
+        ctx.fillText(formatRecordValue(record), width / 2, 200);
+
+        ctx.font = '64px monospace';
+        this.letters.forEach((letter, index) => {
+            const x = width / 2 + (index - (this.letters.length - 1) / 2) * 60;
+            ctx.fillStyle = index === this.position ? '#ffff00' : '#fff';
+            ctx.fillText(letter, x, height / 2 + 20);
+            if (index === this.position) {
+                ctx.fillRect(x - 20, height / 2 + 34, 40, 4);
+            }
+        });
+
+        ctx.font = '16px Arial';
+        ctx.fillStyle = this.error ? '#ff6666' : '#aaa';
+        ctx.fillText(this.error || (this.saving ? 'Saving...' :
+            'Up/Down: letter   Left/Right: move   Enter: next / sign   Escape: skip'), width / 2, height - 40);
+    }
+}
+
+/**
+ * Browses the leaderboards, one board per mode, character and difficulty.
+ * Left/Right change board, Up/Down pick a record and Enter plays back its
+ * fights. A record just signed opens on its board, marked.
+ */
+class LeaderboardState extends GameState {
+    constructor(game) {
+        super(game);
+        /** @type {Array<Object>} Every board: { mode, character, difficulty } */
+        this.boards = [];
+        this.boardIndex = 0;
+        this.records = [];
+        this.selected = 0;
+        this.loading = false;
+        /** @type {number|null} Id of the record to mark */
+        this.highlight = null;
+        this.names = {};
+        this.message = null;
+    }
+
+    enter() {
+        const ids = this.game.getCharacterIds();
+        this.names = Object.fromEntries(ids.map(id => [id, normalizeCharacterData(this.game.getCharacterData(id)).name]));
+        this.boards = Object.keys(LEADERBOARD_CONFIG.modes).flatMap(mode =>
+            ids.flatMap(character => ARCADE_CONFIG.levels.map(difficulty => ({ mode, character, difficulty })))
+        );
+
+        const focus = this.game.leaderboardFocus;
+        this.game.leaderboardFocus = null;
+        this.highlight = focus ? focus.id : null;
+        const focusIndex = focus ? this.boards.findIndex(board => board.mode === focus.mode &&
+            board.character === focus.character && board.difficulty === focus.difficulty) : -1;
+        this.boardIndex = focusIndex >= 0 ? focusIndex : Math.min(this.boardIndex, this.boards.length - 1);
+        this.message = null;
+        this.loadBoard();
+    }
+
+    /**
+     * Fetches the current board's records
+     */
+    loadBoard() {
+        const board = this.boards[this.boardIndex];
+        this.records = [];
+        this.selected = 0;
+        this.loading = true;
+        this.game.leaderboards.getBoard(board)
+            .then(records => {
+                // The player may have moved on while this loaded
+                if (board !== this.boards[this.boardIndex]) return;
+                this.records = records;
+                this.loading = false;
+                this.selected = Math.max(0, records.findIndex(record => record.id === this.highlight));
+            })
+            .catch(error => {
+                this.loading = false;
+                this.message = 'Leaderboards unavailable';
+                this.game.errorHandler.logError('Leaderboards', error);
+            });
+    }
+
+    handleInput(input) {
+        const boards = this.boards.length;
+        switch (input) {
+            case 'ArrowLeft':
+            case 'ArrowRight':
+                this.boardIndex = (this.boardIndex + (input === 'ArrowLeft' ? -1 : 1) + boards) % boards;
+                this.message = null;
+                this.game.audioManager.playSound('menuMove');
+                this.loadBoard();
+                break;
+            case 'ArrowUp':
+            case 'ArrowDown':
+                if (this.records.length > 0) {
+                    const step = input === 'ArrowUp' ? -1 : 1;
+                    this.selected = (this.selected + step + this.records.length) % this.records.length;
+                    this.game.audioManager.playSound('menuMove');
+                }
+                break;
+            case 'Enter':
+                this.watch();
+                break;
+            case 'Escape':
+            case 'Backspace':
+                this.game.stateManager.changeState('menu');
+                break;
+        }
+    }
+
+    /**
+     * Plays back the selected record's fights
+     */
+    watch() {
+        const record = this.records[this.selected];
+        if (!record) return;
+
+        this.game.audioManager.playSound('menuSelect');
+        this.game.watchReplays(record.replayIds).catch(error => {
+            this.message = error instanceof GameError ? error.message : 'Could not load the replays';
+            this.game.errorHandler.logError('Leaderboards', error);
+        });
+    }
+
+    draw(ctx) {
+        const { width, height } = ctx.canvas;
+        const board = this.boards[this.boardIndex];
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.fillStyle = '#fff';
+        ctx.font = '48px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('RECORDS', width / 2, 80);
+
+        ctx.fillStyle = '#ffff00';
+        ctx.font = '24px Arial';
+        ctx.fillText(`< ${LEADERBOARD_CONFIG.modes[board.mode].label} - ${this.names[board.character]} - ` +
+            `${board.difficulty} >`, width / 2, 130);
+
+        ctx.font = '20px monospace';
+        if (this.loading || this.records.length === 0) {
+            ctx.fillStyle = '#aaa';
+            ctx.fillText(this.loading ? 'Loading...' : 'No records yet', width / 2, 220);
+        }
+        this.records.forEach((record, index) => {
+            const marker = record.id === this.highlight ? '*' : ' ';
+            const line = `${marker}${String(index + 1).padStart(2)}. ${record.initials}  ` +
+                `${formatRecordValue(record).padStart(10)}  ${record.replayIds.length > 0 ? 'REPLAY' : '      '}`;
+            ctx.fillStyle = index === this.selected ? '#ffff00' : '#fff';
+            ctx.fillText(line, width / 2, 190 + index * 30);
+        });
+
+        ctx.font = '16px Arial';
+        ctx.fillStyle = this.message ? '#ff6666' : '#aaa';
+        ctx.fillText(this.message ||
+            `Board ${this.boardIndex + 1}/${this.boards.length}   Left/Right: board   Enter: watch replay   Escape: back`,
+        width / 2, height - 40);
+    }
+}
+
+/**
+ * Lists the stored replays, newest first. Up/Down pick one, Enter plays it
+ * back, E exports it as JSON and I imports a replay file.
+ */
+class ReplayBrowserState extends GameState {
+    constructor(game) {
+        super(game);
+        this.replays = [];
+        this.selected = 0;
+        this.loading = false;
+        this.names = {};
+        this.message = null;
+    }
+
+    enter() {
+        this.names = Object.fromEntries(this.game.getCharacterIds().map(id =>
+            [id, normalizeCharacterData(this.game.getCharacterData(id)).name]
+        ));
+        this.message = null;
+        this.loadReplays();
+    }
+
+    /**
+     * Fetches the stored replays
+     * @returns {Promise<void>} Settles once the list is in
+     */
+    loadReplays() {
+        this.loading = true;
+        return this.game.replayStorage.list()
+            .then(replays => {
+                this.replays = replays.sort((a, b) => b.id - a.id);
+                this.selected = Math.min(this.selected, Math.max(0, replays.length - 1));
+                this.loading = false;
+            })
+            .catch(error => {
+                this.replays = [];
+                this.loading = false;
+                this.message = 'Replays unavailable';
+                this.game.errorHandler.logError('Replay Storage', error);
+            });
+    }
+
+    /**
+     * @param {string} input - Key name after translateKey
+     * @param {string} [key] - Raw keyboard key; gamepads only send input
+     */
+    handleInput(input, key = input) {
+        const replay = this.replays[this.selected];
+        switch (key.length === 1 ? key.toLowerCase() : input) {
+            case 'ArrowUp':
+            case 'ArrowDown':
+                if (this.replays.length > 0) {
+                    const step = input === 'ArrowUp' ? -1 : 1;
+                    this.selected = (this.selected + step + this.replays.length) % this.replays.length;
+                    this.game.audioManager.playSound('menuMove');
+                }
+                break;
+            case 'Enter':
+                if (replay) this.watch(replay);
+                break;
+            case 'e':
+                if (replay) this.game.exportReplay(replay);
+                break;
+            case 'i':
+                this.chooseFile();
+                break;
+            case 'Escape':
+            case 'Backspace':
+                this.game.stateManager.changeState('menu');
+                break;
+        }
+    }
+
+    /**
+     * Plays a replay back, or says why it can't be
+     * @param {Object} replay - Stored replay
+     */
+    watch(replay) {
+        this.game.audioManager.playSound('menuSelect');
+        try {
+            this.game.startReplay(replay);
+        } catch (error) {
+            this.message = error instanceof GameError ? error.message : 'Could not play the replay';
+            this.game.errorHandler.logError('Replay Playback', error);
+        }
+    }
+
+    /**
+     * Asks the player for a replay file to import
+     */
+    chooseFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', () => {
+            if (input.files.length > 0) this.importFile(input.files[0]);
+        });
+        input.click();
+    }
+
+    /**
+     * Imports a replay file and selects it in the list
+     * @param {File} file - JSON file chosen by the player
+     * @returns {Promise<void>} Settles once the import is done or has failed
+     */
+    importFile(file) {
+        this.message = null;
+        return this.game.importReplay(file)
+            .then(replay => this.loadReplays().then(() => {
+                this.selected = Math.max(0, this.replays.findIndex(stored => stored.id === replay.id));
+            }))
+            .catch(error => {
+                this.message = error instanceof GameError ? error.message : 'Could not import the replay';
+                this.game.errorHandler.logError('Replay Import', error);
+            });
+    }
+
+    draw(ctx) {
+        const { width, height } = ctx.canvas;
+        const rows = REPLAY_CONFIG.browserRows;
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.fillStyle = '#fff';
+        ctx.font = '48px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('REPLAYS', width / 2, 80);
+
+        ctx.font = '20px monospace';
+        if (this.loading || this.replays.length === 0) {
+            ctx.fillStyle = '#aaa';
+            ctx.fillText(this.loading ? 'Loading...' : 'No replays yet', width / 2, 220);
+        }
+        // Scrolls so the selected replay stays in view
+        const first = Math.max(0, Math.min(this.selected - Math.floor(rows / 2), this.replays.length - rows));
+        this.replays.slice(first, first + rows).forEach((replay, row) => {
+            const { p1, p2 } = replay.characters;
+            const date = replay.createdAt ? replay.createdAt.slice(0, 16).replace('T', ' ') : '';
+            const line = `${date.padEnd(16)}  ${this.names[p1] || p1} vs ${this.names[p2] || p2}  ` +
+                formatFrames(replay.frameCount);
+            ctx.fillStyle = first + row === this.selected ? '#ffff00' : '#fff';
+            ctx.fillText(line, width / 2, 150 + row * 34);
+        });
+
+        ctx.font = '16px Arial';
+        ctx.fillStyle = this.message ? '#ff6666' : '#aaa';
+        ctx.fillText(this.message || 'Enter: watch   E: export   I: import   Escape: back', width / 2, height - 40);
+    }
+}
+
+/**
+ * Waits for another tab to join NETPLAY_CONFIG.room, then starts the
+ * netplay match set in Game.pendingNetplay. Escape stops waiting.
+ */
+class NetplayLobbyState extends GameState {
+    constructor(game) {
+        super(game);
+        this.isHost = false;
+        /** @type {AbortController|null} Cancels the connection attempt */
+        this.connection = null;
+        this.message = null;
+    }
+
+    enter() {
+        const { isHost, match } = this.game.pendingNetplay;
+        const connection = new AbortController();
+        this.isHost = isHost;
+        this.connection = connection;
+        this.message = null;
+        this.game.startNetplayMatch(NETPLAY_CONFIG.room, isHost, { ...match, signal: connection.signal })
+            .catch(error => {
+                if (connection.signal.aborted) return;
+                this.message = error instanceof GameError ? error.message : 'Could not connect';
+                this.game.errorHandler.logError('Netplay', error);
+            });
+    }
+
+    exit() {
+        // Once the match has started this no longer affects the connection
+        this.connection.abort();
+    }
+
+    handleInput(input) {
+        if (input === 'Escape' || input === 'Backspace') {
+            this.game.stateManager.changeState('menu');
+        }
+    }
+
+    draw(ctx) {
+        const { width, height } = ctx.canvas;
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.fillStyle = '#fff';
+        ctx.font = '48px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.isHost ? 'HOSTING' : 'JOINING', width / 2, 100);
+
+        ctx.font = '24px Arial';
+        ctx.fillStyle = this.message ? '#ff6666' : '#fff';
+        ctx.fillText(this.message || `Waiting for another tab in room "${NETPLAY_CONFIG.room}"...`,
+            width / 2, height / 2);
+
+        ctx.font = '16px Arial';
+        ctx.fillStyle = '#aaa';
+        ctx.fillText('Escape: back', width / 2, height - 40);
+    }
+}
+
+/**
+ * Audio System Implementation
+ */
+class AudioManager {
+    constructor() {
+        this.sounds = new Map();
+        this.music = new Map();
+        this.currentMusic = null;
+        
+        this.settings = {
+            masterVolume: 1,
+            musicVolume: 0.7,
+            soundVolume: 0.8,
+            muted: false
+        };
+        
+        this.loadAudio();
+    }
+
+    loadAudio() {
+        // Load sound effects
+        const soundEffects = {
+            'hit': 'assets/sounds/hit.mp3',
+            'block': 'assets/sounds/block.mp3',
+            'special': 'assets/sounds/special.mp3',
+            'menuMove': 'assets/sounds/menu-move.mp3',
+            'menuSelect': 'assets/sounds/menu-select.mp3',
+            'roundStart': 'assets/sounds/round-start.mp3',
+            'roundEnd': 'assets/sounds/round-end.mp3',
+            'ko': 'assets/sounds/ko.mp3'
+        };
+        
+        // Load music tracks
+        const musicTracks = {
+            'menuTheme': 'assets/music/menu-theme.mp3',
+            'battleTheme': 'assets/music/battle-theme.mp3',
+            'gameOverTheme': 'assets/music/gameover-theme.mp3'
+        };
+        
+        // Load all audio
+        Object.entries(soundEffects).forEach(([key, path]) => {
+            const audio = new Audio(path);
+            audio.preload = 'auto';
+            this.sounds.set(key, audio);
+        });
+        
+        Object.entries(musicTracks).forEach(([key, path]) => {
+            const audio = new Audio(path);
+            audio.preload = 'auto';
+            audio.loop = true;
+            this.music.set(key, audio);
+        });
+    }
+
+    /**
+     * Plays a sound effect
+     * @param {string} key - Sound name
+     * @param {string} [src] - Character-specific file that overrides the shared sound
+     */
+    playSound(key, src) {
+        if (this.settings.muted) return;
+        
+        if (src && !this.sounds.has(src)) {
+            const audio = new Audio(src);
+            audio.preload = 'auto';
+            this.sounds.set(src, audio);
+        }
+        const sound = this.sounds.get(src || key);
+        if (sound) {
+            const soundClone = sound.cloneNode();
+            soundClone.volume = this.settings.soundVolume * this.settings.masterVolume;
+            soundClone.play().catch(error => 
+                console.warn(`Failed to play sound: ${error}`)
+            );
+        }
+    }
+
+    playMusic(key) {
+        if (this.settings.muted) return;
+        
+        if (this.currentMusic) {
+            this.currentMusic.pause();
+            this.currentMusic.currentTime = 0;
+        }
+        
+        const music = this.music.get(key);
+        if (music) {
+            music.volume = this.settings.musicVolume * this.settings.masterVolume;
+            music.play().catch(error => 
+                console.warn(`Failed to play music: ${error}`)
+            );
+            this.currentMusic = music;
+        }
+    }
+
+    stopMusic() {
+        if (this.currentMusic) {
+            this.currentMusic.pause();
+            this.currentMusic.currentTime = 0;
+            this.currentMusic = null;
+        }
+    }
+
+    pauseMusic() {
+        if (this.currentMusic) {
+            this.currentMusic.pause();
+        }
+    }
+
+    resumeMusic() {
+        if (this.currentMusic && !this.settings.muted) {
+            this.currentMusic.play().catch(error => 
+                console.warn(`Failed to resume music: ${error}`)
+            );
+        }
+    }
+
+    setVolume(type, value) {
+        value = Math.max(0, Math.min(1, value));
+        switch(type) {
+            case 'master':
+                this.settings.masterVolume = value;
+                break;
+            case 'music':
+                this.settings.musicVolume = value;
+                if (this.currentMusic) {
+                    this.currentMusic.volume = 
+                        value * this.settings.masterVolume;
+                }
+                break;
+            case 'sound':
+                this.settings.soundVolume = value;
+                break;
+        }
+    }
+
+    toggleMute() {
+        this.settings.muted = !this.settings.muted;
+        if (this.settings.muted) {
+            this.stopMusic();
+        } else {
+            this.resumeMusic();
+        }
+    }
+}
+
+/**
+ * Special Move Base Class
+ */
+class SpecialMove {
+    constructor(config) {
+        this.name = config.name;
+        this.damage = config.damage;
+        this.energyCost = config.energyCost;
+        this.startupFrames = config.startupFrames;
+        this.activeFrames = config.activeFrames;
+        this.recoveryFrames = config.recoveryFrames;
+        this.hitboxes = config.hitboxes;
+        this.animation = config.animation;
+        this.effects = config.effects;
+    }
+
+    execute(character) {
+        if (character.energy < this.energyCost) return false;
+        character.energy -= this.energyCost;
+        return true;
+    }
+}
+
+/**
+ * Special Move Implementations
+ */
+class FireballMove extends SpecialMove {
+    constructor() {
+        super({
+            name: 'Fireball',
+            damage: 25,
+            energyCost: 20,
+            startupFrames: 10,
+            activeFrames: 30,
+            recoveryFrames: 15,
+            hitboxes: [{
+                x: 0, y: -20,
+                width: 40, height: 40,
+                type: 'projectile'
+            }],
+            animation: 'fireball',
+            effects: ['fire', 'explosion']
+        });
+    }
+
+    execute(character) {
+        if (!super.execute(character)) return;
+
+        // Create projectile
+        const projectile = new Projectile({
+            x: character.x + (character.facing * 50),
+            y: character.y + 30,
+            velocity: { x: character.facing * 8, y: 0 },
+            lifetime: 120, // frames
+            damage: this.damage,
+            owner: character,
+            effects: this.effects
+        });
+
+        character.sim.projectileSystem.addProjectile(projectile);
+    }
+}
+
+/**
+ * A moving attack owned by a character, advanced once per frame
+ */
+class Projectile {
+    constructor(config) {
+        this.x = config.x;
+        this.y = config.y;
+        this.width = config.width || 40;
+        this.height = config.height || 40;
+        this.velocity = { ...config.velocity };
+        this.lifetime = config.lifetime; // frames
+        this.damage = config.damage;
+        this.owner = config.owner;
+        /** @type {string|null} Move that fired this projectile */
+        this.move = config.move || null;
+        this.property = config.property || 'mid';
+        this.hitstop = config.hitstop;
+        this.pushback = config.pushback;
+        this.effects = config.effects || [];
+        this.destroyed = false;
+    }
+
+    update() {
+        this.x += this.velocity.x;
+        this.y += this.velocity.y;
+        this.lifetime--;
+        if (this.lifetime <= 0) {
+            this.destroyed = true;
+        }
+    }
+
+    onHit() {
+        this.destroyed = true;
+    }
+
+    draw(ctx) {
+        ctx.fillStyle = '#ff8800';
+        ctx.fillRect(this.x, this.y, this.width, this.height);
+    }
+}
+
+/**
+ * Projectile System
+ */
+class ProjectileSystem {
+    constructor(sim) {
+        this.sim = sim;
+        this.projectiles = [];
+    }
+
+    addProjectile(projectile) {
+        this.projectiles.push(projectile);
+    }
+
+    saveState() {
+        return this.projectiles.map(projectile => ({
+            ...projectile,
+            velocity: { ...projectile.velocity },
+            effects: [...projectile.effects],
+            owner: projectile.owner === this.sim.player1 ? 1 : 2
+        }));
+    }
+
+    loadState(state) {
+        this.projectiles = state.map(data => {
+            const projectile = new Projectile({
+                ...data,
+                owner: data.owner === 1 ? this.sim.player1 : this.sim.player2
+            });
+            projectile.destroyed = data.destroyed;
+            return projectile;
+        });
+    }
+
+    update() {
+        this.projectiles = this.projectiles.filter(projectile => {
+            projectile.update();
+            return !projectile.destroyed;
+        });
+    }
+
+    draw(ctx) {
+        this.projectiles.forEach(projectile => projectile.draw(ctx));
+    }
+
+    /**
+     * @param {Projectile} projectile - Projectile to test
+     * @param {Character} character - Possible target
+     * @returns {boolean} Whether the projectile overlaps one of the character's hurtboxes
+     */
+    checkCollision(projectile, character) {
+        return character.getHurtboxes().some(box => boxesOverlap(projectile, box));
+    }
+
+    /**
+     * Destroys projectiles from opposing fighters that meet in flight
+     */
+    resolveClashes() {
+        this.projectiles.forEach((projectile, index) => {
+            this.projectiles.slice(index + 1).forEach(other => {
+                if (projectile.destroyed || other.destroyed ||
+                    projectile.owner === other.owner || !boxesOverlap(projectile, other)) return;
+
+                projectile.onHit();
+                other.onHit();
+                this.sim.emit('effect', {
+                    key: 'clash',
+                    data: {
+                        position: {
+                            x: (projectile.x + other.x + other.width) / 2,
+                            y: projectile.y + (projectile.height / 2)
+                        },
+                        type: 'special',
+                        blocked: false
+                    }
+                });
+            });
+        });
+    }
+}
+
+/**
+ * Combat Balance Configuration
+ */
+const COMBAT_CONFIG = {
+    damage: {
+        light: 5,
+        medium: 10,
+        heavy: 15,
+        special: 20,
+        super: 40,
+        throw: 12
+    },
+    // Stun and recovery durations are in frames
+    hitstun: {
+        light: 6,
+        medium: 12,
+        heavy: 18,
+        special: 24,
+        super: 40,
+        throw: 40 // knockdown
+    },
+    blockstun: {
+        light: 3,
+        medium: 6,
+        heavy: 9,
+        special: 12,
+        super: 20,
+        throw: 0
+    },
+    recovery: {
+        light: 10,
+        medium: 15,
+        heavy: 20,
+        special: 25
+    },
+    // Starting speed of the defender's pushback in px per frame. It slows
+    // by pushbackFriction each frame; blocked hits push harder.
+    pushback: {
+        light: 4,
+        medium: 5,
+        heavy: 6,
+        special: 6,
+        super: 6,
+        throw: 0
+    },
+    blockPushback: 1.25,
+    pushbackFriction: 0.5,
+    // Both fighters freeze on impact, on hit or block
+    hitstop: {
+        light: 6,
+        medium: 8,
+        heavy: 11,
+        special: 10,
+        super: 14,
+        throw: 8
+    },
+    combo: {
+        scaling: 0.1,       // damage lost per earlier hit in the combo
+        maxHits: 10,        // hit at which scaling stops growing
+        timeWindow: 30,     // frames; a hit this soon after hitstun ends is a broken combo
+        hitstunDecay: 1,    // frames of hitstun lost per earlier hit, so loops run out
+        minHitstun: 3,
+        juggleLimit: 4,     // juggle points a combo can spend on an airborne opponent
+        jugglePoints: {
+            light: 1,
+            medium: 1,
+            heavy: 2,
+            special: 2,
+            super: 1,
+            throw: 0
+        }
+    },
+    crouchHeight: 0.6, // crouching hurtbox, as a share of standing height
+    // Super meter; gains are per point of damage, before block reduction
+    meter: {
+        barSize: 100,
+        maxBars: 3,
+        dealt: 1.0,     // attacker's gain
+        taken: 0.5,     // defender's gain
+        blocked: 0.5    // multiplier on both gains when the hit is blocked
+    },
+    superFreezeFrames: 45 // the match holds still while a super flashes
+};
+
+/**
+ * Default frame data. Startup frames come before the first active frame;
+ * cancel windows count move frames from 1 and only open once the move has
+ * hit or been blocked.
+ * @constant {Object}
+ */
+const MOVE_CONFIG = {
+    normals: {
+        light: {
+            startupFrames: 4, activeFrames: 3, recoveryFrames: 10,
+            cancelWindow: [5, 12], cancelInto: ['medium', 'heavy', 'special']
+        },
+        medium: {
+            startupFrames: 6, activeFrames: 4, recoveryFrames: 15,
+            cancelWindow: [7, 16], cancelInto: ['heavy', 'special']
+        },
+        heavy: {
+            startupFrames: 9, activeFrames: 5, recoveryFrames: 20,
+            cancelWindow: [10, 18], cancelInto: ['special']
+        }
+    },
+    // Normals' properties by the stance they are started from
+    stanceProperties: { stand: 'mid', crouch: 'low', air: 'overhead' },
+    special: {
+        startupFrames: 10, activeFrames: 6, recoveryFrames: 25,
+        cancelWindow: null, cancelInto: [], property: 'mid'
+    },
+    super: {
+        startupFrames: 5, activeFrames: 8, recoveryFrames: 40,
+        cancelWindow: null, cancelInto: [], property: 'mid'
+    },
+    // Recovery applies to a throw that whiffs
+    throw: {
+        startupFrames: 4, activeFrames: 2, recoveryFrames: 20,
+        cancelWindow: null, cancelInto: [], property: 'throw'
+    }
+};
+
+/**
+ * Throw input and timing
+ * @constant {Object}
+ */
+const THROW_CONFIG = {
+    /** @type {Array<string>} Pressed together to throw, or to tech a throw */
+    buttons: ['attack', 'medium'],
+    techWindow: 10,       // frames after a grab in which the defender can tech
+    techPushback: 40,     // px each fighter is pushed back by a tech
+    wakeUpFrames: 6       // throw invulnerability after getting up from a knockdown
+};
+
+/**
+ * Builds the frame data a character runs for one move
+ * @param {string} name - Move name (a normal strength or special move name)
+ * @param {string} type - light, medium, heavy, special, super or throw
+ * @param {Object} data - Character data for the move (may be empty)
+ * @param {Array<Object>} hitboxes - Boxes active during the move
+ * @returns {Object} Move definition
+ */
+function createMoveDefinition(name, type, data, hitboxes) {
+    const isNormal = NORMAL_STRENGTHS.includes(type);
+    const defaults = isNormal ? MOVE_CONFIG.normals[type] : MOVE_CONFIG[type];
+    const definition = {
+        name,
+        type,
+        // Animation state: normals share 'attack', specials and throws use their own name
+        state: isNormal ? 'attack' : name,
+        damage: data.damage !== undefined ? data.damage : COMBAT_CONFIG.damage[type],
+        energyCost: data.energyCost || 0,
+        bars: data.bars || 0,
+        startupFrames: data.startupFrames !== undefined ? data.startupFrames : defaults.startupFrames,
+        activeFrames: data.activeFrames || defaults.activeFrames,
+        recoveryFrames: data.recoveryFrames !== undefined ? data.recoveryFrames : defaults.recoveryFrames,
+        cancelWindow: data.cancelWindow || defaults.cancelWindow,
+        cancelInto: data.cancelInto || defaults.cancelInto,
+        hits: data.hits || 1,
+        juggle: data.juggle !== undefined ? data.juggle : COMBAT_CONFIG.combo.jugglePoints[type],
+        hitstop: data.hitstop !== undefined ? data.hitstop : COMBAT_CONFIG.hitstop[type],
+        pushback: data.pushback !== undefined ? data.pushback : COMBAT_CONFIG.pushback[type],
+        // Property by the stance the move is started from
+        properties: isNormal ?
+            { ...MOVE_CONFIG.stanceProperties, ...data.properties } :
+            Object.fromEntries(STANCES.map(stance => [stance, data.property || defaults.property])),
+        projectile: data.projectile || null,
+        hitboxes
+    };
+    definition.totalFrames = definition.startupFrames + definition.activeFrames + definition.recoveryFrames;
+    return definition;
+}
+
+/**
+ * @param {Object} definition - Move definition
+ * @param {number} frame - Move frame, counted from 1
+ * @returns {string} startup, active or recovery
+ */
+function getMovePhase(definition, frame) {
+    if (frame <= definition.startupFrames) return 'startup';
+    if (frame <= definition.startupFrames + definition.activeFrames) return 'active';
+    return 'recovery';
+}
+
+/**
+ * Enhanced Combat System
+ */
+class CombatSystem {
+    constructor(sim) {
+        this.sim = sim;
+        /** @type {Object} Combo per attacking player: { hits, damage, juggle, lastHitFrame } */
+        this.combos = {};
+        this.resetCombos();
+    }
+
+    /**
+     * Applies a hit between characters. This is the only place damage,
+     * stun, hit effects and hit events come from.
+     * @param {Character} attacker - Attacking character
+     * @param {Character} defender - Defending character
+     * @param {Object} attackData - Attack information; a move definition
+     *     from the attacker's moveset plus its property, or at least { type }.
+     *     Projectile hits set projectile: true.
+     * @returns {boolean} Whether the hit connected
+     */
+    handleHit(attacker, defender, attackData) {
+        if (defender.invulnerable) return false;
+
+        const combo = this.getCombo(attacker);
+        const comboSettings = COMBAT_CONFIG.combo;
+        const blocked = defender.blocks(attackData.property || 'mid');
+        // Hits landing during hitstun continue a combo. One landing soon
+        // after the defender recovered starts over, but is marked broken.
+        const comboed = defender.isHit && combo.hits > 0;
+        const broken = !comboed && !blocked && combo.hits > 0 &&
+            this.sim.frame - combo.lastHitFrame <= comboSettings.timeWindow;
+        if (!comboed) {
+            this.resetCombo(attacker);
+        }
+
+        // Contact on hit or block opens the move's cancel window
+        const move = attacker.activeMove;
+        if (!attackData.projectile && move && move.name === attackData.name) {
+            move.connected = true;
+            move.hitCount++;
+            move.lastHitFrame = move.frame;
+        }
+
+        // Calculate damage with scaling
+        let damage = attackData.damage !== undefined ?
+            attackData.damage : COMBAT_CONFIG.damage[attackData.type];
+        damage *= 1 - Math.min(combo.hits, comboSettings.maxHits - 1) * comboSettings.scaling;
+
+        // Both fighters build meter; supers don't refund their user
+        const meter = COMBAT_CONFIG.meter;
+        const meterRate = blocked ? meter.blocked : 1;
+        if (attackData.type !== 'super') {
+            attacker.gainMeter(damage * meter.dealt * meterRate);
+        }
+        defender.gainMeter(damage * meter.taken * meterRate);
+
+        let stun;
+        if (blocked) {
+            damage *= defender.stats.blockReduction;
+            stun = COMBAT_CONFIG.blockstun[attackData.type];
+        } else {
+            stun = Math.max(
+                comboSettings.minHitstun,
+                COMBAT_CONFIG.hitstun[attackData.type] - combo.hits * comboSettings.hitstunDecay
+            );
+            if (!defender.isGrounded) {
+                combo.juggle += attackData.juggle !== undefined ?
+                    attackData.juggle : comboSettings.jugglePoints[attackData.type];
+            }
+            combo.hits++;
+            combo.damage += damage;
+            combo.lastHitFrame = this.sim.frame;
+        }
+
+        const pushback = (attackData.pushback !== undefined ?
+            attackData.pushback : COMBAT_CONFIG.pushback[attackData.type]) *
+            (blocked ? COMBAT_CONFIG.blockPushback : 1);
+
+        // Apply the hit
+        defender.takeHit({ damage, stun, blocked, pushback }, attacker);
+        this.sim.startHitstop(attackData.hitstop !== undefined ?
+            attackData.hitstop : COMBAT_CONFIG.hitstop[attackData.type]);
+
+        this.sim.emit('hit', {
+            defender: defender.isPlayer1 ? 1 : 2,
+            damage,
+            blocked,
+            comboed,
+            broken,
+            comboHits: combo.hits,
+            stun,
+            attackType: attackData.type,
+            property: attackData.property || 'mid',
+            move: attackData.name || null
+        });
+        if (this.sim.rounds) {
+            this.sim.rounds.recordHit(defender, damage, combo.hits, blocked);
+        }
+
+        // Create hit effects
+        this.createHitEffects(attacker, defender, attackData, blocked);
+
+        if (defender.health <= 0) {
+            this.sim.emit('ko', { player: defender });
+        }
+        return true;
+    }
+
+    /**
+     * Whether the attacker's combo may hit this defender again. Airborne
+     * defenders in hitstun can only be juggled until the combo has spent
+     * COMBAT_CONFIG.combo.juggleLimit points.
+     * @param {Character} attacker - Attacking character
+     * @param {Character} defender - Defending character
+     * @returns {boolean} True if a hit is allowed
+     */
+    canJuggle(attacker, defender) {
+        if (defender.isGrounded || !defender.isHit) return true;
+        return this.getCombo(attacker).juggle < COMBAT_CONFIG.combo.juggleLimit;
+    }
+
+    /**
+     * @param {Character} attacker - Attacking character
+     * @returns {Object} That character's combo
+     */
+    getCombo(attacker) {
+        return this.combos[attacker.isPlayer1 ? 1 : 2];
+    }
+
+    createHitEffects(attacker, defender, attackData, blocked) {
+        const hitPos = {
+            x: defender.x + (defender.width / 2),
+            y: defender.y + (defender.height / 2)
+        };
+
+        // Create visual effects
+        this.sim.emit('effect', {
+            key: 'hit',
+            data: {
+                position: hitPos,
+                type: attackData.type,
+                blocked
+            }
+        });
+
+        // Create hit particles
+        this.sim.emit('particles', {
+            data: {
+                position: hitPos,
+                count: attackData.type === 'special' ? 20 : 10,
+                color: blocked ? '#ffff00' : '#ff0000'
+            }
+        });
+
+        // Play hit sound
+        defender.emitSound(blocked ? 'block' : 'hit');
+    }
+
+    /**
+     * Ends a character's combo
+     * @param {Character} attacker - Attacking character
+     */
+    resetCombo(attacker) {
+        Object.assign(this.getCombo(attacker), { hits: 0, damage: 0, juggle: 0 });
+    }
+
+    resetCombos() {
+        [1, 2].forEach(player => {
+            this.combos[player] = { hits: 0, damage: 0, juggle: 0, lastHitFrame: 0 };
+        });
+    }
+
+    saveState() {
+        return { combos: structuredClone(this.combos) };
+    }
+
+    loadState(state) {
+        this.combos = structuredClone(state.combos);
+    }
+}
+
+/**
+ * @param {Object} a - Box with x, y, width, height
+ * @param {Object} b - Box with x, y, width, height
+ * @returns {boolean} Whether the boxes overlap
+ */
+function boxesOverlap(a, b) {
+    return a.x < b.x + b.width && b.x < a.x + a.width &&
+        a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+ * Per-frame collision pass. Tests active hitboxes and projectiles against
+ * hurtboxes and hands every hit to CombatSystem.handleHit, and throwboxes
+ * to ThrowSystem. All hits are
+ * found before any is applied, so attacks landing on the same frame trade.
+ * @class
+ */
+class CollisionSystem {
+    /**
+     * @param {Simulation} sim - Owning simulation
+     */
+    constructor(sim) {
+        this.sim = sim;
+    }
+
+    /**
+     * Finds and applies this frame's hits
+     */
+    update() {
+        const { player1, player2, projectileSystem, combatSystem, throwSystem } = this.sim;
+        const hits = [];
+        const throws = [];
+
+        [[player1, player2], [player2, player1]].forEach(([attacker, defender]) => {
+            const attack = attacker.getActiveAttack();
+            if (!attack || !attacker.canLandHit()) return;
+
+            const hurtboxes = defender.getHurtboxes();
+            const touches = attack.boxes.some(box => hurtboxes.some(hurtbox => boxesOverlap(box, hurtbox)));
+            if (attack.move.type === 'throw') {
+                if (touches && defender.canBeThrown()) {
+                    throws.push({ attacker, defender });
+                }
+                return;
+            }
+
+            if (!this.canBeHit(defender) || !combatSystem.canJuggle(attacker, defender)) return;
+            // Highs pass over crouching fighters
+            if (attack.property === 'high' && defender.getStance() === 'crouch') return;
+
+            if (touches) {
+                hits.push({ attacker, defender, attackData: { ...attack.move, property: attack.property } });
+            }
+        });
+
+        projectileSystem.resolveClashes();
+        projectileSystem.projectiles.forEach(projectile => {
+            const defender = this.sim.getOpponent(projectile.owner);
+            // A fighter takes at most one hit per frame; the projectile waits
+            if (projectile.destroyed || !this.canBeHit(defender) ||
+                !combatSystem.canJuggle(projectile.owner, defender) ||
+                hits.some(hit => hit.defender === defender) ||
+                !projectileSystem.checkCollision(projectile, defender)) return;
+
+            projectile.onHit();
+            hits.push({
+                attacker: projectile.owner,
+                defender,
+                attackData: {
+                    name: projectile.move,
+                    type: 'special',
+                    damage: projectile.damage,
+                    property: projectile.property,
+                    hitstop: projectile.hitstop,
+                    pushback: projectile.pushback,
+                    projectile: true
+                }
+            });
+        });
+
+        hits.forEach(({ attacker, defender, attackData }) => {
+            combatSystem.handleHit(attacker, defender, attackData);
+        });
+        // After the strikes, so a strike landing on the same frame beats a throw
+        throwSystem.resolve(throws);
+    }
+
+    /**
+     * @param {Character} character - Possible target
+     * @returns {boolean} Whether the character can be hit at all
+     */
+    canBeHit(character) {
+        return !character.invulnerable && character.health > 0;
+    }
+}
+
+/**
+ * Runs throws from the grab to the release. After a grab the defender has
+ * THROW_CONFIG.techWindow frames to press throw and break it; otherwise the
+ * throw lands when its animation ends, dealing damage through
+ * CombatSystem.handleHit and knocking the defender down.
+ * @class
+ */
+class ThrowSystem {
+    /**
+     * @param {Simulation} sim - Owning simulation
+     */
+    constructor(sim) {
+        this.sim = sim;
+        /** @type {Object|null} Throw in progress: { attacker, direction, frame } */
+        this.current = null;
+    }
+
+    /**
+     * Settles the throws that connected this frame
+     * @param {Array<Object>} attempts - { attacker, defender } pairs
+     */
+    resolve(attempts) {
+        // Two throws connecting together break each other
+        if (attempts.length === 2) {
+            this.tech(attempts[0].attacker, attempts[0].defender);
+            return;
+        }
+
+        attempts.forEach(({ attacker, defender }) => {
+            // A strike that landed this frame already interrupted one side
+            if (!attacker.activeMove || !defender.canBeThrown()) return;
+
+            const defenderMove = defender.activeMove;
+            if (defenderMove && defenderMove.name === 'throw') {
+                this.tech(attacker, defender);
+            } else {
+                this.grab(attacker, defender);
+            }
+        });
+    }
+
+    /**
+     * @param {Character} attacker - Throwing character
+     * @param {Character} defender - Character being thrown
+     */
+    grab(attacker, defender) {
+        const { direction } = attacker.activeMove;
+        attacker.activeMove.grabbed = true;
+        attacker.velocityX = 0;
+        attacker.currentState = direction === 'back' ? 'throwBack' : 'throwForward';
+        attacker.stateTime = 0;
+
+        defender.cancelMove();
+        defender.isGrabbed = true;
+        defender.techRequested = false;
+        defender.isBlocking = false;
+        defender.invulnerable = true;
+        defender.velocityX = 0;
+        defender.currentState = 'grabbed';
+        defender.stateTime = 0;
+
+        this.current = { attacker: attacker.isPlayer1 ? 1 : 2, direction, frame: 0 };
+    }
+
+    /**
+     * Advances the throw in progress by one frame
+     */
+    update() {
+        if (!this.current) return;
+
+        const { player1, player2 } = this.sim;
+        const attacker = this.current.attacker === 1 ? player1 : player2;
+        const defender = this.sim.getOpponent(attacker);
+        this.current.frame++;
+
+        if (this.current.frame <= THROW_CONFIG.techWindow && defender.techRequested) {
+            this.tech(attacker, defender);
+            return;
+        }
+
+        const throwData = attacker.throws[this.current.direction];
+        if (this.current.frame >= Math.max(throwData.frames, THROW_CONFIG.techWindow + 1)) {
+            this.release(attacker, defender, throwData);
+        }
+    }
+
+    /**
+     * Lands the throw: side switch, damage and knockdown
+     * @param {Character} attacker - Throwing character
+     * @param {Character} defender - Character being thrown
+     * @param {Object} throwData - The attacker's data for this throw direction
+     */
+    release(attacker, defender, throwData) {
+        this.current = null;
+        defender.isGrabbed = false;
+        defender.invulnerable = false;
+
+        if (throwData.sideSwitch) {
+            const x = attacker.facing === 1 ? attacker.x - defender.width : attacker.x + attacker.width;
+            defender.x = Math.max(0, Math.min(x, this.sim.arena.width - defender.width));
+            attacker.facing = -attacker.facing;
+            defender.facing = -defender.facing;
+        }
+
+        this.sim.combatSystem.handleHit(attacker, defender, {
+            name: 'throw',
+            type: 'throw',
+            damage: throwData.damage,
+            property: 'throw'
+        });
+        attacker.endMove();
+
+        // Knocked down fighters can't be hit until they get up
+        defender.invulnerable = true;
+        defender.velocityX = 0;
+        if (defender.health > 0) {
+            defender.currentState = 'knockdown';
+        }
+    }
+
+    /**
+     * Breaks a throw, pushing both fighters apart
+     * @param {Character} attacker - Throwing character
+     * @param {Character} defender - Character who teched
+     */
+    tech(attacker, defender) {
+        this.current = null;
+        [attacker, defender].forEach(character => {
+            character.cancelMove();
+            character.isGrabbed = false;
+            character.techRequested = false;
+            character.invulnerable = false;
+            character.x = Math.max(0, Math.min(
+                character.x - character.facing * THROW_CONFIG.techPushback,
+                this.sim.arena.width - character.width
+            ));
+            character.currentState = character.getNeutralState();
+            character.stateTime = 0;
+        });
 
-    getLoadingProgress() {
-        return this.loadedAssets / this.totalAssets;
+        this.sim.emit('effect', {
+            key: 'tech',
+            data: {
+                position: {
+                    x: (attacker.x + defender.x + defender.width) / 2,
+                    y: defender.y + (defender.height / 2)
+                },
+                type: 'tech',
+                blocked: true
+            }
+        });
+        defender.emitSound('block');
+        this.sim.emit('tech', { defender: defender.isPlayer1 ? 1 : 2 });
+    }
+
+    saveState() {
+        return this.current ? { ...this.current } : null;
+    }
+
+    loadState(state) {
+        this.current = state ? { ...state } : null;
     }
 }
 
 /**
- * Manages sprite animations
+ * Reuses objects that are created often, such as particles, instead of
+ * leaving them to the garbage collector
  */
-class AnimationSystem {
-    constructor() {
-        this.animations = new Map();
+class ObjectPool {
+    /**
+     * @param {Function} create - Makes a new object when the pool is empty
+     */
+    constructor(create) {
+        this.create = create;
+        this.available = [];
     }
 
-    createAnimation(key, spriteSheet, frameWidth, frameHeight, frameCount, frameDuration, loop = true) {
-        this.animations.set(key, {
-            spriteSheet,
-            frameWidth,
-            frameHeight,
-            frameCount,
-            frameDuration,
-            loop,
-            currentFrame: 0,
-            elapsed: 0
-        });
+    get() {
+        return this.available.length > 0 ? this.available.pop() : this.create();
     }
 
-    update(deltaTime) {
-        this.animations.forEach(animation => {
-            animation.elapsed += deltaTime;
-            if (animation.elapsed >= animation.frameDuration) {
-                animation.currentFrame = (animation.currentFrame + 1) % animation.frameCount;
-                animation.elapsed = 0;
+    release(object) {
+        this.available.push(object);
+    }
+}
 
-                if (!animation.loop && animation.currentFrame === 0) {
-                    animation.currentFrame = animation.frameCount - 1;
-                }
-            }
-        });
+/**
+ * A hit spark fragment that flies out, shrinks and disappears
+ */
+class Particle {
+    /**
+     * @param {Object} config - x, y, velocity {x, y} in px per frame,
+     *   color, lifetime in ms and size in px
+     */
+    init(config) {
+        this.x = config.x;
+        this.y = config.y;
+        this.velocity = { ...config.velocity };
+        this.color = config.color;
+        this.lifetime = config.lifetime;
+        this.size = config.size;
+        this.age = 0;
     }
 
-    draw(ctx, key, x, y, flipX = false) {
-        const animation = this.animations.get(key);
-        if (!animation) return;
+    /**
+     * @param {number} deltaTime - Time since the last update, in ms
+     * @returns {boolean} Whether the particle is still alive
+     */
+    update(deltaTime) {
+        const frames = deltaTime / GAME_CONFIG.timeStep;
+        this.x += this.velocity.x * frames;
+        this.y += this.velocity.y * frames;
+        this.age += deltaTime;
+        return this.age < this.lifetime;
+    }
 
-        const { spriteSheet, frameWidth, frameHeight, currentFrame } = animation;
+    draw(ctx) {
+        const remaining = 1 - (this.age / this.lifetime);
+        const size = this.size * remaining;
 
         ctx.save();
-        if (flipX) {
-            ctx.scale(-1, 1);
-            x = -x - frameWidth;
-        }
-
-        ctx.drawImage(
-            spriteSheet,
-            currentFrame * frameWidth,
-            0,
-            frameWidth,
-            frameHeight,
-            x,
-            y,
-            frameWidth,
-            frameHeight
-        );
+        ctx.globalAlpha = remaining;
+        ctx.fillStyle = this.color;
+        ctx.fillRect(this.x - (size / 2), this.y - (size / 2), size, size);
         ctx.restore();
     }
+}
 
-    resetAnimation(key) {
-        const animation = this.animations.get(key);
-        if (animation) {
-            animation.currentFrame = 0;
-            animation.elapsed = 0;
+/**
+ * Enhanced Particle System
+ */
+class ParticleSystem {
+    constructor() {
+        this.particles = [];
+        this.particlePool = new ObjectPool(() => new Particle());
+    }
+
+    createHitParticles(config) {
+        const { position, count, color } = config;
+        
+        for (let i = 0; i < count; i++) {
+            const angle = (Math.PI * 2 * i) / count;
+            const speed = Math.random() * 2 + 2;
+            const particle = this.particlePool.get();
+            
+            particle.init({
+                x: position.x,
+                y: position.y,
+                velocity: {
+                    x: Math.cos(angle) * speed,
+                    y: Math.sin(angle) * speed
+                },
+                color: color,
+                lifetime: 500,
+                size: Math.random() * 3 + 2
+            });
+
+            this.particles.push(particle);
         }
     }
 
-    /**
-     * Sets the speed multiplier for all animations
-     * @param {number} multiplier - Speed multiplier
-     */
-    setSpeedMultiplier(multiplier) {
-        this.speedMultiplier = multiplier;
-        this.animations.forEach(animation => {
-            animation.frameDuration = 
-                animation.baseDuration / multiplier;
+    update(deltaTime) {
+        this.particles = this.particles.filter(particle => {
+            if (particle.update(deltaTime)) {
+                return true;
+            } else {
+                this.particlePool.release(particle);
+                return false;
+            }
         });
     }
+
+    draw(ctx) {
+        this.particles.forEach(particle => particle.draw(ctx));
+    }
 }
 
 /**
- * Represents a playable character in the game
+ * Game difficulty and speed configuration
+ * @constant {Object}
  */
-class Character {
-    /**
-     * Creates a new Character instance
-     * @param {Game} game - Reference to the main game instance
-     * @param {number} x - Initial X position
-     * @param {number} y - Initial Y position
-     * @param {boolean} isPlayer1 - Whether this is player 1
-     * @param {Object} characterData - Character configuration data
-     */
-    constructor(game, x, y, isPlayer1, characterData) {
-        this.game = game;
-        this.x = x;
-        this.y = y;
-        this.isPlayer1 = isPlayer1;
-        this.width = 60;
-        this.height = 100;
-        
-        // Load character data
-        this.loadCharacterData(characterData);
-        
-        // Physics state
-        this.velocityX = 0;
-        this.velocityY = 0;
-        this.isGrounded = false;
-        this.facing = isPlayer1 ? 1 : -1;
-        
-        // Combat state
-        this.health = 100;
-        this.energy = 100;
-        this.isBlocking = false;
-        this.isAttacking = false;
-        this.isHit = false;
-        this.invulnerable = false;
-        this.comboCount = 0;
-        
-        // Animation state
-        this.currentState = 'idle';
-        this.stateTime = 0;
-        
-        // Input buffer for combos
-        this.inputBuffer = [];
-        this.lastInputTime = 0;
-        this.inputBufferTimeout = 500; // ms
+const DIFFICULTY_CONFIG = {
+    easy: {
+        aiReactionTime: 500,      // ms before the AI sees what the opponent does
+        aiAccuracy: 0.6,          // chance to take an opening and input a command cleanly
+        aiAggressiveness: 0.3,    // weight of attacking over waiting in neutral
+        damageMultiplier: 0.8,    // Player deals more damage
+        aiDamageMultiplier: 0.6   // AI deals less damage
+    },
+    normal: {
+        aiReactionTime: 300,
+        aiAccuracy: 0.8,
+        aiAggressiveness: 0.5,
+        damageMultiplier: 1.0,
+        aiDamageMultiplier: 1.0
+    },
+    hard: {
+        aiReactionTime: 150,
+        aiAccuracy: 0.9,
+        aiAggressiveness: 0.7,
+        damageMultiplier: 1.0,
+        aiDamageMultiplier: 1.2
     }
+};
 
-    loadCharacterData(data) {
-        this.stats = {
-            walkSpeed: data.walkSpeed || 5,
-            jumpForce: data.jumpForce || -15,
-            weight: data.weight || 1,
-            attackDamage: data.attackDamage || 10,
-            specialDamage: data.specialDamage || 20,
-            blockReduction: data.blockReduction || 0.5
-        };
-        
-        this.moves = data.moves || {};
-        this.hitboxes = data.hitboxes || {};
+/**
+ * Game speed configuration
+ * @constant {Object}
+ */
+const SPEED_CONFIG = {
+    quarter: {
+        timeScale: 0.25,
+        animationSpeedMultiplier: 0.25,
+        physicsIterations: 1
+    },
+    slow: {
+        timeScale: 0.5,
+        animationSpeedMultiplier: 0.5,
+        physicsIterations: 1
+    },
+    normal: {
+        timeScale: 1.0,
+        animationSpeedMultiplier: 1.0,
+        physicsIterations: 1
+    },
+    fast: {
+        timeScale: 1.5,
+        animationSpeedMultiplier: 1.5,
+        physicsIterations: 2
+    },
+    double: {
+        timeScale: 2.0,
+        animationSpeedMultiplier: 2.0,
+        physicsIterations: 2
+    },
+    quadruple: {
+        timeScale: 4.0,
+        animationSpeedMultiplier: 4.0,
+        physicsIterations: 4
+    }
+};
+
+/**
+ * AI tuning. DIFFICULTY_CONFIG sets how well the AI plays; these set what
+ * it considers close, far and worth spending energy on. Gaps are px between
+ * the fighters' bodies.
+ * @constant {Object}
+ */
+const AI_CONFIG = {
+    projectileJumpRange: 150, // gap to an incoming projectile at which to jump it
+    guardMargin: 30,          // added to the opponent's reach when deciding to block
+    zoningGap: 250,           // gap beyond which projectile specials are thrown
+    throwGap: 10,             // gap at which throws are attempted
+    jumpFrames: 16,           // frames forward is held after jumping a projectile
+    wakeUpGuardFrames: 20,    // frames back is held when guarding a wake-up
+    // Energy kept for the anti-air special, scaled down by aggressiveness
+    antiAirReserve: 1
+};
+
+/**
+ * Converts a numpad direction back to held directions
+ * @param {number} direction - Numpad direction (1-9), relative to facing
+ * @param {number} facing - 1 when facing right, -1 when facing left
+ * @returns {InputState} Input with only directions held
+ */
+function numpadToInput(direction, facing) {
+    const horizontal = (((direction - 1) % 3) - 1) * facing;
+    const vertical = Math.floor((direction - 1) / 3) - 1;
+    return {
+        ...EMPTY_INPUT,
+        left: horizontal < 0,
+        right: horizontal > 0,
+        up: vertical > 0,
+        down: vertical < 0
+    };
+}
+
+/**
+ * Builds the frame-by-frame inputs that perform a motion command. Repeated
+ * directions get a neutral frame between them so they count as two presses.
+ * @param {Object} command - Result of parseCommand, without a charge
+ * @param {number} facing - 1 when facing right, -1 when facing left
+ * @returns {Array<InputState>} One input per frame, ending with all buttons released
+ */
+function getCommandInputs(command, facing) {
+    const directions = [];
+    command.motion.forEach(direction => {
+        if (directions[directions.length - 1] === direction) directions.push(5);
+        directions.push(direction);
+    });
+    if (directions.length === 0) directions.push(5);
+
+    const frames = directions.map(direction => numpadToInput(direction, facing));
+    command.buttons.forEach(button => {
+        frames[frames.length - 1][MOTION_CONFIG.buttons[button]] = true;
+    });
+    return [...frames, EMPTY_INPUT];
+}
+
+/**
+ * How far past the front of the body a move's hitboxes reach
+ * @param {Character} character - Owner of the move
+ * @param {Object} definition - Move definition
+ * @param {string} [stance='stand'] - Stance the move is started from
+ * @returns {number} Reach in px; projectiles reach across the screen
+ */
+function getMoveReach(character, definition, stance = 'stand') {
+    if (definition.projectile) {
+        return definition.projectile.speed * definition.projectile.lifetime;
+    }
+    return getLiveHitboxes(definition, stance).reduce(
+        (reach, box) => Math.max(reach, box.x + box.width - character.width), 0
+    );
+}
+
+/**
+ * Distance to the nearest of the opponent's projectiles flying at a fighter
+ * @param {Character} character - Fighter being shot at
+ * @param {Character} opponent - Owner of the projectiles
+ * @returns {number|null} Gap in px, or null when nothing is incoming
+ */
+function getIncomingProjectileGap(character, opponent) {
+    const center = character.x + character.width / 2;
+    const incoming = opponent.sim.projectileSystem.projectiles
+        .filter(projectile => projectile.owner === opponent && !projectile.destroyed &&
+            Math.sign(projectile.velocity.x) === Math.sign(center - projectile.x))
+        .map(projectile => Math.max(0,
+            Math.abs(center - (projectile.x + projectile.width / 2)) - (character.width + projectile.width) / 2));
+    return incoming.length > 0 ? Math.min(...incoming) : null;
+}
+
+/**
+ * Hitboxes that are out on at least one active frame; a box whose frame
+ * window misses the active phase never hits
+ * @param {Object} definition - Move definition
+ * @param {string} [stance='stand'] - Stance the move is started from
+ * @returns {Array<Object>} Hitboxes relative to the character
+ */
+function getLiveHitboxes(definition, stance = 'stand') {
+    const first = definition.startupFrames + 1;
+    const last = definition.startupFrames + definition.activeFrames;
+    const hitboxes = (stance === 'crouch' && definition.crouchHitboxes) || definition.hitboxes;
+    return hitboxes.filter(box => !box.frames || (box.frames[0] <= last && box.frames[1] >= first));
+}
+
+/**
+ * Behavior tree composites. A node is a function of the AI's view of the
+ * frame that returns true when it succeeded; conditions and actions are
+ * plain nodes.
+ */
+const aiSelector = (...children) => context => children.some(child => child(context));
+const aiSequence = (...children) => context => children.every(child => child(context));
+
+/**
+ * Computer-controlled fighter. Sees the opponent as they were
+ * aiReactionTime ago, picks a behavior from a behavior tree each frame and
+ * returns the inputs a player would press, so AI fighters go through the
+ * same input path, command interpreter and replays as human ones.
+ *
+ * DIFFICULTY_CONFIG maps onto it as follows: aiReactionTime is how stale
+ * its view of the opponent is and how often it rethinks neutral,
+ * aiAccuracy is the chance of spotting each opening (anti-air, punish,
+ * block, projectile, throw tech) and of entering a motion cleanly, and
+ * aiAggressiveness weighs attacking against waiting and how much energy
+ * it keeps in reserve.
+ * @class
+ */
+class AIController {
+    /**
+     * Creates an AI controller
+     * @param {Character} character - The character to control
+     * @param {string} difficulty - Difficulty setting (easy/normal/hard)
+     * @param {number} [seed=1] - Seed for the AI's own random source
+     * @throws {GameError} If the difficulty is not in DIFFICULTY_CONFIG
+     */
+    constructor(character, difficulty = 'normal', seed = 1) {
+        if (!DIFFICULTY_CONFIG[difficulty]) {
+            throw new GameError(`Unknown difficulty "${difficulty}"`, 'AI_ERROR');
+        }
+        this.character = character;
+        this.difficulty = difficulty;
+        this.config = DIFFICULTY_CONFIG[difficulty];
+        this.reactionFrames = Math.max(1, msToFrames(this.config.aiReactionTime));
+        // Its own stream: the AI must not shift the simulation's random numbers
+        this.rng = new SeededRandom(seed);
+        /** @type {Array<Object>} Recent observations of the opponent, oldest first */
+        this.observations = [];
+        /** @type {Array<InputState>} Inputs committed to for the coming frames */
+        this.plan = [];
+        this.lastDecisionFrame = -Infinity;
+        this.currentAction = 'wait';
+        /** @type {Object|null} Move chosen for the 'attack' or 'zone' action */
+        this.attackOption = null;
+        /** @type {string|null} Last wake-up option (meaty, throw or guard) */
+        this.wakeUpChoice = null;
+        /** @type {Map<string, boolean>} Accuracy rolls by opening and reaction window */
+        this.rolls = new Map();
+        this.moveOptions = null;
+        this.tree = this.buildTree();
     }
 
     /**
-     * Updates character state
-     * @param {number} deltaTime - Time since last update
+     * Builds the decision tree. Earlier branches win: being hit or grabbed,
+     * then projectiles, jump-ins, punishes, blocking, combo cancels, wake-up
+     * pressure and finally neutral play.
+     * @private
+     * @returns {Function} Root node
      */
-    update(deltaTime) {
-        // Update physics
-        this.updatePhysics(deltaTime);
-        
-        // Update animation
-        this.updateAnimation(deltaTime);
-        
-        // Update combat state
-        this.updateCombat(deltaTime);
-        
-        // Clean input buffer
-        this.cleanInputBuffer();
-        
-        // Regenerate energy
-        if (this.energy < 100) {
-            this.energy = Math.min(100, this.energy + 0.1);
-        }
+    buildTree() {
+        const act = action => context => {
+            action(context);
+            return true;
+        };
+        const spots = opening => context => this.roll(opening, this.getOpeningChance(opening, context));
+
+        return aiSelector(
+            aiSequence(({ self }) => self.isGrabbed, spots('tech'),
+                act(() => this.pressThrow())),
+            aiSequence(({ self }) => self.isHit || self.blockStunTime > 0,
+                act(context => this.guard(context))),
+            aiSequence(context => this.projectileIncoming(context), spots('projectile'),
+                act(context => this.jumpForward(context))),
+            aiSequence(context => this.getAntiAir(context) !== null, spots('antiAir'),
+                act(context => this.perform(this.getAntiAir(context), context))),
+            aiSequence(context => this.getPunisher(context) !== null, spots('punish'),
+                act(context => this.perform(this.getPunisher(context), context))),
+            aiSequence(context => this.underThreat(context), spots('guard'),
+                act(context => this.guard(context))),
+            aiSequence(context => this.getComboCancel(context) !== null, spots('confirm'),
+                act(context => this.perform(this.getComboCancel(context), context))),
+            aiSequence(context => this.canPressWakeUp(context),
+                act(context => this.pressWakeUp(context))),
+            act(context => this.playNeutral(context))
+        );
     }
 
-    updatePhysics(deltaTime) {
-        // Apply gravity
-        if (!this.isGrounded) {
-            this.velocityY += GAME_CONFIG.gravity * deltaTime;
-        }
-        
-        // Update position
-        this.x += this.velocityX * deltaTime;
-        this.y += this.velocityY * deltaTime;
-        
-        // Check ground collision
-        const ground = this.game.canvas.height - this.height;
-        if (this.y > ground) {
-            this.y = ground;
-            this.velocityY = 0;
-            this.isGrounded = true;
+    /**
+     * Builds this frame's input. Call once per simulation frame, in place
+     * of reading a player's controls.
+     * @returns {InputState} Input snapshot
+     */
+    getInput() {
+        const self = this.character;
+        const opponent = self.sim.getOpponent(self);
+
+        this.observations.push(this.observe(opponent));
+        if (this.observations.length > this.reactionFrames) {
+            this.observations.shift();
         }
-        
-        // Check screen boundaries
-        this.x = Math.max(0, Math.min(this.x, this.game.canvas.width - this.width));
-    }
 
-    updateAnimation(deltaTime) {
-        this.stateTime += deltaTime;
-        const animation = this.game.animationSystem.animations.get(
-            `${this.isPlayer1 ? 'p1' : 'p2'}_${this.currentState}`
-        );
-        
-        if (animation && !animation.loop && 
-            this.stateTime >= animation.frameDuration * animation.frameCount) {
-            this.currentState = 'idle';
-            this.stateTime = 0;
+        // A motion or jump already under way is finished first
+        if (this.plan.length > 0) {
+            return this.plan.shift();
         }
+
+        const seen = this.observations[0];
+        const center = self.x + self.width / 2;
+        const context = {
+            self,
+            opponent,
+            seen,
+            // Frames between what the AI sees and the present
+            delay: this.observations.length - 1,
+            gap: Math.max(0, Math.abs(seen.center - center) - (seen.width + self.width) / 2),
+            input: null
+        };
+        this.tree(context);
+        return context.input || (this.plan.length > 0 ? this.plan.shift() : EMPTY_INPUT);
     }
 
-    updateCombat(deltaTime) {
-        if (this.isHit) {
-            this.hitStunTime -= deltaTime;
-            if (this.hitStunTime <= 0) {
-                this.isHit = false;
-                this.invulnerable = false;
-            }
-        }
+    /**
+     * Records what can be seen of the opponent this frame
+     * @param {Character} opponent - Character being fought
+     * @returns {Object} Observation
+     */
+    observe(opponent) {
+        const move = opponent.activeMove;
+        const definition = move && opponent.moveset[move.name];
+        const knockedDown = opponent.currentState === 'knockdown';
+
+        return {
+            center: opponent.x + opponent.width / 2,
+            y: opponent.y,
+            width: opponent.width,
+            height: opponent.height,
+            velocityX: opponent.velocityX,
+            velocityY: opponent.velocityY,
+            airborne: !opponent.isGrounded,
+            stunned: opponent.isHit,
+            knockedDown,
+            wakeUpIn: knockedDown ? opponent.hitStunTime : 0,
+            move: move ? {
+                name: move.name,
+                phase: opponent.getMovePhase(),
+                framesLeft: definition.totalFrames - move.frame,
+                property: opponent.getAttackProperty(),
+                reach: getMoveReach(opponent, definition)
+            } : null,
+            projectileGap: getIncomingProjectileGap(this.character, opponent)
+        };
     }
 
     /**
-     * Handles character input
-     * @param {InputState} input - Current input state
+     * Chance of acting on an opening when it is seen
+     * @param {string} opening - Kind of opening (tech, projectile, antiAir,
+     *     punish, guard, confirm)
+     * @param {Object} context - This frame's view
+     * @returns {number} Probability (0-1)
      */
-    handleInput(input) {
-        // Add input to buffer
-        const currentTime = Date.now();
-        this.inputBuffer.push({
-            input: input,
-            timestamp: currentTime
-        });
-        
-        // Check for special moves
-        this.checkSpecialMoves();
-        
-        // Handle basic moves
-        switch(input) {
-            case 'left':
-                this.move(-1);
-                break;
-            case 'right':
-                this.move(1);
-                break;
-            case 'jump':
-                this.jump();
-                break;
-            case 'attack':
-                this.attack();
-                break;
-            case 'block':
-                this.block();
-                break;
-        }
+    getOpeningChance(opening, context) {
+        return this.config.aiAccuracy;
     }
 
-    move(direction) {
-        if (this.isAttacking || this.isHit) return;
-        
-        this.velocityX = direction * this.stats.walkSpeed;
-        this.facing = direction;
-        this.currentState = 'walk';
+    /**
+     * Picks a key from a map of weights
+     * @param {Object<string, number>} weights - Relative weight of each key
+     * @returns {string} Chosen key
+     */
+    pickWeighted(weights) {
+        const entries = Object.entries(weights);
+        let pick = this.rng.next() * entries.reduce((total, [, weight]) => total + weight, 0);
+        const entry = entries.find(([, weight]) => (pick -= weight) < 0);
+        return (entry || entries[entries.length - 1])[0];
     }
 
-    jump() {
-        if (this.isGrounded && !this.isAttacking && !this.isHit) {
-            this.velocityY = this.stats.jumpForce;
-            this.isGrounded = false;
-            this.currentState = 'jump';
-            this.game.audioManager.playSound('jump');
+    /**
+     * Rolls against a probability once per opening and reaction window, so
+     * an opening isn't re-rolled every frame until it succeeds
+     * @param {string} opening - Kind of opening
+     * @param {number} probability - Chance of success (0-1)
+     * @returns {boolean} Whether the AI acts on it
+     */
+    roll(opening, probability) {
+        const key = `${opening}:${Math.floor(this.character.sim.frame / this.reactionFrames)}`;
+        if (!this.rolls.has(key)) {
+            if (this.rolls.size > 32) this.rolls.clear();
+            this.rolls.set(key, this.rng.next() < probability);
         }
+        return this.rolls.get(key);
     }
 
-    attack() {
-        if (this.isAttacking || this.isBlocking || this.isHit) return;
-
-        this.isAttacking = true;
-        this.currentState = 'attack';
-        this.stateTime = 0;
-        this.game.audioManager.playSound('attack');
+    /**
+     * The fighter's moves with what the AI needs to choose between them.
+     * Charge commands are left out.
+     * @returns {Object} { normals, lows, specials }; lows are the crouching
+     *     normals. Each entry is { name, definition, command, stance, property, reach }
+     */
+    getMoveOptions() {
+        const self = this.character;
+        if (this.moveOptions && this.moveOptions.moveset === self.moveset) {
+            return this.moveOptions;
+        }
 
-        // Create hit effect
-        this.game.effectsSystem.createEffect('hit', {
-            x: this.x + (this.facing * this.width),
-            y: this.y + (this.height / 2),
-            type: 'attack'
-        });
+        const describe = (name, command = null, stance = 'stand') => {
+            const definition = self.moveset[name];
+            const boxes = getLiveHitboxes(definition, stance);
+            return {
+                name,
+                definition,
+                command,
+                stance,
+                property: definition.properties[stance],
+                reach: getMoveReach(self, definition, stance),
+                // Vertical span of the hitboxes, from the top of the body
+                top: Math.min(...boxes.map(box => box.y)),
+                bottom: Math.max(...boxes.map(box => box.y + box.height)),
+                antiAir: boxes.some(box => box.y < 0)
+            };
+        };
+        // Moves that can never connect are left out
+        const canHit = option => option.definition.projectile || isFinite(option.top);
+        this.moveOptions = {
+            moveset: self.moveset,
+            normals: NORMAL_STRENGTHS.map(strength => describe(strength)).filter(canHit),
+            lows: NORMAL_STRENGTHS.map(strength => describe(strength, null, 'crouch')).filter(canHit),
+            specials: self.moveCommands
+                .filter(command => command.charge === null)
+                .map(command => describe(command.name, command))
+                .filter(canHit)
+        };
+        return this.moveOptions;
     }
 
-    block() {
-        if (this.isAttacking || this.isHit) return;
-        
-        this.isBlocking = true;
-        this.currentState = 'block';
-        this.velocityX = 0;
+    /**
+     * Energy to keep for the anti-air special; aggressive AIs keep less
+     * @returns {number} Energy reserve
+     */
+    getEnergyReserve() {
+        const antiAir = this.getMoveOptions().specials.find(option => option.antiAir && !option.definition.bars);
+        if (!antiAir) return 0;
+        return antiAir.definition.energyCost * AI_CONFIG.antiAirReserve * (1 - this.config.aiAggressiveness);
     }
 
-    takeHit(damage, attacker) {
-        if (this.invulnerable) return;
-
-        const actualDamage = this.isBlocking ? 
-            damage * this.stats.blockReduction : damage;
-
-        this.health = Math.max(0, this.health - actualDamage);
-        this.isHit = true;
-        this.hitStunTime = 300; // ms
-        this.currentState = 'hit';
-        
-        // Knockback
-        const knockbackForce = this.isBlocking ? 2 : 5;
-        this.velocityX = (this.x < attacker.x ? -1 : 1) * knockbackForce;
-        
-        // Visual effects
-        this.game.effectsSystem.createEffect('hit', {
-            x: this.x + (this.width / 2),
-            y: this.y + (this.height / 2),
-            type: this.isBlocking ? 'block' : 'hit'
-        });
-        
-        // Sound effects
-        this.game.audioManager.playSound(this.isBlocking ? 'block' : 'hit');
-        
-        // Check for KO
-        if (this.health <= 0) {
-            this.currentState = 'ko';
-            this.game.checkRoundEnd();
-        }
+    /**
+     * @param {Object} option - Entry from getMoveOptions
+     * @param {boolean} [keepReserve=false] - Whether the anti-air reserve must stay
+     * @returns {boolean} Whether the move can be paid for now
+     */
+    canSpend(option, keepReserve = false) {
+        const self = this.character;
+        if (!self.canAfford(option.definition)) return false;
+        if (!keepReserve || option.definition.bars) return true;
+        return self.energy - option.definition.energyCost >= this.getEnergyReserve();
     }
 
-    checkSpecialMoves() {
-        const recentInputs = this.inputBuffer
-            .filter(input => Date.now() - input.timestamp < this.inputBufferTimeout)
-            .map(input => input.input);
+    /**
+     * Presses a normal, holding down for a crouching one, or enters a
+     * special's command
+     * @param {Object} option - Entry from getMoveOptions
+     * @param {Object} context - This frame's view
+     */
+    perform(option, context) {
+        const facing = context.self.facing;
+        if (!option.command) {
+            const button = Object.keys(ATTACK_BUTTON_STRENGTHS)
+                .find(key => ATTACK_BUTTON_STRENGTHS[key] === option.name);
+            this.plan.push({ ...EMPTY_INPUT, down: option.stance === 'crouch', [button]: true }, EMPTY_INPUT);
+            return;
+        }
 
-        for (const [moveName, move] of Object.entries(this.moves)) {
-            if (this.checkInputSequence(recentInputs, move.sequence)) {
-                if (this.energy >= move.energyCost) {
-                    this.executeSpecialMove(moveName, move);
-                    break;
-                }
-            }
+        const frames = getCommandInputs(option.command, facing);
+        // A fumbled motion loses a direction and usually comes out as a normal
+        if (frames.length > 2 && this.rng.next() > this.config.aiAccuracy) {
+            frames.splice(Math.floor(this.rng.next() * (frames.length - 2)), 1);
         }
+        this.plan.push(...frames);
     }
 
-    executeSpecialMove(moveName, move) {
-        this.energy -= move.energyCost;
-        this.isAttacking = true;
-        this.currentState = moveName;
-        this.stateTime = 0;
-        
-        this.game.audioManager.playSound(moveName);
-        this.game.effectsSystem.createEffect(moveName, {
-            x: this.x + (this.facing * this.width),
-            y: this.y + (this.height / 2),
-            type: 'special'
-        });
+    /**
+     * Holds back, crouching against lows
+     * @param {Object} context - This frame's view
+     */
+    guard(context) {
+        const { self, seen } = context;
+        context.input = {
+            ...EMPTY_INPUT,
+            [self.facing === 1 ? 'left' : 'right']: true,
+            down: Boolean(seen.move && seen.move.property === 'low')
+        };
     }
 
-    cleanInputBuffer() {
-        const currentTime = Date.now();
-        this.inputBuffer = this.inputBuffer.filter(
-            input => currentTime - input.timestamp < this.inputBufferTimeout
+    /**
+     * Presses the throw buttons together, to throw or to tech a throw
+     */
+    pressThrow() {
+        this.plan.push(
+            Object.fromEntries(Object.keys(EMPTY_INPUT).map(key => [key, THROW_CONFIG.buttons.includes(key)])),
+            EMPTY_INPUT
         );
     }
 
-    draw(ctx) {
-        // Draw character sprite
-        this.game.animationSystem.draw(
-            ctx,
-            `${this.isPlayer1 ? 'p1' : 'p2'}_${this.currentState}`,
-            this.x,
-            this.y,
-            this.facing === -1
-        );
+    /**
+     * @param {Object} context - This frame's view
+     * @returns {boolean} Whether an opponent's projectile is about to arrive
+     */
+    projectileIncoming({ self, seen }) {
+        return seen.projectileGap !== null && seen.projectileGap <= AI_CONFIG.projectileJumpRange &&
+            self.isGrounded && !self.activeMove;
+    }
 
-        // Draw health bar
-        this.drawHealthBar(ctx);
-        
-        // Draw energy bar
-        this.drawEnergyBar(ctx);
+    /**
+     * Jumps toward the opponent, over whatever is coming
+     * @param {Object} context - This frame's view
+     */
+    jumpForward({ self }) {
+        const forward = self.facing === 1 ? 'right' : 'left';
+        this.plan.push({ ...EMPTY_INPUT, up: true, [forward]: true });
+        for (let i = 0; i < AI_CONFIG.jumpFrames; i++) {
+            this.plan.push({ ...EMPTY_INPUT, [forward]: true });
+        }
     }
 
-    drawHealthBar(ctx) {
-        const barWidth = 50;
-        const barHeight = 5;
-        const x = this.x + (this.width - barWidth) / 2;
-        const y = this.y - 10;
+    /**
+     * Picks an anti-air special, or a heavy normal without one, if a jumping
+     * opponent will be inside its hitboxes when it becomes active. The jump
+     * arc is projected forward from what the AI saw.
+     * @param {Object} context - This frame's view
+     * @returns {Object|null} Entry from getMoveOptions
+     */
+    getAntiAir({ self, seen, delay }) {
+        if (!seen.airborne || !self.isGrounded || self.activeMove) return null;
 
-        ctx.fillStyle = '#000';
-        ctx.fillRect(x, y, barWidth, barHeight);
-        
-        const healthPercent = this.health / 100;
-        ctx.fillStyle = healthPercent > 0.5 ? '#00ff00' : '#ff0000';
-        ctx.fillRect(x, y, barWidth * healthPercent, barHeight);
+        const { specials, normals } = this.getMoveOptions();
+        const option = specials.find(candidate => candidate.antiAir && this.canSpend(candidate)) ||
+            normals[normals.length - 1];
+        if (!option || option.definition.projectile) return null;
+
+        const lead = delay + option.definition.startupFrames + 1;
+        const y = seen.y + seen.velocityY * lead + GAME_CONFIG.gravity * lead * (lead + 1) / 2;
+        if (y >= self.sim.arena.height - seen.height) return null;
+
+        const center = seen.center + seen.velocityX * lead;
+        const gap = Math.abs(center - (self.x + self.width / 2)) - (seen.width + self.width) / 2;
+        const inReach = gap <= option.reach;
+        const inHeight = y + seen.height >= self.y + option.top && y <= self.y + option.bottom;
+        return inReach && inHeight ? option : null;
     }
 
-    drawEnergyBar(ctx) {
-        const barWidth = 40;
-        const barHeight = 3;
-        const x = this.x + (this.width - barWidth) / 2;
-        const y = this.y - 15;
+    /**
+     * Finds the most damaging move that lands before the opponent recovers
+     * from a whiffed or blocked move
+     * @param {Object} context - This frame's view
+     * @returns {Object|null} Entry from getMoveOptions
+     */
+    getPunisher({ self, seen, gap, delay }) {
+        if (!seen.move || seen.move.phase !== 'recovery' || self.activeMove || !self.isGrounded) {
+            return null;
+        }
 
-        ctx.fillStyle = '#000';
-        ctx.fillRect(x, y, barWidth, barHeight);
-        
-        ctx.fillStyle = '#ffff00';
-        ctx.fillRect(x, y, barWidth * (this.energy / 100), barHeight);
+        // The opponent has kept recovering while the AI was reacting
+        const framesLeft = seen.move.framesLeft - delay;
+        const { normals, specials } = this.getMoveOptions();
+        return [...normals, ...specials]
+            .filter(option => option.definition.startupFrames < framesLeft &&
+                option.reach >= gap && !option.definition.projectile &&
+                (!option.command || this.canSpend(option)))
+            .reduce((best, option) =>
+                (!best || option.definition.damage > best.definition.damage ? option : best), null);
     }
-}
 
-/**
- * Manages special moves and combo systems
- */
-class SpecialMoveSystem {
-    constructor() {
-        this.moves = {
-            'p1_fireball': new FireballMove(),
-            'p1_thunderbolt': new ThunderboltMove(),
-            'p2_iceblade': new IcebladeMove(),
-            'p2_frostbolt': new FrostboltMove()
-        };
+    /**
+     * @param {Object} context - This frame's view
+     * @returns {boolean} Whether an attack or projectile is about to reach the AI
+     */
+    underThreat({ seen, gap }) {
+        if (seen.projectileGap !== null && seen.projectileGap <= AI_CONFIG.projectileJumpRange) return true;
+        return Boolean(seen.move) && seen.move.phase !== 'recovery' &&
+            gap <= seen.move.reach + AI_CONFIG.guardMargin;
     }
 
-    getMove(key) {
-        return this.moves[key];
+    /**
+     * Finds a special to cancel into after a normal that hit
+     * @param {Object} context - This frame's view
+     * @returns {Object|null} Entry from getMoveOptions
+     */
+    getComboCancel({ self, gap }) {
+        const move = self.activeMove;
+        if (!move || !move.connected) return null;
+
+        return this.getMoveOptions().specials.find(option =>
+            self.canCancelInto(option.name, option.definition.type) &&
+            option.reach >= gap && this.canSpend(option, true)
+        ) || null;
     }
-}
 
-/**
- * Manages effects and animations
- */
-class EffectsSystem {
-    constructor() {
-        this.effects = new Map();
+    /**
+     * @param {Object} context - This frame's view
+     * @returns {boolean} Whether the AI is next to a knocked-down opponent
+     *     and can time something for their wake-up
+     */
+    canPressWakeUp({ self, seen, gap, delay }) {
+        return seen.knockedDown && seen.wakeUpIn - delay > 0 && gap <= AI_CONFIG.throwGap &&
+            self.isGrounded && !self.activeMove;
     }
 
-    createEffect(key, effectData) {
-        this.effects.set(key, new Effect(effectData));
+    /**
+     * How likely each wake-up option is: a meaty attack that is active as
+     * the opponent gets up, a throw once their throw invulnerability ends,
+     * or guarding against a reversal
+     * @returns {Object<string, number>} Weights keyed meaty, throw, guard
+     */
+    getWakeUpWeights() {
+        const aggressiveness = this.config.aiAggressiveness;
+        return { meaty: aggressiveness, throw: aggressiveness * 0.5, guard: 1 - aggressiveness };
     }
 
-    update(deltaTime) {
-        this.effects.forEach(effect => effect.update(deltaTime));
+    /**
+     * Commits to a wake-up option and queues its inputs, timed from what
+     * the AI saw of the knockdown
+     * @param {Object} context - This frame's view
+     */
+    pressWakeUp(context) {
+        const { self, seen, gap, delay } = context;
+        const wakeUpIn = seen.wakeUpIn - delay;
+        const wait = frames => {
+            for (let i = 0; i < frames; i++) this.plan.push(EMPTY_INPUT);
+        };
+        const meaty = this.getMoveOptions().normals.filter(option => option.reach >= gap).pop();
+        const weights = this.getWakeUpWeights();
+        if (!meaty) delete weights.meaty;
+        this.wakeUpChoice = this.pickWeighted(weights);
+
+        switch (this.wakeUpChoice) {
+            case 'meaty':
+                // First active frame lands on the first frame they can be hit
+                wait(Math.max(0, wakeUpIn - meaty.definition.startupFrames));
+                this.perform(meaty, context);
+                break;
+            case 'throw':
+                wait(wakeUpIn + THROW_CONFIG.wakeUpFrames);
+                this.pressThrow();
+                break;
+            default: {
+                wait(wakeUpIn);
+                const back = { ...EMPTY_INPUT, [self.facing === 1 ? 'left' : 'right']: true };
+                for (let i = 0; i < AI_CONFIG.wakeUpGuardFrames; i++) this.plan.push(back);
+            }
+        }
     }
 
-    draw(ctx) {
-        this.effects.forEach(effect => effect.draw(ctx));
+    /**
+     * Picks the normal to attack with in neutral
+     * @param {Array<Object>} candidates - Normals in reach, from getMoveOptions
+     * @param {Object} context - This frame's view
+     * @returns {Object} Chosen entry
+     */
+    chooseAttack(candidates, context) {
+        return candidates[Math.floor(this.rng.next() * candidates.length)];
     }
 
-    resetEffect(key) {
-        this.effects.get(key).reset();
+    /**
+     * @param {Object} context - This frame's view
+     * @returns {number} Chance of throwing when in throw range in neutral
+     */
+    getThrowChance(context) {
+        return this.config.aiAggressiveness * 0.3;
+    }
+
+    /**
+     * Chooses between approaching, attacking, zoning, throwing, guarding and
+     * waiting. A choice is kept until the next decision.
+     * @param {Object} context - This frame's view
+     */
+    playNeutral(context) {
+        const { self, seen, gap } = context;
+        const frame = self.sim.frame;
+        const aggressiveness = this.config.aiAggressiveness;
+
+        if (frame - this.lastDecisionFrame >= this.reactionFrames) {
+            this.lastDecisionFrame = frame;
+            const { normals, lows, specials } = this.getMoveOptions();
+            const inRange = [...normals, ...lows].filter(option => option.reach >= gap);
+            const zoning = specials.find(option => option.definition.projectile && this.canSpend(option, true));
+
+            if (seen.knockedDown || seen.stunned) {
+                this.currentAction = 'approach';
+            } else if (gap <= AI_CONFIG.throwGap && this.rng.next() < this.getThrowChance(context)) {
+                this.currentAction = 'throw';
+            } else if (inRange.length > 0 && this.rng.next() < aggressiveness) {
+                this.currentAction = 'attack';
+                this.attackOption = this.chooseAttack(inRange, context);
+            } else if (gap > AI_CONFIG.zoningGap && zoning && this.rng.next() < aggressiveness) {
+                this.currentAction = 'zone';
+                this.attackOption = zoning;
+            } else if (inRange.length > 0 && this.rng.next() < (1 - aggressiveness) * 0.5) {
+                this.currentAction = 'guard';
+            } else if (this.rng.next() < 0.4 + aggressiveness * 0.6) {
+                this.currentAction = 'approach';
+            } else {
+                this.currentAction = 'wait';
+            }
+        }
+
+        switch (this.currentAction) {
+            case 'attack':
+            case 'zone':
+                if (!self.activeMove) {
+                    this.perform(this.attackOption, context);
+                    this.currentAction = 'wait';
+                }
+                break;
+            case 'throw':
+                if (!self.activeMove) {
+                    this.pressThrow();
+                    this.currentAction = 'wait';
+                }
+                break;
+            case 'approach':
+                context.input = { ...EMPTY_INPUT, [self.facing === 1 ? 'right' : 'left']: true };
+                break;
+            case 'guard':
+                this.guard(context);
+                break;
+        }
     }
 }
 
 /**
- * Manages menu systems
+ * Adaptive AI tuning: the difficulty levels it moves between, how fast it
+ * moves, and how strongly the player's habits shift its choices
+ * @constant {Object}
  */
-class MenuSystem {
-    constructor(game) {
-        this.game = game;
-        this.menu = new Menu(this);
+const ADAPTIVE_AI_CONFIG = {
+    /** @type {Array<string>} DIFFICULTY_CONFIG levels, weakest first */
+    levels: ['easy', 'normal', 'hard'],
+    startLevel: 1,            // index into levels
+    levelStep: 0.5,           // level change per round: up after a loss, down after a win
+    minSamples: 3,            // observations of a habit before it is countered
+    counterWeight: 0.6,       // how far a habit's share shifts the AI's choices
+    wakeUpWindow: 20,         // frames after getting up in which the wake-up choice is read
+    controls: {
+        toggleProfile: '9',
+        exportProfile: '0'
     }
+};
 
-    // ... (continued in next part)
+/**
+ * Blends the DIFFICULTY_CONFIG settings on either side of a fractional level
+ * @param {number} level - Index into ADAPTIVE_AI_CONFIG.levels, may be fractional
+ * @returns {Object} Difficulty settings
+ */
+function blendDifficulty(level) {
+    const { levels } = ADAPTIVE_AI_CONFIG;
+    const lower = DIFFICULTY_CONFIG[levels[Math.floor(level)]];
+    const upper = DIFFICULTY_CONFIG[levels[Math.ceil(level)]];
+    const t = level - Math.floor(level);
+    return Object.fromEntries(Object.keys(lower).map(key =>
+        [key, lower[key] + (upper[key] - lower[key]) * t]));
 }
 
-/**
- * Manages character systems
- */
-class CharacterSystem {
-    constructor(game) {
-        this.game = game;
-        this.characters = new Map();
+/**
+ * Per-match statistics on a player's tendencies, read from the fighters'
+ * state each frame: how often neutral actions are jump-ins, what they do on
+ * wake-up, how they guard the AI's attacks and which specials they use
+ * @class
+ */
+class HabitTracker {
+    constructor() {
+        this.neutralActions = 0;
+        this.jumpIns = 0;
+        /** @type {Object<string, number>} First action after a knockdown */
+        this.wakeUps = { attack: 0, throw: 0, jump: 0, block: 0, neutral: 0 };
+        /** @type {Object<string, number>} Guard when an AI attack became active */
+        this.guards = { low: 0, high: 0, open: 0 };
+        /** @type {Object<string, number>} Special and super uses by move name */
+        this.specials = {};
+        this.projectiles = 0;
+
+        this.wasGrounded = true;
+        this.wasKnockedDown = false;
+        this.lastMove = null;
+        this.lastAttack = null;
+        /** @type {number|null} Frames since getting up while the wake-up choice is unread */
+        this.wakeUpFrame = null;
+    }
+
+    /**
+     * Records one frame
+     * @param {Character} player - Fighter being studied
+     * @param {Character} ai - The AI's fighter
+     */
+    update(player, ai) {
+        const move = player.activeMove;
+        const moveStarted = Boolean(move) && move !== this.lastMove;
+        const jumpStarted = this.wasGrounded && !player.isGrounded && player.velocityY < 0 && !player.isHit;
+        const knockedDown = player.currentState === 'knockdown';
+
+        if (moveStarted) {
+            const definition = player.moveset[move.name];
+            if (['special', 'super'].includes(definition.type)) {
+                this.specials[move.name] = (this.specials[move.name] || 0) + 1;
+                if (definition.projectile) this.projectiles++;
+            }
+        }
+
+        if (this.wasKnockedDown && !knockedDown) {
+            this.wakeUpFrame = 0;
+        }
+        if (this.wakeUpFrame !== null) {
+            this.wakeUpFrame++;
+            this.readWakeUp(player, moveStarted, jumpStarted);
+        } else if (!player.isHit && (moveStarted || jumpStarted)) {
+            this.neutralActions++;
+            const towardAI = Math.sign(player.velocityX) === Math.sign(ai.x - player.x);
+            if (jumpStarted && player.velocityX !== 0 && towardAI) this.jumpIns++;
+        }
+
+        // How the player was guarding as each AI attack came out
+        const attack = ai.activeMove;
+        if (attack && attack !== this.lastAttack && ai.getMovePhase() === 'active' &&
+            ai.moveset[attack.name].type !== 'throw') {
+            this.lastAttack = attack;
+            const guard = !player.isBlocking ? 'open' : (player.getStance() === 'crouch' ? 'low' : 'high');
+            this.guards[guard]++;
+        }
+
+        this.wasGrounded = player.isGrounded;
+        this.wasKnockedDown = knockedDown;
+        this.lastMove = move;
     }
 
-    addCharacter(key, character) {
-        this.characters.set(key, character);
+    /**
+     * Classifies the first thing done after getting up
+     * @private
+     */
+    readWakeUp(player, moveStarted, jumpStarted) {
+        let choice = null;
+        if (moveStarted) {
+            choice = player.moveset[player.activeMove.name].type === 'throw' ? 'throw' : 'attack';
+        } else if (jumpStarted) {
+            choice = 'jump';
+        } else if (player.isBlocking) {
+            choice = 'block';
+        } else if (this.wakeUpFrame >= ADAPTIVE_AI_CONFIG.wakeUpWindow) {
+            choice = 'neutral';
+        }
+        if (choice) {
+            this.wakeUps[choice]++;
+            this.wakeUpFrame = null;
+        }
     }
 
-    getCharacter(key) {
-        return this.characters.get(key);
+    /**
+     * @param {number} count - Times something happened
+     * @param {number} total - Times it could have
+     * @returns {number} Share (0-1), or 0 until there are enough samples
+     */
+    share(count, total) {
+        return total >= ADAPTIVE_AI_CONFIG.minSamples ? count / total : 0;
     }
-}
 
-/**
- * Manages special moves and combo systems
- */
-class SpecialMoveSystem {
-    constructor() {
-        this.moves = {
-            'p1_fireball': new FireballMove(),
-            'p1_thunderbolt': new ThunderboltMove(),
-            'p2_iceblade': new IcebladeMove(),
-            'p2_frostbolt': new FrostboltMove()
-        };
+    /** @returns {number} Share of neutral actions that were jump-ins */
+    getJumpInRate() {
+        return this.share(this.jumpIns, this.neutralActions);
     }
 
-    getMove(key) {
-        return this.moves[key];
+    /**
+     * @param {string} choice - attack, throw, jump, block or neutral
+     * @returns {number} Share of wake-ups with that choice
+     */
+    getWakeUpShare(choice) {
+        return this.share(this.wakeUps[choice], sumValues(this.wakeUps));
     }
-}
 
-/**
- * Manages effects and animations
- */
-class EffectsSystem {
-    constructor() {
-        this.effects = new Map();
+    /**
+     * @param {string} guard - low, high or open
+     * @returns {number} Share of the AI's attacks met with that guard
+     */
+    getGuardShare(guard) {
+        return this.share(this.guards[guard], sumValues(this.guards));
     }
 
-    createEffect(key, effectData) {
-        this.effects.set(key, new Effect(effectData));
+    /**
+     * @param {string} name - Move name
+     * @returns {number} Share of the player's specials that were this one
+     */
+    getSpecialShare(name) {
+        return this.share(this.specials[name] || 0, sumValues(this.specials));
     }
 
-    update(deltaTime) {
-        this.effects.forEach(effect => effect.update(deltaTime));
+    /** @returns {number} Share of the player's specials that were projectiles */
+    getProjectileShare() {
+        return this.share(this.projectiles, sumValues(this.specials));
     }
 
-    draw(ctx) {
-        this.effects.forEach(effect => effect.draw(ctx));
+    /** @returns {string|null} Most used special, or null before any */
+    getFavoriteSpecial() {
+        const entries = Object.entries(this.specials);
+        if (entries.length === 0) return null;
+        return entries.reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
     }
 
-    resetEffect(key) {
-        this.effects.get(key).reset();
+    /**
+     * @returns {Object} Raw counts and the rates the AI acts on
+     */
+    toJSON() {
+        return {
+            neutralActions: this.neutralActions,
+            jumpIns: this.jumpIns,
+            jumpInRate: this.getJumpInRate(),
+            wakeUps: { ...this.wakeUps },
+            guards: { ...this.guards },
+            specials: { ...this.specials },
+            favoriteSpecial: this.getFavoriteSpecial(),
+            projectileShare: this.getProjectileShare()
+        };
     }
 }
 
 /**
- * Manages menu systems
+ * @param {Object<string, number>} counts - Counts keyed by anything
+ * @returns {number} Sum of the counts
  */
-class MenuSystem {
-    constructor(game) {
-        this.game = game;
-        this.menu = new Menu(this);
-    }
+function sumValues(counts) {
+    return Object.values(counts).reduce((total, count) => total + count, 0);
 }
 
 /**
- * Menu System Implementation
+ * AI that studies its opponent over the match. It starts at the middle
+ * difficulty, moves up a step after each round it loses and down after
+ * each it wins, and leans its choices toward counters for the habits it
+ * has seen: anti-airing jump-ins, punishing and guarding favorite specials,
+ * jumping favorite projectiles, picking wake-up options that beat the
+ * usual wake-up, going low against standing guards and throwing crouching
+ * ones.
+ * @class
+ * @extends AIController
  */
-class Menu {
-    constructor(game) {
-        this.game = game;
-        this.currentMenu = 'main';
-        this.selectedIndex = 0;
-        
-        this.menus = {
-            main: {
-                title: 'FIGHTER GAME',
-                options: ['Start Game', 'Options', 'Controls', 'Exit'],
-                callbacks: {
-                    'Start Game': () => this.switchMenu('characterSelect'),
-                    'Options': () => this.switchMenu('options'),
-                    'Controls': () => this.switchMenu('controls'),
-                    'Exit': () => window.close()
-                }
-            },
-            characterSelect: {
-                title: 'SELECT CHARACTER',
-                options: ['Fighter 1', 'Fighter 2', 'Fighter 3', 'Back'],
-                callbacks: {
-                    'Fighter 1': () => this.selectCharacter('fighter1'),
-                    'Fighter 2': () => this.selectCharacter('fighter2'),
-                    'Fighter 3': () => this.selectCharacter('fighter3'),
-                    'Back': () => this.switchMenu('main')
-                }
-            },
-            options: {
-                title: 'OPTIONS',
-                options: ['Sound: ON', 'Music: ON', 'Difficulty: Normal', 'Back'],
-                callbacks: {
-                    'Sound: ON': () => this.toggleSound(),
-                    'Music: ON': () => this.toggleMusic(),
-                    'Difficulty: Normal': () => this.cycleDifficulty(),
-                    'Back': () => this.switchMenu('main')
-                }
-            }
-        };
+class AdaptiveAIController extends AIController {
+    /**
+     * @param {Character} character - The character to control
+     * @param {number} [seed=1] - Seed for the AI's own random source
+     */
+    constructor(character, seed = 1) {
+        const { levels, startLevel } = ADAPTIVE_AI_CONFIG;
+        super(character, levels[startLevel], seed);
+        this.difficulty = 'adaptive';
+        this.habits = new HabitTracker();
+        /** @type {Array<Object>} Finished rounds and the level after each */
+        this.roundLog = [];
+        this.setLevel(startLevel);
     }
 
-    draw(ctx) {
-        const menu = this.menus[this.currentMenu];
-        
-        // Draw background
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
-        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-        
-        // Draw title
-        ctx.fillStyle = '#fff';
-        ctx.font = '48px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText(menu.title, ctx.canvas.width / 2, 100);
-        
-        // Draw options
-        ctx.font = '24px Arial';
-        menu.options.forEach((option, index) => {
-            const y = 250 + (index * 50);
-            if (index === this.selectedIndex) {
-                ctx.fillStyle = '#ffff00';
-                ctx.fillText('> ' + option + ' <', ctx.canvas.width / 2, y);
-            } else {
-                ctx.fillStyle = '#fff';
-                ctx.fillText(option, ctx.canvas.width / 2, y);
-            }
-        });
+    /**
+     * Moves to a difficulty level, clamped to the configured range
+     * @param {number} level - Index into ADAPTIVE_AI_CONFIG.levels, may be fractional
+     */
+    setLevel(level) {
+        this.level = Math.max(0, Math.min(ADAPTIVE_AI_CONFIG.levels.length - 1, level));
+        this.config = blendDifficulty(this.level);
+        this.reactionFrames = Math.max(1, msToFrames(this.config.aiReactionTime));
     }
 
-    handleInput(input) {
-        switch(input) {
-            case 'ArrowUp':
-                this.selectedIndex = (this.selectedIndex - 1 + 
-                    this.menus[this.currentMenu].options.length) % 
-                    this.menus[this.currentMenu].options.length;
-                this.game.audioManager.playSound('menuMove');
-                break;
-            case 'ArrowDown':
-                this.selectedIndex = (this.selectedIndex + 1) % 
-                    this.menus[this.currentMenu].options.length;
-                this.game.audioManager.playSound('menuMove');
-                break;
-            case 'Enter':
-                const selectedOption = this.menus[this.currentMenu]
-                    .options[this.selectedIndex];
-                this.menus[this.currentMenu].callbacks[selectedOption]();
-                this.game.audioManager.playSound('menuSelect');
-                break;
-        }
+    getInput() {
+        const self = this.character;
+        this.habits.update(self.sim.getOpponent(self), self);
+        this.updateLevel();
+        return super.getInput();
     }
 
-    switchMenu(menuName) {
-        this.currentMenu = menuName;
-        this.selectedIndex = 0;
+    /**
+     * Steps the difficulty for each round finished since the last frame
+     * @private
+     */
+    updateLevel() {
+        const sim = this.character.sim;
+        if (!sim.rounds || sim.rounds.results.length === this.roundLog.length) return;
+
+        const side = this.character === sim.player1 ? 1 : 2;
+        sim.rounds.results.slice(this.roundLog.length).forEach(({ round, winner }) => {
+            if (winner) {
+                this.setLevel(this.level + (winner === side ? -1 : 1) * ADAPTIVE_AI_CONFIG.levelStep);
+            }
+            this.roundLog.push({ round, won: winner === side, draw: winner === null, level: this.level });
+        });
     }
 
-    selectCharacter(character) {
-        // Implementation for character selection
-        this.game.selectedCharacter = character;
-        this.game.startGame();
+    getOpeningChance(opening, context) {
+        const move = context.seen.move;
+        const habit = {
+            antiAir: () => this.habits.getJumpInRate(),
+            projectile: () => this.habits.getProjectileShare(),
+            punish: () => (move ? this.habits.getSpecialShare(move.name) : 0),
+            guard: () => (move ? this.habits.getSpecialShare(move.name) : 0)
+        }[opening];
+        const chance = super.getOpeningChance(opening, context);
+        return habit ? Math.min(1, chance + habit() * ADAPTIVE_AI_CONFIG.counterWeight) : chance;
     }
 
-    toggleSound() {
-        // Implementation for sound toggle
+    getWakeUpWeights() {
+        const weights = super.getWakeUpWeights();
+        const weight = ADAPTIVE_AI_CONFIG.counterWeight;
+        const share = choice => this.habits.getWakeUpShare(choice);
+        // Block reversals and jumps, throw a guard, hit someone who does nothing
+        weights.guard += weight * (share('attack') + share('jump'));
+        weights.throw += weight * share('block');
+        weights.meaty += weight * share('neutral');
+        return weights;
     }
 
-    toggleMusic() {
-        // Implementation for music toggle
+    chooseAttack(candidates, context) {
+        // Standing guards lose to lows
+        const lowWeight = 1 + this.habits.getGuardShare('high') * ADAPTIVE_AI_CONFIG.counterWeight * 2;
+        const weights = Object.fromEntries(candidates.map((option, index) =>
+            [index, option.property === 'low' ? lowWeight : 1]));
+        return candidates[Number(this.pickWeighted(weights))];
     }
 
-    cycleDifficulty() {
-        // Implementation for difficulty cycling
+    getThrowChance(context) {
+        // Crouching guards stop lows and mids, not throws
+        return Math.min(1, super.getThrowChance(context) +
+            this.habits.getGuardShare('low') * ADAPTIVE_AI_CONFIG.counterWeight);
     }
-}
 
-/**
- * Game State Management Implementation
- */
-class GameStateManager {
-    constructor(game) {
-        this.game = game;
-        this.currentState = 'loading';
-        this.states = {
-            loading: new LoadingState(game),
-            menu: new MenuState(game),
-            fighting: new FightingState(game),
-            pause: new PauseState(game),
-            gameOver: new GameOverState(game)
+    /**
+     * The learned profile, for the debug panel and for export
+     * @returns {Object} Level, difficulty settings, round history, habits and counters
+     */
+    getProfile() {
+        const self = this.character;
+        return {
+            character: self.name,
+            frame: self.sim.frame,
+            level: this.level,
+            difficulty: { ...this.config },
+            reactionFrames: this.reactionFrames,
+            rounds: this.roundLog.map(entry => ({ ...entry })),
+            habits: this.habits.toJSON(),
+            counters: {
+                antiAirBonus: this.habits.getJumpInRate() * ADAPTIVE_AI_CONFIG.counterWeight,
+                wakeUpWeights: this.getWakeUpWeights(),
+                throwChance: this.getThrowChance(null),
+                lastWakeUpChoice: this.wakeUpChoice
+            }
         };
     }
+}
 
-    changeState(newState) {
-        if (this.states[newState]) {
-            this.states[this.currentState].exit();
-            this.currentState = newState;
-            this.states[this.currentState].enter();
-        }
-    }
-
-    update(deltaTime) {
-        this.states[this.currentState].update(deltaTime);
-    }
-
-    draw(ctx) {
-        this.states[this.currentState].draw(ctx);
-    }
+/**
+ * Ghost AI: how situations from replays are sampled and compared
+ * @constant {Object}
+ */
+const GHOST_CONFIG = {
+    sampleInterval: 2,        // frames between recorded situations
+    chunkFrames: 10,          // recorded inputs played from a matched situation before looking again
+    maxDistance: 8,           // situations further than this from anything recorded use the behavior tree
+    continuityBonus: 1,       // taken off the distance of the sample that continues the last chunk
+    stateMismatch: 2,         // distance added for each fighter in a different state
+    noProjectileGap: 600,     // projectile gap used when nothing is incoming
+    // Size of a difference in each numeric feature that counts as 1
+    scales: {
+        gap: 60,
+        selfHeight: 60,
+        opponentHeight: 60,
+        health: 0.25,
+        energy: 50,
+        projectileGap: 150
+    },
+    /** @type {string} DIFFICULTY_CONFIG level for the behavior tree fallback */
+    fallbackDifficulty: 'normal'
+};
 
-    handleInput(input) {
-        this.states[this.currentState].handleInput(input);
-    }
+/**
+ * Swaps left and right, turning an input for one facing into the other
+ * @param {InputState} input - Input snapshot
+ * @returns {InputState} Mirrored input
+ */
+function mirrorInput(input) {
+    return { ...input, left: input.right, right: input.left };
 }
 
 /**
- * Base State Class
+ * Coarse state of a fighter for situation matching
+ * @param {Character} character - Fighter
+ * @returns {string} down, stun, block, startup, active, recovery, air, crouch or free
  */
-class GameState {
-    constructor(game) {
-        this.game = game;
-    }
-
-    enter() {}
-    exit() {}
-    update(deltaTime) {}
-    draw(ctx) {}
-    handleInput(input) {}
+function getSituationState(character) {
+    if (character.currentState === 'knockdown') return 'down';
+    if (character.isHit || character.isGrabbed) return 'stun';
+    if (character.blockStunTime > 0) return 'block';
+    const phase = character.getMovePhase();
+    if (phase) return phase;
+    if (!character.isGrounded) return 'air';
+    return character.isCrouching ? 'crouch' : 'free';
 }
 
 /**
- * Fighting State Implementation
+ * Describes the fight from one fighter's side, for the ghost AI
+ * @param {Character} self - Fighter whose view this is
+ * @param {Character} opponent - The other fighter
+ * @returns {Object} Numeric features named as in GHOST_CONFIG.scales, plus
+ *     selfState and opponentState
  */
-class FightingState extends GameState {
-    enter() {
-        this.game.startRound();
-    }
+function describeSituation(self, opponent) {
+    const ground = character => self.sim.arena.height - character.height - character.y;
+    const projectileGap = getIncomingProjectileGap(self, opponent);
+    return {
+        // Positive when the opponent is in front
+        gap: (opponent.x + opponent.width / 2 - (self.x + self.width / 2)) * self.facing,
+        selfHeight: ground(self),
+        opponentHeight: ground(opponent),
+        health: self.health / self.maxHealth - opponent.health / opponent.maxHealth,
+        energy: self.energy,
+        projectileGap: projectileGap === null ? GHOST_CONFIG.noProjectileGap : projectileGap,
+        selfState: getSituationState(self),
+        opponentState: getSituationState(opponent)
+    };
+}
 
-    update(deltaTime) {
-        this.game.player1.update(deltaTime);
-        this.game.player2.update(deltaTime);
-        this.game.effectsSystem.update(deltaTime);
-        this.game.checkCollisions();
-    }
+/**
+ * @param {Object} a - Result of describeSituation
+ * @param {Object} b - Result of describeSituation
+ * @returns {number} How different the two situations are
+ */
+function getSituationDistance(a, b) {
+    const { scales, stateMismatch } = GHOST_CONFIG;
+    let distance = Object.keys(scales).reduce(
+        (total, key) => total + Math.abs(a[key] - b[key]) / scales[key], 0
+    );
+    if (a.selfState !== b.selfState) distance += stateMismatch;
+    if (a.opponentState !== b.opponentState) distance += stateMismatch;
+    return distance;
+}
 
-    draw(ctx) {
-        // Draw background
-        ctx.drawImage(this.game.assetLoader.getImage('background'), 0, 0);
-        
-        // Draw characters
-        this.game.player1.draw(ctx);
-        this.game.player2.draw(ctx);
-        
-        // Draw effects
-        this.game.effectsSystem.draw(ctx);
-        
-        // Draw HUD
-        this.drawHUD(ctx);
+/**
+ * Nearest-neighbor model of one player's play, learned by re-simulating
+ * their replays. Each sample pairs a situation with a position in the
+ * player's input stream; playing it back continues that stream.
+ * @class
+ */
+class GhostModel {
+    constructor() {
+        /** @type {Array<Object>} { character, situation, track, frame } */
+        this.samples = [];
+        /** @type {Array<Array<number>>} Encoded inputs per learned replay, mirrored to face right */
+        this.tracks = [];
     }
 
-    drawHUD(ctx) {
-        // Implementation for HUD drawing
+    /**
+     * Re-simulates a replay and learns one side's inputs
+     * @param {Object} replay - Validated replay
+     * @param {Simulation} simulation - Fresh simulation built from the replay
+     * @param {string} side - p1 or p2, the side to learn
+     */
+    learn(replay, simulation, side) {
+        const self = side === 'p1' ? simulation.player1 : simulation.player2;
+        const opponent = simulation.getOpponent(self);
+        const track = [];
+        const trackIndex = this.tracks.push(track) - 1;
+
+        simulation.muted = true;
+        replay.inputs.forEach(([p1, p2, count]) => {
+            for (let i = 0; i < count; i++) {
+                const input = decodeInput(side === 'p1' ? p1 : p2);
+                track.push(encodeInput(self.facing === 1 ? input : mirrorInput(input)));
+
+                const fighting = !simulation.rounds || simulation.rounds.acceptsInput();
+                if (fighting && simulation.frame % GHOST_CONFIG.sampleInterval === 0) {
+                    this.samples.push({
+                        character: self.name,
+                        situation: describeSituation(self, opponent),
+                        track: trackIndex,
+                        frame: simulation.frame
+                    });
+                }
+                simulation.step({ p1: decodeInput(p1), p2: decodeInput(p2) });
+            }
+        });
     }
 
-    handleInput(input) {
-        // Implementation for input handling during fight
+    /**
+     * @param {string} character - Character name
+     * @returns {Array<Object>} Samples of that character, or all samples if
+     *     the player never used them
+     */
+    getSamples(character) {
+        const own = this.samples.filter(sample => sample.character === character);
+        return own.length > 0 ? own : this.samples;
     }
-}
 
-/**
- * Loading State Implementation
- */
-class LoadingState extends GameState {
-    constructor(game) {
-        super(game);
-        this.loadingProgress = 0;
-        this.loadingText = 'Loading...';
-        this.minLoadTime = 1000; // Minimum loading screen time
-        this.startTime = Date.now();
+    /**
+     * Finds the recorded situation closest to this one
+     * @param {Object} situation - Result of describeSituation
+     * @param {Array<Object>} [samples] - Samples to search
+     * @param {Object|null} [follow] - { track, frame } of the sample that
+     *     continues the last chunk, which is preferred
+     * @returns {Object|null} { sample, distance }, or null without samples
+     */
+    findNearest(situation, samples = this.samples, follow = null) {
+        let best = null;
+        samples.forEach(sample => {
+            let distance = getSituationDistance(situation, sample.situation);
+            if (follow && sample.track === follow.track && sample.frame === follow.frame) {
+                distance -= GHOST_CONFIG.continuityBonus;
+            }
+            if (!best || distance < best.distance) {
+                best = { sample, distance };
+            }
+        });
+        return best;
     }
 
-    enter() {
-        this.startTime = Date.now();
+    /**
+     * Reads the inputs the player pressed from a sample on
+     * @param {Object} sample - Sample from this model
+     * @param {number} count - Frames to read
+     * @param {number} facing - Facing to turn the inputs to
+     * @returns {Array<InputState>} Inputs, fewer than count at the end of a replay
+     */
+    getInputs(sample, count, facing) {
+        return this.tracks[sample.track].slice(sample.frame, sample.frame + count).map(bits => {
+            const input = decodeInput(bits);
+            return facing === 1 ? input : mirrorInput(input);
+        });
     }
+}
 
-    update(deltaTime) {
-        this.loadingProgress = this.game.assetLoader.getLoadingProgress();
-        
-        // Check if minimum time has passed and assets are loaded
-        if (this.loadingProgress >= 1 && 
-            Date.now() - this.startTime > this.minLoadTime) {
-            this.game.stateManager.changeState('menu');
+/**
+ * AI that plays like a recorded player. Each time its inputs run out it
+ * finds the most similar situation in the player's replays and plays what
+ * they pressed next; situations unlike anything recorded fall back to the
+ * behavior tree.
+ * @class
+ * @extends AIController
+ */
+class GhostAIController extends AIController {
+    /**
+     * @param {Character} character - The character to control
+     * @param {GhostModel} model - Learned player
+     * @param {number} [seed=1] - Seed for the fallback's random source
+     */
+    constructor(character, model, seed = 1) {
+        super(character, GHOST_CONFIG.fallbackDifficulty, seed);
+        this.difficulty = 'ghost';
+        this.model = model;
+        this.samples = model.getSamples(character.name);
+        /** @type {Object|null} Last { sample, distance } played from */
+        this.lastMatch = null;
+    }
+
+    getInput() {
+        const self = this.character;
+        if (this.plan.length === 0 && this.samples.length > 0) {
+            const last = this.lastMatch;
+            const follow = last && { track: last.sample.track, frame: last.sample.frame + GHOST_CONFIG.chunkFrames };
+            const match = this.model.findNearest(
+                describeSituation(self, self.sim.getOpponent(self)), this.samples, follow
+            );
+            this.lastMatch = match.distance <= GHOST_CONFIG.maxDistance ? match : null;
+            if (this.lastMatch) {
+                this.plan.push(...this.model.getInputs(match.sample, GHOST_CONFIG.chunkFrames, self.facing));
+            }
         }
+        return super.getInput();
     }
+}
 
-    draw(ctx) {
-        this.game.loadingScreen.updateProgress(
-            this.loadingProgress * 100,
-            100
-        );
-        this.game.loadingScreen.draw(ctx);
+/**
+ * Creates the controller for a computer-controlled side
+ * @param {Character} character - The character to control
+ * @param {string|GhostModel} difficulty - A DIFFICULTY_CONFIG level,
+ *     'adaptive', or a learned player to play like
+ * @param {number} seed - Seed for the AI's own random source
+ * @returns {AIController} Controller
+ */
+function createAIController(character, difficulty, seed) {
+    if (difficulty instanceof GhostModel) {
+        return new GhostAIController(character, difficulty, seed);
     }
+    return difficulty === 'adaptive' ?
+        new AdaptiveAIController(character, seed) :
+        new AIController(character, difficulty, seed);
 }
 
 /**
- * Menu State Implementation
+ * Animation Manager with improved smoothing
+ * @class
  */
-class MenuState extends GameState {
-    enter() {
-        this.game.audioManager.playMusic('menuTheme');
+class AnimationManager {
+    constructor() {
+        this.animations = new Map();
+        this.currentAnimation = null;
+        this.transitionDuration = 100; // ms
+        this.lastTransitionTime = 0;
+        this.transitionProgress = 1;
+        this.previousFrame = null;
     }
 
-    exit() {
-        this.game.audioManager.stopMusic();
-    }
+    /**
+     * Updates animation state
+     * @param {number} deltaTime - Time since last update in ms
+     * @param {number} speedMultiplier - Current game speed multiplier
+     */
+    update(deltaTime, speedMultiplier = 1.0) {
+        // Update transition progress
+        if (this.transitionProgress < 1) {
+            this.transitionProgress = Math.min(1, 
+                (Date.now() - this.lastTransitionTime) / this.transitionDuration);
+        }
 
-    update(deltaTime) {
-        // Update menu animations if any
+        // Update current animation
+        if (this.currentAnimation) {
+            this.currentAnimation.update(deltaTime * speedMultiplier);
+        }
     }
 
-    draw(ctx) {
-        this.game.menuSystem.draw(ctx);
-    }
+    /**
+     * Smoothly transitions to a new animation
+     * @param {string} newAnimationName - Name of the animation to transition to
+     */
+    transitionTo(newAnimationName) {
+        const newAnimation = this.animations.get(newAnimationName);
+        if (!newAnimation || newAnimation === this.currentAnimation) return;
 
-    handleInput(input) {
-        this.game.menuSystem.handleInput(input);
-    }
-}
+        // Store previous frame for interpolation
+        if (this.currentAnimation) {
+            this.previousFrame = this.currentAnimation.getCurrentFrame();
+        }
 
-/**
- * Pause State Implementation
- */
-class PauseState extends GameState {
-    enter() {
-        this.game.audioManager.pauseMusic();
+        this.currentAnimation = newAnimation;
+        this.transitionProgress = 0;
+        this.lastTransitionTime = Date.now();
     }
 
-    exit() {
-        this.game.audioManager.resumeMusic();
+    /**
+     * Draws the current animation frame with interpolation
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {boolean} flipX - Whether to flip horizontally
+     */
+    draw(ctx, x, y, flipX = false) {
+        if (!this.currentAnimation) return;
+
+        if (this.transitionProgress < 1 && this.previousFrame) {
+            // Draw interpolated frame
+            this.drawInterpolatedFrame(ctx, x, y, flipX);
+        } else {
+            // Draw current frame normally
+            this.currentAnimation.draw(ctx, x, y, flipX);
+        }
     }
 
-    draw(ctx) {
-        // Draw the paused game state in background
-        this.game.states.fighting.draw(ctx);
-        
-        // Draw pause menu overlay
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-        
-        ctx.fillStyle = '#fff';
-        ctx.font = '48px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText('PAUSED', ctx.canvas.width / 2, ctx.canvas.height / 2);
-        
-        // Draw pause menu options
-        const options = ['Resume', 'Options', 'Quit to Menu'];
-        ctx.font = '24px Arial';
-        options.forEach((option, index) => {
-            ctx.fillText(
-                option,
-                ctx.canvas.width / 2,
-                ctx.canvas.height / 2 + 50 + (index * 40)
-            );
-        });
+    /**
+     * Draws an interpolated frame between animations
+     * @private
+     */
+    drawInterpolatedFrame(ctx, x, y, flipX) {
+        ctx.save();
+        ctx.globalAlpha = 1 - this.transitionProgress;
+        if (this.previousFrame) {
+            this.drawFrame(ctx, this.previousFrame, x, y, flipX);
+        }
+        ctx.globalAlpha = this.transitionProgress;
+        this.currentAnimation.draw(ctx, x, y, flipX);
+        ctx.restore();
     }
 }
 
 /**
- * Game Over State Implementation
+ * Online play configuration
+ * @constant {Object}
  */
-class GameOverState extends GameState {
-    enter() {
-        this.game.audioManager.playMusic('gameOverTheme');
-        this.winner = this.determineWinner();
-        this.showResults();
-    }
+const NETPLAY_CONFIG = {
+    inputDelay: 2,            // frames of local input delay
+    maxRollbackFrames: 8,     // stall instead of predicting further ahead
+    pingInterval: 30,         // frames between RTT probes
+    checksumInterval: 60,     // frames between desync checks
+    handshakeRetryMs: 100,
+    disconnectTimeoutMs: 5000, // a peer silent this long has left
+    room: 'local',            // room the menu's Host and Join connect in
+    quality: {
+        good: 60,             // RTT in ms
+        fair: 120
+    },
+    // Two tabs on one machine connect over host candidates, no STUN needed
+    rtcConfiguration: { iceServers: [] }
+};
 
-    determineWinner() {
-        return this.game.player1.health > this.game.player2.health ? 
-            'Player 1' : 'Player 2';
+/**
+ * In-memory transport pair for local and headless testing. Messages are
+ * delivered asynchronously with configurable latency, jitter and loss.
+ * @class
+ */
+class LoopbackTransport {
+    /**
+     * @param {Object} [options] - Link conditions
+     * @param {number} [options.latency=0] - One-way delay in ms
+     * @param {number} [options.jitter=0] - Extra random delay in ms
+     * @param {number} [options.packetLoss=0] - Drop probability (0-1)
+     * @param {number} [options.seed=1] - Seed for loss and jitter
+     */
+    constructor({ latency = 0, jitter = 0, packetLoss = 0, seed = 1 } = {}) {
+        this.latency = latency;
+        this.jitter = jitter;
+        this.packetLoss = packetLoss;
+        this.rng = new SeededRandom(seed);
+        this.peer = null;
+        this.closed = false;
+        /** @type {Function|null} Called with each received message */
+        this.onMessage = null;
     }
 
-    showResults() {
-        // Show match statistics
-        this.stats = {
-            duration: this.game.matchDuration,
-            maxCombo: Math.max(
-                this.game.player1.maxCombo,
-                this.game.player2.maxCombo
-            ),
-            perfectRounds: this.game.perfectRounds
-        };
+    /**
+     * Creates two transports connected to each other
+     * @param {Object} [options] - Link conditions, see constructor
+     * @returns {Array<LoopbackTransport>} Both ends of the link
+     */
+    static createPair(options = {}) {
+        const a = new LoopbackTransport(options);
+        const b = new LoopbackTransport({ ...options, seed: (options.seed || 1) + 1 });
+        a.peer = b;
+        b.peer = a;
+        return [a, b];
+    }
+
+    send(message) {
+        if (this.closed || this.rng.next() < this.packetLoss) return;
+
+        const data = JSON.stringify(message);
+        const delay = this.latency + this.rng.next() * this.jitter;
+        setTimeout(() => {
+            if (!this.peer.closed && this.peer.onMessage) {
+                this.peer.onMessage(JSON.parse(data));
+            }
+        }, delay);
     }
 
-    draw(ctx) {
-        // Draw end game screen
-        ctx.fillStyle = '#000';
-        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-        
-        ctx.fillStyle = '#fff';
-        ctx.font = '48px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText(
-            `${this.winner} WINS!`,
-            ctx.canvas.width / 2,
-            ctx.canvas.height / 3
-        );
-        
-        // Draw stats
-        ctx.font = '24px Arial';
-        Object.entries(this.stats).forEach(([stat, value], index) => {
-            ctx.fillText(
-                `${stat}: ${value}`,
-                ctx.canvas.width / 2,
-                ctx.canvas.height / 2 + (index * 40)
-            );
-        });
+    close() {
+        this.closed = true;
     }
 }
 
 /**
- * Audio System Implementation
+ * Transport over an unreliable, unordered WebRTC data channel
+ * @class
  */
-class AudioManager {
-    constructor() {
-        this.sounds = new Map();
-        this.music = new Map();
-        this.currentMusic = null;
-        
-        this.settings = {
-            masterVolume: 1,
-            musicVolume: 0.7,
-            soundVolume: 0.8,
-            muted: false
+class WebRTCTransport {
+    /**
+     * @param {RTCDataChannel} channel - Open data channel
+     * @param {RTCPeerConnection} connection - Owning peer connection
+     */
+    constructor(channel, connection) {
+        this.channel = channel;
+        this.connection = connection;
+        /** @type {Function|null} Called with each received message */
+        this.onMessage = null;
+
+        this.channel.onmessage = event => {
+            if (this.onMessage) {
+                this.onMessage(JSON.parse(event.data));
+            }
         };
-        
-        this.loadAudio();
     }
 
-    loadAudio() {
-        // Load sound effects
-        const soundEffects = {
-            'hit': 'assets/sounds/hit.mp3',
-            'block': 'assets/sounds/block.mp3',
-            'special': 'assets/sounds/special.mp3',
-            'menuMove': 'assets/sounds/menu-move.mp3',
-            'menuSelect': 'assets/sounds/menu-select.mp3',
-            'roundStart': 'assets/sounds/round-start.mp3',
-            'roundEnd': 'assets/sounds/round-end.mp3',
-            'ko': 'assets/sounds/ko.mp3'
+    /**
+     * Connects two tabs of the same origin, using a BroadcastChannel to
+     * exchange the offer, answer and ICE candidates
+     * @param {string} roomName - Name both tabs agree on
+     * @param {boolean} isHost - Whether this tab creates the offer
+     * @param {AbortSignal} [signal] - Gives up waiting for the other tab
+     * @returns {Promise<WebRTCTransport>} Resolves once the channel is open
+     * @throws {GameError} If the connection fails or is cancelled
+     */
+    static connectLocal(roomName, isHost, signal = null) {
+        const signaling = new BroadcastChannel(`2d-fighter-${roomName}`);
+        const connection = new RTCPeerConnection(NETPLAY_CONFIG.rtcConfiguration);
+        const pendingCandidates = [];
+
+        connection.onicecandidate = event => {
+            if (event.candidate) {
+                signaling.postMessage({ type: 'candidate', candidate: event.candidate.toJSON() });
+            }
         };
-        
-        // Load music tracks
-        const musicTracks = {
-            'menuTheme': 'assets/music/menu-theme.mp3',
-            'battleTheme': 'assets/music/battle-theme.mp3',
-            'gameOverTheme': 'assets/music/gameover-theme.mp3'
+
+        const setRemote = async description => {
+            await connection.setRemoteDescription(description);
+            for (const candidate of pendingCandidates.splice(0)) {
+                await connection.addIceCandidate(candidate);
+            }
         };
-        
-        // Load all audio
-        Object.entries(soundEffects).forEach(([key, path]) => {
-            const audio = new Audio(path);
-            audio.preload = 'auto';
-            this.sounds.set(key, audio);
-        });
-        
-        Object.entries(musicTracks).forEach(([key, path]) => {
-            const audio = new Audio(path);
-            audio.preload = 'auto';
-            audio.loop = true;
-            this.music.set(key, audio);
+
+        signaling.onmessage = async ({ data }) => {
+            switch (data.type) {
+                case 'join':
+                    if (isHost) {
+                        await connection.setLocalDescription(await connection.createOffer());
+                        signaling.postMessage({ type: 'offer', description: connection.localDescription.toJSON() });
+                    }
+                    break;
+                case 'offer':
+                    if (!isHost) {
+                        await setRemote(data.description);
+                        await connection.setLocalDescription(await connection.createAnswer());
+                        signaling.postMessage({ type: 'answer', description: connection.localDescription.toJSON() });
+                    }
+                    break;
+                case 'answer':
+                    if (isHost) {
+                        await setRemote(data.description);
+                    }
+                    break;
+                case 'candidate':
+                    if (connection.remoteDescription) {
+                        await connection.addIceCandidate(data.candidate);
+                    } else {
+                        pendingCandidates.push(data.candidate);
+                    }
+                    break;
+            }
+        };
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                signaling.close();
+                connection.close();
+                reject(new GameError('Connection cancelled', 'NETPLAY_ERROR'));
+            };
+            const onOpen = channel => {
+                signaling.close();
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve(new WebRTCTransport(channel, connection));
+            };
+            if (signal) signal.addEventListener('abort', onAbort);
+
+            if (isHost) {
+                const channel = connection.createDataChannel('inputs', {
+                    ordered: false,
+                    maxRetransmits: 0
+                });
+                channel.onopen = () => onOpen(channel);
+            } else {
+                connection.ondatachannel = event => {
+                    event.channel.onopen = () => onOpen(event.channel);
+                };
+                signaling.postMessage({ type: 'join' });
+            }
+
+            connection.onconnectionstatechange = () => {
+                if (connection.connectionState === 'failed') {
+                    signaling.close();
+                    reject(new GameError('Peer connection failed', 'NETPLAY_ERROR'));
+                }
+            };
         });
     }
 
-    playSound(key) {
-        if (this.settings.muted) return;
-        
-        const sound = this.sounds.get(key);
-        if (sound) {
-            const soundClone = sound.cloneNode();
-            soundClone.volume = this.settings.soundVolume * this.settings.masterVolume;
-            soundClone.play().catch(error => 
-                console.warn(`Failed to play sound: ${error}`)
-            );
+    send(message) {
+        if (this.channel.readyState === 'open') {
+            this.channel.send(JSON.stringify(message));
+        }
+    }
+
+    close() {
+        this.channel.close();
+        this.connection.close();
+    }
+}
+
+/**
+ * GGPO-style rollback session for one peer. Local inputs are delayed by a
+ * few frames and sent every frame; missing remote inputs are predicted by
+ * repeating the last confirmed one. When a confirmed input contradicts a
+ * prediction, the simulation is rewound to that frame and re-simulated.
+ * @class
+ */
+class RollbackSession {
+    /**
+     * @param {Object} options - Session options
+     * @param {Simulation} options.simulation - Simulation both peers run
+     * @param {number} options.localPlayer - 1 or 2
+     * @param {Object} options.transport - LoopbackTransport or WebRTCTransport
+     * @param {number} [options.inputDelay] - Local input delay in frames
+     * @param {number} [options.maxRollbackFrames] - Prediction limit in frames
+     */
+    constructor({
+        simulation,
+        localPlayer,
+        transport,
+        inputDelay = NETPLAY_CONFIG.inputDelay,
+        maxRollbackFrames = NETPLAY_CONFIG.maxRollbackFrames
+    }) {
+        this.simulation = simulation;
+        this.localPlayer = localPlayer;
+        this.transport = transport;
+        this.inputDelay = inputDelay;
+        this.maxRollbackFrames = maxRollbackFrames;
+
+        // Encoded inputs by frame
+        this.localInputs = new Map();
+        this.remoteInputs = new Map();
+        this.predictions = new Map();
+        this.snapshots = new Map();
+
+        this.lastConfirmedRemoteFrame = -1;
+        this.remoteAck = -1;
+        this.rollbackFrom = null;
+
+        this.localChecksums = new Map();
+        this.remoteChecksums = new Map();
+        this.nextChecksumFrame = NETPLAY_CONFIG.checksumInterval;
+
+        this.stats = {
+            rtt: 0,
+            rollbackFrames: 0,
+            stalled: false,
+            desynced: false,
+            disconnected: false
+        };
+        this.lastMessageTime = performance.now();
+
+        // The first frames have no delayed input to play yet
+        for (let frame = 0; frame < inputDelay; frame++) {
+            this.localInputs.set(frame, 0);
         }
+
+        this.transport.onMessage = message => this.handleMessage(message);
     }
 
-    playMusic(key) {
-        if (this.settings.muted) return;
-        
-        if (this.currentMusic) {
-            this.currentMusic.pause();
-            this.currentMusic.currentTime = 0;
+    /**
+     * Agrees on the match before it starts, after checking both peers run
+     * the same config and character data. The host's seed, characters,
+     * stage and palettes are used; the guest plays whatever it is sent.
+     * The host resends until the guest answers, since the channel may drop
+     * packets.
+     * @param {Object} transport - Connected transport
+     * @param {boolean} isHost - Whether this peer picks the match
+     * @param {Object} [options] - Handshake options
+     * @param {Object} [options.match] - startMatch options the host proposes
+     * @param {number} [options.configVersion] - This peer's getConfigVersion
+     * @param {AbortSignal} [options.signal] - Gives up waiting for the other peer
+     * @returns {Promise<Object>} The agreed startMatch options, seed included
+     * @throws {GameError} If the peers' config versions differ, or the
+     *     handshake is cancelled
+     */
+    static negotiateMatch(transport, isHost, {
+        match = {},
+        configVersion = getConfigVersion(),
+        signal = null
+    } = {}) {
+        const mismatch = () => new GameError(
+            'The other player has a different game configuration or character data',
+            'NETPLAY_ERROR'
+        );
+        const proposal = { seed: Date.now() >>> 0, ...match };
+
+        return new Promise((resolve, reject) => {
+            let retry = null;
+            const onAbort = () => {
+                clearInterval(retry);
+                transport.onMessage = null;
+                reject(new GameError('Connection cancelled', 'NETPLAY_ERROR'));
+            };
+            const settle = (settler, value) => {
+                clearInterval(retry);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                settler(value);
+            };
+            if (signal && signal.aborted) {
+                onAbort();
+                return;
+            }
+            if (signal) signal.addEventListener('abort', onAbort);
+
+            if (isHost) {
+                const send = () => transport.send({ type: 'start', match: proposal, configVersion });
+                retry = setInterval(send, NETPLAY_CONFIG.handshakeRetryMs);
+                transport.onMessage = message => {
+                    if (message.type === 'ready') {
+                        settle(resolve, proposal);
+                    } else if (message.type === 'mismatch') {
+                        settle(reject, mismatch());
+                    }
+                };
+                send();
+            } else {
+                transport.onMessage = message => {
+                    if (message.type !== 'start') return;
+                    // Answer every retry, in case the reply is dropped
+                    if (message.configVersion !== configVersion) {
+                        transport.send({ type: 'mismatch' });
+                        settle(reject, mismatch());
+                    } else {
+                        transport.send({ type: 'ready' });
+                        settle(resolve, message.match);
+                    }
+                };
+            }
+        });
+    }
+
+    /**
+     * Advances the session by one local frame
+     * @param {InputState} localInput - This peer's input for the frame
+     * @returns {boolean} False if the session stalled waiting for the peer,
+     *     or the peer has left
+     */
+    advance(localInput) {
+        const sim = this.simulation;
+
+        if (performance.now() - this.lastMessageTime > NETPLAY_CONFIG.disconnectTimeoutMs) {
+            this.stats.disconnected = true;
         }
-        
-        const music = this.music.get(key);
-        if (music) {
-            music.volume = this.settings.musicVolume * this.settings.masterVolume;
-            music.play().catch(error => 
-                console.warn(`Failed to play music: ${error}`)
-            );
-            this.currentMusic = music;
+        if (this.stats.disconnected) return false;
+
+        if (this.rollbackFrom !== null && this.rollbackFrom < sim.frame) {
+            this.rollback(this.rollbackFrom);
         }
+        this.rollbackFrom = null;
+        this.verifyChecksums();
+
+        if (sim.frame % NETPLAY_CONFIG.pingInterval === 0) {
+            this.transport.send({ type: 'ping', time: performance.now() });
+        }
+
+        // Don't predict further than we are willing to roll back
+        this.stats.stalled = sim.frame - this.lastConfirmedRemoteFrame > this.maxRollbackFrames;
+        if (this.stats.stalled) {
+            this.sendInputs();
+            return false;
+        }
+
+        this.localInputs.set(sim.frame + this.inputDelay, encodeInput(localInput));
+        this.sendInputs();
+
+        this.snapshots.set(sim.frame, sim.saveState());
+        sim.step(this.getFrameInputs(sim.frame));
+        this.prune();
+        return true;
     }
 
-    stopMusic() {
-        if (this.currentMusic) {
-            this.currentMusic.pause();
-            this.currentMusic.currentTime = 0;
-            this.currentMusic = null;
+    /**
+     * Rewinds to a frame and re-simulates up to the present
+     * @param {number} frame - First frame with a wrong prediction
+     * @private
+     */
+    rollback(frame) {
+        const sim = this.simulation;
+        const currentFrame = sim.frame;
+
+        sim.loadState(this.snapshots.get(frame));
+        sim.muted = true;
+        while (sim.frame < currentFrame) {
+            this.snapshots.set(sim.frame, sim.saveState());
+            sim.step(this.getFrameInputs(sim.frame));
         }
+        sim.muted = false;
+        this.stats.rollbackFrames = currentFrame - frame;
     }
 
-    pauseMusic() {
-        if (this.currentMusic) {
-            this.currentMusic.pause();
+    /**
+     * Builds the input pair for a frame, predicting the remote side if needed
+     * @param {number} frame - Frame to build inputs for
+     * @returns {Object} Inputs keyed p1/p2
+     * @private
+     */
+    getFrameInputs(frame) {
+        let remote = this.remoteInputs.get(frame);
+        if (remote === undefined) {
+            remote = this.remoteInputs.get(this.lastConfirmedRemoteFrame) || 0;
+            this.predictions.set(frame, remote);
+        } else {
+            this.predictions.delete(frame);
         }
+
+        const local = decodeInput(this.localInputs.get(frame) || 0);
+        return this.localPlayer === 1 ?
+            { p1: local, p2: decodeInput(remote) } :
+            { p1: decodeInput(remote), p2: local };
     }
 
-    resumeMusic() {
-        if (this.currentMusic && !this.settings.muted) {
-            this.currentMusic.play().catch(error => 
-                console.warn(`Failed to resume music: ${error}`)
-            );
+    /**
+     * Sends every local input the peer has not acknowledged yet
+     * @private
+     */
+    sendInputs() {
+        const start = this.remoteAck + 1;
+        const end = this.simulation.frame + this.inputDelay;
+        const inputs = [];
+        for (let frame = start; frame <= end && this.localInputs.has(frame); frame++) {
+            inputs.push(this.localInputs.get(frame));
         }
+
+        this.transport.send({
+            type: 'input',
+            start,
+            inputs,
+            ack: this.lastConfirmedRemoteFrame
+        });
     }
 
-    setVolume(type, value) {
-        value = Math.max(0, Math.min(1, value));
-        switch(type) {
-            case 'master':
-                this.settings.masterVolume = value;
+    /**
+     * Handles a message from the peer
+     * @param {Object} message - Decoded message
+     */
+    handleMessage(message) {
+        this.lastMessageTime = performance.now();
+        switch (message.type) {
+            case 'input':
+                this.receiveInputs(message);
                 break;
-            case 'music':
-                this.settings.musicVolume = value;
-                if (this.currentMusic) {
-                    this.currentMusic.volume = 
-                        value * this.settings.masterVolume;
-                }
+            case 'ping':
+                this.transport.send({ type: 'pong', time: message.time });
                 break;
-            case 'sound':
-                this.settings.soundVolume = value;
+            case 'pong': {
+                const rtt = performance.now() - message.time;
+                this.stats.rtt = this.stats.rtt ? this.stats.rtt * 0.8 + rtt * 0.2 : rtt;
+                break;
+            }
+            case 'checksum':
+                this.remoteChecksums.set(message.frame, message.value);
+                break;
+            case 'start':
+                // Our 'ready' was lost during the handshake
+                this.transport.send({ type: 'ready' });
+                break;
+            case 'quit':
+                this.stats.disconnected = true;
                 break;
         }
     }
 
-    toggleMute() {
-        this.settings.muted = !this.settings.muted;
-        if (this.settings.muted) {
-            this.stopMusic();
-        } else {
-            this.resumeMusic();
+    /**
+     * Stores confirmed remote inputs and schedules a rollback on mispredictions
+     * @param {Object} message - Input message
+     * @private
+     */
+    receiveInputs(message) {
+        this.remoteAck = Math.max(this.remoteAck, message.ack);
+
+        message.inputs.forEach((input, index) => {
+            const frame = message.start + index;
+            if (frame <= this.lastConfirmedRemoteFrame || this.remoteInputs.has(frame)) return;
+
+            this.remoteInputs.set(frame, input);
+            const predicted = this.predictions.get(frame);
+            if (predicted !== undefined && predicted !== input) {
+                this.rollbackFrom = this.rollbackFrom === null ?
+                    frame : Math.min(this.rollbackFrom, frame);
+            }
+        });
+
+        while (this.remoteInputs.has(this.lastConfirmedRemoteFrame + 1)) {
+            this.lastConfirmedRemoteFrame++;
         }
     }
-}
 
-/**
- * Special Move Base Class
- */
-class SpecialMove {
-    constructor(config) {
-        this.name = config.name;
-        this.damage = config.damage;
-        this.energyCost = config.energyCost;
-        this.startupFrames = config.startupFrames;
-        this.activeFrames = config.activeFrames;
-        this.recoveryFrames = config.recoveryFrames;
-        this.hitboxes = config.hitboxes;
-        this.animation = config.animation;
-        this.effects = config.effects;
-    }
+    /**
+     * Exchanges and compares checksums of fully confirmed frames
+     * @private
+     */
+    verifyChecksums() {
+        const frame = this.nextChecksumFrame;
+        if (frame <= this.lastConfirmedRemoteFrame + 1 && this.snapshots.has(frame)) {
+            const value = hashString(JSON.stringify(this.snapshots.get(frame)));
+            this.localChecksums.set(frame, value);
+            this.transport.send({ type: 'checksum', frame, value });
+            this.nextChecksumFrame += NETPLAY_CONFIG.checksumInterval;
+        }
 
-    execute(character) {
-        if (character.energy < this.energyCost) return false;
-        character.energy -= this.energyCost;
-        return true;
+        this.remoteChecksums.forEach((value, checksumFrame) => {
+            if (this.localChecksums.has(checksumFrame)) {
+                if (this.localChecksums.get(checksumFrame) !== value) {
+                    this.stats.desynced = true;
+                }
+                this.localChecksums.delete(checksumFrame);
+                this.remoteChecksums.delete(checksumFrame);
+            }
+        });
     }
-}
 
-/**
- * Special Move Implementations
- */
-class FireballMove extends SpecialMove {
-    constructor() {
-        super({
-            name: 'Fireball',
-            damage: 25,
-            energyCost: 20,
-            startupFrames: 10,
-            activeFrames: 30,
-            recoveryFrames: 15,
-            hitboxes: [{
-                x: 0, y: -20,
-                width: 40, height: 40,
-                type: 'projectile'
-            }],
-            animation: 'fireball',
-            effects: ['fire', 'explosion']
+    /**
+     * Drops inputs and snapshots that can no longer be rolled back to, and
+     * checksums that can no longer be compared
+     * @private
+     */
+    prune() {
+        // The peer can be ahead of us, and its inputs for frames we have
+        // not simulated yet are still needed
+        const confirmed = Math.min(this.lastConfirmedRemoteFrame, this.simulation.frame);
+        const oldestSnapshot = Math.min(confirmed, this.nextChecksumFrame - 1);
+        const oldestLocal = Math.min(confirmed, this.remoteAck);
+
+        this.snapshots.forEach((state, frame) => {
+            if (frame <= oldestSnapshot) this.snapshots.delete(frame);
+        });
+        this.predictions.forEach((input, frame) => {
+            if (frame <= confirmed) this.predictions.delete(frame);
+        });
+        this.localInputs.forEach((input, frame) => {
+            if (frame < oldestLocal) this.localInputs.delete(frame);
+        });
+        this.remoteInputs.forEach((input, frame) => {
+            if (frame < confirmed) this.remoteInputs.delete(frame);
+        });
+
+        // Checksums are sent once over an unreliable channel. The peer sends
+        // its checksum for a frame as soon as it confirms our inputs up to
+        // it, so one still missing an interval after that was lost.
+        const oldestChecksum = this.remoteAck - NETPLAY_CONFIG.checksumInterval;
+        this.localChecksums.forEach((value, frame) => {
+            if (frame < oldestChecksum) this.localChecksums.delete(frame);
+        });
+        // A peer checksum for a frame we have already checked or dropped can't match
+        this.remoteChecksums.forEach((value, frame) => {
+            if (frame < this.nextChecksumFrame && !this.localChecksums.has(frame)) {
+                this.remoteChecksums.delete(frame);
+            }
         });
     }
 
-    execute(character) {
-        if (!super.execute(character)) return;
+    /**
+     * Summarizes connection health for the HUD
+     * @returns {Object} RTT, delay, rollback length and quality rating
+     */
+    getStats() {
+        const rtt = Math.round(this.stats.rtt);
+        let quality = 'poor';
+        if (rtt <= NETPLAY_CONFIG.quality.good) {
+            quality = 'good';
+        } else if (rtt <= NETPLAY_CONFIG.quality.fair) {
+            quality = 'fair';
+        }
 
-        // Create projectile
-        const projectile = new Projectile({
-            x: character.x + (character.facing * 50),
-            y: character.y + 30,
-            velocity: { x: character.facing * 8, y: 0 },
-            lifetime: 2000,
-            damage: this.damage,
-            owner: character,
-            effects: this.effects
-        });
+        return {
+            rtt,
+            inputDelay: this.inputDelay,
+            rollbackFrames: this.stats.rollbackFrames,
+            framesAhead: this.simulation.frame - this.lastConfirmedRemoteFrame - 1,
+            stalled: this.stats.stalled,
+            desynced: this.stats.desynced,
+            disconnected: this.stats.disconnected,
+            quality: this.stats.desynced ? 'poor' : quality
+        };
+    }
+
+    /**
+     * Tells the peer this player is leaving before the match is over. The
+     * message may be lost; the peer then times out instead.
+     */
+    sendQuit() {
+        this.transport.send({ type: 'quit' });
+    }
 
-        character.game.addProjectile(projectile);
+    close() {
+        this.transport.close();
     }
 }
 
 /**
- * Projectile System
+ * Replay recording and playback settings
+ * @constant {Object}
  */
-class ProjectileSystem {
-    constructor(game) {
-        this.game = game;
-        this.projectiles = [];
+const REPLAY_CONFIG = {
+    formatVersion: 1,
+    databaseName: '2d-fighter-replays',
+    keyframeInterval: 300,    // frames between seek snapshots
+    seekFrames: 300,          // frames skipped per seek key press
+    maxStored: 50,            // replays kept, besides those leaderboard records play back
+    browserRows: 10,          // replays listed at once in the replay browser
+    speeds: ['quarter', 'slow', 'normal', 'double', 'quadruple'],
+    controls: {
+        pause: ' ',
+        step: '.',
+        slower: '-',
+        faster: '=',
+        seekBack: 'ArrowLeft',
+        seekForward: 'ArrowRight'
     }
+};
 
-    update(deltaTime) {
-        this.projectiles = this.projectiles.filter(projectile => {
-            projectile.update(deltaTime);
-            return !projectile.destroyed;
-        });
-    }
+/**
+ * Hashes the settings and character data that affect the simulation.
+ * Replays recorded with a different hash would desync, so they are rejected
+ * on load, and netplay peers must match before a match starts.
+ * @param {Object|null} [roster=null] - Validated character data, as loaded
+ * @returns {number} Config version hash
+ */
+function getConfigVersion(roster = null) {
+    const { debug, ...simulationConfig } = GAME_CONFIG;
+    return hashString(JSON.stringify([
+        simulationConfig, COMBAT_CONFIG, MOVE_CONFIG, THROW_CONFIG, ROUND_CONFIG, Object.keys(EMPTY_INPUT),
+        roster
+    ]));
+}
 
-    draw(ctx) {
-        this.projectiles.forEach(projectile => projectile.draw(ctx));
-    }
+/**
+ * Checks that a replay can be played back in this build
+ * @param {Object} replay - Replay to check
+ * @param {Object|null} [roster=null] - Character data it must have been recorded with
+ * @throws {GameError} If the replay is malformed or incompatible
+ */
+function validateReplay(replay, roster = null) {
+    const fail = reason => {
+        throw new GameError(`Invalid replay: ${reason}`, 'REPLAY_ERROR');
+    };
+
+    if (!replay || typeof replay !== 'object') fail('not an object');
+    if (replay.formatVersion !== REPLAY_CONFIG.formatVersion) {
+        fail(`unsupported format version ${replay.formatVersion}`);
+    }
+    if (replay.configVersion !== getConfigVersion(roster)) {
+        fail('recorded with a different game configuration or character data');
+    }
+    if (!replay.characters || typeof replay.characters.p1 !== 'string' ||
+        typeof replay.characters.p2 !== 'string') {
+        fail('missing character selections');
+    }
+    if (!Number.isInteger(replay.seed)) fail('missing seed');
+    if (!Array.isArray(replay.inputs)) fail('missing input stream');
+
+    let frameCount = 0;
+    replay.inputs.forEach((run, index) => {
+        if (!Array.isArray(run) || run.length !== 3 ||
+            !run.every(Number.isInteger) || run[2] < 1) {
+            fail(`malformed input run at index ${index}`);
+        }
+        frameCount += run[2];
+    });
+    if (frameCount !== replay.frameCount) fail('frame count does not match input stream');
+}
 
-    checkCollisions(character) {
-        this.projectiles.forEach(projectile => {
-            if (projectile.owner !== character && 
-                this.checkCollision(projectile, character)) {
-                character.takeHit(projectile.damage, projectile.owner);
-                projectile.onHit();
-            }
-        });
-    }
+/**
+ * Serializes a replay for export
+ * @param {Object} replay - Replay to export
+ * @returns {string} JSON text
+ */
+function serializeReplay(replay) {
+    const { id, ...data } = replay;
+    return JSON.stringify(data);
+}
 
-    checkCollision(projectile, character) {
-        // Implement collision detection
-        return false; // Placeholder
-    }
+/**
+ * Parses and validates an exported replay
+ * @param {string} json - JSON text
+ * @param {Object|null} [roster=null] - Character data it must have been recorded with
+ * @returns {Object} Replay
+ * @throws {GameError} If the text is not a valid replay
+ */
+function parseReplay(json, roster = null) {
+    let replay;
+    try {
+        replay = JSON.parse(json);
+    } catch (error) {
+        throw new GameError(`Invalid replay: ${error.message}`, 'REPLAY_ERROR');
+    }
+    validateReplay(replay, roster);
+    return replay;
 }
 
 /**
- * Combat Balance Configuration
+ * Records the per-frame inputs of a match. Frames are stored by index, so a
+ * rollback that re-simulates a frame simply overwrites it.
+ * @class
  */
-const COMBAT_CONFIG = {
-    damage: {
-        light: 5,
-        medium: 10,
-        heavy: 15,
-        special: 20
-    },
-    hitstun: {
-        light: 100,
-        medium: 200,
-        heavy: 300,
-        special: 400
-    },
-    blockstun: {
-        light: 50,
-        medium: 100,
-        heavy: 150,
-        special: 200
-    },
-    recovery: {
-        light: 10,
-        medium: 15,
-        heavy: 20,
-        special: 25
-    },
-    combo: {
-        scaling: 0.1,
-        maxHits: 10,
-        timeWindow: 500
+class ReplayRecorder {
+    /**
+     * @param {Object} match - Match setup
+     * @param {Object} match.characters - Character ids keyed p1/p2
+     * @param {string} match.stage - Stage id
+     * @param {number} match.seed - Simulation RNG seed
+     * @param {Object} [match.rules] - ROUND_CONFIG overrides
+     * @param {Object} [match.palettes] - Palette indices keyed p1/p2
+     * @param {number} [match.configVersion] - getConfigVersion of the loaded data
+     */
+    constructor({
+        characters,
+        stage,
+        seed,
+        rules = {},
+        palettes = { p1: 0, p2: 0 },
+        configVersion = getConfigVersion()
+    }) {
+        this.characters = { ...characters };
+        this.palettes = { ...palettes };
+        this.stage = stage;
+        this.seed = seed;
+        this.rules = { ...rules };
+        this.configVersion = configVersion;
+        this.frames = [];
+    }
+
+    /**
+     * Stores the inputs used for one frame
+     * @param {number} frame - Frame number
+     * @param {InputState} p1Input - Player 1 input
+     * @param {InputState} p2Input - Player 2 input
+     */
+    record(frame, p1Input, p2Input) {
+        this.frames[frame] = [encodeInput(p1Input), encodeInput(p2Input)];
+        this.frames.length = frame + 1;
+    }
+
+    /**
+     * Builds the replay, run-length encoding identical consecutive frames
+     * @returns {Object} Replay
+     */
+    finish() {
+        const inputs = [];
+        this.frames.forEach(([p1, p2]) => {
+            const last = inputs[inputs.length - 1];
+            if (last && last[0] === p1 && last[1] === p2) {
+                last[2]++;
+            } else {
+                inputs.push([p1, p2, 1]);
+            }
+        });
+
+        return {
+            formatVersion: REPLAY_CONFIG.formatVersion,
+            configVersion: this.configVersion,
+            createdAt: new Date().toISOString(),
+            characters: { ...this.characters },
+            palettes: { ...this.palettes },
+            stage: this.stage,
+            seed: this.seed,
+            rules: { ...this.rules },
+            frameCount: this.frames.length,
+            inputs
+        };
     }
-};
+}
 
 /**
- * Enhanced Combat System
+ * Drives a simulation from a recorded input stream. Seeking restores the
+ * nearest earlier keyframe and re-simulates up to the target frame.
+ * @class
  */
-class CombatSystem {
-    constructor(game) {
-        this.game = game;
-        this.comboCounter = 0;
-        this.lastHitTime = 0;
-        this.currentDamageScale = 1.0;
-    }
-
+class ReplayPlayer {
     /**
-     * Handles a hit between characters
-     * @param {Character} attacker - Attacking character
-     * @param {Character} defender - Defending character
-     * @param {Object} attackData - Attack information
-     * @returns {boolean} Whether the hit connected
+     * @param {Object} replay - Validated replay
+     * @param {Simulation} simulation - Fresh simulation built from the replay
      */
-    handleHit(attacker, defender, attackData) {
-        // Check if combo is still valid
-        if (Date.now() - this.lastHitTime > COMBAT_CONFIG.combo.timeWindow) {
-            this.resetCombo();
-        }
+    constructor(replay, simulation) {
+        this.replay = replay;
+        this.simulation = simulation;
+        this.paused = false;
 
-        // Calculate damage with scaling
-        let damage = COMBAT_CONFIG.damage[attackData.type];
-        if (this.comboCounter > 0) {
-            damage *= (1 - (this.comboCounter * COMBAT_CONFIG.combo.scaling));
-        }
+        this.frames = [];
+        replay.inputs.forEach(([p1, p2, count]) => {
+            for (let i = 0; i < count; i++) {
+                this.frames.push([p1, p2]);
+            }
+        });
+        this.frameCount = this.frames.length;
 
-        // Apply the hit
-        if (!defender.isBlocking) {
-            defender.health -= damage;
-            defender.hitstun = COMBAT_CONFIG.hitstun[attackData.type];
-            this.comboCounter++;
-        } else {
-            defender.health -= damage * 0.1;
-            defender.blockstun = COMBAT_CONFIG.blockstun[attackData.type];
-        }
+        this.keyframes = new Map([[0, simulation.saveState()]]);
+    }
 
-        // Update combo state
-        this.lastHitTime = Date.now();
-        this.currentDamageScale = Math.max(
-            0.1,
-            1 - (this.comboCounter * COMBAT_CONFIG.combo.scaling)
-        );
+    get finished() {
+        return this.simulation.frame >= this.frameCount;
+    }
 
-        // Create hit effects
-        this.createHitEffects(attacker, defender, attackData);
+    /**
+     * Called once per fixed step; plays a frame unless paused
+     */
+    advance() {
+        if (!this.paused) {
+            this.stepFrame();
+        }
     }
 
-    createHitEffects(attacker, defender, attackData) {
-        const hitPos = {
-            x: defender.x + (defender.width / 2),
-            y: defender.y + (defender.height / 2)
-        };
+    /**
+     * Plays exactly one recorded frame
+     */
+    stepFrame() {
+        if (this.finished) {
+            this.paused = true;
+            return;
+        }
 
-        // Create visual effects
-        this.game.effectsSystem.createEffect('hit', {
-            position: hitPos,
-            type: attackData.type,
-            blocked: defender.isBlocking
-        });
+        const sim = this.simulation;
+        const [p1, p2] = this.frames[sim.frame];
+        sim.step({ p1: decodeInput(p1), p2: decodeInput(p2) });
 
-        // Create hit particles
-        this.game.particleSystem.createHitParticles({
-            position: hitPos,
-            count: attackData.type === 'special' ? 20 : 10,
-            color: defender.isBlocking ? '#ffff00' : '#ff0000'
-        });
+        if (sim.frame % REPLAY_CONFIG.keyframeInterval === 0 && !this.keyframes.has(sim.frame)) {
+            this.keyframes.set(sim.frame, sim.saveState());
+        }
+    }
 
-        // Play hit sound
-        this.game.audioManager.playSound(
-            defender.isBlocking ? 'block' : 'hit'
-        );
+    togglePause() {
+        this.paused = !this.paused;
     }
 
-    resetCombo() {
-        this.comboCounter = 0;
-        this.currentDamageScale = 1.0;
+    /**
+     * Jumps to a frame by re-simulating from the closest keyframe
+     * @param {number} frame - Target frame
+     */
+    seek(frame) {
+        const sim = this.simulation;
+        const target = Math.max(0, Math.min(frame, this.frameCount));
+
+        if (target < sim.frame) {
+            let keyframe = 0;
+            this.keyframes.forEach((state, keyframeFrame) => {
+                if (keyframeFrame <= target && keyframeFrame > keyframe) {
+                    keyframe = keyframeFrame;
+                }
+            });
+            sim.loadState(this.keyframes.get(keyframe));
+        }
+
+        sim.muted = true;
+        while (sim.frame < target) {
+            this.stepFrame();
+        }
+        sim.muted = false;
     }
 }
 
 /**
- * Enhanced Particle System
+ * Promise wrapper around a single IndexedDB object store
+ * @class
  */
-class ParticleSystem {
-    constructor() {
-        this.particles = [];
-        this.particlePool = new ObjectPool(() => new Particle());
+class IndexedDBStore {
+    /**
+     * @param {string} databaseName - Database name
+     * @param {string} storeName - Object store name
+     */
+    constructor(databaseName, storeName) {
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.db = null;
     }
 
-    createHitParticles(config) {
-        const { position, count, color } = config;
-        
-        for (let i = 0; i < count; i++) {
-            const angle = (Math.PI * 2 * i) / count;
-            const speed = Math.random() * 2 + 2;
-            const particle = this.particlePool.get();
-            
-            particle.init({
-                x: position.x,
-                y: position.y,
-                velocity: {
-                    x: Math.cos(angle) * speed,
-                    y: Math.sin(angle) * speed
-                },
-                color: color,
-                lifetime: 500,
-                size: Math.random() * 3 + 2
-            });
-
-            this.particles.push(particle);
-        }
+    /**
+     * Opens the database, creating the store on first use
+     * @async
+     * @returns {Promise<IDBDatabase>}
+     */
+    async open() {
+        if (this.db) return this.db;
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.db;
     }
 
-    update(deltaTime) {
-        this.particles = this.particles.filter(particle => {
-            if (particle.update(deltaTime)) {
-                return true;
-            } else {
-                this.particlePool.release(particle);
-                return false;
-            }
+    /**
+     * Runs one request against the store
+     * @async
+     * @param {string} mode - Transaction mode (readonly/readwrite)
+     * @param {Function} operation - Receives the store, returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     * @private
+     */
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
         });
     }
 
-    draw(ctx) {
-        this.particles.forEach(particle => particle.draw(ctx));
+    /**
+     * Inserts or updates a record
+     * @param {Object} record - Record; an id is assigned if missing
+     * @returns {Promise<number>} Record id
+     */
+    save(record) {
+        const { id, ...data } = record;
+        return this.request('readwrite', store => store.put(id === undefined ? data : record));
+    }
+
+    load(id) {
+        return this.request('readonly', store => store.get(id));
+    }
+
+    list() {
+        return this.request('readonly', store => store.getAll());
+    }
+
+    delete(id) {
+        return this.request('readwrite', store => store.delete(id));
     }
 }
 
 /**
- * Game difficulty and speed configuration
+ * Leaderboard settings
  * @constant {Object}
  */
-const DIFFICULTY_CONFIG = {
-    easy: {
-        aiReactionTime: 500,      // ms to react
-        aiAccuracy: 0.6,          // 60% accuracy
-        aiAggressiveness: 0.3,    // 30% chance to attack
-        damageMultiplier: 0.8,    // Player deals more damage
-        aiDamageMultiplier: 0.6   // AI deals less damage
-    },
-    normal: {
-        aiReactionTime: 300,
-        aiAccuracy: 0.8,
-        aiAggressiveness: 0.5,
-        damageMultiplier: 1.0,
-        aiDamageMultiplier: 1.0
-    },
-    hard: {
-        aiReactionTime: 150,
-        aiAccuracy: 0.9,
-        aiAggressiveness: 0.7,
-        damageMultiplier: 1.0,
-        aiDamageMultiplier: 1.2
+const LEADERBOARD_CONFIG = {
+    databaseName: '2d-fighter-leaderboards',
+    size: 10,                 // records kept per board
+    initialsLength: 3,
+    alphabet: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789.',
+    /** @type {Object} Ranked modes; a higher value ranks first where higherFirst is set */
+    modes: {
+        survival: { label: 'Survival', higherFirst: true },
+        timeAttack: { label: 'Time Attack', higherFirst: false }
     }
 };
 
 /**
- * Game speed configuration
- * @constant {Object}
+ * Orders two records of the same board, best first. Ties go to whoever
+ * set the mark first.
+ * @param {Object} a - Record
+ * @param {Object} b - Record
+ * @returns {number} Negative if a ranks above b
  */
-const SPEED_CONFIG = {
-    slow: {
-        timeScale: 0.5,
-        animationSpeedMultiplier: 0.5,
-        physicsIterations: 1
-    },
-    normal: {
-        timeScale: 1.0,
-        animationSpeedMultiplier: 1.0,
-        physicsIterations: 1
-    },
-    fast: {
-        timeScale: 1.5,
-        animationSpeedMultiplier: 1.5,
-        physicsIterations: 2
+function compareRecords(a, b) {
+    if (a.value !== b.value) {
+        return LEADERBOARD_CONFIG.modes[a.mode].higherFirst ? b.value - a.value : a.value - b.value;
     }
-};
+    return a.date - b.date;
+}
 
 /**
- * AI Controller for computer-controlled characters
- * @class
+ * @param {Object} record - Leaderboard record
+ * @returns {string} Its value as shown on the board: wins or a time
  */
-class AIController {
-    /**
-     * Creates an AI controller
-     * @param {Character} character - The character to control
-     * @param {string} difficulty - Difficulty setting (easy/normal/hard)
-     */
-    constructor(character, difficulty = 'normal') {
-        this.character = character;
-        this.difficulty = difficulty;
-        this.config = DIFFICULTY_CONFIG[difficulty];
-        this.lastDecisionTime = 0;
-        this.currentAction = null;
-    }
-
-    update(deltaTime, opponent) {
-        const currentTime = Date.now();
-        
-        // Check if it's time for a new decision
-        if (currentTime - this.lastDecisionTime > this.config.aiReactionTime) {
-            this.makeDecision(opponent);
-            this.lastDecisionTime = currentTime;
-        }
-
-        // Execute current action
-        this.executeAction(opponent);
-    }
-
-    makeDecision(opponent) {
-        const distance = Math.abs(opponent.x - this.character.x);
-        
-        // Decide action based on situation
-        if (Math.random() < this.config.aiAccuracy) {
-            if (distance < 100 && Math.random() < this.config.aiAggressiveness) {
-                this.currentAction = 'attack';
-            } else if (distance > 200) {
-                this.currentAction = 'approach';
-            } else if (Math.random() < 0.3) {
-                this.currentAction = 'jump';
-            } else {
-                this.currentAction = 'block';
-            }
-        }
-    }
-
-    executeAction(opponent) {
-        switch(this.currentAction) {
-            case 'attack':
-                if (Math.random() < this.config.aiAggressiveness) {
-                    this.character.attack();
-                }
-                break;
-            case 'approach':
-                const direction = opponent.x > this.character.x ? 1 : -1;
-                this.character.move(direction);
-                break;
-            case 'jump':
-                this.character.jump();
-                break;
-            case 'block':
-                this.character.block();
-                break;
-        }
-    }
+function formatRecordValue(record) {
+    return record.mode === 'timeAttack' ? formatFrames(record.value) : `${record.value} WINS`;
 }
 
 /**
- * Animation Manager with improved smoothing
+ * Local leaderboards, one per mode, character and difficulty, kept in a
+ * single IndexedDB store. Records are { mode, character, difficulty,
+ * initials, value, replayIds, date }, where value is survival wins or time
+ * attack frames and replayIds link the run's fights in the replay store.
  * @class
  */
-class AnimationManager {
-    constructor() {
-        this.animations = new Map();
-        this.currentAnimation = null;
-        this.transitionDuration = 100; // ms
-        this.lastTransitionTime = 0;
-        this.transitionProgress = 1;
-        this.previousFrame = null;
+class Leaderboards {
+    /**
+     * @param {IndexedDBStore} store - Store holding every board's records
+     */
+    constructor(store) {
+        this.store = store;
     }
 
     /**
-     * Updates animation state
-     * @param {number} deltaTime - Time since last update in ms
-     * @param {number} speedMultiplier - Current game speed multiplier
+     * @param {Object} board - { mode, character, difficulty }
+     * @returns {Promise<Array<Object>>} The board's records, best first
      */
-    update(deltaTime, speedMultiplier = 1.0) {
-        // Update transition progress
-        if (this.transitionProgress < 1) {
-            this.transitionProgress = Math.min(1, 
-                (Date.now() - this.lastTransitionTime) / this.transitionDuration);
-        }
-
-        // Update current animation
-        if (this.currentAnimation) {
-            this.currentAnimation.update(deltaTime * speedMultiplier);
-        }
+    async getBoard({ mode, character, difficulty }) {
+        const records = await this.store.list();
+        return records
+            .filter(record => record.mode === mode && record.character === character &&
+                record.difficulty === difficulty)
+            .sort(compareRecords);
     }
 
     /**
-     * Smoothly transitions to a new animation
-     * @param {string} newAnimationName - Name of the animation to transition to
+     * @param {Object} record - Unsaved record
+     * @returns {Promise<boolean>} Whether it would make its board
      */
-    transitionTo(newAnimationName) {
-        const newAnimation = this.animations.get(newAnimationName);
-        if (!newAnimation || newAnimation === this.currentAnimation) return;
-
-        // Store previous frame for interpolation
-        if (this.currentAnimation) {
-            this.previousFrame = this.currentAnimation.getCurrentFrame();
-        }
-
-        this.currentAnimation = newAnimation;
-        this.transitionProgress = 0;
-        this.lastTransitionTime = Date.now();
+    async qualifies(record) {
+        const board = await this.getBoard(record);
+        return board.length < LEADERBOARD_CONFIG.size ||
+            compareRecords({ ...record, date: Date.now() }, board[board.length - 1]) < 0;
     }
 
     /**
-     * Draws the current animation frame with interpolation
-     * @param {CanvasRenderingContext2D} ctx - Canvas context
-     * @param {number} x - X position
-     * @param {number} y - Y position
-     * @param {boolean} flipX - Whether to flip horizontally
+     * Stores a record, dropping whatever falls off the bottom of its board
+     * @param {Object} record - Record to store
+     * @returns {Promise<number>} The record's id
      */
-    draw(ctx, x, y, flipX = false) {
-        if (!this.currentAnimation) return;
-
-        if (this.transitionProgress < 1 && this.previousFrame) {
-            // Draw interpolated frame
-            this.drawInterpolatedFrame(ctx, x, y, flipX);
-        } else {
-            // Draw current frame normally
-            this.currentAnimation.draw(ctx, x, y, flipX);
-        }
+    async submit(record) {
+        const id = await this.store.save(record);
+        const board = await this.getBoard(record);
+        await Promise.all(board.slice(LEADERBOARD_CONFIG.size).map(dropped => this.store.delete(dropped.id)));
+        return id;
     }
 
     /**
-     * Draws an interpolated frame between animations
-     * @private
+     * @returns {Promise<Set<number>>} Ids of the replays any record plays back
      */
-    drawInterpolatedFrame(ctx, x, y, flipX) {
-        ctx.save();
-        ctx.globalAlpha = 1 - this.transitionProgress;
-        if (this.previousFrame) {
-            this.drawFrame(ctx, this.previousFrame, x, y, flipX);
-        }
-        ctx.globalAlpha = this.transitionProgress;
-        this.currentAnimation.draw(ctx, x, y, flipX);
-        ctx.restore();
+    async getReplayIds() {
+        const records = await this.store.list();
+        return new Set(records.flatMap(record => record.replayIds || []));
     }
 }
 
@@ -2047,7 +11797,9 @@ class AnimationManager {
  * @typedef {Object} CharacterState
  * @property {number} health - Current health
  * @property {number} energy - Current energy
- * @property {boolean} isBlocking - Whether character is blocking
+ * @property {number} meter - Current super meter
+ * @property {boolean} isBlocking - Whether the guard is up (back held)
+ * @property {boolean} isCrouching - Whether character is crouching
  * @property {boolean} isAttacking - Whether character is attacking
  * @property {string} currentAnimation - Current animation name
  */
@@ -2058,6 +11810,67 @@ class AnimationManager {
  * @property {boolean} right - Right input state
  * @property {boolean} up - Up input state
  * @property {boolean} down - Down input state
- * @property {boolean} attack - Attack input state
- * @property {boolean} block - Block input state
+ * @property {boolean} attack - Attack input state (light)
+ * @property {boolean} medium - Medium attack input state
+ * @property {boolean} heavy - Heavy attack input state
+ * @property {boolean} block - Menu back button; fighters guard by holding back
+ */
+
+/**
+ * @typedef {Object} SimulationEvent
+ * @property {string} type - Event type (sound, effect, particles, ko)
+ * @property {number} frame - Simulation frame the event was raised on
  */
+
+// Start the game once the page is parsed; the console can reach it as `game`
+if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        window.game = new Game();
+    });
+}
+
+// Expose the simulation core to Node for headless tools and tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GAME_CONFIG,
+        COMBAT_CONFIG,
+        SPEED_CONFIG,
+        ROUND_CONFIG,
+        EMPTY_INPUT,
+        GAMEPAD_CONFIG,
+        CONTROLS_CONFIG,
+        NETPLAY_CONFIG,
+        REPLAY_CONFIG,
+        encodeInput,
+        decodeInput,
+        GameError,
+        validateRoster,
+        normalizeCharacterData,
+        validateStages,
+        getStageArena,
+        InputManager,
+        ControlProfiles,
+        findBindingConflicts,
+        SeededRandom,
+        parseCommand,
+        MOTION_CONFIG,
+        CommandInterpreter,
+        Simulation,
+        RoundSystem,
+        MOVE_CONFIG,
+        THROW_CONFIG,
+        Character,
+        Projectile,
+        ProjectileSystem,
+        LoopbackTransport,
+        RollbackSession,
+        ReplayRecorder,
+        ReplayPlayer,
+        validateReplay,
+        serializeReplay,
+        parseReplay,
+        CombatSystem,
+        AIController,
+        Game
+    };
+}
@@ -0,0 +1,952 @@
+/**
+ * Headless tests for the simulation core and game startup.
+ * Run with: node --test "2D Fighter.test.js"
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const {
+    GAME_CONFIG,
+    COMBAT_CONFIG,
+    EMPTY_INPUT,
+    NETPLAY_CONFIG,
+    encodeInput,
+    SeededRandom,
+    Simulation,
+    Character,
+    ControlProfiles,
+    InputManager,
+    MOVE_CONFIG,
+    THROW_CONFIG,
+    MOTION_CONFIG,
+    parseCommand,
+    CommandInterpreter,
+    validateRoster,
+    ReplayRecorder,
+    ReplayPlayer,
+    validateReplay,
+    serializeReplay,
+    parseReplay,
+    LoopbackTransport,
+    RollbackSession,
+    REPLAY_CONFIG,
+    Game
+} = require('./2D Fighter.js');
+
+const DATA_FILES = {
+    characters: 'assets/data/characters.json',
+    moves: 'assets/data/moves.json'
+};
+
+function readData(file) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, file), 'utf8'));
+}
+
+const roster = validateRoster(readData(DATA_FILES.characters), readData(DATA_FILES.moves), DATA_FILES);
+
+/**
+ * Builds a match between two roster characters with no Game attached
+ * @param {number} seed - Simulation seed
+ * @returns {Simulation}
+ */
+function createSimulation(seed) {
+    return new Simulation({
+        player1: new Character(null, 200, 0, true, roster.fighter1),
+        player2: new Character(null, 540, 0, false, roster.fighter2),
+        seed
+    });
+}
+
+/** Setup recorded with every test replay */
+const MATCH = { characters: { p1: 'fighter1', p2: 'fighter2' }, stage: 'stage1' };
+
+/** Chance of each button being held on a random frame */
+const PRESS_CHANCES = { left: 0.3, right: 0.4, up: 0.05, down: 0.2, attack: 0.15 };
+
+/**
+ * Mashes random directions and buttons for both players, the same way for
+ * the same seed
+ * @param {SeededRandom} random - Input source
+ * @returns {Object} Inputs for one step
+ */
+function randomInputs(random) {
+    const player = () => {
+        const input = {};
+        Object.keys(EMPTY_INPUT).forEach(action => {
+            input[action] = random.next() < (PRESS_CHANCES[action] || 0.05);
+        });
+        return input;
+    };
+    return { p1: player(), p2: player() };
+}
+
+/**
+ * Runs a simulation for some frames of random inputs
+ * @returns {number} Checksum of the final state
+ */
+function play(simulation, inputSeed, frames) {
+    const random = new SeededRandom(inputSeed);
+    for (let i = 0; i < frames; i++) {
+        simulation.step(randomInputs(random));
+    }
+    return simulation.checksum();
+}
+
+test('the same seed and inputs give the same match', () => {
+    const first = createSimulation(7);
+    const second = createSimulation(7);
+
+    assert.strictEqual(play(first, 99, 900), play(second, 99, 900));
+    assert.strictEqual(first.frame, 900);
+    assert.deepStrictEqual(first.saveState(), second.saveState());
+});
+
+test('a restored snapshot plays on exactly like the original', () => {
+    const original = createSimulation(3);
+    play(original, 5, 300);
+    const snapshot = JSON.parse(JSON.stringify(original.saveState()));
+
+    const restored = createSimulation(3);
+    restored.loadState(snapshot);
+    assert.strictEqual(restored.checksum(), original.checksum());
+
+    assert.strictEqual(play(restored, 11, 600), play(original, 11, 600));
+});
+
+test('a replay survives export and plays back to the same state', () => {
+    const original = createSimulation(21);
+    original.recorder = new ReplayRecorder({ ...MATCH, seed: 21 });
+    const checksum = play(original, 4, 700);
+
+    const replay = parseReplay(serializeReplay(original.recorder.finish()));
+    validateReplay(replay);
+    assert.strictEqual(replay.frameCount, 700);
+
+    const player = new ReplayPlayer(replay, createSimulation(replay.seed));
+    while (!player.finished) {
+        player.advance();
+    }
+    assert.strictEqual(player.simulation.checksum(), checksum);
+});
+
+test('seeking a replay lands on the same state as playing to that frame', () => {
+    const original = createSimulation(8);
+    original.recorder = new ReplayRecorder({ ...MATCH, seed: 8 });
+    const random = new SeededRandom(9);
+    const checksums = [];
+    for (let frame = 0; frame < 1000; frame++) {
+        original.step(randomInputs(random));
+        checksums[original.frame] = original.checksum();
+    }
+    const player = new ReplayPlayer(original.recorder.finish(), createSimulation(8));
+
+    // Forward past two keyframes, back to between them, then forward again
+    [950, 450, 320, 999].forEach(frame => {
+        player.seek(frame);
+        assert.strictEqual(player.simulation.frame, frame);
+        assert.strictEqual(player.simulation.checksum(), checksums[frame], `frame ${frame}`);
+    });
+});
+
+/**
+ * Holds each direction for some frames, starting at frame 0
+ * @param {CommandInterpreter} interpreter - Interpreter to feed
+ * @param {Array<Array<number>>} steps - [numpad direction, frames] pairs
+ * @returns {number} The frame after the last step, when the button goes in
+ */
+function holdDirections(interpreter, steps) {
+    let frame = 0;
+    steps.forEach(([direction, frames]) => {
+        for (let i = 0; i < frames; i++) {
+            interpreter.update(direction, frame++);
+        }
+    });
+    return frame;
+}
+
+/**
+ * @returns {boolean} Whether the command comes out after the steps
+ */
+function commandMatches(sequence, steps) {
+    const interpreter = new CommandInterpreter();
+    const frame = holdDirections(interpreter, steps);
+    return interpreter.matches(parseCommand(sequence), frame);
+}
+
+test('commands parse into motion, charge, leniency and priority', () => {
+    const fireball = parseCommand('236P');
+    assert.deepStrictEqual(fireball.motion, [2, 3, 6]);
+    assert.strictEqual(fireball.charge, null);
+    assert.strictEqual(fireball.leniency, MOTION_CONFIG.leniency['236']);
+
+    const charge = parseCommand('[4]6P');
+    assert.strictEqual(charge.charge, 4);
+    assert.deepStrictEqual(charge.motion, [6]);
+    assert.ok(parseCommand('41236P').priority > fireball.priority);
+
+    assert.throws(() => parseCommand('P236'), { code: 'COMMAND_ERROR', message: 'Invalid command "P236"' });
+    assert.throws(() => parseCommand('236X'), { code: 'COMMAND_ERROR', message: /Unknown button "X"/ });
+});
+
+test('a quarter circle comes out within its leniency window only', () => {
+    assert.ok(commandMatches('236P', [[2, 2], [3, 2], [6, 2]]));
+    // Extra directions in between are allowed
+    assert.ok(commandMatches('236P', [[2, 2], [5, 1], [3, 2], [6, 2]]));
+    // Down-back or down-forward stand in for down
+    assert.ok(commandMatches('236P', [[1, 2], [3, 2], [6, 2]]));
+
+    // Too long a pause partway through drops the motion
+    const leniency = MOTION_CONFIG.leniency['236'];
+    assert.ok(!commandMatches('236P', [[2, 2], [5, leniency], [3, 2], [6, 2]]));
+    // The button must follow the last direction closely
+    assert.ok(!commandMatches('236P', [[2, 2], [3, 2], [6, 2], [5, MOTION_CONFIG.buttonWindow + 1]]));
+});
+
+test('shortcuts, repeated directions and charges are read as listed', () => {
+    assert.ok(commandMatches('623P', [[6, 2], [2, 2], [3, 2]]));
+    assert.ok(commandMatches('623P', [[3, 2], [2, 2], [3, 2]]));
+
+    assert.ok(commandMatches('22P', [[2, 2], [5, 2], [2, 2]]));
+    assert.ok(!commandMatches('22P', [[2, 6]]));
+
+    const { chargeFrames } = MOTION_CONFIG;
+    assert.ok(commandMatches('[4]6P', [[4, chargeFrames], [6, 2]]));
+    assert.ok(commandMatches('[4]6P', [[1, chargeFrames], [6, 2]]));
+    assert.ok(!commandMatches('[4]6P', [[4, chargeFrames - 1], [6, 2]]));
+});
+
+/**
+ * Validates the shipped data after breaking a copy of it
+ * @param {Function} breakData - Edits the parsed characters.json and moves.json
+ * @returns {Function} Runs the validation
+ */
+function validateBroken(breakData) {
+    const characters = readData(DATA_FILES.characters);
+    const moves = readData(DATA_FILES.moves);
+    breakData(characters, moves);
+    return () => validateRoster(characters, moves, DATA_FILES);
+}
+
+test('the shipped character data validates and gets its defaults', () => {
+    assert.strictEqual(roster.fighter1.moves.fireball.sequence, '236P');
+    assert.strictEqual(roster.fighter1.states.idle.loop, true);
+    assert.strictEqual(roster.fighter2.stats.maxHealth, 110);
+});
+
+test('invalid character data is reported with its file, path and reason', () => {
+    const file = DATA_FILES.characters;
+    const cases = [
+        [data => (data.fighter1.stats.walkSpeed = 'fast'),
+            `${file}: fighter1.stats.walkSpeed: expected a number`],
+        [data => (data.fighter1.stats.maxHealth = 0),
+            `${file}: fighter1.stats.maxHealth: must be at least 1`],
+        [data => (data.fighter2.colour = 'red'),
+            `${file}: fighter2: unknown field "colour"`],
+        [data => delete data.fighter1.states.idle.sprite,
+            `${file}: fighter1.states.idle: missing required field "sprite"`],
+        [data => (data.fighter1.states.idle.sprite = 'run'),
+            `${file}: fighter1.states.idle.sprite: no sprite named "run"`],
+        [data => (data.fighter1.moves.fireball = 'hadoken'),
+            `${file}: fighter1.moves.fireball: no shared move named "hadoken" in ${DATA_FILES.moves}`],
+        [(data, moves) => (moves.fireball.sequence = '236X'),
+            `${DATA_FILES.moves}: fireball.sequence: Unknown button "X" in command "236X"`]
+    ];
+    cases.forEach(([breakData, message]) => {
+        assert.throws(validateBroken(breakData), { code: 'DATA_ERROR', message });
+    });
+});
+
+/**
+ * Builds a match without rounds, both fighters standing close enough to
+ * throw each other
+ * @param {number} [x=300] - Where player 1 stands; player 2 is just right of them
+ * @returns {Simulation}
+ */
+function createCloseSimulation(x = 300) {
+    const simulation = new Simulation({
+        player1: new Character(null, x, 0, true, roster.fighter1),
+        player2: new Character(null, x + 60, 0, false, roster.fighter2),
+        rules: null
+    });
+    // Let them land
+    stepFrames(simulation, 60);
+    return simulation;
+}
+
+/**
+ * Steps a simulation with the same inputs each frame
+ * @param {Simulation} simulation - Match to advance
+ * @param {number} frames - Frames to step
+ * @param {Object} [inputs] - Inputs keyed p1/p2, held throughout
+ * @returns {Array<Object>} Events emitted meanwhile
+ */
+function stepFrames(simulation, frames, inputs = {}) {
+    const events = [];
+    for (let i = 0; i < frames; i++) {
+        simulation.step(inputs);
+        events.push(...simulation.drainEvents());
+    }
+    return events;
+}
+
+const THROW_INPUT = { ...EMPTY_INPUT, attack: true, medium: true };
+
+test('a throw grabs, then lands for damage and a knockdown', () => {
+    const simulation = createCloseSimulation();
+    const defender = simulation.player2;
+    const health = defender.health;
+
+    stepFrames(simulation, 1, { p1: THROW_INPUT });
+    stepFrames(simulation, MOVE_CONFIG.throw.startupFrames + 1);
+    assert.ok(defender.isGrabbed);
+    assert.strictEqual(defender.currentState, 'grabbed');
+
+    // Throws can't land before the tech window closes
+    stepFrames(simulation, Math.max(simulation.player1.throws.forward.frames, THROW_CONFIG.techWindow + 1));
+    assert.ok(!defender.isGrabbed);
+    assert.ok(defender.health < health);
+    assert.strictEqual(defender.currentState, 'knockdown');
+});
+
+test('pressing throw while grabbed techs the throw', () => {
+    const simulation = createCloseSimulation();
+    const defender = simulation.player2;
+    const health = defender.health;
+
+    stepFrames(simulation, 1, { p1: THROW_INPUT });
+    stepFrames(simulation, MOVE_CONFIG.throw.startupFrames + 1);
+    assert.ok(defender.isGrabbed);
+
+    const events = stepFrames(simulation, 1, { p2: THROW_INPUT });
+    events.push(...stepFrames(simulation, 2));
+    assert.ok(events.some(event => event.type === 'tech'));
+    assert.ok(!defender.isGrabbed);
+    assert.strictEqual(defender.health, health);
+    assert.strictEqual(simulation.throwSystem.current, null);
+});
+
+test('jumping fighters cannot be thrown', () => {
+    const simulation = createCloseSimulation();
+    const defender = simulation.player2;
+
+    stepFrames(simulation, 2, { p2: { ...EMPTY_INPUT, up: true } });
+    assert.ok(!defender.canBeThrown());
+    stepFrames(simulation, 1, { p1: THROW_INPUT });
+    stepFrames(simulation, MOVE_CONFIG.throw.startupFrames + MOVE_CONFIG.throw.activeFrames);
+    assert.ok(!defender.isGrabbed);
+    assert.strictEqual(simulation.throwSystem.current, null);
+});
+
+/**
+ * Lands an attack straight through the combat system
+ * @param {Simulation} simulation - Match the fighters are in
+ * @param {string} type - COMBAT_CONFIG attack type
+ * @returns {Object} The hit event
+ */
+function landHit(simulation, type) {
+    simulation.combatSystem.handleHit(simulation.player1, simulation.player2, { type });
+    return simulation.drainEvents().find(event => event.type === 'hit');
+}
+
+test('combo damage scales down with each hit, down to a floor', () => {
+    const simulation = createCloseSimulation();
+    const { damage, combo } = COMBAT_CONFIG;
+
+    const hits = Array.from({ length: combo.maxHits + 2 }, () => landHit(simulation, 'medium'));
+    assert.deepStrictEqual(hits.slice(0, 3).map(hit => hit.comboHits), [1, 2, 3]);
+    assert.strictEqual(hits[0].damage, damage.medium);
+    assert.strictEqual(hits[1].damage, damage.medium * (1 - combo.scaling));
+    assert.ok(hits[2].damage < hits[1].damage);
+    // Scaling stops growing at maxHits
+    const floor = hits[combo.maxHits - 1].damage;
+    assert.ok(floor > 0);
+    assert.strictEqual(hits[combo.maxHits + 1].damage, floor);
+    assert.strictEqual(simulation.player2.hitStunTime,
+        Math.max(combo.minHitstun, COMBAT_CONFIG.hitstun.medium - (combo.maxHits + 1) * combo.hitstunDecay));
+});
+
+test('a combo ends when the defender recovers, and a quick follow-up is marked broken', () => {
+    const simulation = createCloseSimulation();
+    landHit(simulation, 'light');
+    landHit(simulation, 'light');
+
+    while (simulation.player2.isHit) {
+        simulation.step({});
+    }
+    const next = landHit(simulation, 'light');
+    assert.strictEqual(next.comboHits, 1);
+    assert.strictEqual(next.damage, COMBAT_CONFIG.damage.light);
+    assert.ok(next.broken);
+});
+
+test('an airborne opponent can only be juggled up to the juggle limit', () => {
+    const simulation = createCloseSimulation();
+    const [attacker, defender] = [simulation.player1, simulation.player2];
+    const { juggleLimit, jugglePoints } = COMBAT_CONFIG.combo;
+
+    defender.isGrounded = false;
+    let points = 0;
+    while (points < juggleLimit) {
+        assert.ok(simulation.combatSystem.canJuggle(attacker, defender));
+        landHit(simulation, 'heavy');
+        points += jugglePoints.heavy;
+    }
+    assert.strictEqual(simulation.combatSystem.getCombo(attacker).juggle, points);
+    assert.ok(!simulation.combatSystem.canJuggle(attacker, defender));
+
+    // Grounded opponents are not juggles
+    defender.isGrounded = true;
+    assert.ok(simulation.combatSystem.canJuggle(attacker, defender));
+});
+
+test('a hit that beats the guard leaves it down for the rest of the combo', () => {
+    const simulation = createCloseSimulation();
+    const { combatSystem, player1, player2 } = simulation;
+    // Player 2 faces left, so down-right is a crouching guard
+    stepFrames(simulation, 1, { p2: { ...EMPTY_INPUT, right: true, down: true } });
+    assert.ok(player2.isBlocking);
+
+    combatSystem.handleHit(player1, player2, { type: 'medium', property: 'overhead' });
+    const overhead = simulation.drainEvents().find(event => event.type === 'hit');
+    assert.ok(!overhead.blocked);
+
+    const followUp = landHit(simulation, 'light');
+    assert.ok(followUp.comboed);
+    assert.ok(!followUp.blocked);
+});
+
+/**
+ * Lands a medium hit and returns how far each fighter slid from it
+ * @param {Simulation} simulation - Match the fighters are in
+ * @returns {Object} { attacker, defender } - Signed distances in px
+ */
+function measurePushback(simulation) {
+    const { player1, player2 } = simulation;
+    const [attackerX, defenderX] = [player1.x, player2.x];
+    landHit(simulation, 'medium');
+    stepFrames(simulation, 40);
+    return { attacker: player1.x - attackerX, defender: player2.x - defenderX };
+}
+
+test('hits push the defender away, and blocked hits push harder', () => {
+    const hit = measurePushback(createCloseSimulation());
+    assert.ok(hit.defender > 0);
+    assert.strictEqual(hit.attacker, 0);
+
+    const simulation = createCloseSimulation();
+    // Player 2 faces left, so holding right guards
+    stepFrames(simulation, 1, { p2: { ...EMPTY_INPUT, right: true } });
+    const block = measurePushback(simulation);
+    assert.ok(block.defender > hit.defender);
+});
+
+test('in the corner the pushback moves the attacker out instead', () => {
+    const open = measurePushback(createCloseSimulation());
+    const simulation = createCloseSimulation(GAME_CONFIG.arena.width - 120);
+    const corner = measurePushback(simulation);
+
+    assert.strictEqual(corner.defender, 0);
+    assert.strictEqual(corner.attacker, -open.defender);
+});
+
+test('fighters cannot walk through each other', () => {
+    const simulation = createCloseSimulation();
+    const { player1, player2 } = simulation;
+    stepFrames(simulation, 60, { p1: { ...EMPTY_INPUT, right: true } });
+
+    assert.ok(player1.x < player2.x);
+    const [box1, box2] = [player1.getPushbox(), player2.getPushbox()];
+    assert.ok(box1.x + box1.width <= box2.x + 1e-9);
+});
+
+test('rollback peers stay in sync over a slow, lossy link', async () => {
+    const frames = 240;
+    const delay = NETPLAY_CONFIG.inputDelay;
+    const random = new SeededRandom(11);
+    const inputs = Array.from({ length: frames }, () => randomInputs(random));
+    const link = LoopbackTransport.createPair({ latency: 20, jitter: 10, packetLoss: 0.1 });
+    const peers = link.map((transport, index) => {
+        const simulation = createSimulation(3);
+        const session = new RollbackSession({ simulation, localPlayer: index + 1, transport });
+        return { side: `p${index + 1}`, simulation, session };
+    });
+
+    // Past the last input both sides idle, so once every input is confirmed
+    // and the last rollback is done, the predictions stay right
+    const settled = ({ simulation, session }) => simulation.frame > frames + delay &&
+        session.lastConfirmedRemoteFrame >= frames + delay && session.rollbackFrom === null;
+    let longestRollback = 0;
+    while (!peers.every(settled)) {
+        peers.forEach(({ side, simulation, session }) => {
+            const frame = simulation.frame;
+            session.advance(frame < frames ? inputs[frame][side] : EMPTY_INPUT);
+            longestRollback = Math.max(longestRollback, session.getStats().rollbackFrames);
+        });
+        await new Promise(resolve => setTimeout(resolve, 1));
+    }
+    peers.forEach(({ session }) => session.close());
+
+    assert.ok(longestRollback > 0, 'no prediction was ever wrong');
+    const reference = createSimulation(3);
+    const idle = { p1: EMPTY_INPUT, p2: EMPTY_INPUT };
+    peers.sort((a, b) => a.simulation.frame - b.simulation.frame).forEach(({ simulation, session }) => {
+        while (reference.frame < simulation.frame) {
+            const frame = reference.frame - delay;
+            reference.step(frame >= 0 && frame < frames ? inputs[frame] : idle);
+        }
+        assert.strictEqual(simulation.checksum(), reference.checksum());
+        assert.ok(!session.getStats().desynced);
+    });
+});
+
+test('inputs from a peer that is ahead are kept until their frames are played', () => {
+    const frames = 240;
+    const delay = NETPLAY_CONFIG.inputDelay;
+    const random = new SeededRandom(5);
+    const inputs = Array.from({ length: frames }, () => randomInputs(random));
+    const [link] = LoopbackTransport.createPair();
+    const simulation = createSimulation(3);
+    const session = new RollbackSession({ simulation, localPlayer: 1, transport: link });
+
+    // Every one of the peer's inputs arrives before we play the first frame
+    const remote = [...Array(delay).fill(0), ...inputs.map(input => encodeInput(input.p2))];
+    session.handleMessage({ type: 'input', start: 0, inputs: remote, ack: -1 });
+    for (let frame = 0; frame < frames; frame++) {
+        session.advance(inputs[frame].p1);
+    }
+    session.close();
+
+    const reference = createSimulation(3);
+    const idle = { p1: EMPTY_INPUT, p2: EMPTY_INPUT };
+    while (reference.frame < simulation.frame) {
+        const frame = reference.frame - delay;
+        reference.step(frame >= 0 ? inputs[frame] : idle);
+    }
+    assert.strictEqual(simulation.checksum(), reference.checksum());
+});
+
+test('a silent peer times out', t => {
+    const [link] = LoopbackTransport.createPair();
+    let now = 0;
+    t.mock.method(performance, 'now', () => now);
+    const session = new RollbackSession({ simulation: createSimulation(1), localPlayer: 1, transport: link });
+
+    assert.ok(session.advance(EMPTY_INPUT));
+    now += NETPLAY_CONFIG.disconnectTimeoutMs + 1;
+    assert.ok(!session.advance(EMPTY_INPUT));
+    assert.ok(session.getStats().disconnected);
+    session.close();
+});
+
+/**
+ * Installs the few browser globals the Game touches: a canvas whose
+ * context ignores drawing, images read from disk, audio that never loads,
+ * fetch for the data files and a manual requestAnimationFrame
+ * @returns {Object} { frames } - Animation frame callbacks waiting to run
+ */
+function installBrowser() {
+    const frames = [];
+    const context = new Proxy({
+        measureText: text => ({ width: String(text).length * 8 }),
+        getImageData: (x, y, width, height) => ({ data: new Uint8ClampedArray(width * height * 4) }),
+        createLinearGradient: () => ({ addColorStop() {} })
+    }, {
+        get: (target, key) => (key in target ? target[key] : () => {}),
+        set: (target, key, value) => {
+            target[key] = value;
+            return true;
+        }
+    });
+    const createElement = () => {
+        const element = {
+            style: {},
+            children: [],
+            width: 800,
+            height: 600,
+            textContent: '',
+            innerHTML: '',
+            className: '',
+            classList: { add() {}, remove() {}, toggle() {} },
+            appendChild: child => child,
+            addEventListener() {},
+            querySelector: () => createElement(),
+            getContext: () => context
+        };
+        context.canvas = element;
+        return element;
+    };
+    const canvas = createElement();
+    const listeners = {};
+    const storage = new Map();
+
+    class FakeImage {
+        set src(file) {
+            setImmediate(() => {
+                try {
+                    // PNG width and height sit at bytes 16 and 20
+                    const header = fs.readFileSync(path.join(__dirname, file));
+                    this.width = header.readUInt32BE(16);
+                    this.height = header.readUInt32BE(20);
+                    this.onload();
+                } catch (error) {
+                    this.onerror(error);
+                }
+            });
+        }
+    }
+
+    class FakeAudio {
+        set src(file) {
+            setImmediate(() => this.onerror(new Error(`No audio in tests: ${file}`)));
+        }
+
+        play() {
+            return Promise.resolve();
+        }
+
+        pause() {}
+
+        cloneNode() {
+            return new FakeAudio();
+        }
+    }
+
+    Object.assign(globalThis, {
+        document: {
+            getElementById: id => (id === 'gameCanvas' ? canvas : null),
+            querySelector: () => createElement(),
+            querySelectorAll: () => [],
+            createElement,
+            body: createElement(),
+            addEventListener() {}
+        },
+        window: {
+            addEventListener: (type, listener) => (listeners[type] = listeners[type] || []).push(listener),
+            location: { hostname: 'test', search: '' }
+        },
+        localStorage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        },
+        Image: FakeImage,
+        Audio: FakeAudio,
+        fetch: async file => {
+            const text = fs.readFileSync(path.join(__dirname, file), 'utf8');
+            return { ok: true, text: async () => text, json: async () => JSON.parse(text) };
+        },
+        requestAnimationFrame: callback => frames.push(callback)
+    });
+    Object.defineProperty(globalThis, 'navigator', {
+        value: { getGamepads: () => [] },
+        configurable: true
+    });
+    return { frames };
+}
+
+/**
+ * Boots a Game in the fake browser and runs it until the main menu is up
+ * @param {Object} t - Test context, used to silence skipped-asset warnings
+ * @returns {Promise<Object>} { game, frames, warnings }
+ */
+async function bootGame(t) {
+    const { frames } = installBrowser();
+    const warnings = t.mock.method(console, 'warn', () => {});
+
+    const game = new Game();
+    let timestamp = 0;
+    const deadline = Date.now() + 5000;
+    while (game.stateManager.currentState !== 'menu' && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        timestamp += 20;
+        // The loop only starts once the assets are in
+        if (frames.length > 0) {
+            frames.shift()(timestamp);
+        }
+    }
+    return { game, frames, warnings };
+}
+
+test('a new Game loads its assets and reaches the main menu', async t => {
+    const { game, frames, warnings } = await bootGame(t);
+
+    assert.strictEqual(game.stateManager.currentState, 'menu');
+    assert.ok(game.assetLoader.getData('characters').fighter1);
+    assert.ok(game.assetLoader.getImage('assets/backgrounds/stage1.png'));
+    // Only the sounds, which are not in the repository, were skipped
+    warnings.mock.calls.forEach(call => assert.match(call.arguments[0], /^Failed to load audio/));
+
+    game.startMatch({ characters: { p1: 'fighter1', p2: 'fighter2' }, ai: { p1: 'hard', p2: 'hard' } });
+    let timestamp = 0;
+    for (let i = 0; i < 600; i++) {
+        timestamp += GAME_CONFIG.timeStep;
+        frames.shift()(timestamp);
+    }
+    assert.strictEqual(game.stateManager.currentState, 'fighting');
+    assert.ok(game.simulation.frame > 0);
+    assert.ok(game.simulation.rounds.stats.some(stats => stats.hits > 0), 'nobody landed a hit');
+});
+
+test('VS CPU picks both fighters and the level set in Options', async t => {
+    const { game } = await bootGame(t);
+    const menu = game.menuSystem.menu;
+
+    menu.cycleDifficulty();
+    menu.cycleDifficulty();
+    assert.strictEqual(game.difficulty, 'adaptive');
+    assert.ok(menu.menus.options.options.includes('Difficulty: Adaptive'));
+
+    game.selectCharacters('cpu');
+    const select = game.stateManager.states.characterSelect;
+    assert.strictEqual(select.difficulty, 'adaptive');
+
+    // Player 1's fighter, then the computer's, then its level
+    ['attack', 'right', 'attack', 'attack'].forEach(action => select.handlePlayerAction(1, action));
+    await new Promise(setImmediate);
+    assert.strictEqual(game.stateManager.currentState, 'stageSelect');
+    assert.deepStrictEqual(game.pendingMatch.characters, { p1: 'fighter1', p2: 'fighter3' });
+    assert.deepStrictEqual(game.pendingMatch.ai, { p2: 'adaptive' });
+});
+
+test('the ghost level stays on character select without replays to learn from', async t => {
+    const { game } = await bootGame(t);
+    t.mock.method(game.errorHandler, 'logError', () => {});
+    const messages = t.mock.method(game, 'showMessage', () => {});
+
+    game.selectCharacters('cpu');
+    const select = game.stateManager.states.characterSelect;
+    select.difficulty = 'ghost';
+    ['attack', 'attack', 'attack'].forEach(action => select.handlePlayerAction(1, action));
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assert.strictEqual(game.stateManager.currentState, 'characterSelect');
+    assert.strictEqual(messages.mock.calls[0].arguments[0], 'No replays to learn from yet');
+    assert.strictEqual(select.preparing, false);
+});
+
+test('initials entry types the letter bound to start and only leaves on Escape', async t => {
+    const { game } = await bootGame(t);
+    const initials = game.stateManager.states.initials;
+    game.stateManager.currentState = 'initials';
+    initials.enter();
+
+    ['p', 'q', 'p'].forEach(key => game.handleInput({ type: 'keydown', key }));
+    assert.deepStrictEqual(initials.letters, ['P', 'Q', 'P']);
+    assert.strictEqual(game.stateManager.currentState, 'initials');
+
+    game.handleInput({ type: 'keydown', key: 'Escape' });
+    assert.strictEqual(game.stateManager.currentState, 'menu');
+});
+
+test('a stored replay plays back from its leaderboard record', async t => {
+    const { game } = await bootGame(t);
+    game.startMatch({ characters: { p1: 'fighter1', p2: 'fighter2' }, seed: 5 });
+    for (let i = 0; i < 120; i++) {
+        game.simulation.step({});
+    }
+    const replay = { ...game.replayRecorder.finish(), id: 1 };
+    t.mock.method(game.replayStorage, 'load', async id => (id === replay.id ? replay : null));
+
+    await game.watchReplays([replay.id]);
+    assert.strictEqual(game.stateManager.currentState, 'fighting');
+    assert.strictEqual(game.replayPlayer.frameCount, 120);
+});
+
+test('replay speed changes last only until the next match', async t => {
+    const { game } = await bootGame(t);
+    game.startMatch({ characters: { p1: 'fighter1', p2: 'fighter2' }, seed: 5 });
+    stepFrames(game.simulation, 60);
+    const replay = game.replayRecorder.finish();
+    game.startReplay(replay);
+
+    ['=', '='].forEach(key => game.handleInput({ type: 'keydown', key }));
+    assert.strictEqual(game.speedSetting, 'quadruple');
+    game.startTraining();
+    assert.strictEqual(game.speedSetting, 'normal');
+
+    // A speed outside the playback steps counts as normal
+    game.startReplay(replay);
+    game.setGameSpeed('fast');
+    game.handleInput({ type: 'keydown', key: '=' });
+    assert.strictEqual(game.speedSetting, 'double');
+});
+
+/**
+ * Stands in for an IndexedDBStore, which Node doesn't have
+ * @returns {Object} Store with the same save, load, list and delete, plus
+ *     its records keyed by id
+ */
+function createMemoryStore() {
+    const records = new Map();
+    let nextId = 1;
+    return {
+        records,
+        save: async record => {
+            const id = record.id === undefined ? nextId++ : record.id;
+            records.set(id, { ...record, id });
+            return id;
+        },
+        load: async id => records.get(id),
+        list: async () => [...records.values()],
+        delete: async id => records.delete(id)
+    };
+}
+
+/**
+ * Plays a short match and stores its replay
+ * @param {Game} game - Booted game
+ * @param {number} seed - Match seed
+ * @returns {Promise<Object>} The stored replay
+ */
+async function recordReplay(game, seed) {
+    game.startMatch({ characters: { p1: 'fighter1', p2: 'fighter2' }, seed });
+    stepFrames(game.simulation, 60);
+    return game.finishRecording();
+}
+
+test('the replay store keeps the newest replays and the ones records play back', async t => {
+    const { game } = await bootGame(t);
+    game.replayStorage = createMemoryStore();
+    game.leaderboards.store = createMemoryStore();
+    await game.leaderboards.store.save({ replayIds: [1] });
+
+    for (let seed = 0; seed < REPLAY_CONFIG.maxStored + 2; seed++) {
+        await game.storeReplay({ seed });
+    }
+    const ids = [...game.replayStorage.records.keys()];
+    assert.strictEqual(ids.length, REPLAY_CONFIG.maxStored + 1);
+    assert.ok(ids.includes(1));
+    assert.ok(!ids.includes(2));
+    assert.ok(ids.includes(REPLAY_CONFIG.maxStored + 2));
+});
+
+test('the replay browser lists, plays, exports and imports replays', async t => {
+    const { game } = await bootGame(t);
+    game.replayStorage = createMemoryStore();
+    game.leaderboards.store = createMemoryStore();
+    const older = await recordReplay(game, 1);
+    const newer = await recordReplay(game, 2);
+    const exports = t.mock.method(game, 'exportReplay', () => {});
+
+    const menu = game.menuSystem.menu;
+    menu.menus.main.callbacks.Replays();
+    const browser = game.stateManager.states.replays;
+    await browser.loadReplays();
+    assert.strictEqual(game.stateManager.currentState, 'replays');
+    assert.deepStrictEqual(browser.replays.map(replay => replay.id), [newer.id, older.id]);
+
+    game.handleInput({ type: 'keydown', key: 'e' });
+    assert.strictEqual(exports.mock.calls[0].arguments[0].id, newer.id);
+
+    await browser.importFile({ name: 'older.json', text: async () => serializeReplay(older) });
+    assert.strictEqual(browser.replays.length, 3);
+    assert.strictEqual(browser.selected, 0);
+    assert.strictEqual(browser.message, null);
+
+    ['ArrowDown', 'ArrowDown', 'Enter'].forEach(key => game.handleInput({ type: 'keydown', key }));
+    assert.strictEqual(game.stateManager.currentState, 'fighting');
+    assert.strictEqual(game.replayPlayer.replay.seed, older.seed);
+});
+
+test('a netplay match plays what the host picked, and leaving ends it on both sides', async t => {
+    const { game: host } = await bootGame(t);
+    const { game: guest } = await bootGame(t);
+    const messages = t.mock.method(host, 'showMessage', () => {});
+    const [hostLink, guestLink] = LoopbackTransport.createPair({ latency: 5 });
+    const picks = { characters: { p1: 'fighter2', p2: 'fighter3' }, stage: 'stage1', palettes: { p1: 1, p2: 0 } };
+
+    await Promise.all([
+        host.startNetplayMatch('test', true, { ...picks, transport: hostLink }),
+        guest.startNetplayMatch('test', false, { characters: { p1: 'fighter1', p2: 'fighter1' }, transport: guestLink })
+    ]);
+    assert.deepStrictEqual(guest.characterIds, picks.characters);
+    assert.strictEqual(guest.player1.palette, 1);
+    assert.strictEqual(guest.replayRecorder.seed, host.replayRecorder.seed);
+
+    guest.handleInput({ type: 'keydown', key: 'Escape' });
+    assert.strictEqual(guest.stateManager.currentState, 'menu');
+    assert.strictEqual(guest.netplaySession, null);
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    host.stateManager.states.fighting.update(GAME_CONFIG.timeStep);
+    assert.strictEqual(host.stateManager.currentState, 'menu');
+    assert.strictEqual(messages.mock.calls[0].arguments[0], 'The other player left');
+});
+
+test('Netplay in the menu hosts after the fighters and stage are picked, or joins', async t => {
+    const { game } = await bootGame(t);
+    const connect = t.mock.method(game, 'startNetplayMatch', () => new Promise(() => {}));
+    const menu = game.menuSystem.menu;
+
+    menu.menus.main.callbacks.Netplay();
+    menu.menus.netplay.callbacks.Host();
+    const select = game.stateManager.states.characterSelect;
+    // Player 1 picks their fighter, then the other side's
+    ['attack', 'right', 'attack'].forEach(action => select.handlePlayerAction(1, action));
+    select.update(GAME_CONFIG.timeStep);
+    assert.strictEqual(game.stateManager.currentState, 'stageSelect');
+    game.stateManager.states.stageSelect.confirm();
+
+    assert.strictEqual(game.stateManager.currentState, 'netplayLobby');
+    const [room, isHost, options] = connect.mock.calls[0].arguments;
+    assert.strictEqual(room, NETPLAY_CONFIG.room);
+    assert.strictEqual(isHost, true);
+    assert.deepStrictEqual(options.characters, { p1: 'fighter1', p2: 'fighter3' });
+
+    // Escape stops waiting for the other tab
+    game.handleInput({ type: 'keydown', key: 'Escape' });
+    assert.strictEqual(game.stateManager.currentState, 'menu');
+    assert.ok(options.signal.aborted);
+
+    menu.menus.netplay.callbacks.Join();
+    assert.strictEqual(game.stateManager.currentState, 'netplayLobby');
+    assert.strictEqual(connect.mock.calls[1].arguments[1], false);
+});
+
+test('training resets end everything under way, and on-hit advantage shrinks through a combo', async t => {
+    const { game } = await bootGame(t);
+    game.startTraining();
+    const training = game.stateManager.states.training;
+    const { simulation, player1, player2 } = game;
+    const [name, move] = Object.entries(player1.moveset).find(([, definition]) => definition.type === 'medium');
+    const land = () => {
+        simulation.combatSystem.handleHit(player1, player2, { ...move, name });
+        training.handleEvents(simulation.drainEvents());
+        return training.getFrameAdvantage(move).onHit;
+    };
+
+    const first = land();
+    land();
+    assert.strictEqual(land(), first - 2 * COMBAT_CONFIG.combo.hitstunDecay);
+
+    simulation.throwSystem.current = { attacker: player1, defender: player2 };
+    simulation.superFreeze = { frames: 30 };
+    training.resetPositions('left');
+    assert.strictEqual(simulation.throwSystem.current, null);
+    assert.strictEqual(simulation.superFreeze, null);
+    assert.strictEqual(simulation.hitstop, 0);
+    assert.ok(!player2.isHit);
+    assert.strictEqual(player2.hitStunTime, 0);
+    assert.strictEqual(simulation.combatSystem.getCombo(player1).hits, 0);
+    assert.strictEqual(player2.x, 0);
+    assert.strictEqual(player1.facing, -1);
+});
+
+test('the stick deadzone is set in Options and saved with the controls', async t => {
+    const { game } = await bootGame(t);
+    const menu = game.menuSystem.menu;
+    assert.ok(menu.menus.options.options.includes('Stick Deadzone: 30%'));
+    // Just outside the default deadzone
+    assert.ok(game.inputManager.readStick(0.35, 0).right);
+
+    menu.menus.options.callbacks['Stick Deadzone: 30%']();
+    assert.strictEqual(game.inputManager.deadzone, 0.4);
+    assert.ok(!game.inputManager.readStick(0.35, 0).right);
+    assert.ok(menu.menus.options.options.includes('Stick Deadzone: 40%'));
+
+    // The next session starts from the saved deadzone
+    assert.strictEqual(new InputManager(new ControlProfiles()).deadzone, 0.4);
+});